@@ -0,0 +1,122 @@
+/**
+ * @fileoverview The alert settings: for each event the extension reports,
+ * whether it shows a system notification, the phrase it speaks (if any) with
+ * its voice and rate, and the bundled chime it plays (if any). A built-in
+ * default is used until the user saves their own settings from the options
+ * page.
+ *
+ * Phrases are templates: `{name}` is replaced with the value of that name for
+ * the event, see ALERT_EVENTS. Unknown names are left empty.
+ *
+ * This file is shared. The service worker loads it with importScripts(), and
+ * the options page with a script tag. It only uses `var` and function
+ * declarations, like the other shared scripts.
+ */
+
+/**
+ * The chrome.storage.sync key of the saved settings, keyed by event.
+ */
+var ALERT_SETTINGS_KEY = 'alertSettings';
+
+/**
+ * The chimes bundled with the extension, by name, with their label.
+ */
+var ALERT_CHIMES = {
+    chime: { label: 'Chime', file: 'sounds/chime.wav' },
+    alert: { label: 'Alert', file: 'sounds/alert.wav' }
+};
+
+/**
+ * The events, with their label, notification title, the names their phrase
+ * may use, and their default settings.
+ */
+var ALERT_EVENTS = {
+    match_found: {
+        label: 'Match found',
+        title: 'Match Found',
+        placeholders: ['ride'],
+        defaults: { notify: false, speak: false, phrase: 'Match found: {ride}.', voice: '', rate: 1, chime: '' }
+    },
+    vehicle_selected: {
+        label: 'Vehicle selected',
+        title: 'Vehicle Selected',
+        placeholders: ['ride', 'vehicle'],
+        defaults: { notify: false, speak: false, phrase: 'Vehicle selected: {vehicle}.', voice: '', rate: 1, chime: '' }
+    },
+    ride_accepted: {
+        label: 'Ride accepted',
+        title: 'Ride Accepted',
+        placeholders: ['ride', 'vehicle'],
+        defaults: { notify: true, speak: true, phrase: 'Ride accepted.', voice: '', rate: 1, chime: '' }
+    },
+    failure: {
+        label: 'Failure',
+        title: 'Automation Process Failed',
+        placeholders: ['reason'],
+        defaults: { notify: true, speak: true, phrase: 'Automation failed: {reason}', voice: '', rate: 1, chime: '' }
+    },
+    session_expired: {
+        label: 'Session expired',
+        title: 'Session Expired',
+        placeholders: ['reason'],
+        defaults: { notify: true, speak: true, phrase: 'The booking site session has expired. Please log in again.', voice: '', rate: 1, chime: '' }
+    },
+    schedule_ended: {
+        label: 'Schedule ended',
+        title: 'Auto-Refresh Stopped',
+        placeholders: ['reason'],
+        defaults: { notify: true, speak: false, phrase: '{reason}', voice: '', rate: 1, chime: '' }
+    },
+    shortcut_used: {
+        label: 'Keyboard shortcut',
+        title: 'Keyboard Shortcut',
+        placeholders: ['action'],
+        defaults: { notify: true, speak: true, phrase: '{action}', voice: '', rate: 1, chime: '' }
+    }
+};
+
+/**
+ * The ride, vehicle and reason the options page tests the alerts with.
+ */
+var ALERT_SAMPLE_VALUES = {
+    booking: { date: '2025-06-15 14:30', vehicle: 'Standard Sedan', payout: '€72.50' },
+    vehicle: 'Standard Sedan - CD-456',
+    reason: 'This is a test.',
+    action: 'Automation aborted.'
+};
+
+/**
+ * Completes saved alert settings with the defaults, event by event and field
+ * by field. Rates are kept between 0.1 and 10, as chrome.tts accepts.
+ * @param {object} [savedSettings] The settings read from storage, if any.
+ * @returns {object} The settings of every event, keyed by event.
+ */
+function mergeAlertSettings(savedSettings) {
+    const settings = {};
+    Object.entries(ALERT_EVENTS).forEach(([event, definition]) => {
+        const saved = (savedSettings && savedSettings[event]) || {};
+        const merged = { ...definition.defaults };
+        ['notify', 'speak'].forEach(key => {
+            if (typeof saved[key] === 'boolean') merged[key] = saved[key];
+        });
+        ['phrase', 'voice'].forEach(key => {
+            if (typeof saved[key] === 'string') merged[key] = saved[key];
+        });
+        const rate = Number(saved.rate);
+        if (saved.rate !== undefined && rate >= 0.1 && rate <= 10) merged.rate = rate;
+        if (saved.chime === '' || ALERT_CHIMES[saved.chime]) merged.chime = saved.chime;
+        settings[event] = merged;
+    });
+    return settings;
+}
+
+/**
+ * Fills a phrase template.
+ * @param {string} template The phrase, with `{name}` placeholders.
+ * @param {object} values The values, by name.
+ * @returns {string}
+ */
+function formatAlertPhrase(template, values) {
+    return String(template).replace(/\{(\w+)\}/g, (placeholder, name) =>
+        (values[name] === undefined || values[name] === null ? '' : String(values[name])));
+}
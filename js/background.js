@@ -2,24 +2,86 @@
  * @fileoverview Service worker for the booking automation extension.
  * Manages the automation state machine, user settings, and communication
  * between the popup, content scripts, and the Chrome Extension API.
+ *
+ * Each booking list tab runs its own automation session, with its own config,
+ * phase, timers, ride tab and log lines, so several partner accounts or list
+ * views can be watched at once. Sessions are keyed by the ID of their booking
+ * list tab, and every function of the state machine takes the session it acts on.
  */
 
+importScripts('/js/criteria.js', '/js/run-config.js', '/js/site-profile.js', '/js/phase-timeouts.js', '/js/history-store.js', '/js/vehicle-select.js', '/js/booking-ledger.js', '/js/fleet.js', '/js/vehicle-catalogue.js', '/js/refresh-schedule.js', '/js/alert-settings.js', '/js/webhooks.js');
+
+// Scripts injected into the booking site, in order. The shared helpers must be
+// available before content.js handles its first command.
+const CONTENT_SCRIPT_FILES = ['js/site-profile.js', 'js/parsers.js', 'js/criteria.js', 'js/matching.js', 'js/ranking.js', 'js/booking-ledger.js', 'js/fleet.js', 'js/vehicle-catalogue.js', 'js/phase-timeouts.js', 'js/content.js'];
+
 // =================================================================
 // STATE MANAGEMENT & SAFETY
 // =================================================================
 
-// In-memory state variables. These are reset if the service worker is terminated.
-let automationInProgress = false;
-let activeTabId = null;
-let baseTabId = null; // Persistently tracks the initial tab
-let currentConfig = {};
-// Use a timeout ID for the refresh loop, not an interval ID
-let refreshTimeoutId = null;
+// The automation sessions, keyed by the ID of their booking list tab (see
+// createSession()). They are mirrored to chrome.storage.session by
+// persistState() and rebuilt by restoreState() when the worker wakes up again.
+let sessions = {};
+// In-memory handles of the sessions' pending timers, by booking list tab.
+// Lost on termination; the timer descriptors are not.
+const pendingTimeoutIds = {};
+// The creation of the offscreen document that plays the chimes, while in flight.
+let creatingOffscreenDocument = null;
+// The last queued read-modify-write of chrome.storage.local, see queueStorageWrite().
+let storageWriteQueue = Promise.resolve();
+
+const SESSION_STATE_KEY = 'automationState';
+// The chrome.storage.local key of the session summaries shown by the popup.
+const SESSION_SUMMARIES_KEY = 'automationSessions';
+// The per-session alarms and notifications are named with this prefix,
+// followed by ':' and the ID of the session's booking list tab.
+const WAKE_ALARM_NAME = 'resume-pending-timer';
+const SCHEDULE_END_ALARM_NAME = 'refresh-schedule-end';
+// Chrome will not fire an alarm sooner than 30 seconds after it is created.
+const MIN_ALARM_DELAY_MS = 30 * 1000;
+const APPROVAL_NOTIFICATION_PREFIX = 'ride-approval:';
+// Prefix of the alert notification IDs, followed by the tab they focus when clicked.
+const ALERT_NOTIFICATION_PREFIX = 'alert:';
+const OFFSCREEN_DOCUMENT_PATH = 'html/offscreen.html';
+const DEFAULT_APPROVAL_TIMEOUT_SECONDS = 60;
+const DEFAULT_WATCH_IDLE_SECONDS = 120;
+// A failed Phase 8 is tried again after this delay, as often as the vehicle
+// dropdown timeout of the options allows: the dropdown may be ready before
+// its vehicles or their availability have loaded.
+const PHASE8_RETRY_DELAY_MS = 2000;
+
+/**
+ * Human-readable names for each phase, used in logs and abort reasons.
+ */
+const PHASE_LABELS = {
+    idle: 'Idle',
+    p6_wait: 'Phase 6 waiting for the booking list',
+    p6: 'Phase 6 booking click',
+    waiting_for_tab: 'waiting for the new ride tab',
+    p8_wait: 'Phase 8 waiting for the vehicle dropdown',
+    p8: 'Phase 8 vehicle selection',
+    ride_details: 'ride details capture',
+    awaiting_approval: 'waiting for approval',
+    p9_wait: 'Phase 9 waiting for the Accept Ride button',
+    p9: 'Phase 9 final click',
+    refresh_wait: 'auto-refresh wait',
+    list_watch: 'watching the booking list',
+    refresh_reload: 'auto-refresh reload'
+};
+
+// Phases that wait on a browser event rather than on a timer or on the page.
+// They resume by themselves once the event wakes the worker up.
+const EVENT_WAIT_PHASES = ['waiting_for_tab', 'refresh_reload'];
+
+// Resolves once any state left by a previous worker instance has been rebuilt.
+// Every event listener waits on it before touching the sessions.
+const stateRestored = restoreState();
 
 // Persist the automation state to handle service worker termination
 chrome.runtime.onStartup.addListener(() => {
   log('Browser startup detected. Ensuring automation state is reset.', 'info');
-  chrome.storage.local.set({ automation_in_progress: false });
+  chrome.storage.local.set({ [SESSION_SUMMARIES_KEY]: [] });
 });
 
 // Set default options on initial installation.
@@ -38,6 +100,15 @@ chrome.runtime.onInstalled.addListener((details) => {
             }
         });
     }
+    // Webhooks saved by earlier versions were synced; move them to this browser only.
+    if (details.reason === 'update') {
+        chrome.storage.sync.get(WEBHOOKS_KEY, (data) => {
+            if (!data[WEBHOOKS_KEY]) return;
+            chrome.storage.local.set({ [WEBHOOKS_KEY]: data[WEBHOOKS_KEY] }, () => chrome.storage.sync.remove(WEBHOOKS_KEY));
+        });
+        // The cycle report of earlier versions was shared by every session.
+        chrome.storage.local.remove('lastCycleReport');
+    }
 });
 
 
@@ -45,12 +116,14 @@ chrome.runtime.onInstalled.addListener((details) => {
  * Logs a message to the popup and the service worker console.
  * @param {string} text The message to log.
  * @param {'info' | 'error' | 'success'} level The log level.
+ * @param {number | null} [tabId=null] The booking list tab of the session the
+ *     message is about, so the popup can tell the sessions apart.
  */
-function log(text, level = 'info') {
+function log(text, level = 'info', tabId = null) {
     const timestamp = new Date().toLocaleTimeString();
-    const logEntry = { timestamp, text, level };
+    const logEntry = { timestamp, text, level, tabId };
 
-    console.log(`[LOG] ${level.toUpperCase()}: ${text}`);
+    console.log(`[LOG] ${level.toUpperCase()}${tabId ? ` [Tab ${tabId}]` : ''}: ${text}`);
 
     // Save to persistent storage
     chrome.storage.local.get({ logHistory: [] }, (data) => {
@@ -68,440 +141,1792 @@ function log(text, level = 'info') {
 }
 
 /**
- * Resets the automation state, enabling the user to start a new run.
+ * Logs a message about a session.
+ * @param {object} session The session.
+ * @param {string} text The message to log.
+ * @param {'info' | 'error' | 'success'} [level='info'] The log level.
+ */
+function sessionLog(session, text, level = 'info') {
+    log(text, level, session.baseTabId);
+}
+
+// =================================================================
+// SESSIONS
+// =================================================================
+
+/**
+ * Creates the session of a booking list tab. The fields are persisted as they
+ * are, so they must stay JSON-serializable.
+ * @param {number} tabId The ID of the booking list tab.
+ * @returns {object}
+ */
+function createSession(tabId) {
+    return {
+        // Persistently tracks the booking list tab, which keys the session.
+        baseTabId: tabId,
+        // The tab the run works in: the booking list, then the new ride tab.
+        activeTabId: null,
+        automationInProgress: false,
+        currentConfig: {},
+        // The step of the run currently in flight (see PHASE_LABELS).
+        currentPhase: 'idle',
+        // Descriptor of the session's single pending delay ({ kind, fireAt, args }), or null.
+        pendingTimer: null,
+        // ID of the run history entry being recorded, or null between cycles.
+        currentRunId: null,
+        // The booking chosen in Phase 6 ({ index, date, pickup, vehicle, vehicleClass, payout, url }), or null.
+        // Once Phase 8 succeeds it also holds the fleet vehicle selected ({ text, value }).
+        selectedBooking: null,
+        // The ride waiting for the user's decision before Phase 9, or null.
+        pendingApproval: null,
+        // The auto-refresh loop of the run ({ startedAt, cycles, windowEnd, schedule }), or null.
+        // The schedule is read from the options when the run starts (refresh-schedule.js).
+        refreshLoop: null,
+        // The Phase 8 attempt under way in the current ride tab, from 1, or 0.
+        phase8Attempts: 0,
+        // The last booking matched in Phase 6 ({ ride, dryRun, at }), or null.
+        lastMatch: null,
+        // The bookings of the session's latest Phase 6 cycle, for the near-miss
+        // report of the popup (see saveCycleReport()), or null.
+        cycleReport: null,
+        // How the last run ended ({ outcome, message, level, at }), or null.
+        lastResult: null
+    };
+}
+
+/**
+ * Tells whether a session has anything going on: a run in flight, or an
+ * auto-refresh loop waiting for its next cycle.
+ * @param {object} session The session.
+ * @returns {boolean}
+ */
+function isSessionActive(session) {
+    return session.automationInProgress || !!session.pendingTimer || session.currentPhase === 'refresh_reload';
+}
+
+/**
+ * Finds the session a tab belongs to, as its booking list tab or as the ride
+ * tab of its run.
+ * @param {number} tabId The ID of the tab.
+ * @returns {object | null}
+ */
+function findSessionByTab(tabId) {
+    return sessions[tabId] || Object.values(sessions).find(session => session.activeTabId === tabId) || null;
+}
+
+/**
+ * Names a per-session alarm or notification, see WAKE_ALARM_NAME.
+ * @param {string} prefix The name shared by every session, e.g. WAKE_ALARM_NAME.
+ * @param {object} session The session.
+ * @returns {string}
+ */
+function sessionResourceName(prefix, session) {
+    return `${prefix.replace(/:$/, '')}:${session.baseTabId}`;
+}
+
+/**
+ * Finds the session a per-session alarm or notification was created for.
+ * @param {string} name The name of the alarm or notification.
+ * @param {string} prefix The name shared by every session.
+ * @returns {object | null}
+ */
+function findSessionByResourceName(name, prefix) {
+    const base = prefix.replace(/:$/, '');
+    if (!name.startsWith(`${base}:`)) return null;
+    return sessions[Number(name.slice(base.length + 1))] || null;
+}
+
+/**
+ * Summarises a session for the popup: its row in the session list, and the
+ * status panel when it is the session of the current tab.
+ * @param {object} session The session.
+ * @returns {object}
+ */
+function summarizeSession(session) {
+    const refreshTimer = session.pendingTimer && session.pendingTimer.kind === 'refresh' ? session.pendingTimer : null;
+    return {
+        tabId: session.baseTabId,
+        rideTabId: session.activeTabId !== session.baseTabId ? session.activeTabId : null,
+        // The tab the run works in right now, if any.
+        workingTabId: session.automationInProgress ? session.activeTabId : null,
+        active: isSessionActive(session),
+        inProgress: session.automationInProgress,
+        phase: session.currentPhase,
+        phaseLabel: PHASE_LABELS[session.currentPhase] || session.currentPhase,
+        phase8Attempt: session.phase8Attempts || 0,
+        // When the booking list is next reloaded by the auto-refresh loop.
+        nextRefreshAt: refreshTimer ? refreshTimer.fireAt : null,
+        // The cycles of the auto-refresh loop that have ended, the first run
+        // included; null without a loop.
+        cyclesCompleted: session.refreshLoop ? session.refreshLoop.cycles + (session.automationInProgress ? 0 : 1) : null,
+        dryRun: !!session.currentConfig.dryRun,
+        startDate: session.currentConfig.startDate || '',
+        endDate: session.currentConfig.endDate || '',
+        vehicleClasses: session.currentConfig.vehicleClasses || [],
+        lastMatch: session.lastMatch || null,
+        cycleReport: session.cycleReport || null,
+        lastResult: session.lastResult
+    };
+}
+
+/**
+ * Resets the automation state of a session, enabling the user to start a new run.
+ * @param {object} session The session.
  * @param {string} reason The reason for resetting the state.
  * @param {'info' | 'error' | 'success'} level The log level for the final message.
  * @param {object} [options={}] Additional options for resetting state.
  * @param {boolean} [options.allowRefresh=true] Whether to allow a new refresh cycle to start.
+ * @param {string} [options.outcome] The run outcome for the history, a key of RUN_OUTCOMES.
+ *     Defaults to 'failed' for errors and 'completed' otherwise.
+ * @param {string} [options.alarmTitle] The title of the failure notification, for errors.
+ * @param {string} [options.alertEvent='failure'] The alert raised for errors, a key of ALERT_EVENTS.
  */
-function resetState(reason, level = 'info', options = {}) {
-    const { allowRefresh = true } = options;
+function resetState(session, reason, level = 'info', options = {}) {
+    const { allowRefresh = true, outcome = level === 'error' ? 'failed' : 'completed', alarmTitle, alertEvent = 'failure' } = options;
+
+    sessionLog(session, `Resetting state. Reason: ${reason}`, level);
+    notifyRunEnded(session, outcome, level, reason);
+    endRunRecord(session, outcome, reason);
+    markBookingHandled(session, outcome);
+    // A ride the site did not confirm may still be ours: its vehicle stays committed.
+    if (outcome === 'accepted' || outcome === 'unknown') {
+        recordFleetCommitment(session);
+    }
+    if (session.currentPhase === 'list_watch') {
+        stopListWatch(session.baseTabId);
+    }
+    if (session.pendingTimer) {
+        const wasRefresh = session.pendingTimer.kind === 'refresh';
+        clearPendingTimer(session);
+        if (wasRefresh) sessionLog(session, 'Auto-refresh timer cleared.', 'info');
+    }
 
-    log(`Resetting state. Reason: ${reason}`, level);
-    if (refreshTimeoutId) {
-        clearTimeout(refreshTimeoutId);
-        refreshTimeoutId = null;
-        log('Auto-refresh timer cleared.', 'info');
+    if (session.pendingApproval) {
+        clearApprovalPrompt(session);
     }
 
-    const wasInProgress = automationInProgress;
-    automationInProgress = false;
-    activeTabId = null;
-    chrome.storage.local.set({ automation_in_progress: false });
+    const wasInProgress = session.automationInProgress;
+    const alertTabId = session.activeTabId;
+    session.automationInProgress = false;
+    session.activeTabId = null;
+    session.selectedBooking = null;
+    session.currentPhase = 'idle';
+    session.lastResult = { outcome, message: reason, level, at: Date.now() };
 
     const messageType = level === 'error' ? 'automation_aborted' : 'automation_finished';
-    chrome.runtime.sendMessage({ type: messageType }).catch(err => {});
+    chrome.runtime.sendMessage({ type: messageType, tabId: session.baseTabId }).catch(err => {});
 
     if (level === 'error') {
-        triggerFailureAlarm(reason);
+        triggerFailureAlarm(session, reason, { title: alarmTitle, event: alertEvent, tabId: alertTabId });
     }
 
-    log(reason, level);
+    sessionLog(session, reason, level);
 
     // --- Start new refresh if conditions are met ---
-    if (allowRefresh && wasInProgress && currentConfig.autoRefresh && baseTabId) {
-        log('Auto-refresh is enabled. Starting continuous refresh loop.', 'info');
-        scheduleNextRefresh(baseTabId);
+    if (allowRefresh && wasInProgress && session.currentConfig.autoRefresh && session.refreshLoop) {
+        continueRefreshLoop(session);
     } else {
-        // If no refresh is scheduled, clean up the base tab ID.
-        baseTabId = null;
+        endRefreshLoop(session);
     }
+    persistState();
 }
 
-// =================================================================
-// MESSAGE HANDLING
-// =================================================================
-
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    // --- Message from Popup ---
-    if (message.action === 'startAutomation') {
-        // Clear any previous refresh interval when a new automation starts.
-        if (refreshTimeoutId) {
-            clearTimeout(refreshTimeoutId);
-            refreshTimeoutId = null;
-            log('Cleared previous auto-refresh schedule.', 'info');
-        }
+/**
+ * Moves a session's run to a new phase and persists the change.
+ * @param {object} session The session.
+ * @param {string} phase A key of PHASE_LABELS.
+ */
+function setPhase(session, phase) {
+    session.currentPhase = phase;
+    persistState();
+}
 
-        log('Received startAutomation command from popup.', 'info');
+/**
+ * Writes the sessions to chrome.storage.session so that they survive the
+ * service worker being terminated while idle, and their summaries to
+ * chrome.storage.local, where the popup reads them when it opens. The
+ * summaries are also broadcast to the popup, if it is open, as an
+ * 'automation_status' message.
+ * @returns {Promise<void>}
+ */
+function persistState() {
+    const summaries = Object.values(sessions).map(summarizeSession);
+    chrome.storage.local.set({ [SESSION_SUMMARIES_KEY]: summaries });
+    chrome.runtime.sendMessage({ type: 'automation_status', sessions: summaries }).catch(err => {});
+    return chrome.storage.session.set({ [SESSION_STATE_KEY]: { sessions } }).catch(err => {
+        console.error(`Failed to persist automation state: ${err.message}`);
+    });
+}
 
-        if (automationInProgress) {
-            log('An automation process is already running.', 'error');
-            sendResponse({ status: 'error', message: 'Automation already in progress.' });
+/**
+ * Rebuilds the sessions saved by a previous worker instance. A run that was
+ * waiting on a timer or a new tab is resumed; a run that was waiting on the
+ * page to answer is aborted, since its outcome can no longer be known.
+ * @returns {Promise<void>}
+ */
+function restoreState() {
+    return chrome.storage.session.get(SESSION_STATE_KEY).then((data) => {
+        const state = data[SESSION_STATE_KEY];
+        const saved = (state && state.sessions) || {};
+        if (!Object.values(saved).some(isSessionActive)) {
+            // Nothing to resume. Make sure the popup does not show a stale run.
+            chrome.storage.local.get(SESSION_SUMMARIES_KEY, (local) => {
+                if ((local[SESSION_SUMMARIES_KEY] || []).some(summary => summary.active)) {
+                    log('No saved run found after restart. Clearing stale in-progress sessions.', 'info');
+                    chrome.runtime.sendMessage({ type: 'automation_aborted' }).catch(err => {});
+                }
+            });
+            chrome.storage.local.remove('pendingApprovals');
+            Object.values(saved).forEach(session => { sessions[session.baseTabId] = { ...createSession(session.baseTabId), ...session }; });
+            persistState();
             return;
         }
 
-        // Find the active tab in the current window.
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            if (tabs.length === 0) {
-                return sendResponse({ status: 'error', message: 'No active tab found.' });
+        Object.values(saved).forEach(savedSession => {
+            const session = { ...createSession(savedSession.baseTabId), ...savedSession };
+            sessions[session.baseTabId] = session;
+            if (!isSessionActive(session)) return;
+
+            const phaseLabel = PHASE_LABELS[session.currentPhase] || session.currentPhase;
+            sessionLog(session, `Service worker restarted. Restoring run state (phase: ${phaseLabel}).`, 'info');
+
+            // Anything else was waiting on the page to answer (a click, an injection),
+            // so there is no way to tell how far it got.
+            if (!session.pendingTimer && !EVENT_WAIT_PHASES.includes(session.currentPhase)) {
+                resetState(session, `Service worker was terminated during ${phaseLabel}; its outcome is unknown.`, 'error');
+                return;
             }
-            const activeTab = tabs[0];
-            activeTabId = activeTab.id;
-            baseTabId = activeTab.id; // Store the initial tab ID
-
-            // CRITICAL SAFETY CHECK: Verify the tab URL against the allow-listed domain before injecting.
-            chrome.storage.sync.get('options', (data) => {
-                const domain = data.options?.allowListedDomain;
-
-                // 1. Check if the domain is configured at all.
-                if (!domain) {
-                    const errorMessage = 'Allow-listed domain not set. Please right-click the extension icon, go to Options, and set it.';
-                    log(errorMessage, 'error');
-                    return sendResponse({ status: 'error', message: errorMessage });
-                }
 
-                // 2. Check if the current tab's URL matches the configured domain.
-                if (!activeTab.url || !activeTab.url.includes(domain)) {
-                    log(`Injection failed. Tab URL "${activeTab.url}" does not match allow-listed domain "${domain}".`, 'error');
-                    return sendResponse({ status: 'error', message: 'Current tab is not on the allow-listed domain.' });
-                }
+            if (session.pendingTimer) {
+                const remaining = Math.max(0, session.pendingTimer.fireAt - Date.now());
+                sessionLog(session, `Resuming pending ${session.pendingTimer.kind} timer (${Math.round(remaining / 1000)}s remaining).`, 'info');
+                armPendingTimer(session);
+            }
+        });
+        persistState();
+    }).catch(err => {
+        console.error(`Failed to restore automation state: ${err.message}`);
+    });
+}
+
+// =================================================================
+// PERSISTENT TIMERS
+// =================================================================
 
-                log(`Injecting content script into tab ${activeTabId} on domain ${domain}.`, 'info');
+/**
+ * Schedules the single pending delay of a session. The delay is persisted
+ * along with the rest of the state, and a wake-up alarm is registered so that
+ * a terminated worker is restarted to fire it.
+ * @param {object} session The session.
+ * @param {'approval_timeout' | 'refresh' | 'phase8_retry'} kind The action to run when the delay ends.
+ * @param {number} delayMs The delay in milliseconds.
+ * @param {object} [args={}] Arguments for the action, must be JSON-serializable.
+ */
+function schedulePendingTimer(session, kind, delayMs, args = {}) {
+    clearPendingTimer(session);
+    session.pendingTimer = { kind, fireAt: Date.now() + delayMs, args };
+    armPendingTimer(session);
+    persistState();
+}
 
-                // Inject the content script into the active tab.
-                chrome.scripting.executeScript({
-                    target: { tabId: activeTabId },
-                    files: ['js/content.js']
-                }).then(() => {
-                    log('Initial content script injected successfully.', 'info');
+/**
+ * Starts the in-memory timeout and the wake-up alarm for a session's pending timer.
+ * @param {object} session The session.
+ */
+function armPendingTimer(session) {
+    const remaining = Math.max(0, session.pendingTimer.fireAt - Date.now());
+    pendingTimeoutIds[session.baseTabId] = setTimeout(() => firePendingTimer(session), remaining);
+    chrome.alarms.create(sessionResourceName(WAKE_ALARM_NAME, session), { when: Date.now() + Math.max(remaining, MIN_ALARM_DELAY_MS) });
+}
 
-                    // Now that the script is injected, we can start the automation.
-                    automationInProgress = true;
-                    currentConfig = message.config;
-                    chrome.storage.local.set({ automation_in_progress: true });
-                    sendResponse({ status: 'success' });
+/**
+ * Cancels the pending delay of a session, if any, without running its action.
+ * @param {object} session The session.
+ */
+function clearPendingTimer(session) {
+    if (pendingTimeoutIds[session.baseTabId]) {
+        clearTimeout(pendingTimeoutIds[session.baseTabId]);
+        delete pendingTimeoutIds[session.baseTabId];
+    }
+    if (session.pendingTimer) {
+        session.pendingTimer = null;
+        chrome.alarms.clear(sessionResourceName(WAKE_ALARM_NAME, session));
+    }
+}
 
-                    // Initiate Phase 6
-                    executePhase6();
+/**
+ * Runs the action of a session's pending delay once it has elapsed.
+ * @param {object} session The session.
+ */
+function firePendingTimer(session) {
+    const timer = session.pendingTimer;
+    clearPendingTimer(session);
+    persistState();
+    if (!timer) return;
+
+    switch (timer.kind) {
+        case 'approval_timeout':
+            resolveApproval(session, false, 'timeout');
+            break;
+        case 'refresh':
+            reloadForRefresh(session, timer.args.tabId);
+            break;
+        case 'phase8_retry':
+            waitForPhaseReady(session, 'p8', () => runPhase8(session, timer.args.attempt));
+            break;
+        default:
+            sessionLog(session, `Unknown pending timer "${timer.kind}" discarded.`, 'error');
+    }
+}
 
-                }).catch(err => {
-                    log(`Failed to inject initial script: ${err.message}`, 'error');
-                    sendResponse({ status: 'error', message: 'Failed to inject script into the page.' });
-                });
-            });
+// The alarm only matters when the worker was terminated before its timeout
+// fired; restoreState() has then re-armed the timeout already.
+chrome.alarms.onAlarm.addListener((alarm) => {
+    stateRestored.then(() => {
+        const scheduleSession = findSessionByResourceName(alarm.name, SCHEDULE_END_ALARM_NAME);
+        if (scheduleSession) {
+            endScheduleIfDue(scheduleSession);
+            return;
+        }
+        const session = findSessionByResourceName(alarm.name, WAKE_ALARM_NAME);
+        if (session && session.pendingTimer && session.pendingTimer.fireAt <= Date.now()) {
+            firePendingTimer(session);
+        }
+    });
+});
+
+// =================================================================
+// MESSAGE HANDLING
+// =================================================================
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // The state must be restored before any message is acted upon. Actions that
+    // answer the popup keep the channel open until then.
+    stateRestored.then(() => handleMessage(message, sender, sendResponse));
+    return ['startAutomation', 'abortAutomation', 'abortAllAutomation', 'approvalDecision', 'forgetSession'].includes(message.action);
+});
+
+/**
+ * Routes a runtime message once the persisted state is available.
+ * @param {object} message The message received.
+ * @param {chrome.runtime.MessageSender} sender The sender of the message.
+ * @param {(response: object) => void} sendResponse Callback to answer the sender.
+ */
+function handleMessage(message, sender, sendResponse) {
+    // --- Message from Popup ---
+    if (message.action === 'startAutomation') {
+        log('Received startAutomation command from popup.', 'info');
+        findStartTab(message.tabId, (tab) => {
+            if (!tab) {
+                return sendResponse({ status: 'error', message: 'No active tab found.' });
+            }
+            startSession(tab, message.config, sendResponse);
         });
-        return true; // Indicates async response
+        return;
     }
 
-    if (message.action === 'abortAutomation') {
-        log('Received abortAutomation command from popup.', 'info');
-        if (!automationInProgress && !refreshTimeoutId) {
-            log('No automation or refresh process is currently running to abort.', 'error');
+    // Aborting one session names its booking list tab; aborting them all is
+    // a separate action, so that a missing tab never stops every run.
+    if (message.action === 'abortAutomation' || message.action === 'abortAllAutomation') {
+        log(`Received ${message.action} command from popup.`, 'info');
+        if (message.action === 'abortAutomation' && !sessions[message.tabId]) {
+            return sendResponse({ status: 'error', message: 'No session to abort in this tab.' });
+        }
+        const targets = message.action === 'abortAutomation' ? [sessions[message.tabId]] : Object.values(sessions);
+        if (abortSessions(targets) === 0) {
             return sendResponse({ status: 'error', message: 'No automation or refresh to abort.' });
         }
-        // When the user aborts, prevent the refresh cycle from starting again.
-        resetState('Automation aborted by user.', 'info', { allowRefresh: false });
         sendResponse({ status: 'success' });
     }
 
+    if (message.action === 'forgetSession') {
+        const session = sessions[message.tabId];
+        if (!session || isSessionActive(session)) {
+            return sendResponse({ status: 'error', message: 'Only a stopped session can be removed.' });
+        }
+        delete sessions[message.tabId];
+        persistState();
+        sendResponse({ status: 'success' });
+    }
+
+    if (message.action === 'approvalDecision') {
+        const session = message.tabId
+            ? sessions[message.tabId]
+            : Object.values(sessions).find(candidate => candidate.pendingApproval);
+        if (!session || !resolveApproval(session, !!message.approved, 'popup')) {
+            return sendResponse({ status: 'error', message: 'No ride is waiting for approval.' });
+        }
+        sendResponse({ status: 'success' });
+    }
+
+    if (message.action === 'testAlert' && ALERT_EVENTS[message.event]) {
+        // The options page tries the settings being edited, saved or not.
+        const settings = mergeAlertSettings({ [message.event]: message.settings })[message.event];
+        const ride = describeRide(ALERT_SAMPLE_VALUES.booking, ALERT_SAMPLE_VALUES.vehicle);
+        playAlert(message.event, settings, {
+            message: `Test of the "${ALERT_EVENTS[message.event].label}" alert.`,
+            values: { ride, vehicle: ALERT_SAMPLE_VALUES.vehicle, reason: ALERT_SAMPLE_VALUES.reason, action: ALERT_SAMPLE_VALUES.action }
+        }, null);
+    }
+
     // --- Messages from Content Script ---
+    // Content scripts do not know their session; the tab they run in tells.
+    const senderSession = sender.tab ? findSessionByTab(sender.tab.id) : null;
+    const senderTabId = senderSession ? senderSession.baseTabId : null;
+
     if (message.type === 'content_script_log') {
         // Just forward the log to the popup.
-        log(`[Content Script]: ${message.text}`, message.level);
+        log(`[Content Script]: ${message.text}`, message.level, senderTabId);
     }
 
     if (message.type === 'log_url') {
-        log(`[Content Script]: New tab URL received: ${message.url}`, 'info');
+        log(`[Content Script]: New tab URL received: ${message.url}`, 'info', senderTabId);
+    }
+
+    if (message.type === 'booking_rows_added' && senderSession) {
+        handleAddedBookingRows(senderSession, message, sender);
     }
 
     // The 'phase9_readyToAccept' message is no longer needed, as Phase 8
     // now directly calls Phase 9 upon completion.
-});
+}
+
+/**
+ * Finds the tab a run is started in: the given one, or the active tab of the
+ * current window.
+ * @param {number} [tabId] The ID of the tab, when the popup names one.
+ * @param {(tab: chrome.tabs.Tab | null) => void} callback Receives the tab, or null.
+ */
+function findStartTab(tabId, callback) {
+    if (tabId) {
+        chrome.tabs.get(tabId, (tab) => callback(chrome.runtime.lastError ? null : tab));
+        return;
+    }
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => callback(tabs[0] || null));
+}
+
+/**
+ * Aborts the runs and refresh loops of the given sessions.
+ * @param {object[]} targets The sessions to abort; those not running are skipped.
+ * @returns {number} How many sessions were aborted.
+ */
+function abortSessions(targets) {
+    const active = targets.filter(isSessionActive);
+    if (active.length === 0) {
+        log('No automation or refresh process is currently running to abort.', 'error');
+        return 0;
+    }
+    // When the user aborts, prevent the refresh cycle from starting again.
+    active.forEach(session => resetState(session, 'Automation aborted by user.', 'info', { allowRefresh: false, outcome: 'aborted' }));
+    return active.length;
+}
+
+/**
+ * Starts a run in a booking list tab, in the tab's session or a new one.
+ * A session waiting for its next auto-refresh cycle starts over; a session
+ * with a run in flight, or a tab used by another session's run, is refused.
+ * @param {chrome.tabs.Tab} tab The booking list tab.
+ * @param {object} [config] The run config from the popup. Without it, the
+ *     session's last config is used again.
+ * @param {(response: object) => void} sendResponse Callback to answer the popup.
+ */
+function startSession(tab, config, sendResponse) {
+    const owner = findSessionByTab(tab.id);
+    if (owner && owner.baseTabId !== tab.id) {
+        log(`Tab ${tab.id} is the ride tab of the session in tab ${owner.baseTabId}.`, 'error');
+        return sendResponse({ status: 'error', message: 'This tab belongs to another automation session.' });
+    }
+    const session = owner || createSession(tab.id);
+
+    // Clear any previous refresh schedule when a new automation starts.
+    if ((session.pendingTimer && session.pendingTimer.kind === 'refresh') || session.currentPhase === 'refresh_reload') {
+        if (session.currentPhase === 'list_watch') stopListWatch(session.baseTabId);
+        clearPendingTimer(session);
+        endRefreshLoop(session);
+        session.currentPhase = 'idle';
+        sessionLog(session, 'Cleared previous auto-refresh schedule.', 'info');
+    }
+
+    if (session.automationInProgress) {
+        sessionLog(session, 'An automation process is already running in this tab.', 'error');
+        sendResponse({ status: 'error', message: 'Automation already in progress in this tab.' });
+        return;
+    }
+    const runConfig = config || (owner && Object.keys(owner.currentConfig).length > 0 ? owner.currentConfig : null);
+    if (!runConfig) {
+        return sendResponse({ status: 'error', message: 'No settings to start this session with.' });
+    }
+
+    // CRITICAL SAFETY CHECK: Verify the tab URL against the allow-listed domain before injecting.
+    chrome.storage.sync.get('options', (data) => {
+        const domain = data.options?.allowListedDomain;
+
+        // 1. Check if the domain is configured at all.
+        if (!domain) {
+            const errorMessage = 'Allow-listed domain not set. Please right-click the extension icon, go to Options, and set it.';
+            log(errorMessage, 'error');
+            return sendResponse({ status: 'error', message: errorMessage });
+        }
 
+        // 2. Check if the current tab's URL matches the configured domain.
+        if (!tab.url || !tab.url.includes(domain)) {
+            log(`Injection failed. Tab URL "${tab.url}" does not match allow-listed domain "${domain}".`, 'error');
+            return sendResponse({ status: 'error', message: 'Current tab is not on the allow-listed domain.' });
+        }
+
+        // The tab's session is kept from now on, listed in the popup.
+        sessions[session.baseTabId] = session;
+        session.activeTabId = tab.id;
+        sessionLog(session, `Injecting content script into tab ${tab.id} on domain ${domain}.`, 'info');
+
+        // Inject the content script into the booking list tab.
+        chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            files: CONTENT_SCRIPT_FILES
+        }).then(() => {
+            sessionLog(session, 'Initial content script injected successfully.', 'info');
+
+            // Now that the script is injected, we can start the automation.
+            session.automationInProgress = true;
+            session.currentConfig = runConfig;
+            session.phase8Attempts = 0;
+            session.refreshLoop = runConfig.autoRefresh
+                ? { startedAt: Date.now(), cycles: 0, windowEnd: null, schedule: readRefreshSchedule(data.options) }
+                : null;
+            beginRunRecord(session, 'user');
+            sendResponse({ status: 'success', tabId: tab.id });
+
+            // Initiate Phase 6
+            executePhase6(session);
+
+        }).catch(err => {
+            sessionLog(session, `Failed to inject initial script: ${err.message}`, 'error');
+            session.activeTabId = null;
+            if (!owner) delete sessions[session.baseTabId];
+            persistState();
+            sendResponse({ status: 'error', message: 'Failed to inject script into the page.' });
+        });
+    });
+}
 
 // =================================================================
-// AUTOMATION PHASES
+// KEYBOARD SHORTCUTS
 // =================================================================
 
-function executePhase6() {
-    if (!automationInProgress) {
-        return resetState('State error in P6.', 'info');
+// The shortcuts are declared under "commands" in the manifest, and can be
+// changed by the user on the browser's shortcuts page.
+chrome.commands.onCommand.addListener((command, tab) => {
+    stateRestored.then(() => handleCommand(command, tab));
+});
+
+/**
+ * Runs a keyboard shortcut and confirms it with the "Keyboard shortcut" alert.
+ * @param {string} command The name of the command in the manifest.
+ * @param {chrome.tabs.Tab} [tab] The tab that was active when it was used.
+ */
+function handleCommand(command, tab) {
+    log(`Received the ${command} keyboard shortcut.`, 'info');
+    if (command === 'start-run') {
+        // The saved settings are those of the popup form, so the run is the
+        // one Proceed would start.
+        chrome.storage.local.get('settings', (data) => {
+            const { config, error } = buildRunConfig(data.settings);
+            if (error) {
+                log(`The saved settings cannot start a run: ${error}`, 'error');
+                return confirmShortcut(`Could not start: ${error}`);
+            }
+            findStartTab(tab && tab.id, (startTab) => {
+                if (!startTab) return confirmShortcut('Could not start: no active tab found.');
+                startSession(startTab, config, (response) => {
+                    confirmShortcut(response.status === 'success' ? 'Run started.' : `Could not start: ${response.message}`, startTab.id);
+                });
+            });
+        });
+    } else if (command === 'abort-run') {
+        // Only the session of the current tab, like the popup's Abort.
+        const session = tab ? findSessionByTab(tab.id) : null;
+        const aborted = session ? abortSessions([session]) : 0;
+        confirmShortcut(aborted > 0 ? 'Automation aborted.' : 'Nothing to abort in this tab.');
+    } else if (command === 'toggle-final-click') {
+        toggleFinalClick();
     }
+}
+
+/**
+ * Turns the final click (Phase 9) on or off in the saved settings and in every
+ * session, so runs already in flight follow it from their next Phase 9.
+ */
+function toggleFinalClick() {
+    chrome.storage.local.get('settings', (data) => {
+        const settings = data.settings || {};
+        settings.enablePhase9Click = settings.enablePhase9Click === false;
+        chrome.storage.local.set({ settings });
+        Object.values(sessions).forEach(session => {
+            if (Object.keys(session.currentConfig).length > 0) {
+                session.currentConfig.enablePhase9Click = settings.enablePhase9Click;
+            }
+        });
+        persistState();
+        const state = settings.enablePhase9Click ? 'on' : 'off';
+        log(`Final click (Phase 9) turned ${state} by keyboard shortcut.`, 'info');
+        confirmShortcut(`Final click turned ${state}.`);
+    });
+}
+
+/**
+ * Confirms a keyboard shortcut with the "Keyboard shortcut" alert.
+ * @param {string} action What the shortcut did, e.g. "Automation aborted.".
+ * @param {number | null} [tabId=null] The tab the notification focuses when clicked.
+ */
+function confirmShortcut(action, tabId = null) {
+    raiseAlert('shortcut_used', { message: action, values: { action } }, tabId);
+}
 
-    log('Waiting 2 seconds before starting Phase 6...', 'info');
+// =================================================================
+// AUTOMATION PHASES
+// =================================================================
 
-    setTimeout(() => {
-        // Re-check state in case the user aborted during the delay
-        if (!automationInProgress) {
-            log('Automation aborted during Phase 6 delay.', 'info');
+/**
+ * Waits for the page of the session's active tab to hold what a phase needs;
+ * the content script watches the DOM until the elements appear or the phase's
+ * timeout (options page) ends. A timeout ends the run with the missing element
+ * as the reason. A login form in place of the elements means the site's
+ * session has expired, which raises its own alert. An answer arriving after
+ * the run was aborted, or for an earlier run, is ignored.
+ * @param {object} session The session.
+ * @param {'p6' | 'p8' | 'p9'} phase The phase about to run.
+ * @param {() => void} onReady Runs the phase.
+ */
+function waitForPhaseReady(session, phase, onReady) {
+    const runId = session.currentRunId;
+    setPhase(session, `${phase}_wait`);
+    sendMessageToContentScript(session, session.activeTabId, { action: 'waitForPhaseReady', phase }, (response) => {
+        if (!session.automationInProgress || session.currentRunId !== runId) return;
+        if (response && response.status === 'success') {
+            sessionLog(session, `${PHASE_LABELS[phase]}: ${response.message}`, 'info');
+            onReady();
             return;
         }
+        const reason = `${PHASE_LABELS[phase]} cannot start: ${response ? response.message : 'no response from the page.'}`;
+        recordPhase(session, phase.toUpperCase(), false, reason);
+        resetState(session, reason, 'error', response && response.sessionExpired ? { alertEvent: 'session_expired' } : {});
+    });
+}
 
-        log('Executing Phase 6: Finding and clicking booking...', 'info');
+/**
+ * Starts Phase 6 as soon as the booking list shows its rows.
+ * @param {object} session The session.
+ */
+function executePhase6(session) {
+    if (!session.automationInProgress) {
+        return resetState(session, 'State error in P6.', 'info');
+    }
+    waitForPhaseReady(session, 'p6', () => runPhase6(session));
+}
+
+/**
+ * Sends the Phase 6 command to the content script once the booking rows are there.
+ * @param {object} session The session.
+ */
+function runPhase6(session) {
+    const config = session.currentConfig;
+    sessionLog(session, `${config.dryRun ? '[Dry Run] ' : ''}Executing Phase 6: Finding and clicking booking...`, 'info');
+    setPhase(session, 'p6');
+
+    sendMessageToContentScript(session, session.activeTabId, {
+        action: 'phase6_clickBooking',
+        ...config
+    }, (response) => {
+        recordRun(session, run => {
+            run.bookings = (response && response.bookings) || [];
+            run.selectedIndex = response && response.selectedIndex !== undefined ? response.selectedIndex : null;
+        });
+        if (response && response.bookings) saveCycleReport(session, response);
+        const chosen = response && response.bookings && response.bookings.find(b => b.index === response.selectedIndex);
+        session.selectedBooking = chosen
+            ? { index: chosen.index, date: chosen.dateText, pickup: chosen.date, vehicle: chosen.vehicle, vehicleClass: chosen.vehicleClass, payout: chosen.payoutText, url: chosen.url }
+            : null;
+        recordPhase(session, 'P6', response && response.status === 'success', response ? response.message : 'No response.');
 
-        sendMessageToContentScript(activeTabId, {
-            action: 'phase6_clickBooking',
-            ...currentConfig
-        }, (response) => {
-            if (response && response.status === 'success') {
-                log('Phase 6 successful.', 'success');
-                // Phase 8 will be triggered by the new tab listener.
+        if (response && response.status === 'success') {
+            sessionLog(session, 'Phase 6 successful.', 'success');
+            const ride = describeRide(session.selectedBooking, null);
+            session.lastMatch = { ride, dryRun: !!response.dryRun, at: Date.now() };
+            raiseAlert('match_found', { message: ride, values: { ride } }, session.activeTabId);
+            sendWebhooks('match', { runId: session.currentRunId, message: response.message, booking: session.selectedBooking, config });
+            // Phase 8 will be triggered by the new tab listener.
+            setPhase(session, 'waiting_for_tab');
+            if (response.dryRun) {
+                simulateNewTab(session, response.newTabUrl);
             } else {
-                resetState(response ? response.message : 'Phase 6 failed.', 'error');
+                markBookingHandled(session, 'opened');
             }
-        });
-    }, 2000);
+        } else {
+            resetState(session, response ? response.message : 'Phase 6 failed.', 'error', { outcome: response && response.noMatch ? 'no_match' : 'failed' });
+        }
+    });
+}
+
+/**
+ * Keeps the bookings Phase 6 evaluated for the near-miss report of the popup
+ * (near-miss.js). Each session keeps its latest cycle, which reaches the
+ * popup with the session summaries.
+ * @param {object} session The session.
+ * @param {object} response The Phase 6 response, with `bookings` and `selectedIndex`.
+ */
+function saveCycleReport(session, response) {
+    session.cycleReport = {
+        at: Date.now(),
+        tabId: session.baseTabId,
+        runId: session.currentRunId,
+        dryRun: !!session.currentConfig.dryRun,
+        startDate: session.currentConfig.startDate,
+        endDate: session.currentConfig.endDate,
+        selectedIndex: response.selectedIndex !== undefined ? response.selectedIndex : null,
+        bookings: response.bookings
+    };
+    persistState();
+}
+
+/**
+ * Stands in for the tab the booking click would have opened during a dry run.
+ * The ride URL is opened directly, so the regular new tab listener picks it up
+ * and Phases 8 and 9 can be rehearsed on the real page.
+ * @param {object} session The session.
+ * @param {string} [newTabUrl] The absolute URL extracted from the booking element.
+ */
+function simulateNewTab(session, newTabUrl) {
+    if (!newTabUrl) {
+        resetState(session, '[Dry Run] Complete. No new tab URL was found, so Phases 8 and 9 cannot be rehearsed.', 'success', { outcome: 'dry_run' });
+        return;
+    }
+    sessionLog(session, `[Dry Run] Simulating the new tab handoff. Opening ${newTabUrl}`, 'info');
+    chrome.tabs.create({ url: newTabUrl, openerTabId: session.activeTabId }, () => {
+        if (chrome.runtime.lastError) {
+            resetState(session, `[Dry Run] Could not open the simulated tab: ${chrome.runtime.lastError.message}`, 'error');
+        }
+    });
 }
 
 /**
  * Executes the vehicle selection logic with a callback to handle success or failure.
- * @param {(success: boolean, message: string) => void} callback The callback function.
+ * Only the Phase 8 vehicles mapped to the class of the chosen booking in the
+ * vehicle catalogue are tried; the run ends at once when there are none.
+ * @param {object} session The session.
+ * @param {(success: boolean, message: string, selected?: {text: string, value: string}) => void} callback
+ *     The callback function. On success it also receives the option selected.
  */
-function executePhase8(callback) {
-    if (!automationInProgress) {
+function executePhase8(session, callback) {
+    if (!session.automationInProgress) {
         // If automation was aborted, do nothing.
         return;
     }
-    log('Executing Phase 8: Selecting vehicle via secure script execution...', 'info');
-
-    const selectVehicleInPage = (vehicleClasses) => {
-        try {
-            const $select = $('#vehicle');
-            if (!$select.length) throw new Error('Vehicle select dropdown (#vehicle) not found.');
-            $select.select2('open');
-            let matchFound = false;
-            for (const targetText of vehicleClasses) {
-                const option = $select.find('option:not(:disabled)').filter(function() { return $(this).text().includes(targetText); }).first();
-                if (option.length) {
-                    $select.val(option.val()).trigger('change');
-                    matchFound = true;
-                    break;
-                }
+    const config = session.currentConfig;
+    sessionLog(session, `${config.dryRun ? '[Dry Run] ' : ''}Executing Phase 8: Selecting vehicle via secure script execution...`, 'info');
+    setPhase(session, 'p8');
+
+    chrome.storage.sync.get(['siteProfile', 'options', 'vehicleCatalogue'], (data) => {
+        chrome.storage.local.get(FLEET_SCHEDULE_KEY, (local) => {
+            const profile = mergeSiteProfile(data.siteProfile);
+            const bookingClass = session.selectedBooking ? session.selectedBooking.vehicleClass : null;
+            const vehicles = fleetForBookingClass(mergeVehicleCatalogue(data.vehicleCatalogue), bookingClass, config.phase8VehicleClasses);
+            if (vehicles.length === 0) {
+                const reason = `None of the selected Phase 8 vehicles is mapped to the booking class "${bookingClass}". Check the vehicle catalogue in the options.`;
+                recordPhase(session, 'P8', false, reason);
+                resetState(session, reason, 'error');
+                return;
             }
-            $select.select2('close');
-            if (matchFound) return { status: 'success', message: 'Vehicle selected successfully.' };
-            throw new Error('No available vehicle found for any of the desired classes.');
-        } catch (error) {
-            return { status: 'error', message: error.toString() };
-        }
-    };
+            if (bookingClass) {
+                sessionLog(session, `Phase 8 vehicles for ${bookingClass}: ${vehicles.join(', ')}.`, 'info');
+            }
+            const busyVehicles = findBusyVehicles(session, local[FLEET_SCHEDULE_KEY], readFleetSettings(data.options));
+            chrome.scripting.executeScript({
+                target: { tabId: session.activeTabId },
+                world: 'MAIN',
+                func: selectVehicleInPage,
+                args: [vehicles, profile.vehicleSelect, !!config.dryRun, busyVehicles]
+            }, (injectionResults) => {
+                if (chrome.runtime.lastError) {
+                    callback(false, `Phase 8 injection failed: ${chrome.runtime.lastError.message}`);
+                    return;
+                }
 
-    chrome.scripting.executeScript({
-        target: { tabId: activeTabId },
-        world: 'MAIN',
-        func: selectVehicleInPage,
-        args: [currentConfig.phase8VehicleClasses]
-    }, (injectionResults) => {
-        if (chrome.runtime.lastError) {
-            callback(false, `Phase 8 injection failed: ${chrome.runtime.lastError.message}`);
-            return;
-        }
+                const result = injectionResults[0].result;
+                if (result && result.fleet) {
+                    updateFleetRoster(result.fleet);
+                }
+                if (result && result.status === 'success') {
+                    sessionLog(session, `Phase 8 successful: ${result.message}`, 'success');
+                    if (session.selectedBooking) {
+                        session.selectedBooking.fleetVehicle = result.selected;
+                        persistState();
+                    }
+                    announceSelectedVehicle(session, result.selected);
+                    callback(true, result.message, result.selected);
+                } else {
+                    callback(false, result ? result.message : 'Phase 8 failed with an unknown error.');
+                }
+            });
+        });
+    });
+}
 
-        const result = injectionResults[0].result;
-        if (result && result.status === 'success') {
-            log('Phase 8 successful: Vehicle selected.', 'success');
-            callback(true, result.message);
+/**
+ * Reads the ride details (date, addresses, passenger, flight, payout) from the
+ * new ride page and stores them in the history entry, so that accepted rides
+ * can be exported to a calendar. A page without them does not stop the run.
+ * @param {object} session The session.
+ * @param {{text: string, value: string}} [selectedVehicle] The option selected in Phase 8.
+ * @param {() => void} callback Called once the details are read, or not.
+ */
+function captureRideDetails(session, selectedVehicle, callback) {
+    if (!session.automationInProgress) {
+        return resetState(session, 'State error in ride details capture.', 'info');
+    }
+    setPhase(session, 'ride_details');
+    sendMessageToContentScript(session, session.activeTabId, { action: 'readRideDetails' }, (response) => {
+        if (response && response.status === 'success' && response.details) {
+            const details = { ...response.details, vehicle: selectedVehicle ? selectedVehicle.text : null };
+            if (session.selectedBooking) {
+                session.selectedBooking.details = details;
+                persistState();
+            }
+            recordRun(session, run => { run.rideDetails = details; });
+            sessionLog(session, response.message, 'info');
         } else {
-            callback(false, result ? result.message : 'Phase 8 failed with an unknown error.');
+            sessionLog(session, `Could not read the ride details: ${response ? response.message : 'no response'}. Continuing.`, 'error');
         }
+        callback();
     });
 }
 
-function executePhase9() {
-    if (!automationInProgress) {
-        return resetState('State error in P9.', 'info');
+/**
+ * Moves on to Phase 9 once a vehicle is selected: skips it when the final click
+ * is disabled, asks the user first when approval is required, or runs it.
+ * @param {object} session The session.
+ * @param {{text: string, value: string}} [selectedVehicle] The option selected in Phase 8.
+ */
+function executePhase9(session, selectedVehicle) {
+    if (!session.automationInProgress) {
+        return resetState(session, 'State error in P9.', 'info');
     }
 
     // Check if the user has disabled the final click.
-    if (!currentConfig.enablePhase9Click) {
-        log('Phase 9 click is disabled by user. Automation ending.', 'success');
-        resetState('Automation complete (Phase 9 click skipped).', 'success');
+    if (!session.currentConfig.enablePhase9Click) {
+        sessionLog(session, 'Phase 9 click is disabled by user. Automation ending.', 'success');
+        resetState(session, 'Automation complete (Phase 9 click skipped).', 'success', { outcome: session.currentConfig.dryRun ? 'dry_run' : 'completed' });
         return;
     }
 
-    // Announce the action before performing it.
-    chrome.tts.speak('Ride is being accepted');
+    if (session.currentConfig.requireApproval) {
+        requestApproval(session, selectedVehicle);
+        return;
+    }
+    runPhase9(session);
+}
 
-    log('Executing Phase 9: Clicking final confirmation...', 'info');
+/**
+ * Waits for the Accept Ride button, then runs Phase 9.
+ * @param {object} session The session.
+ */
+function runPhase9(session) {
+    waitForPhaseReady(session, 'p9', () => sendPhase9(session));
+}
 
-    sendMessageToContentScript(activeTabId, { action: 'phase9_acceptRide' }, (response) => {
+/**
+ * Sends the Phase 9 command to the content script. After a real click the
+ * content script watches the page for the site's answer, and the run ends as
+ * accepted, rejected by the site, or unknown when the site said nothing in time.
+ * @param {object} session The session.
+ */
+function sendPhase9(session) {
+    const dryRun = !!session.currentConfig.dryRun;
+    if (dryRun) {
+        sessionLog(session, '[Dry Run] Executing Phase 9: Locating final confirmation...', 'info');
+    } else {
+        sessionLog(session, 'Executing Phase 9: Clicking final confirmation...', 'info');
+    }
+    setPhase(session, 'p9');
+
+    sendMessageToContentScript(session, session.activeTabId, { action: 'phase9_acceptRide', dryRun }, (response) => {
+        const verification = response && response.verification;
+        const succeeded = !!response && response.status === 'success' && verification !== 'rejected';
+        recordPhase(session, 'P9', succeeded && verification === 'unknown' ? 'unconfirmed' : succeeded, response ? response.message : 'No response.');
         if (response && response.status === 'success') {
-            resetState('Automation complete!', 'success');
+            if (dryRun) {
+                resetState(session, '[Dry Run] Complete! No clicks were made.', 'success', { outcome: 'dry_run' });
+            } else if (verification === 'rejected') {
+                resetState(session, response.message, 'error', { outcome: 'rejected_by_site', alarmTitle: 'Ride Rejected by the Site' });
+            } else if (verification === 'unknown') {
+                resetState(session, `${response.message} Check the ride tab.`, 'error', { outcome: 'unknown', alarmTitle: 'Ride Acceptance Not Confirmed' });
+            } else {
+                recordRun(session, run => { run.acceptedUrl = run.rideUrl; });
+                announceAcceptedRide(session, response.message);
+                resetState(session, 'Automation complete!', 'success', { outcome: 'accepted' });
+            }
         } else {
             // The triggerFailureAlarm function is already called by resetState on error.
-            resetState(response ? response.message : 'Phase 9 failed.', 'error');
+            resetState(session, response ? response.message : 'Phase 9 failed.', 'error');
         }
     });
 }
 
+/**
+ * Tells the user which fleet vehicle Phase 8 selected.
+ * @param {object} session The session.
+ * @param {{text: string, value: string}} [selected] The option selected.
+ */
+function announceSelectedVehicle(session, selected) {
+    const vehicle = selected ? selected.text : null;
+    const ride = describeRide(session.selectedBooking, vehicle);
+    raiseAlert('vehicle_selected', { message: ride, values: { ride, vehicle } }, session.activeTabId);
+}
+
+/**
+ * Tells the user the site confirmed the ride.
+ * @param {object} session The session.
+ * @param {string} message The Phase 9 result.
+ */
+function announceAcceptedRide(session, message) {
+    const booking = session.selectedBooking;
+    const vehicle = booking && booking.fleetVehicle ? booking.fleetVehicle.text : null;
+    const ride = describeRide(booking, vehicle);
+    raiseAlert('ride_accepted', { message: ride, contextMessage: message, values: { ride, vehicle } }, session.activeTabId);
+}
+
+// =================================================================
+// PHASE 9 APPROVAL
+// =================================================================
+
+/**
+ * Pauses a session's run before Phase 9 and asks the user to approve the
+ * ride, with a notification and a banner in the popup. The request is
+ * persisted with the rest of the state, so it outlives the popup and the
+ * worker; it is rejected automatically when the timeout ends.
+ * @param {object} session The session.
+ * @param {{text: string, value: string}} [selectedVehicle] The option selected in Phase 8.
+ */
+function requestApproval(session, selectedVehicle) {
+    const timeoutSeconds = session.currentConfig.approvalTimeoutSeconds || DEFAULT_APPROVAL_TIMEOUT_SECONDS;
+    const pendingApproval = {
+        tabId: session.baseTabId,
+        booking: session.selectedBooking,
+        vehicle: selectedVehicle ? selectedVehicle.text : null,
+        dryRun: !!session.currentConfig.dryRun,
+        expiresAt: Date.now() + timeoutSeconds * 1000
+    };
+    session.pendingApproval = pendingApproval;
+
+    const details = describeRide(pendingApproval.booking, pendingApproval.vehicle);
+    sessionLog(session, `Waiting for approval before Phase 9: ${details}. Rejected automatically in ${timeoutSeconds} seconds.`, 'info');
+    setPhase(session, 'awaiting_approval');
+    schedulePendingTimer(session, 'approval_timeout', timeoutSeconds * 1000);
+    writePendingApprovals();
+
+    chrome.notifications.create(sessionResourceName(APPROVAL_NOTIFICATION_PREFIX, session), {
+        type: 'basic',
+        iconUrl: '/icons/icon128.png',
+        title: `${pendingApproval.dryRun ? '[Dry Run] ' : ''}Accept this ride?`,
+        message: details,
+        contextMessage: `Rejected automatically in ${timeoutSeconds} seconds.`,
+        buttons: [{ title: 'Approve' }, { title: 'Reject' }],
+        requireInteraction: true,
+        priority: 2
+    });
+}
+
+/**
+ * Applies the user's decision on the ride of a session waiting for approval.
+ * @param {object} session The session.
+ * @param {boolean} approved Whether the ride was approved.
+ * @param {'notification' | 'popup' | 'timeout'} source Where the decision came from.
+ * @returns {boolean} False if no ride was waiting for approval.
+ */
+function resolveApproval(session, approved, source) {
+    if (session.currentPhase !== 'awaiting_approval' || !session.pendingApproval) {
+        return false;
+    }
+    clearPendingTimer(session);
+    clearApprovalPrompt(session);
+
+    const decision = source === 'timeout'
+        ? 'No decision before the timeout. Ride rejected automatically.'
+        : `Ride ${approved ? 'approved' : 'rejected'} from the ${source}.`;
+    sessionLog(session, decision, approved ? 'success' : 'info');
+    recordPhase(session, 'Approval', approved, decision);
+
+    if (approved) {
+        runPhase9(session);
+    } else {
+        resetState(session, decision, 'info', { outcome: 'rejected' });
+    }
+    return true;
+}
+
+/**
+ * Removes the approval notification and popup banner of a session.
+ * @param {object} session The session.
+ */
+function clearApprovalPrompt(session) {
+    session.pendingApproval = null;
+    chrome.notifications.clear(sessionResourceName(APPROVAL_NOTIFICATION_PREFIX, session));
+    writePendingApprovals();
+}
+
+/**
+ * Writes the rides waiting for approval, oldest first, to chrome.storage.local
+ * for the popup banner.
+ */
+function writePendingApprovals() {
+    const approvals = Object.values(sessions)
+        .map(session => session.pendingApproval)
+        .filter(Boolean)
+        .sort((a, b) => a.expiresAt - b.expiresAt);
+    if (approvals.length > 0) {
+        chrome.storage.local.set({ pendingApprovals: approvals });
+    } else {
+        chrome.storage.local.remove('pendingApprovals');
+    }
+}
+
+/**
+ * Summarises a ride for a notification, e.g. "2025-06-15 14:30, Standard
+ * Sedan, €72.50. Vehicle: Standard Sedan - CD-456".
+ * @param {object | null} booking The selected booking of a session.
+ * @param {string | null} vehicle The vehicle selected in Phase 8.
+ * @returns {string}
+ */
+function describeRide(booking, vehicle) {
+    const ride = booking ? [booking.date, booking.vehicle, booking.payout].filter(Boolean).join(', ') : 'Selected ride';
+    return vehicle ? `${ride}. Vehicle: ${vehicle}` : ride;
+}
+
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+    stateRestored.then(() => {
+        const session = findSessionByResourceName(notificationId, APPROVAL_NOTIFICATION_PREFIX);
+        if (session) resolveApproval(session, buttonIndex === 0, 'notification');
+    });
+});
+
+// Clicking an alert focuses the tab it was raised for; clicking an approval
+// prompt focuses the ride tab, where the ride can be checked before deciding.
+chrome.notifications.onClicked.addListener((notificationId) => {
+    stateRestored.then(() => {
+        const approvalSession = findSessionByResourceName(notificationId, APPROVAL_NOTIFICATION_PREFIX);
+        if (approvalSession) {
+            if (approvalSession.activeTabId) focusTab(approvalSession.activeTabId);
+            return;
+        }
+        if (!notificationId.startsWith(ALERT_NOTIFICATION_PREFIX)) return;
+        const tabId = Number(notificationId.slice(ALERT_NOTIFICATION_PREFIX.length).split(':')[0]);
+        if (tabId) focusTab(tabId);
+        chrome.notifications.clear(notificationId);
+    });
+});
+
+// =================================================================
+// HANDLED BOOKINGS
+// =================================================================
+
+/**
+ * Runs a read-modify-write of chrome.storage.local once the previous ones
+ * have finished. Sessions update the ledger and the fleet schedule as their
+ * runs end, and two updates read at the same time would drop one of them.
+ * @param {() => Promise<*>} update Reads, changes and writes back the value.
+ * @returns {Promise<*>} The result of the update.
+ */
+function queueStorageWrite(update) {
+    const queued = storageWriteQueue.then(update);
+    storageWriteQueue = queued.catch(() => {});
+    return queued;
+}
+
+/**
+ * Records the booking chosen in Phase 6 in the ledger of handled bookings
+ * (booking-ledger.js), so that later refresh cycles, of every session, skip
+ * it. Dry runs click nothing and are not recorded.
+ * @param {object} session The session.
+ * @param {string} status 'opened' after the click, then the run outcome.
+ */
+function markBookingHandled(session, status) {
+    if (!session.selectedBooking || session.currentConfig.dryRun) return;
+    const bookingId = bookingIdFromUrl(session.selectedBooking.url);
+    chrome.storage.sync.get('options', (data) => {
+        queueStorageWrite(() => recordHandledBooking(bookingId, status, readLedgerExpiryHours(data.options))).catch(err => {
+            console.error(`Failed to record handled booking ${bookingId}: ${err.message}`);
+        });
+    });
+}
+
+// =================================================================
+// FLEET SCHEDULING
+// =================================================================
+
+/**
+ * Lists the fleet vehicles that cannot take the booking a session chose in
+ * Phase 6, because their rides overlap its pickup time (fleet.js).
+ * @param {object} session The session.
+ * @param {object} [schedule] The stored fleet schedule.
+ * @param {object} settings The fleet settings.
+ * @returns {string[]} The option values of the busy vehicles.
+ */
+function findBusyVehicles(session, schedule, settings) {
+    const booking = session.selectedBooking;
+    const pickupMinute = booking ? parseScheduleMinute(booking.pickup) : null;
+    if (pickupMinute === null) return [];
+    const conflicts = findFleetConflicts(schedule, pickupMinute, settings);
+    if (conflicts.length > 0) {
+        sessionLog(session, `Busy at ${booking.pickup}: ${conflicts.map(describeFleetCommitment).join('; ')}.`, 'info');
+    }
+    return [...new Set(conflicts.map(c => c.value))];
+}
+
+/**
+ * Adds the vehicles seen in the Phase 8 dropdown to the known fleet.
+ * @param {{text: string, value: string}[]} vehicles
+ */
+function updateFleetRoster(vehicles) {
+    queueStorageWrite(() => chrome.storage.local.get(FLEET_SCHEDULE_KEY).then((data) =>
+        chrome.storage.local.set({ [FLEET_SCHEDULE_KEY]: addToFleetRoster(data[FLEET_SCHEDULE_KEY], vehicles) })
+    )).catch(err => {
+        console.error(`Failed to update the fleet roster: ${err.message}`);
+    });
+}
+
+/**
+ * Records that the vehicle a session selected in Phase 8 is committed to the
+ * accepted ride from its pickup time for the estimated ride duration.
+ * @param {object} session The session.
+ */
+function recordFleetCommitment(session) {
+    const booking = session.selectedBooking;
+    if (!booking || !booking.fleetVehicle || session.currentConfig.dryRun) return;
+    const ride = {
+        bookingId: bookingIdFromUrl(booking.url) || booking.pickup,
+        vehicle: booking.fleetVehicle,
+        pickup: booking.pickup
+    };
+    const now = new Date();
+    const nowMinute = toScheduleMinute({
+        year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate(), hour: now.getHours(), minute: now.getMinutes()
+    });
+    chrome.storage.sync.get('options', (data) => {
+        queueStorageWrite(() => chrome.storage.local.get(FLEET_SCHEDULE_KEY).then((local) => {
+            const schedule = addFleetCommitment(local[FLEET_SCHEDULE_KEY], ride, readFleetSettings(data.options), nowMinute);
+            return chrome.storage.local.set({ [FLEET_SCHEDULE_KEY]: schedule });
+        })).then(() => {
+            sessionLog(session, `${ride.vehicle.text} committed to the ride at ${ride.pickup}.`, 'info');
+        }).catch(err => {
+            console.error(`Failed to record the fleet commitment: ${err.message}`);
+        });
+    });
+}
+
 // =================================================================
 // TAB & NAVIGATION HANDLING
 // =================================================================
 
 // Listener for new tabs, with retry logic for Phase 8.
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-    if (changeInfo.status !== 'complete' || !automationInProgress) {
+    if (changeInfo.status !== 'complete') {
         return;
     }
 
-    chrome.storage.sync.get('options', (data) => {
-        const domain = data.options?.allowListedDomain;
-        if (!domain) {
-            if (activeTabId === tabId) resetState('Allow-listed domain not set. Aborting.', 'error');
+    stateRestored.then(() => {
+        // A reload started by an auto-refresh cycle has finished.
+        const reloaded = sessions[tabId];
+        if (reloaded && reloaded.currentPhase === 'refresh_reload') {
+            return restartAfterRefresh(reloaded);
+        }
+
+        const waiting = Object.values(sessions).filter(session => session.automationInProgress && session.currentPhase === 'waiting_for_tab');
+        if (waiting.length === 0) {
             return;
         }
 
-        const urlPattern = new RegExp(`^https?://${domain.replace('.', '\\.')}/new-ride/.*`);
-        if (tab.url && tab.url.match(urlPattern)) {
-            log(`New ride tab detected (ID: ${tabId}). URL: ${tab.url}`, 'info');
-            activeTabId = tabId;
+        chrome.storage.sync.get(['options', 'siteProfile'], (data) => {
+            const domain = data.options?.allowListedDomain;
+            if (!domain) {
+                waiting.filter(session => session.activeTabId === tabId)
+                    .forEach(session => resetState(session, 'Allow-listed domain not set. Aborting.', 'error'));
+                return;
+            }
+            // The tabs of the sessions themselves are not new ride tabs.
+            if (findSessionByTab(tabId)) return;
+
+            const urlPattern = buildNewRideUrlPattern(domain, mergeSiteProfile(data.siteProfile));
+            if (!tab.url || !tab.url.match(urlPattern)) return;
+            const session = findRideTabSession(waiting, tab);
+            if (!session) {
+                log(`New ride tab ${tabId} could not be matched to a session; it was not opened from a booking list tab waiting for one.`, 'error');
+                return;
+            }
+            sessionLog(session, `New ride tab detected (ID: ${tabId}). URL: ${tab.url}`, 'info');
+            session.activeTabId = tabId;
+            recordRun(session, run => { run.rideUrl = tab.url; });
+            startPhase8(session);
+        });
+    });
+});
 
-            log('Waiting 2 seconds before starting Phase 8...', 'info');
-            setTimeout(() => {
-                if (!automationInProgress) {
-                    log('Automation aborted during Phase 8 delay.', 'info');
-                    return;
-                }
+/**
+ * Finds the session a new ride tab was opened for: the one whose booking
+ * list tab opened it. When Chrome does not tell the opener, a single session
+ * waiting for its ride tab takes it.
+ * @param {object[]} waiting The sessions waiting for their ride tab.
+ * @param {chrome.tabs.Tab} tab The new ride tab.
+ * @returns {object | null}
+ */
+function findRideTabSession(waiting, tab) {
+    if (tab.openerTabId) {
+        return waiting.find(session => session.activeTabId === tab.openerTabId) || null;
+    }
+    return waiting.length === 1 ? waiting[0] : null;
+}
 
-                // Inject the content script *once* before starting the retry loop.
-                chrome.scripting.executeScript({
-                    target: { tabId: activeTabId },
-                    files: ['js/content.js']
-                }).then(() => {
-                    log('Content script injected. Starting Phase 8 retry loop.', 'info');
-                    attemptPhase8WithRetries(3); // Start the retry process with 3 attempts.
-                }).catch(err => {
-                    resetState(`Failed to inject script for Phase 8: ${err.message}`, 'error');
-                });
+/**
+ * Injects the content script into a session's new ride tab, waits for the
+ * vehicle dropdown and runs Phase 8.
+ * @param {object} session The session.
+ */
+function startPhase8(session) {
+    session.phase8Attempts = 1;
+    setPhase(session, 'p8_wait');
+    chrome.scripting.executeScript({
+        target: { tabId: session.activeTabId },
+        files: CONTENT_SCRIPT_FILES
+    }).then(() => {
+        sessionLog(session, 'Content script injected. Waiting for the vehicle dropdown.', 'info');
+        waitForPhaseReady(session, 'p8', () => runPhase8(session));
+    }).catch(err => {
+        resetState(session, `Failed to inject script for Phase 8: ${err.message}`, 'error');
+    });
+}
 
-            }, 2000);
+/**
+ * Runs Phase 8 once the vehicle dropdown is ready. A failed attempt waits for
+ * the dropdown again and is retried every PHASE8_RETRY_DELAY_MS, within the
+ * vehicle dropdown timeout; the run ends with the reason of the last attempt.
+ * @param {object} session The session.
+ * @param {number} [attempt=1] The number of this attempt, from 1.
+ */
+function runPhase8(session, attempt = 1) {
+    chrome.storage.sync.get('options', (data) => {
+        const timeoutMs = readPhaseTimeouts(data.options).vehicleSelectSeconds * 1000;
+        const maxAttempts = Math.max(1, Math.ceil(timeoutMs / PHASE8_RETRY_DELAY_MS));
+        session.phase8Attempts = attempt;
+        executePhase8(session, (success, message, selected) => {
+            if (success) {
+                recordPhase(session, 'P8', true, message);
+                // On success, note the ride details and proceed to the final phase.
+                captureRideDetails(session, selected, () => executePhase9(session, selected));
+                return;
+            }
+            if (attempt < maxAttempts) {
+                sessionLog(session, `Phase 8 attempt ${attempt} of ${maxAttempts} failed: ${message} Retrying in ${PHASE8_RETRY_DELAY_MS / 1000} seconds.`, 'error');
+                // Persisted, so that the retry survives the worker being terminated.
+                schedulePendingTimer(session, 'phase8_retry', PHASE8_RETRY_DELAY_MS, { attempt: attempt + 1 });
+                return;
+            }
+            recordPhase(session, 'P8', false, message);
+            resetState(session, `Phase 8 failed: ${message}`, 'error');
+        });
+    });
+}
+
+// Clean up a session if the tab it works in is closed by the user. Closing
+// the booking list tab also ends the session for good.
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+    stateRestored.then(() => {
+        const session = findSessionByTab(tabId);
+        if (!session) return;
+        if (tabId === session.activeTabId) {
+            sessionLog(session, `Active tab (ID: ${tabId}) was closed by the user. Resetting state.`, 'info');
+            resetState(session, 'Tracked tab was closed by user.', 'info', { outcome: 'aborted', allowRefresh: tabId !== session.baseTabId });
+        }
+        if (tabId === session.baseTabId) {
+            if (isSessionActive(session)) {
+                resetState(session, 'Booking list tab was closed by user.', 'info', { outcome: 'aborted', allowRefresh: false });
+            }
+            delete sessions[tabId];
+            persistState();
         }
     });
 });
 
 
+// =================================================================
+// AUTO-REFRESH LOGIC
+// =================================================================
+
 /**
- * Attempts to execute Phase 8 and retries on failure.
- * @param {number} attemptsLeft The number of remaining attempts.
+ * Plans a session loop's next step once a cycle has ended, following its
+ * schedule: a refresh, or the list watcher, within the active hours; a wait
+ * for them to start; or the end of the loop. A refresh also arms the alarm
+ * that ends the loop when the active hours or its maximum duration run out.
+ * @param {object} session The session.
  */
-function attemptPhase8WithRetries(attemptsLeft) {
-    if (!automationInProgress) {
-        log('Aborting Phase 8 retry loop.', 'info');
+function continueRefreshLoop(session) {
+    const tabId = session.baseTabId;
+    const plan = planNextRefresh(session.refreshLoop.schedule, session.refreshLoop, Date.now());
+    if (plan.action === 'stop') {
+        stopRefreshLoop(session, plan.reason);
         return;
     }
+    if (plan.action === 'wait') {
+        sessionLog(session, `Outside the auto-refresh hours. The next cycle starts at ${new Date(plan.startsAt).toLocaleString()}.`, 'info');
+        session.currentPhase = 'refresh_wait';
+        schedulePendingTimer(session, 'refresh', plan.delayMs, { tabId });
+        return;
+    }
+
+    session.refreshLoop.windowEnd = plan.windowEnd;
+    if (plan.stopAt !== null) {
+        chrome.alarms.create(sessionResourceName(SCHEDULE_END_ALARM_NAME, session), { when: plan.stopAt });
+    }
+    if (session.currentConfig.watchBookingList) {
+        startListWatch(session);
+    } else {
+        sessionLog(session, 'Auto-refresh is enabled. Starting continuous refresh loop.', 'info');
+        scheduleNextRefresh(session);
+    }
+}
+
+/**
+ * Ends a session's auto-refresh loop when the schedule-end alarm finds it
+ * waiting for its next cycle. A cycle in flight is left to finish; the loop
+ * then stops as it plans its next step.
+ * @param {object} session The session.
+ */
+function endScheduleIfDue(session) {
+    if (!session.refreshLoop || session.automationInProgress) return;
+    const plan = planNextRefresh(session.refreshLoop.schedule, session.refreshLoop, Date.now());
+    if (plan.action === 'stop') {
+        stopRefreshLoop(session, plan.reason);
+    }
+}
+
+/**
+ * Stops a session's auto-refresh loop for good and tells the user why.
+ * @param {object} session The session.
+ * @param {string} reason Why the loop stopped.
+ */
+function stopRefreshLoop(session, reason) {
+    if (session.currentPhase === 'list_watch') {
+        stopListWatch(session.baseTabId);
+    }
+    clearPendingTimer(session);
+    session.currentPhase = 'idle';
+    session.lastResult = { outcome: 'refresh_stopped', message: reason, level: 'info', at: Date.now() };
+    endRefreshLoop(session);
+    sessionLog(session, reason, 'info');
+    raiseAlert('schedule_ended', { message: reason, values: { reason } }, session.baseTabId);
+    sendWebhooks('refresh-stopped', { message: reason, config: session.currentConfig });
+    persistState();
+}
+
+/**
+ * Forgets a session's auto-refresh loop and its schedule-end alarm.
+ * @param {object} session The session.
+ */
+function endRefreshLoop(session) {
+    if (session.refreshLoop) {
+        session.refreshLoop = null;
+        chrome.alarms.clear(sessionResourceName(SCHEDULE_END_ALARM_NAME, session));
+    }
+}
+
+/**
+ * Schedules the next refresh of a session's booking list tab with a random
+ * delay within the bounds of the loop's schedule. This creates a continuous,
+ * randomized loop.
+ * @param {object} session The session.
+ */
+function scheduleNextRefresh(session) {
+    const randomInterval = pickRefreshDelay(session.refreshLoop.schedule);
+    sessionLog(session, `Next refresh scheduled in ${randomInterval / 1000} seconds.`, 'info');
+
+    // --- Schedule the reload (replaces any existing scheduled refresh) ---
+    session.currentPhase = 'refresh_wait';
+    schedulePendingTimer(session, 'refresh', randomInterval, { tabId: session.baseTabId });
+}
+
+/**
+ * Watches a session's booking list tab for rows added without a reload,
+ * instead of reloading it after a random delay. A full reload still happens
+ * when no row is added for the watch period of the popup; the 'refresh' timer
+ * stands for that period and is restarted by every batch of rows.
+ * @param {object} session The session.
+ */
+function startListWatch(session) {
+    const tabId = session.baseTabId;
+    const idleSeconds = session.currentConfig.watchIdleSeconds || DEFAULT_WATCH_IDLE_SECONDS;
+    sessionLog(session, `Watching the booking list for new rows. Reloading if none appear within ${idleSeconds} seconds.`, 'info');
+    session.currentPhase = 'list_watch';
+    schedulePendingTimer(session, 'refresh', idleSeconds * 1000, { tabId });
+    sendMessageToContentScript(session, tabId, { action: 'watchBookingList', ...session.currentConfig }, (response) => {
+        if (session.currentPhase !== 'list_watch' || (response && response.status === 'success')) return;
+        sessionLog(session, `Could not watch the booking list: ${response ? response.message : 'no response from the page.'} Falling back to reloads.`, 'error');
+        scheduleNextRefresh(session);
+    });
+}
+
+/**
+ * Stops the watcher of the booking list tab. The tab may be gone already.
+ * @param {number} tabId The ID of the booking list tab.
+ */
+function stopListWatch(tabId) {
+    chrome.tabs.sendMessage(tabId, { action: 'stopWatchingBookingList' }, () => {
+        // Read to silence the error of a closed or reloaded tab.
+        void chrome.runtime.lastError;
+    });
+}
 
-    if (attemptsLeft <= 0) {
-        log('Phase 8 failed after all retries. Restarting the process.', 'error');
-        // The tab is no longer closed. The process will restart, eventually refreshing the base tab.
-        resetState('Phase 8 failed permanently.', 'error');
+/**
+ * Acts on a batch of rows reported by the booking list watcher of a session:
+ * a match starts a new cycle from Phase 6 in the same page, anything else
+ * restarts the wait before the fallback reload.
+ * @param {object} session The session of the watched tab.
+ * @param {{added: number, matched: number[]}} message The report of the watcher.
+ * @param {chrome.runtime.MessageSender} sender The sender, i.e. the watched tab.
+ */
+function handleAddedBookingRows(session, message, sender) {
+    if (session.currentPhase !== 'list_watch' || sender.tab.id !== session.baseTabId) return;
+    if (message.matched.length === 0) {
+        sessionLog(session, `${message.added} booking row(s) added to the list, none matching. Still watching.`, 'info');
+        const idleSeconds = session.currentConfig.watchIdleSeconds || DEFAULT_WATCH_IDLE_SECONDS;
+        schedulePendingTimer(session, 'refresh', idleSeconds * 1000, { tabId: session.baseTabId });
         return;
     }
+    sessionLog(session, `New matching booking row(s) in the list: element(s) ${message.matched.join(', ')}. Starting a cycle without reloading.`, 'success');
+    clearPendingTimer(session);
+    beginCycle(session, 'watch');
+    executePhase6(session);
+}
 
-    log(`Attempting Phase 8. Attempts left: ${attemptsLeft}`, 'info');
-    executePhase8((success, message) => {
-        if (success) {
-            // On success, proceed to the final phase.
-            executePhase9();
-        } else {
-            // On failure, log the error and schedule a retry.
-            log(`Phase 8 attempt failed: ${message}. Retrying in 4 seconds...`, 'error');
-            setTimeout(() => {
-                attemptPhase8WithRetries(attemptsLeft - 1);
-            }, 4000);
+/**
+ * Reloads a session's booking list tab once the refresh delay has elapsed.
+ * The run restarts from the tabs.onUpdated listener when the reload completes.
+ * @param {object} session The session.
+ * @param {number} tabId The ID of the tab to be refreshed.
+ */
+function reloadForRefresh(session, tabId) {
+    if (session.currentPhase === 'list_watch') {
+        sessionLog(session, 'No booking row was added during the watch period. Falling back to a full reload.', 'info');
+    }
+    sessionLog(session, `Reloading tab ${tabId} as part of the auto-refresh cycle.`, 'info');
+    setPhase(session, 'refresh_reload');
+    chrome.tabs.reload(tabId, () => {
+        if (chrome.runtime.lastError) {
+            sessionLog(session, `Failed to reload tab ${tabId}: ${chrome.runtime.lastError.message}. Stopping refresh cycle.`, 'error');
+            return resetState(session, 'Auto-refresh tab could not be accessed.', 'error');
         }
     });
 }
 
-// Clean up state if the tracked tab is closed by the user.
-chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
-    if (tabId === activeTabId) {
-        log(`Active tab (ID: ${tabId}) was closed by the user. Resetting state.`, 'info');
-        resetState('Tracked tab was closed by user.', 'info');
-    }
-});
+/**
+ * Marks a new cycle of a session's auto-refresh loop as in progress in its
+ * booking list tab.
+ * @param {object} session The session.
+ * @param {'refresh' | 'watch'} trigger What started the cycle, for the run history.
+ */
+function beginCycle(session, trigger) {
+    // Set the state to "in progress" *before* starting.
+    session.automationInProgress = true;
+    session.activeTabId = session.baseTabId;
+    session.currentPhase = 'idle';
+    session.phase8Attempts = 0;
+    if (session.refreshLoop) session.refreshLoop.cycles++;
+    beginRunRecord(session, trigger);
+}
+
+/**
+ * Restarts a session's automation from Phase 6 once the refresh cycle has
+ * reloaded its booking list tab.
+ * @param {object} session The session.
+ */
+function restartAfterRefresh(session) {
+    sessionLog(session, 'Tab reloaded. Re-injecting content script and starting automation.', 'info');
+    beginCycle(session, 'refresh');
+
+    // Re-inject the content script into the reloaded tab.
+    chrome.scripting.executeScript({
+        target: { tabId: session.baseTabId },
+        files: CONTENT_SCRIPT_FILES
+    }).then(() => {
+        sessionLog(session, 'Content script re-injected successfully after refresh.', 'info');
+        // Restart the entire automation flow from the beginning.
+        executePhase6(session);
+    }).catch(err => {
+        resetState(session, `Failed to re-inject script after refresh: ${err.message}`, 'error');
+    });
+}
 
 
 // =================================================================
-// AUTO-REFRESH LOGIC
+// RUN HISTORY
 // =================================================================
 
 /**
- * Schedules the next tab refresh with a random delay.
- * This creates a continuous, randomized loop.
- * @param {number} tabId The ID of the tab to be refreshed.
+ * Starts the history entry for a session's new run or auto-refresh cycle.
+ * @param {object} session The session.
+ * @param {'user' | 'refresh' | 'watch'} trigger What started the cycle.
  */
-function scheduleNextRefresh(tabId) {
-    // --- Clear any existing scheduled refresh ---
-    if (refreshTimeoutId) {
-        clearTimeout(refreshTimeoutId);
-    }
-
-    // --- Calculate random interval ---
-    const minSeconds = 7;
-    const maxSeconds = 30;
-    const randomInterval = Math.floor(Math.random() * (maxSeconds - minSeconds + 1) + minSeconds) * 1000;
-    log(`Next refresh scheduled in ${randomInterval / 1000} seconds.`, 'info');
-
-    // --- Schedule the reload ---
-    refreshTimeoutId = setTimeout(() => {
-        log(`Reloading tab ${tabId} as part of the auto-refresh cycle.`, 'info');
-        chrome.tabs.reload(tabId, () => {
-            if (chrome.runtime.lastError) {
-                log(`Failed to reload tab ${tabId}: ${chrome.runtime.lastError.message}. Stopping refresh cycle.`, 'error');
-                return resetState('Auto-refresh tab could not be accessed.', 'error');
-            }
-
-            // After reloading, we need to wait for the tab to be fully loaded before starting the process.
-            chrome.tabs.onUpdated.addListener(function listener(updatedTabId, changeInfo) {
-                if (updatedTabId === tabId && changeInfo.status === 'complete') {
-                    // Remove this listener to avoid it firing multiple times.
-                    chrome.tabs.onUpdated.removeListener(listener);
-
-                    log('Tab reloaded. Re-injecting content script and starting automation.', 'info');
-
-                    // Set the state to "in progress" *before* starting.
-                    automationInProgress = true;
-                    activeTabId = tabId;
-                    baseTabId = tabId;
-                    chrome.storage.local.set({ automation_in_progress: true });
-
-                    // Re-inject the content script into the reloaded tab.
-                    chrome.scripting.executeScript({
-                        target: { tabId: tabId },
-                        files: ['js/content.js']
-                    }).then(() => {
-                        log('Content script re-injected successfully after refresh.', 'info');
-                        // Restart the entire automation flow from the beginning.
-                        executePhase6();
-                    }).catch(err => {
-                        resetState(`Failed to re-inject script after refresh: ${err.message}`, 'error');
-                    });
-                }
-            });
+function beginRunRecord(session, trigger) {
+    session.currentRunId = createRunId();
+    persistState();
+
+    const startedAt = Date.now();
+    addRun({
+        id: session.currentRunId,
+        startedAt,
+        endedAt: null,
+        trigger,
+        tabId: session.activeTabId,
+        config: JSON.parse(JSON.stringify(session.currentConfig)),
+        bookings: [],
+        selectedIndex: null,
+        phases: [],
+        rideUrl: null,
+        acceptedUrl: null,
+        outcome: null,
+        reason: null
+    }).catch(err => sessionLog(session, `Failed to record run history: ${err.message}`, 'error'));
+
+    if (trigger === 'user') {
+        deleteRunsBefore(startedAt - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000).catch(err => {
+            console.error(`Failed to prune run history: ${err.message}`);
         });
-    }, randomInterval);
+    }
 }
 
+/**
+ * Applies a change to the history entry of a session's current cycle, if one
+ * is being recorded.
+ * @param {object} session The session.
+ * @param {(run: object) => void} mutate Modifies the entry in place.
+ */
+function recordRun(session, mutate) {
+    if (!session.currentRunId) return;
+    updateRun(session.currentRunId, mutate).catch(err => sessionLog(session, `Failed to update run history: ${err.message}`, 'error'));
+}
+
+/**
+ * Appends the outcome of a phase to a session's current history entry.
+ * @param {object} session The session.
+ * @param {'P6' | 'P8' | 'Approval' | 'P9'} phase The phase.
+ * @param {boolean | 'unconfirmed'} success Whether the phase succeeded, or
+ *     'unconfirmed' for a final click the site said nothing about.
+ * @param {string} message The result message.
+ */
+function recordPhase(session, phase, success, message) {
+    const status = success === 'unconfirmed' ? success : (success ? 'success' : 'failed');
+    recordRun(session, run => {
+        run.phases.push({ phase, status, message, at: Date.now() });
+    });
+}
+
+/**
+ * Closes the history entry of a session's current cycle.
+ * @param {object} session The session.
+ * @param {string} outcome A key of RUN_OUTCOMES.
+ * @param {string} reason The final message of the cycle.
+ */
+function endRunRecord(session, outcome, reason) {
+    recordRun(session, run => {
+        run.outcome = outcome;
+        run.reason = reason;
+        run.endedAt = Date.now();
+    });
+    session.currentRunId = null;
+}
 
 // =================================================================
 // ALARMS & NOTIFICATIONS
 // =================================================================
 
 /**
- * Triggers an audible alarm and a visual notification for critical failures.
+ * Raises the failure alert of a session's run that ended with an error.
+ * @param {object} session The session.
  * @param {string} reason The reason for the failure.
+ * @param {object} [options={}]
+ * @param {string} [options.title] The notification title; the event's title by default.
+ * @param {string} [options.event='failure'] The alert event, e.g. 'session_expired'.
+ * @param {number | null} [options.tabId=null] The tab the run was in.
+ */
+function triggerFailureAlarm(session, reason, options = {}) {
+    const { title, event = 'failure', tabId = null } = options;
+    sessionLog(session, 'Triggering failure alarm.', 'info');
+    raiseAlert(event, { title, message: `Automation failed: ${reason}`, values: { reason } }, tabId);
+}
+
+/**
+ * Raises the alerts set for an event on the options page (alert-settings.js):
+ * a notification, a spoken phrase and a chime, each when it is turned on.
+ * @param {string} event A key of ALERT_EVENTS.
+ * @param {object} alert
+ * @param {string} alert.message The notification message.
+ * @param {string} [alert.title] The notification title; the event's title by default.
+ * @param {string} [alert.contextMessage] A second line for the notification.
+ * @param {object} [alert.values={}] The values of the phrase placeholders.
+ * @param {number | null} [tabId=null] The tab the notification focuses when clicked.
  */
-function triggerFailureAlarm(reason) {
-    const alarmMessage = `Automation failed: ${reason}`;
-    log('Triggering failure alarm.', 'info');
+function raiseAlert(event, alert, tabId = null) {
+    chrome.storage.sync.get(ALERT_SETTINGS_KEY, (data) => {
+        playAlert(event, mergeAlertSettings(data[ALERT_SETTINGS_KEY])[event], alert, tabId);
+    });
+}
+
+/**
+ * Plays the alerts of an event with the given settings.
+ * @param {string} event A key of ALERT_EVENTS.
+ * @param {object} settings The settings of the event, see mergeAlertSettings().
+ * @param {object} alert See raiseAlert().
+ * @param {number | null} tabId See raiseAlert().
+ */
+function playAlert(event, settings, alert, tabId) {
+    if (settings.notify) {
+        const notificationId = `${ALERT_NOTIFICATION_PREFIX}${tabId || 0}:${event}:${Date.now()}`;
+        const notification = {
+            type: 'basic',
+            iconUrl: '/icons/icon128.png',
+            title: alert.title || ALERT_EVENTS[event].title,
+            message: alert.message,
+            priority: event === 'match_found' || event === 'vehicle_selected' || event === 'schedule_ended' || event === 'shortcut_used' ? 1 : 2
+        };
+        if (alert.contextMessage) notification.contextMessage = alert.contextMessage;
+        chrome.notifications.create(notificationId, notification);
+    }
 
-    // Audible alarm using Text-to-Speech
-    chrome.tts.speak(alarmMessage, {
-        'rate': 1.0, // Normal speaking rate
-        'onEvent': function(event) {
-            if (event.type === 'error') {
-                log(`TTS Error: ${event.errorMessage}`, 'error');
+    const phrase = settings.speak ? formatAlertPhrase(settings.phrase, alert.values || {}).trim() : '';
+    if (phrase) {
+        const speakOptions = {
+            rate: settings.rate,
+            onEvent: function(ttsEvent) {
+                if (ttsEvent.type === 'error') {
+                    log(`TTS Error: ${ttsEvent.errorMessage}`, 'error');
+                }
             }
-        }
+        };
+        if (settings.voice) speakOptions.voiceName = settings.voice;
+        chrome.tts.speak(phrase, speakOptions);
+    }
+
+    if (settings.chime) {
+        playChime(ALERT_CHIMES[settings.chime].file);
+    }
+}
+
+/**
+ * Plays a bundled chime. A service worker cannot play audio, so the offscreen
+ * document (offscreen.html) is created when needed and plays it.
+ * @param {string} file The path of the sound in the extension.
+ */
+function playChime(file) {
+    ensureOffscreenDocument()
+        .then(() => chrome.runtime.sendMessage({ target: 'offscreen', action: 'playChime', file }))
+        .catch(err => log(`Could not play the chime: ${err.message}`, 'error'));
+}
+
+/**
+ * Creates the offscreen document unless it is open. Chrome allows only one,
+ * so chimes raised while it is being created wait for the same creation.
+ * @returns {Promise<void>}
+ */
+function ensureOffscreenDocument() {
+    if (!creatingOffscreenDocument) {
+        creatingOffscreenDocument = chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] })
+            .then(contexts => contexts.length > 0 ? undefined : chrome.offscreen.createDocument({
+                url: OFFSCREEN_DOCUMENT_PATH,
+                reasons: ['AUDIO_PLAYBACK'],
+                justification: 'Plays the alert chimes chosen on the options page.'
+            }))
+            .finally(() => { creatingOffscreenDocument = null; });
+    }
+    return creatingOffscreenDocument;
+}
+
+/**
+ * Brings a tab and its window to the front. The tab may be gone already.
+ * @param {number} tabId The ID of the tab.
+ */
+function focusTab(tabId) {
+    chrome.tabs.update(tabId, { active: true }, (tab) => {
+        if (chrome.runtime.lastError || !tab) return;
+        chrome.windows.update(tab.windowId, { focused: true });
     });
+}
 
-    // Visual notification as a fallback
-    chrome.notifications.create({
-        type: 'basic',
-        iconUrl: '/icons/icon128.png',
-        title: 'Automation Process Failed',
-        message: alarmMessage,
-        priority: 2
+// =================================================================
+// WEBHOOKS
+// =================================================================
+
+/**
+ * Sends the webhook event of a session's run that is ending: 'accepted',
+ * 'aborted', or 'failed' for errors. Cycles that found no match are not
+ * reported, so that an auto-refresh loop does not send one event per cycle.
+ * @param {object} session The session.
+ * @param {string} outcome The run outcome, a key of RUN_OUTCOMES.
+ * @param {'info' | 'error' | 'success'} level The level of the final message.
+ * @param {string} reason The final message of the run.
+ */
+function notifyRunEnded(session, outcome, level, reason) {
+    let event = null;
+    if (outcome === 'accepted') event = 'accepted';
+    else if (outcome === 'aborted') event = 'aborted';
+    else if (level === 'error' && outcome !== 'no_match') event = 'failed';
+    if (event) {
+        sendWebhooks(event, { runId: session.currentRunId, outcome, message: reason, booking: session.selectedBooking, config: session.currentConfig });
+    }
+}
+
+/**
+ * POSTs an event to every webhook of the options page that wants it.
+ * @param {string} event A key of WEBHOOK_EVENTS.
+ * @param {object} details See buildWebhookPayload().
+ */
+function sendWebhooks(event, details) {
+    // The payload is built at once: the run state changes before storage answers.
+    const payload = buildWebhookPayload(event, details);
+    chrome.storage.local.get(WEBHOOKS_KEY, (data) => {
+        normalizeWebhooks(data[WEBHOOKS_KEY])
+            .filter(webhook => webhook.events.includes(event))
+            .forEach(webhook => deliverWebhook(webhook, payload));
+    });
+}
+
+/**
+ * Delivers a payload to a webhook, retrying network errors, timeouts and
+ * server errors (5xx, 408, 429) after the delays of WEBHOOK_RETRY_DELAYS_MS.
+ * Other answers are final. Retries still waiting when the service worker is
+ * stopped are lost.
+ * @param {{url: string, headers: object}} webhook The webhook.
+ * @param {object} payload See buildWebhookPayload().
+ * @param {number} [attempt=0] The number of this attempt, from 0.
+ */
+function deliverWebhook(webhook, payload, attempt = 0) {
+    const target = describeWebhookUrl(webhook.url);
+    fetch(webhook.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...webhook.headers },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    }).then(
+        response => ({ ok: response.ok, retry: response.status >= 500 || [408, 429].includes(response.status), problem: `HTTP ${response.status}` }),
+        err => ({ ok: false, retry: true, problem: err.message })
+    ).then(result => {
+        const attempts = `${attempt + 1} attempt(s)`;
+        if (result.ok) {
+            log(`Webhook "${payload.event}" delivered to ${target} after ${attempts}.`, 'success');
+            return;
+        }
+        const delay = result.retry ? webhookRetryDelay(attempt) : null;
+        if (delay === null) {
+            log(`Webhook "${payload.event}" to ${target} failed: ${result.problem}. Given up after ${attempts}.`, 'error');
+            return;
+        }
+        log(`Webhook "${payload.event}" to ${target} failed: ${result.problem}. Retrying in ${delay / 1000} seconds.`, 'error');
+        setTimeout(() => deliverWebhook(webhook, payload, attempt + 1), delay);
     });
 }
 
@@ -511,14 +1936,15 @@ function triggerFailureAlarm(reason) {
 
 /**
  * Sends a message to a content script in a specific tab and handles the response.
+ * @param {object} session The session the message is sent for.
  * @param {number} tabId The ID of the tab to send the message to.
  * @param {object} message The message object.
  * @param {(response: object) => void} callback The callback to handle the response.
  */
-function sendMessageToContentScript(tabId, message, callback) {
+function sendMessageToContentScript(session, tabId, message, callback) {
   chrome.tabs.sendMessage(tabId, message, (response) => {
     if (chrome.runtime.lastError) {
-      log(`Error sending message to tab ${tabId}: ${chrome.runtime.lastError.message}`, 'error');
+      sessionLog(session, `Error sending message to tab ${tabId}: ${chrome.runtime.lastError.message}`, 'error');
       if (callback) callback({ status: 'error', message: chrome.runtime.lastError.message });
       return;
     }
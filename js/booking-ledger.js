@@ -0,0 +1,88 @@
+/**
+ * @fileoverview The ledger of handled bookings. Every booking opened by a real
+ * Phase 6 click is recorded under its ID, with the outcome of its run, so that
+ * auto-refresh cycles do not pick the same ride again while it stays listed.
+ * Entries expire after a configurable number of hours (options page).
+ *
+ * This file is shared. The service worker loads it with importScripts(), the
+ * options page with a script tag, and the background injects it ahead of
+ * content.js. It only uses `var` and function declarations so that injecting
+ * it twice into the same page does not throw.
+ */
+
+/**
+ * The chrome.storage.local key of the ledger, an object keyed by booking ID.
+ */
+var BOOKING_LEDGER_KEY = 'handledBookings';
+
+/**
+ * How long a handled booking is skipped when the options do not say.
+ */
+var DEFAULT_LEDGER_EXPIRY_HOURS = 24;
+
+/**
+ * Derives a booking's ID from the URL its row opens (the window.open URL of
+ * the onclick attribute). The path and query identify the ride; the origin is
+ * dropped so relative and absolute URLs give the same ID.
+ * @param {string | null} url The URL as extracted from the row.
+ * @returns {string | null} The ID, e.g. "/new-ride/504", or null without a URL.
+ */
+function bookingIdFromUrl(url) {
+    if (!url) return null;
+    return url.trim().replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]+/i, '').replace(/#.*$/, '') || '/';
+}
+
+/**
+ * Reads the ledger expiry from the saved options.
+ * @param {object} [options] The options saved by the options page.
+ * @returns {number} Hours a handled booking is skipped for; 0 turns the guard off.
+ */
+function readLedgerExpiryHours(options) {
+    const hours = Number(options && options.ledgerExpiryHours);
+    return options && options.ledgerExpiryHours !== undefined && hours >= 0 ? hours : DEFAULT_LEDGER_EXPIRY_HOURS;
+}
+
+/**
+ * Keeps the ledger entries that have not expired yet.
+ * @param {object} ledger The stored ledger.
+ * @param {number} expiryHours See readLedgerExpiryHours().
+ * @param {number} [now=Date.now()] The current time, in milliseconds.
+ * @returns {object} A new ledger without the expired entries.
+ */
+function pruneLedger(ledger, expiryHours, now = Date.now()) {
+    const live = {};
+    const maxAge = expiryHours * 60 * 60 * 1000;
+    Object.entries(ledger || {}).forEach(([bookingId, entry]) => {
+        if (entry && now - entry.handledAt < maxAge) live[bookingId] = entry;
+    });
+    return live;
+}
+
+/**
+ * Describes why a booking is skipped, for the log and the run history.
+ * @param {{status: string, handledAt: number}} entry The ledger entry.
+ * @param {number} [now=Date.now()] The current time, in milliseconds.
+ * @returns {string} E.g. "already handled 25 min ago (accepted)".
+ */
+function describeHandledBooking(entry, now = Date.now()) {
+    const minutes = Math.max(0, Math.round((now - entry.handledAt) / 60000));
+    const age = minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+    return `already handled ${age} ago (${entry.status})`;
+}
+
+/**
+ * Records a booking in the ledger, or updates its status, and drops the
+ * expired entries. Nothing is recorded when the guard is turned off.
+ * @param {string} bookingId See bookingIdFromUrl().
+ * @param {string} status 'opened' when the booking is clicked, then the run outcome.
+ * @param {number} expiryHours See readLedgerExpiryHours().
+ * @returns {Promise<void>}
+ */
+function recordHandledBooking(bookingId, status, expiryHours) {
+    if (!bookingId || !expiryHours) return Promise.resolve();
+    return chrome.storage.local.get(BOOKING_LEDGER_KEY).then((data) => {
+        const ledger = pruneLedger(data[BOOKING_LEDGER_KEY], expiryHours);
+        ledger[bookingId] = { status, handledAt: Date.now() };
+        return chrome.storage.local.set({ [BOOKING_LEDGER_KEY]: ledger });
+    });
+}
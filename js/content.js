@@ -4,6 +4,15 @@
  * Its sole responsibility is to perform DOM manipulations based on commands
  * received from the background script. It is designed to be safe and precise,
  * adhering to a strict, phased execution model.
+ *
+ * Every selector it uses comes from the site profile (site-profile.js), dates
+ * and payouts are read with parsers.js, the optional booking criteria are
+ * evaluated by criteria.js, the core date, vehicle and payout rules live in
+ * matching.js, matches are ranked by ranking.js, bookings handled by
+ * earlier cycles are listed by booking-ledger.js, the fleet's commitments by
+ * fleet.js and the vehicles serving each class by vehicle-catalogue.js, and
+ * the time each phase may wait for the page by phase-timeouts.js. The background
+ * injects all of them ahead of this script.
  */
 
 console.log('Content script loaded.');
@@ -29,15 +38,39 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   switch (message.action) {
     case 'phase6_clickBooking':
-      phase6_clickBooking(message.startDate, message.endDate, message.vehicleClasses, message.vehiclePrices, sendResponse);
+      loadPhase6Settings((profile, formats, records) => {
+        phase6_clickBooking(message, profile, formats, records, sendResponse);
+      });
       return true; // Indicates an asynchronous response.
 
-    case 'phase8_selectVehicle':
-      phase8_selectVehicle(message.vehicleClasses, sendResponse);
+    case 'watchBookingList':
+      loadPhase6Settings((profile, formats, records) => {
+        sendResponse(watchBookingList(message, profile, formats, records));
+      });
+      return true; // Indicates an asynchronous response.
+
+    case 'stopWatchingBookingList':
+      stopWatchingBookingList();
+      sendResponse({ status: 'success' });
+      break;
+
+    case 'waitForPhaseReady':
+      chrome.storage.sync.get(['siteProfile', 'options'], (data) => {
+        waitForPhaseReady(message.phase, mergeSiteProfile(data.siteProfile), readPhaseTimeouts(data.options)).then(sendResponse);
+      });
+      return true; // Indicates an asynchronous response.
+
+    case 'readRideDetails':
+      chrome.storage.sync.get(['siteProfile', 'options'], (data) => {
+        sendResponse(readRideDetails(mergeSiteProfile(data.siteProfile), readBookingFormats(data.options)));
+      });
       return true; // Indicates an asynchronous response.
 
     case 'phase9_acceptRide':
-      phase9_acceptRide(sendResponse);
+      chrome.storage.sync.get(['siteProfile', 'options'], (data) => {
+        const verifyMs = readPhaseTimeouts(data.options).acceptVerifySeconds * 1000;
+        phase9_acceptRide(!!message.dryRun, mergeSiteProfile(data.siteProfile), verifyMs, sendResponse);
+      });
       return true; // Indicates an asynchronous response.
 
     default:
@@ -48,17 +81,113 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return false; // No async response needed for unknown actions.
 });
 
+/**
+ * Reads what Phase 6 needs from storage: the site profile, the booking
+ * formats, and the stored state it checks the bookings against.
+ * @param {(profile: object, formats: object, records: object) => void} callback
+ *     Receives them, see phase6_clickBooking() for `records`.
+ */
+function loadPhase6Settings(callback) {
+  chrome.storage.sync.get(['siteProfile', 'options', 'vehicleCatalogue'], (data) => {
+    chrome.storage.local.get([BOOKING_LEDGER_KEY, FLEET_SCHEDULE_KEY], (local) => {
+      callback(mergeSiteProfile(data.siteProfile), readBookingFormats(data.options), {
+        vehicleCatalogue: mergeVehicleCatalogue(data.vehicleCatalogue),
+        handledBookings: pruneLedger(local[BOOKING_LEDGER_KEY], readLedgerExpiryHours(data.options)),
+        fleetSchedule: normalizeFleetSchedule(local[FLEET_SCHEDULE_KEY]),
+        fleetSettings: readFleetSettings(data.options)
+      });
+    });
+  });
+}
+
+// ========================
+// PAGE READINESS
+// ========================
+
+/**
+ * Waits until the page holds what a phase needs: the booking rows for
+ * Phase 6, the vehicle dropdown once select2 has taken it over for Phase 8,
+ * and a visible Accept Ride button for Phase 9. The background only sends
+ * the phase's command once this answers, so an abort during the wait is
+ * never followed by a click. The wait ends early when the site shows its
+ * login form instead, i.e. when the session has expired.
+ * @param {'p6' | 'p8' | 'p9'} phase The phase about to run.
+ * @param {object} profile The active site profile.
+ * @param {object} timeouts The phase timeouts, see readPhaseTimeouts().
+ * @returns {Promise<{status: 'success' | 'error', message: string, sessionExpired?: boolean}>} Never rejects.
+ */
+function waitForPhaseReady(phase, profile, timeouts) {
+  const readiness = {
+    p6: {
+      what: `Booking rows (${profile.bookingRow})`,
+      find: () => document.querySelector(profile.bookingRow),
+      seconds: timeouts.bookingListSeconds
+    },
+    p8: {
+      what: `The select2 vehicle dropdown (${profile.vehicleSelect})`,
+      // select2 hides the original select behind this class once it is initialised.
+      find: () => [...document.querySelectorAll(profile.vehicleSelect)].find(el => el.classList.contains('select2-hidden-accessible')),
+      seconds: timeouts.vehicleSelectSeconds
+    },
+    p9: {
+      what: `A visible Accept Ride button (${profile.acceptButton})`,
+      find: () => [...document.querySelectorAll(profile.acceptButton)].find(isElementVisible),
+      seconds: timeouts.acceptButtonSeconds
+    }
+  }[phase];
+  if (!readiness) {
+    return Promise.resolve({ status: 'error', message: `Unknown phase "${phase}".` });
+  }
+
+  const startedAt = Date.now();
+  const findLoginForm = () => document.querySelector(profile.loginForm);
+  return waitForElement(() => readiness.find() || findLoginForm(), readiness.seconds * 1000).then(() => {
+    if (!readiness.find()) {
+      const message = `The site shows its login form (${profile.loginForm}) instead: the session has expired. Log in again, then restart.`;
+      logToPopup(message, 'error');
+      return { status: 'error', message, sessionExpired: true };
+    }
+    const message = `${readiness.what} found after ${Date.now() - startedAt} ms.`;
+    logToPopup(message);
+    return { status: 'success', message };
+  }, () => {
+    const message = `${readiness.what} did not appear within ${readiness.seconds} s.`;
+    logToPopup(message, 'error');
+    return { status: 'error', message };
+  });
+}
+
+
 // ========================
 // PHASE 6 — CLICK BOOKING
 // ========================
 
 /**
- * Finds and clicks the first valid booking element on the page.
+ * Finds and clicks the best valid booking element on the page.
  * It iterates through all potential elements, applying strict date, vehicle class, and price checks.
  * Detailed logs are sent to the popup at each step of the validation process.
+ * With the 'first' ranking strategy it stops at the first match; any other
+ * strategy evaluates every element and clicks the top-ranked match (ranking.js).
+ * In a dry run every element is evaluated, nothing is clicked, and the response
+ * carries the absolute URL of the chosen match so the background can simulate the new tab.
+ * Every response carries `bookings`, a structured evaluation of each element
+ * (see evaluateBookingElement()), for the run history.
+ * Bookings found in the ledger of handled bookings are skipped unchecked, and
+ * a booking fails the Fleet check when every known Phase 8 vehicle mapped to
+ * its class is busy at its pickup time (fleet.js).
+ * @param {object} config The run configuration sent by the background.
+ * @param {object} profile The active site profile.
+ * @param {object} formats The booking formats, see readBookingFormats().
+ * @param {object} records The stored state Phase 6 depends on.
+ * @param {object} records.vehicleCatalogue The vehicle catalogue, see mergeVehicleCatalogue().
+ * @param {object} records.handledBookings The unexpired ledger entries, keyed by booking ID.
+ * @param {object} records.fleetSchedule The fleet schedule.
+ * @param {object} records.fleetSettings The ride duration and buffer, see readFleetSettings().
+ * @param {(response: object) => void} sendResponse Callback to answer the background.
  */
-function phase6_clickBooking(startDateStr, endDateStr, vehicleClasses, vehiclePrices, sendResponse) {
-    const bookingElements = document.querySelectorAll('div.row.the_booking');
+function phase6_clickBooking(config, profile, formats, records, sendResponse) {
+    const dryRun = !!config.dryRun;
+    const bookingElements = document.querySelectorAll(profile.bookingRow);
     logToPopup(`Found ${bookingElements.length} potential booking element(s).`);
 
     if (bookingElements.length === 0) {
@@ -67,101 +196,382 @@ function phase6_clickBooking(startDateStr, endDateStr, vehicleClasses, vehiclePr
         return;
     }
 
-    let matchFound = false;
+    const strategy = RANKING_STRATEGIES[config.rankingStrategy] ? config.rankingStrategy : 'first';
+    const candidates = [];
+    const evaluations = [];
     let elementIndex = 0;
-    const lowercasedVehicleClasses = vehicleClasses.map(vc => vc.toLowerCase());
 
     for (const bookingElement of bookingElements) {
         elementIndex++;
-        const logPrefix = `[Element ${elementIndex}]:`;
-
-        if (!isElementVisible(bookingElement)) {
-            logToPopup(`${logPrefix} Skipping non-visible element.`);
-            continue;
+        const { evaluation, candidate } = evaluateBookingElement(bookingElement, elementIndex, config, profile, formats, records);
+        evaluations.push(evaluation);
+        if (candidate) {
+            candidates.push(candidate);
+            // Without ranking, the first match is clicked straight away.
+            if (strategy === 'first' && !dryRun) break;
         }
+    }
+
+    if (candidates.length === 0) {
+        logToPopup('No booking element met all criteria.', 'error');
+        sendResponse({ status: 'error', message: 'No matching booking found.', noMatch: true, bookings: evaluations });
+        return;
+    }
 
-        const dateElement = bookingElement.querySelector('.booking_date');
-        const vehicleElement = bookingElement.querySelector('.vehicle_class');
+    const ranked = rankCandidates(candidates, strategy);
+    if (candidates.length > 1) {
+        logToPopup(`Ranked ${ranked.length} matching booking(s) by: ${RANKING_STRATEGIES[strategy]}.`);
+        ranked.forEach((candidate, position) => {
+            logToPopup(`  #${position + 1} Element ${candidate.index}: ${formatDateParts(candidate.date)}, ${candidate.vehicle}, payout ${candidate.payout} (min ${candidate.minPayout}).`);
+        });
+    }
 
-        if (!dateElement || !vehicleElement) {
-            logToPopup(`${logPrefix} Skipping element missing date or vehicle info.`);
-            continue;
-        }
+    const chosen = ranked[0];
+    const logPrefix = `[Element ${chosen.index}]:`;
+    logToPopup(`${logPrefix} Selected. Preparing to open new tab.`, 'success');
 
-        const actualDateStr = dateElement.textContent.trim();
-        const actualVehicle = vehicleElement.textContent.trim().toLowerCase();
-        logToPopup(`${logPrefix} Found Date: "${actualDateStr}", Vehicle: "${actualVehicle}".`);
+    const newTabUrl = extractBookingUrl(chosen.element, profile);
+    if (newTabUrl) {
+        logToPopup(`${logPrefix} Extracted new tab URL: ${newTabUrl}`);
+        chrome.runtime.sendMessage({ type: 'log_url', url: newTabUrl });
+    } else {
+        logToPopup(`${logPrefix} Could not extract URL from onclick attribute.`, 'error');
+    }
 
-        const dateMatch = isDateInRange(actualDateStr, startDateStr, endDateStr);
-        if (!dateMatch) {
-            logToPopup(`${logPrefix} Date mismatch. (Not in range: ${startDateStr} to ${endDateStr || startDateStr}).`);
-        }
+    if (dryRun) {
+        logToPopup(`${logPrefix} [Dry Run] Would click the booking button.`, 'success');
+        sendResponse({
+            status: 'success',
+            message: 'Dry run: booking element not clicked.',
+            dryRun: true,
+            newTabUrl: newTabUrl && new URL(newTabUrl, location.href).href,
+            selectedIndex: chosen.index,
+            bookings: evaluations
+        });
+        return;
+    }
+
+    chosen.element.click();
+    logToPopup(`${logPrefix} Clicked element to open new tab.`, 'success');
+    sendResponse({ status: 'success', message: 'Booking element clicked.', selectedIndex: chosen.index, bookings: evaluations });
+}
+
+/**
+ * Runs the Phase 6 checks on one booking element, logging each of them.
+ * Phase 6 evaluates every row this way, and the booking list watcher the
+ * rows added to the page. Each check is { name, pass, detail }; the Date and
+ * Payout checks also carry `miss`, how far they were from passing.
+ * @param {Element} bookingElement The booking row.
+ * @param {number} elementIndex The position of the row in the list, from 1.
+ * @param {object} config The run configuration sent by the background.
+ * @param {object} profile The active site profile.
+ * @param {object} formats The booking formats, see readBookingFormats().
+ * @param {object} records The stored state Phase 6 depends on, see phase6_clickBooking().
+ * @returns {{evaluation: object, candidate: object | null}} The evaluation for the run
+ *     history, and the candidate for rankCandidates() when the booking matches.
+ */
+function evaluateBookingElement(bookingElement, elementIndex, config, profile, formats, records) {
+    const { vehicleCatalogue, handledBookings, fleetSchedule, fleetSettings } = records;
+    const { startDate: startDateStr, endDate: endDateStr, vehicleClasses, vehiclePrices } = config;
+    const logPrefix = `[Element ${elementIndex}]:`;
+    const evaluation = { index: elementIndex, url: extractBookingUrl(bookingElement, profile), skipped: null, matched: false, checks: [] };
+
+    if (!isElementVisible(bookingElement)) {
+        logToPopup(`${logPrefix} Skipping non-visible element.`);
+        evaluation.skipped = 'not visible';
+        return { evaluation, candidate: null };
+    }
+
+    const bookingId = bookingIdFromUrl(evaluation.url);
+    if (bookingId && handledBookings[bookingId]) {
+        const handled = describeHandledBooking(handledBookings[bookingId]);
+        logToPopup(`${logPrefix} Skipping booking ${bookingId}, ${handled}.`);
+        evaluation.skipped = handled;
+        return { evaluation, candidate: null };
+    }
+
+    const dateElement = bookingElement.querySelector(profile.bookingDate);
+    const vehicleElement = bookingElement.querySelector(profile.bookingVehicleClass);
+
+    if (!dateElement || !vehicleElement) {
+        logToPopup(`${logPrefix} Skipping element missing date or vehicle info.`);
+        evaluation.skipped = 'missing date or vehicle info';
+        return { evaluation, candidate: null };
+    }
 
-        const vehicleMatch = lowercasedVehicleClasses.includes(actualVehicle);
-        if (!vehicleMatch) {
-            logToPopup(`${logPrefix} Vehicle mismatch. (Not one of: "${vehicleClasses.join(', ')}").`);
+    const actualDateStr = dateElement.textContent.trim();
+    const actualDate = parseBookingDate(actualDateStr, formats.dateFormat, formats.timeZone);
+    const actualVehicle = vehicleElement.textContent.trim().toLowerCase();
+    const parsedDateText = actualDate ? formatDateParts(actualDate) : `unparseable as ${formats.dateFormat}`;
+    logToPopup(`${logPrefix} Found Date: "${actualDateStr}" (parsed: ${parsedDateText}), Vehicle: "${actualVehicle}".`);
+
+    const dateMatch = !!actualDate && isDateInRange(actualDate, startDateStr, endDateStr, formats.toleranceDays);
+    if (!dateMatch) {
+        const toleranceText = formats.toleranceDays ? `, ±${formats.toleranceDays} day(s)` : '';
+        logToPopup(`${logPrefix} Date mismatch. (Not in range: ${startDateStr} to ${endDateStr || startDateStr}${toleranceText}).`);
+    }
+
+    // The class as the user wrote it keys the minimum payouts.
+    const originalVehicleName = findVehicleClass(actualVehicle, vehicleClasses);
+    const vehicleMatch = originalVehicleName !== undefined;
+    if (!vehicleMatch) {
+        logToPopup(`${logPrefix} Vehicle mismatch. (Not one of: "${vehicleClasses.join(', ')}").`);
+    }
+    const userPrice = vehiclePrices[originalVehicleName];
+
+    const priceElement = bookingElement.querySelector(profile.bookingPayout);
+    let priceMatch = false;
+    let actualPrice = NaN;
+    if (priceElement) {
+        const actualPriceText = priceElement.textContent.trim();
+        actualPrice = parseAmount(actualPriceText, formats.decimalSeparator);
+        logToPopup(`${logPrefix} Found Payout: "${actualPriceText}" (parsed: ${actualPrice}). User's min payout: "${userPrice}".`);
+        if (isPayoutAcceptable(actualPrice, userPrice)) {
+            priceMatch = true;
+        } else {
+            logToPopup(`${logPrefix} Payout mismatch. (Actual: ${actualPrice}, User Min: ${userPrice}).`);
         }
+    } else {
+        logToPopup(`${logPrefix} Price element (${profile.bookingPayout}) not found.`, 'error');
+    }
 
-        // Find the original vehicle name (with original casing) to look up the price
-        const originalVehicleName = vehicleClasses.find(vc => vc.toLowerCase() === actualVehicle);
-        const userPrice = vehiclePrices[originalVehicleName];
-
-        const priceElement = bookingElement.querySelector('span.partner_payout');
-        let priceMatch = false;
-        if (priceElement) {
-            const actualPrice = parseFloat(priceElement.textContent.trim());
-            logToPopup(`${logPrefix} Found Payout: "${actualPrice}". User's min payout: "${userPrice}".`);
-            if (!isNaN(actualPrice) && actualPrice >= userPrice) {
-                priceMatch = true;
-            } else {
-                logToPopup(`${logPrefix} Payout mismatch. (Actual: ${actualPrice}, User Min: ${userPrice}).`);
-            }
+    const extraResults = evaluateExtraCriteria(readExtraFields(bookingElement, actualDate, profile, formats), config.extraCriteria);
+    for (const result of extraResults) {
+        if (result.pass) {
+            logToPopup(`${logPrefix} ${result.name}: ${result.detail}.`);
+        } else {
+            logToPopup(`${logPrefix} ${result.name} mismatch. (${result.detail}).`);
+        }
+    }
+    const phase8Vehicles = config.phase8VehicleClasses || [];
+    const classFleet = fleetForBookingClass(vehicleCatalogue, originalVehicleName, phase8Vehicles);
+    const fleetResult = vehicleMatch && phase8Vehicles.length > 0 && classFleet.length === 0
+        ? { name: 'Fleet', pass: false, detail: `none of the Phase 8 vehicles is mapped to ${originalVehicleName}` }
+        : checkFleet(actualDate, classFleet, fleetSchedule, fleetSettings);
+    if (fleetResult) {
+        extraResults.push(fleetResult);
+        if (fleetResult.pass) {
+            logToPopup(`${logPrefix} Fleet: ${fleetResult.detail}.`);
         } else {
-            logToPopup(`${logPrefix} Price element (.partner_payout) not found.`, 'error');
+            logToPopup(`${logPrefix} Fleet mismatch. (${fleetResult.detail}).`);
         }
+    }
+    const extraMatch = extraResults.every(result => result.pass);
+
+    // How far the Date and Payout checks were from passing, for the near-miss
+    // report of the popup (near-miss.js): days outside the range, and the
+    // amount under the minimum. Null when the check passed or cannot tell.
+    const dateMiss = !dateMatch && actualDate ? daysOutsideRange(actualDate, startDateStr, endDateStr, formats.toleranceDays) : null;
+    const payoutMiss = !priceMatch && !isNaN(actualPrice) && typeof userPrice === 'number' ? userPrice - actualPrice : null;
+
+    Object.assign(evaluation, {
+        dateText: actualDateStr,
+        date: actualDate ? formatDateParts(actualDate) : null,
+        vehicle: vehicleElement.textContent.trim(),
+        vehicleClass: vehicleMatch ? originalVehicleName : null,
+        payoutText: priceElement ? priceElement.textContent.trim() : null,
+        payout: isNaN(actualPrice) ? null : actualPrice,
+        minPayout: userPrice === undefined ? null : userPrice,
+        matched: dateMatch && vehicleMatch && priceMatch && extraMatch,
+        checks: [
+            { name: 'Date', pass: dateMatch, detail: `${parsedDateText}, wanted ${startDateStr} to ${endDateStr || startDateStr}`, miss: dateMiss },
+            { name: 'Vehicle', pass: vehicleMatch, detail: evaluation.vehicle },
+            { name: 'Payout', pass: priceMatch, detail: `${actualPrice}, min ${userPrice}`, miss: payoutMiss },
+            ...extraResults
+        ]
+    });
 
+    if (!evaluation.matched) return { evaluation, candidate: null };
+    logToPopup(`${logPrefix} Match found!`, 'success');
+    return {
+        evaluation,
+        candidate: {
+            index: elementIndex,
+            element: bookingElement,
+            payout: actualPrice,
+            minPayout: userPrice,
+            date: actualDate,
+            vehicle: originalVehicleName,
+            vehicleRank: vehicleClasses.indexOf(originalVehicleName)
+        }
+    };
+}
 
-        if (dateMatch && vehicleMatch && priceMatch) {
-            logToPopup(`${logPrefix} Match found! Preparing to open new tab.`, 'success');
+// ========================
+// BOOKING LIST WATCHER — BETWEEN CYCLES
+// ========================
 
-            const onclickAttr = bookingElement.getAttribute('onclick');
-            const urlMatch = onclickAttr.match(/window\.open\("([^"]+)"/);
-            if (urlMatch && urlMatch[1]) {
-                const newTabUrl = urlMatch[1];
-                logToPopup(`${logPrefix} Extracted new tab URL: ${newTabUrl}`);
-                chrome.runtime.sendMessage({ type: 'log_url', url: newTabUrl });
-            } else {
-                logToPopup(`${logPrefix} Could not extract URL from onclick attribute.`, 'error');
-            }
+// The MutationObserver of the booking list watcher, while it runs, and its
+// chrome.storage.onChanged listener. Declared without a value so that
+// injecting this script again does not lose them.
+var bookingListWatcher;
+var bookingListRecordsListener;
 
-            bookingElement.click();
-            logToPopup(`${logPrefix} Clicked element to open new tab.`, 'success');
-            sendResponse({ status: 'success', message: 'Booking element clicked.' });
-            matchFound = true;
-            break;
+/**
+ * Watches the booking list for rows the site adds without a reload. Only the
+ * added rows are evaluated, with the Phase 6 checks, and each batch is
+ * reported to the background in a 'booking_rows_added' message. The watcher
+ * stops itself once a batch holds a match: the background then runs Phase 6
+ * on the list as it is. Starting it again replaces the previous watcher.
+ * The ledger and the fleet schedule follow the changes made in storage while
+ * the list is watched, e.g. a booking another tab has just handled.
+ * @param {object} config The run configuration sent by the background.
+ * @param {object} profile The active site profile.
+ * @param {object} formats The booking formats, see readBookingFormats().
+ * @param {object} records The stored state Phase 6 depends on, see phase6_clickBooking().
+ * @returns {{status: 'success', message: string}}
+ */
+function watchBookingList(config, profile, formats, records) {
+    stopWatchingBookingList();
+    const current = { ...records };
+    const onRecordsChanged = (changes, areaName) => {
+        if (areaName !== 'local') return;
+        if (changes[FLEET_SCHEDULE_KEY]) {
+            current.fleetSchedule = normalizeFleetSchedule(changes[FLEET_SCHEDULE_KEY].newValue);
         }
+        if (changes[BOOKING_LEDGER_KEY]) {
+            const ledger = changes[BOOKING_LEDGER_KEY].newValue;
+            chrome.storage.sync.get('options', (data) => {
+                current.handledBookings = pruneLedger(ledger, readLedgerExpiryHours(data.options));
+            });
+        }
+    };
+    const observer = new MutationObserver((mutations) => {
+        const added = new Set();
+        mutations.forEach(mutation => mutation.addedNodes.forEach(node => {
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+            if (node.matches(profile.bookingRow)) added.add(node);
+            node.querySelectorAll(profile.bookingRow).forEach(row => added.add(row));
+        }));
+        if (added.size === 0) return;
+
+        // Rows are numbered by their place in the whole list, as in Phase 6.
+        const rows = [...document.querySelectorAll(profile.bookingRow)];
+        const evaluations = rows.filter(row => added.has(row))
+            .map(row => evaluateBookingElement(row, rows.indexOf(row) + 1, config, profile, formats, current));
+        const matched = evaluations.filter(result => result.candidate).map(result => result.evaluation.index);
+        logToPopup(`Booking list watcher: ${evaluations.length} new row(s), ${matched.length} matching.`, matched.length ? 'success' : 'info');
+        if (matched.length) stopWatchingBookingList();
+        chrome.runtime.sendMessage({ type: 'booking_rows_added', added: evaluations.length, matched }).catch(err => {});
+    });
+    observer.observe(document.body, { childList: true, subtree: true });
+    chrome.storage.onChanged.addListener(onRecordsChanged);
+    bookingListWatcher = observer;
+    bookingListRecordsListener = onRecordsChanged;
+    return { status: 'success', message: 'Watching the booking list for new rows.' };
+}
+
+/**
+ * Stops the booking list watcher, if it runs.
+ */
+function stopWatchingBookingList() {
+    if (bookingListWatcher) {
+        bookingListWatcher.disconnect();
+        bookingListWatcher = undefined;
+    }
+    if (bookingListRecordsListener) {
+        chrome.storage.onChanged.removeListener(bookingListRecordsListener);
+        bookingListRecordsListener = undefined;
     }
+}
 
-    if (!matchFound) {
-        logToPopup('No booking element met all criteria.', 'error');
-        sendResponse({ status: 'error', message: 'No matching booking found.' });
+/**
+ * Checks that a Phase 8 vehicle is free for a booking.
+ * @param {object | null} actualDate The parsed booking date.
+ * @param {string[]} vehicleClasses The Phase 8 vehicles that may serve the booking.
+ * @param {object} schedule The fleet schedule.
+ * @param {object} settings The fleet settings.
+ * @returns {{name: string, pass: boolean, detail: string} | null} The check, or
+ *     null when no vehicle of those classes is known yet or the date is unknown.
+ */
+function checkFleet(actualDate, vehicleClasses, schedule, settings) {
+    if (!actualDate) return null;
+    const { known, free, conflicts } = checkFleetAvailability(schedule, vehicleClasses, toScheduleMinute(actualDate), settings);
+    if (known.length === 0) return null;
+    if (free.length > 0) {
+        return { name: 'Fleet', pass: true, detail: `${free.length} of ${known.length} vehicle(s) free` };
     }
+    const busy = conflicts.filter(c => known.some(v => v.value === c.value)).map(describeFleetCommitment);
+    return { name: 'Fleet', pass: false, detail: `no free vehicle, busy: ${busy.join('; ')}` };
+}
+
+/**
+ * Extracts the new ride URL that a booking element opens when clicked.
+ * @param {Element} bookingElement The booking row.
+ * @param {object} profile The active site profile.
+ * @returns {string | null} The URL as written in the onclick attribute, or null.
+ */
+function extractBookingUrl(bookingElement, profile) {
+    const onclickAttr = bookingElement.getAttribute('onclick') || '';
+    const urlMatch = onclickAttr.match(new RegExp(profile.bookingUrlPattern));
+    return urlMatch && urlMatch[1] ? urlMatch[1] : null;
+}
+
+
+/**
+ * Reads the booking fields used by the additional criteria from one booking element.
+ * @param {Element} bookingElement The booking row.
+ * @param {object | null} actualDate The parsed booking date, which carries the pickup time.
+ * @param {object} profile The active site profile.
+ * @param {object} formats The booking formats.
+ * @returns {object} The fields expected by evaluateExtraCriteria().
+ */
+function readExtraFields(bookingElement, actualDate, profile, formats) {
+    const textOf = (selector) => {
+        const element = bookingElement.querySelector(selector);
+        return element ? element.textContent.trim() : null;
+    };
+    return {
+        pickup: textOf(profile.bookingPickup),
+        dropoff: textOf(profile.bookingDropoff),
+        pickupMinutes: actualDate ? actualDate.hour * 60 + actualDate.minute : null,
+        passengers: parseCount(textOf(profile.bookingPassengers)),
+        luggage: parseCount(textOf(profile.bookingLuggage)),
+        distanceKm: parseDistanceKm(textOf(profile.bookingDistance), formats.decimalSeparator)
+    };
 }
 
 
 // ========================
-// PHASE 8 — VEHICLE SELECTION
+// RIDE DETAILS — BEFORE PHASE 9
 // ========================
 
 /**
- * Phase 8 is now handled directly by the background script using chrome.scripting.executeScript.
- * This function remains as a placeholder to prevent errors if it's accidentally called.
+ * Reads what the ride is from the new ride page, using the ride fields of the
+ * site profile. A field whose element is missing is left null; the ride is
+ * still accepted, but the message lists what could not be read.
+ * @param {object} profile The active site profile.
+ * @param {object} formats The booking formats, see readBookingFormats().
+ * @returns {{status: 'success', message: string, details: object}} The details hold
+ *     the texts of each field, the parsed `date` ('YYYY-MM-DD HH:mm') and `payout`.
  */
-function phase8_selectVehicle(vehicleClasses, sendResponse) {
-    logToPopup('Phase 8 logic is now handled by the background script.', 'info');
-    // This function should no longer be called, but we send a success response
-    // to avoid breaking the chain if it ever is.
-    sendResponse({ status: 'success', message: 'Phase 8 handled by background.' });
+function readRideDetails(profile, formats) {
+    const textOf = (selector) => {
+        const element = document.querySelector(selector);
+        const text = element ? element.textContent.trim() : '';
+        return text || null;
+    };
+    const details = {
+        dateText: textOf(profile.rideDate),
+        pickup: textOf(profile.ridePickup),
+        dropoff: textOf(profile.rideDropoff),
+        passenger: textOf(profile.ridePassenger),
+        flight: textOf(profile.rideFlight),
+        payoutText: textOf(profile.ridePayout)
+    };
+    const date = parseBookingDate(details.dateText, formats.dateFormat, formats.timeZone);
+    details.date = date ? formatDateParts(date) : null;
+    const payout = parseAmount(details.payoutText, formats.decimalSeparator);
+    details.payout = isNaN(payout) ? null : payout;
+
+    const fields = ['dateText', 'pickup', 'dropoff', 'passenger', 'flight', 'payoutText'];
+    const missing = fields.filter(key => details[key] === null);
+    const summary = [details.date || details.dateText, [details.pickup, details.dropoff].filter(Boolean).join(' to '), details.payoutText]
+        .filter(Boolean).join(', ');
+    let message = `Ride details: ${summary || 'nothing found'}.`;
+    if (missing.length > 0) message += ` Not found on the page: ${missing.join(', ')}.`;
+    logToPopup(message, missing.length === fields.length ? 'error' : 'info');
+    return { status: 'success', message, details };
 }
 
 
@@ -171,27 +581,45 @@ function phase8_selectVehicle(vehicleClasses, sendResponse) {
 
 /**
  * Clicks the final confirmation button to accept the ride.
- * It performs a final safety check for any visible error messages before clicking.
+ * It performs a final safety check for any visible error messages before clicking,
+ * then watches the page for the site's answer (see verifyAcceptance).
+ * In a dry run the same checks are made but the button is not clicked.
+ * @param {boolean} dryRun Whether to leave the button unclicked.
+ * @param {object} profile The active site profile.
+ * @param {number} verifyMs How long to wait for the site's answer, in milliseconds.
+ * @param {Function} sendResponse Receives the result; after a click, `verification`
+ *     is 'accepted', 'rejected' or 'unknown'.
  */
-function phase9_acceptRide(sendResponse) {
+function phase9_acceptRide(dryRun, profile, verifyMs, sendResponse) {
   try {
     logToPopup('Attempting to find final confirmation button.');
-    const finalButton = getElementByXPath('//*[@id="accept_ride"]');
+    const finalButton = document.querySelector(profile.acceptButton);
     if (!finalButton || !isElementVisible(finalButton)) {
-      logToPopup('Final confirmation button (#accept_ride) not found or not visible.', 'error');
+      logToPopup(`Final confirmation button (${profile.acceptButton}) not found or not visible.`, 'error');
       throw new Error('Final confirmation button not found or not visible.');
     }
     logToPopup('Final confirmation button found.');
 
-    const errorElement = document.querySelector('.error-message');
+    const errorElement = document.querySelector(profile.errorMessage);
     if (errorElement && isElementVisible(errorElement)) {
         logToPopup('An error message is visible on the page. Aborting final click.', 'error');
         throw new Error('An error message is visible on the page. Aborting final click.');
     }
 
+    if (dryRun) {
+      logToPopup(`[Dry Run] All checks passed. Would click the final confirmation (${profile.acceptButton}).`, 'success');
+      sendResponse({ status: 'success', message: 'Dry run: final confirmation not clicked.' });
+      return;
+    }
+
     logToPopup('All checks passed. Clicking final confirmation.', 'success');
+    // The watch starts before the click, so that an answer shown at once is not missed.
+    const verification = verifyAcceptance(profile, verifyMs);
     finalButton.click();
-    sendResponse({ status: 'success', message: 'Final confirmation clicked.' });
+    verification.then((result) => {
+      logToPopup(result.message, result.verification === 'accepted' ? 'success' : 'error');
+      sendResponse({ status: 'success', message: `Final confirmation clicked. ${result.message}`, verification: result.verification });
+    });
 
   } catch (error) {
     logToPopup(`Error in Phase 9: ${error.message}`, 'error');
@@ -199,35 +627,87 @@ function phase9_acceptRide(sendResponse) {
   }
 }
 
+/**
+ * Watches the page for the site's answer to Accept Ride: an error message
+ * shown, text matching the profile's error pattern added to the page, or a
+ * success indicator shown. Success indicators already visible when the watch
+ * starts are ignored. An error wins over a success shown at the same time.
+ * @param {object} profile The active site profile.
+ * @param {number} timeoutMs How long to wait for an answer.
+ * @returns {Promise<{verification: 'accepted' | 'rejected' | 'unknown', message: string}>}
+ */
+function verifyAcceptance(profile, timeoutMs) {
+  const errorPattern = new RegExp(profile.acceptErrorText, 'i');
+  const visibleSuccess = () => [...document.querySelectorAll(profile.acceptSuccess)].filter(isElementVisible);
+  const shownBefore = visibleSuccess();
+  let addedText = '';
+
+  return new Promise((resolve) => {
+    let timeoutId = null;
+    const observer = new MutationObserver((records) => {
+      records.forEach(record => {
+        if (record.type === 'characterData') addedText += ` ${record.target.data}`;
+        record.addedNodes.forEach(node => { addedText += ` ${node.textContent}`; });
+      });
+      check();
+    });
+    const finish = (verification, message) => {
+      observer.disconnect();
+      clearTimeout(timeoutId);
+      resolve({ verification, message });
+    };
+    const check = () => {
+      const errorElement = document.querySelector(profile.errorMessage);
+      if (errorElement && isElementVisible(errorElement)) {
+        return finish('rejected', `The site rejected the ride: "${errorElement.textContent.trim()}".`);
+      }
+      const errorText = addedText.match(errorPattern);
+      if (errorText) {
+        return finish('rejected', `The site rejected the ride: "${errorText[0]}" appeared on the page.`);
+      }
+      const success = visibleSuccess().find(element => !shownBefore.includes(element));
+      if (success) {
+        return finish('accepted', `The site confirmed the ride: "${success.textContent.trim()}".`);
+      }
+    };
+
+    observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true, attributes: true });
+    timeoutId = setTimeout(() => {
+      finish('unknown', `The site showed neither a confirmation nor an error within ${Math.round(timeoutMs / 1000)} s.`);
+    }, timeoutMs);
+  });
+}
+
 
 // ========================
 // DOM SAFETY & HELPER FUNCTIONS
 // ========================
 
 /**
- * Polls the DOM for an element to appear and be visible.
- * @param {string} xpath The XPath selector for the element.
+ * Waits for an element to be ready, checking again on every change of the
+ * page rather than on a timer.
+ * @param {() => Element | null | undefined} find Returns the element once it is ready.
  * @param {number} timeout The maximum time to wait in milliseconds.
  * @returns {Promise<Element>} A promise that resolves with the element or rejects on timeout.
  */
-function waitForElement(xpath, timeout) {
+function waitForElement(find, timeout) {
     return new Promise((resolve, reject) => {
-        const intervalTime = 200;
-        const maxAttempts = timeout / intervalTime;
-        let attempts = 0;
-
-        const intervalId = setInterval(() => {
-            attempts++;
-            const element = getElementByXPath(xpath);
-
-            if (element && isElementVisible(element)) {
-                clearInterval(intervalId);
+        const ready = find();
+        if (ready) return resolve(ready);
+
+        const observer = new MutationObserver(() => {
+            const element = find();
+            if (element) {
+                observer.disconnect();
+                clearTimeout(timeoutId);
                 resolve(element);
-            } else if (attempts >= maxAttempts) {
-                clearInterval(intervalId);
-                reject(new Error(`Element with XPath "${xpath}" not found within ${timeout}ms.`));
             }
-        }, intervalTime);
+        });
+        const timeoutId = setTimeout(() => {
+            observer.disconnect();
+            reject(new Error(`Element not ready within ${timeout}ms.`));
+        }, timeout);
+        observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true });
     });
 }
 
@@ -235,33 +715,6 @@ function isElementVisible(el) {
   return !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
 }
 
-function isDateInRange(actualDateStr, startDateStr, endDateStr) {
-    try {
-        const actualDate = new Date(actualDateStr);
-        // Set hours to 0 to compare dates only
-        actualDate.setHours(0, 0, 0, 0);
-
-        const startDate = new Date(startDateStr);
-        startDate.setHours(0, 0, 0, 0);
-
-        if (isNaN(actualDate.getTime()) || isNaN(startDate.getTime())) return false;
-
-        // If no end date, check for an exact match with the start date.
-        if (!endDateStr) {
-            return actualDate.getTime() === startDate.getTime();
-        }
-
-        const endDate = new Date(endDateStr);
-        endDate.setHours(0, 0, 0, 0);
-        if (isNaN(endDate.getTime())) return false;
-
-        return actualDate >= startDate && actualDate <= endDate;
-    } catch (e) {
-        logToPopup(`Error parsing dates: ${e.message}`, 'error');
-        return false;
-    }
-}
-
 function getElementByXPath(path) {
   const element = document.evaluate(path, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
   if (!element) {
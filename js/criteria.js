@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Additional Phase 6 booking criteria: pickup and dropoff
+ * location keywords, a pickup time-of-day window, passenger and luggage
+ * counts, and trip distance. Each criterion is optional and only evaluated
+ * when the user has configured it in the popup.
+ *
+ * Injected ahead of content.js, and loaded by the popup and the service worker
+ * for run-config.js. Like the other shared scripts it only uses `var` and
+ * function declarations.
+ */
+
+/**
+ * The additional criteria with nothing configured. Keyword lists are arrays of
+ * lower-case strings, times are 'HH:mm', and bounds are numbers or null.
+ */
+var EMPTY_EXTRA_CRITERIA = Object.freeze({
+    pickupInclude: [],
+    pickupExclude: [],
+    dropoffInclude: [],
+    dropoffExclude: [],
+    timeFrom: '',
+    timeTo: '',
+    passengersMin: null,
+    passengersMax: null,
+    luggageMin: null,
+    luggageMax: null,
+    distanceMin: null,
+    distanceMax: null
+});
+
+var KM_PER_MILE = 1.609344;
+
+/**
+ * Splits a comma-separated keyword list.
+ * @param {string} text The list as typed by the user.
+ * @returns {string[]} The trimmed, lower-cased, non-empty keywords.
+ */
+function parseKeywordList(text) {
+    return String(text || '').split(',').map(k => k.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Parses a bound typed in a number input.
+ * @param {string} text The input value.
+ * @returns {number | null} The number, or null if the input is empty or invalid.
+ */
+function parseBound(text) {
+    if (text === null || text === undefined || String(text).trim() === '') return null;
+    const value = parseFloat(text);
+    return isNaN(value) ? null : value;
+}
+
+/**
+ * Reads the first whole number in a text, e.g. 3 from "3 passengers".
+ * @param {string} text The text from the page.
+ * @returns {number} The count, or NaN if there is none.
+ */
+function parseCount(text) {
+    const match = String(text || '').match(/\d+/);
+    return match ? parseInt(match[0], 10) : NaN;
+}
+
+/**
+ * Reads a trip distance in kilometres. Distances given in miles are converted.
+ * @param {string} text The text from the page, e.g. "42.5 km" or "12 mi".
+ * @param {'auto' | '.' | ','} [decimalSeparator='auto'] Passed on to parseAmount().
+ * @returns {number} The distance in km, or NaN if there is none.
+ */
+function parseDistanceKm(text, decimalSeparator = 'auto') {
+    const value = parseAmount(text, decimalSeparator);
+    return /\bmi(les?)?\b/i.test(String(text)) ? value * KM_PER_MILE : value;
+}
+
+/**
+ * Converts an 'HH:mm' time to minutes after midnight.
+ * @param {string} text The time.
+ * @returns {number} The minutes, or NaN if the time is invalid.
+ */
+function parseTimeOfDay(text) {
+    const match = String(text || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || +match[1] > 23 || +match[2] > 59) return NaN;
+    return +match[1] * 60 + +match[2];
+}
+
+/**
+ * Checks whether a time of day falls in a window. A window whose end is
+ * earlier than its start spans midnight, e.g. 22:00 to 06:00.
+ * @param {number} minutes Minutes after midnight.
+ * @param {string} from The start of the window, 'HH:mm', inclusive. Empty for midnight.
+ * @param {string} to The end of the window, 'HH:mm', inclusive. Empty for 23:59.
+ * @returns {boolean}
+ */
+function isTimeInWindow(minutes, from, to) {
+    const start = from ? parseTimeOfDay(from) : 0;
+    const end = to ? parseTimeOfDay(to) : 23 * 60 + 59;
+    if (start <= end) return minutes >= start && minutes <= end;
+    return minutes >= start || minutes <= end;
+}
+
+/**
+ * Checks a location against include and exclude keyword lists.
+ * @param {string} location The location text from the page.
+ * @param {string[]} include At least one of these must appear, unless the list is empty.
+ * @param {string[]} exclude None of these may appear.
+ * @returns {{pass: boolean, detail: string}}
+ */
+function matchLocation(location, include, exclude) {
+    const text = location.toLowerCase();
+    const excluded = exclude.find(k => text.includes(k));
+    if (excluded) {
+        return { pass: false, detail: `contains excluded "${excluded}"` };
+    }
+    if (include.length === 0) {
+        return { pass: true, detail: 'no excluded keyword' };
+    }
+    const included = include.find(k => text.includes(k));
+    return included
+        ? { pass: true, detail: `contains "${included}"` }
+        : { pass: false, detail: `none of "${include.join(', ')}"` };
+}
+
+/**
+ * Checks a number against optional bounds.
+ * @param {number} value The number read from the page.
+ * @param {number | null} min The inclusive minimum, or null.
+ * @param {number | null} max The inclusive maximum, or null.
+ * @returns {boolean}
+ */
+function isWithinBounds(value, min, max) {
+    return (min === null || value >= min) && (max === null || value <= max);
+}
+
+/**
+ * Describes optional bounds for logs, e.g. "2 to 4", "at least 2".
+ * @param {number | null} min The minimum, or null.
+ * @param {number | null} max The maximum, or null.
+ * @returns {string}
+ */
+function describeBounds(min, max) {
+    if (min !== null && max !== null) return `${min} to ${max}`;
+    return min !== null ? `at least ${min}` : `at most ${max}`;
+}
+
+/**
+ * Evaluates the configured additional criteria against the fields of one booking.
+ * Unconfigured criteria are left out of the result. A configured criterion
+ * fails when its field is missing from the booking, except the distance, which
+ * is only checked when the site shows it.
+ * @param {object} fields The booking fields read by the content script.
+ * @param {string | null} fields.pickup The pickup location, or null if not shown.
+ * @param {string | null} fields.dropoff The dropoff location, or null if not shown.
+ * @param {number | null} fields.pickupMinutes The pickup time in minutes after midnight, or null.
+ * @param {number} fields.passengers The passenger count, or NaN if not shown.
+ * @param {number} fields.luggage The luggage count, or NaN if not shown.
+ * @param {number} fields.distanceKm The trip distance in km, or NaN if not shown.
+ * @param {object} criteria The additional criteria, shaped like EMPTY_EXTRA_CRITERIA.
+ * @returns {{name: string, pass: boolean, detail: string}[]} One result per configured criterion.
+ */
+function evaluateExtraCriteria(fields, criteria) {
+    const c = { ...EMPTY_EXTRA_CRITERIA, ...(criteria || {}) };
+    const results = [];
+
+    [['Pickup', fields.pickup, c.pickupInclude, c.pickupExclude],
+     ['Dropoff', fields.dropoff, c.dropoffInclude, c.dropoffExclude]].forEach(([name, value, include, exclude]) => {
+        if (include.length === 0 && exclude.length === 0) return;
+        if (value === null || value === undefined) {
+            results.push({ name, pass: false, detail: 'location not shown' });
+            return;
+        }
+        const match = matchLocation(value, include, exclude);
+        results.push({ name, pass: match.pass, detail: `"${value}" ${match.detail}` });
+    });
+
+    if (c.timeFrom || c.timeTo) {
+        const windowText = `${c.timeFrom || '00:00'}-${c.timeTo || '23:59'}`;
+        if (fields.pickupMinutes === null || fields.pickupMinutes === undefined) {
+            results.push({ name: 'Pickup time', pass: false, detail: `unknown, window ${windowText}` });
+        } else {
+            const time = `${String(Math.floor(fields.pickupMinutes / 60)).padStart(2, '0')}:${String(fields.pickupMinutes % 60).padStart(2, '0')}`;
+            const pass = isTimeInWindow(fields.pickupMinutes, c.timeFrom, c.timeTo);
+            results.push({ name: 'Pickup time', pass, detail: `${time} ${pass ? 'inside' : 'outside'} window ${windowText}` });
+        }
+    }
+
+    [['Passengers', fields.passengers, c.passengersMin, c.passengersMax, false],
+     ['Luggage', fields.luggage, c.luggageMin, c.luggageMax, false],
+     ['Distance', fields.distanceKm, c.distanceMin, c.distanceMax, true]].forEach(([name, value, min, max, optional]) => {
+        if (min === null && max === null) return;
+        const unit = name === 'Distance' ? ' km' : '';
+        if (isNaN(value)) {
+            results.push({ name, pass: optional, detail: optional ? 'not shown, check skipped' : 'not shown' });
+            return;
+        }
+        const shown = name === 'Distance' ? Math.round(value * 10) / 10 : value;
+        results.push({ name, pass: isWithinBounds(value, min, max), detail: `${shown}${unit}, wanted ${describeBounds(min, max)}${unit}` });
+    });
+
+    return results;
+}
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Logic for the dashboard page (dashboard.html). Reads the run
+ * history recorded in IndexedDB by the background script (see
+ * history-store.js) for the chosen period and shows the figures of stats.js
+ * as tables with bars.
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+    // --- Element References ---
+    const periodSelect = document.getElementById('period-select');
+    const refreshButton = document.getElementById('refresh-button');
+    const historyButton = document.getElementById('history-button');
+    const summaryDiv = document.getElementById('summary');
+    const cyclesPanel = document.getElementById('cycles-panel');
+    const funnelPanel = document.getElementById('funnel-panel');
+    const reasonsPanel = document.getElementById('reasons-panel');
+    const failuresPanel = document.getElementById('failures-panel');
+    const payoutDayPanel = document.getElementById('payout-day-panel');
+    const payoutWeekPanel = document.getElementById('payout-week-panel');
+    const payoutClassPanel = document.getElementById('payout-class-panel');
+
+    const formatAmount = (amount) => amount.toFixed(2);
+    const formatRate = (rate) => (rate === null ? '–' : `${Math.round(rate * 100)}%`);
+
+    /**
+     * Converts the period to a start time range: the chosen number of days,
+     * today included, in the browser's local time.
+     * @returns {{from?: number}}
+     */
+    const readPeriod = () => {
+        if (!periodSelect.value) return {};
+        const from = new Date();
+        from.setHours(0, 0, 0, 0);
+        from.setDate(from.getDate() - (parseInt(periodSelect.value, 10) - 1));
+        return { from: from.getTime() };
+    };
+
+    /**
+     * Creates a table cell.
+     * @param {string | number} text The cell text.
+     * @param {string} [className] An optional class.
+     * @returns {HTMLTableCellElement}
+     */
+    const cell = (text, className) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (className) td.className = className;
+        return td;
+    };
+
+    /**
+     * Creates a cell holding a bar as long as the value's share of the largest.
+     * @param {number} value The value.
+     * @param {number} max The largest value of the table.
+     * @param {string} [className] An optional class of the bar.
+     * @returns {HTMLTableCellElement}
+     */
+    const barCell = (value, max, className) => {
+        const td = cell('', 'bar-cell');
+        const bar = document.createElement('div');
+        bar.className = className ? `bar ${className}` : 'bar';
+        bar.style.width = `${max > 0 ? Math.round((value / max) * 100) : 0}%`;
+        td.appendChild(bar);
+        return td;
+    };
+
+    /**
+     * Fills a panel with a table, or with a note when there are no rows.
+     * @param {HTMLElement} panel The panel.
+     * @param {string[]} headers The column headers.
+     * @param {HTMLTableCellElement[][]} rows The cells of each row.
+     */
+    const showTable = (panel, headers, rows) => {
+        panel.innerHTML = '';
+        if (rows.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'empty';
+            empty.textContent = 'Nothing recorded in this period.';
+            panel.appendChild(empty);
+            return;
+        }
+        const table = document.createElement('table');
+        const head = table.createTHead().insertRow();
+        headers.forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            head.appendChild(th);
+        });
+        const body = table.createTBody();
+        rows.forEach(cells => {
+            const row = body.insertRow();
+            cells.forEach(td => row.appendChild(td));
+        });
+        panel.appendChild(table);
+    };
+
+    const showSummary = (stats) => {
+        const cards = [
+            [stats.runs, 'Runs and cycles'],
+            [stats.funnel.seen, 'Bookings seen'],
+            [stats.funnel.accepted, 'Rides accepted'],
+            [formatAmount(stats.payouts.total), 'Accepted payouts'],
+            [formatRate(stats.phase8.rate), 'Phase 8 failure rate'],
+            [formatRate(stats.phase9.rate), 'Phase 9 failure rate']
+        ];
+        summaryDiv.innerHTML = '';
+        cards.forEach(([value, label]) => {
+            const card = document.createElement('div');
+            card.className = 'card';
+            const valueDiv = document.createElement('div');
+            valueDiv.className = 'value';
+            valueDiv.textContent = value;
+            const labelDiv = document.createElement('div');
+            labelDiv.className = 'label';
+            labelDiv.textContent = label;
+            card.appendChild(valueDiv);
+            card.appendChild(labelDiv);
+            summaryDiv.appendChild(card);
+        });
+    };
+
+    /**
+     * Shows a list of payout totals, see sumAcceptedPayouts().
+     * @param {HTMLElement} panel The panel.
+     * @param {string} keyHeader The header of the key column.
+     * @param {{key: string, total: number, count: number}[]} groups The totals.
+     */
+    const showPayouts = (panel, keyHeader, groups) => {
+        const max = Math.max(0, ...groups.map(group => group.total));
+        showTable(panel, [keyHeader, 'Rides', 'Payout', ''], groups.map(group => [
+            cell(group.key),
+            cell(group.count, 'number'),
+            cell(formatAmount(group.total), 'number'),
+            barCell(group.total, max, 'accepted')
+        ]));
+    };
+
+    /**
+     * Reads the runs of the period and redraws every panel.
+     */
+    const showDashboard = () => {
+        getRuns(readPeriod()).then(runs => {
+            const stats = computeDashboardStats(runs);
+            showSummary(stats);
+
+            const maxCycles = Math.max(0, ...stats.cyclesPerDay.map(day => day.total));
+            showTable(cyclesPanel, ['Day', RUN_TRIGGERS.user, RUN_TRIGGERS.refresh, RUN_TRIGGERS.watch, 'Total', ''],
+                stats.cyclesPerDay.map(day => [
+                    cell(day.day),
+                    cell(day.user, 'number'),
+                    cell(day.refresh, 'number'),
+                    cell(day.watch, 'number'),
+                    cell(day.total, 'number'),
+                    barCell(day.total, maxCycles)
+                ]));
+
+            const funnel = [['Seen', stats.funnel.seen, ''], ['Matched', stats.funnel.matched, ''], ['Accepted', stats.funnel.accepted, 'accepted']];
+            showTable(funnelPanel, ['Bookings', 'Count', ''], stats.funnel.seen === 0 ? [] : funnel.map(([label, count, className]) => [
+                cell(label),
+                cell(count, 'number'),
+                barCell(count, stats.funnel.seen, className)
+            ]));
+
+            const maxReasons = Math.max(0, ...stats.rejectionReasons.map(reason => reason.count));
+            showTable(reasonsPanel, ['Reason', 'Bookings', ''], stats.rejectionReasons.map(reason => [
+                cell(reason.reason),
+                cell(reason.count, 'number'),
+                barCell(reason.count, maxReasons, 'rejected')
+            ]));
+
+            const phases = [['Phase 8, vehicle selection', stats.phase8], ['Phase 9, final click', stats.phase9]].filter(([, phase]) => phase.attempts > 0);
+            showTable(failuresPanel, ['Phase', 'Runs', 'Failed', 'Not confirmed', 'Failure rate', ''], phases.map(([label, phase]) => [
+                cell(label),
+                cell(phase.attempts, 'number'),
+                cell(phase.failures, 'number'),
+                cell(phase.unconfirmed, 'number'),
+                cell(formatRate(phase.rate), 'number'),
+                barCell(phase.failures, phase.attempts, 'rejected')
+            ]));
+
+            showPayouts(payoutDayPanel, 'Day', stats.payouts.byDay);
+            showPayouts(payoutWeekPanel, 'Week of', stats.payouts.byWeek);
+            showPayouts(payoutClassPanel, 'Vehicle class', stats.payouts.byClass);
+        }).catch(err => {
+            summaryDiv.textContent = `Could not read the run history: ${err.message}`;
+        });
+    };
+
+    // --- Event Listeners ---
+    periodSelect.addEventListener('change', showDashboard);
+    refreshButton.addEventListener('click', showDashboard);
+    historyButton.addEventListener('click', () => {
+        window.location.href = chrome.runtime.getURL('html/history.html');
+    });
+
+    // --- Initialization ---
+    showDashboard();
+});
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview The fleet schedule: which fleet vehicle was assigned to each
+ * accepted ride, and when it is busy. Phase 8 skips vehicles whose rides
+ * overlap the new one, and Phase 6 rejects a booking when every known vehicle
+ * is busy at its pickup time.
+ *
+ * Vehicles are the options of the new ride page's vehicle dropdown, identified
+ * by their value. The roster of known vehicles is learned from that dropdown
+ * each time Phase 8 runs. Times are wall-clock minutes in the site's time
+ * zone, as read from the booking dates.
+ *
+ * This file is shared. The service worker loads it with importScripts(), the
+ * options page with a script tag, and the background injects it ahead of
+ * content.js. It only uses `var` and function declarations so that injecting
+ * it twice into the same page does not throw.
+ */
+
+/**
+ * The chrome.storage.local key of the schedule,
+ * `{ roster: {text, value}[], commitments: object[] }`.
+ */
+var FLEET_SCHEDULE_KEY = 'fleetSchedule';
+
+/**
+ * The defaults of the fleet settings of the options page.
+ */
+var DEFAULT_FLEET_SETTINGS = Object.freeze({
+    rideDurationMinutes: 60,
+    bufferMinutes: 30
+});
+
+/**
+ * Reads the fleet settings from the saved options, falling back to the defaults.
+ * @param {object} [options] The options saved by the options page.
+ * @returns {{rideDurationMinutes: number, bufferMinutes: number}}
+ */
+function readFleetSettings(options) {
+    const settings = { ...DEFAULT_FLEET_SETTINGS };
+    Object.keys(settings).forEach(key => {
+        const value = Number(options && options[key]);
+        if (options && options[key] !== undefined && options[key] !== null && value >= 0) settings[key] = value;
+    });
+    return settings;
+}
+
+/**
+ * Returns an empty schedule, or completes one read from storage.
+ * @param {object} [schedule] The stored schedule, if any.
+ * @returns {{roster: object[], commitments: object[]}}
+ */
+function normalizeFleetSchedule(schedule) {
+    return {
+        roster: (schedule && Array.isArray(schedule.roster)) ? schedule.roster : [],
+        commitments: (schedule && Array.isArray(schedule.commitments)) ? schedule.commitments : []
+    };
+}
+
+/**
+ * Converts parsed date parts to minutes since the epoch, on the wall clock.
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} parts
+ * @returns {number}
+ */
+function toScheduleMinute(parts) {
+    return Math.floor(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) / 60000);
+}
+
+/**
+ * Reads a date formatted as 'YYYY-MM-DD HH:mm' (formatDateParts) back into
+ * schedule minutes.
+ * @param {string | null} text The formatted date.
+ * @returns {number | null} The minute, or null if the text is not such a date.
+ */
+function parseScheduleMinute(text) {
+    const match = String(text || '').match(/^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2})$/);
+    if (!match) return null;
+    return toScheduleMinute({ year: +match[1], month: +match[2], day: +match[3], hour: +match[4], minute: +match[5] });
+}
+
+/**
+ * Lists the vehicles busy during a ride starting at the given minute: those
+ * with a commitment that overlaps the ride, once both are widened by the buffer.
+ * @param {object} schedule The fleet schedule.
+ * @param {number} pickupMinute The pickup of the new ride, see toScheduleMinute().
+ * @param {{rideDurationMinutes: number, bufferMinutes: number}} settings
+ * @returns {object[]} The overlapping commitments.
+ */
+function findFleetConflicts(schedule, pickupMinute, settings) {
+    const start = pickupMinute - settings.bufferMinutes;
+    const end = pickupMinute + settings.rideDurationMinutes + settings.bufferMinutes;
+    return normalizeFleetSchedule(schedule).commitments.filter(c => c.start < end && start < c.end);
+}
+
+/**
+ * Lists the known vehicles, among the Phase 8 classes, that are free for a
+ * ride starting at the given minute.
+ * @param {object} schedule The fleet schedule.
+ * @param {string[]} vehicleClasses The Phase 8 vehicle classes.
+ * @param {number} pickupMinute The pickup of the new ride.
+ * @param {{rideDurationMinutes: number, bufferMinutes: number}} settings
+ * @returns {{known: object[], free: object[], conflicts: object[]}} The known vehicles of
+ *     those classes, the free ones, and the commitments keeping the others busy.
+ */
+function checkFleetAvailability(schedule, vehicleClasses, pickupMinute, settings) {
+    const classes = (vehicleClasses || []).map(c => c.toLowerCase());
+    const known = normalizeFleetSchedule(schedule).roster
+        .filter(vehicle => classes.some(c => vehicle.text.toLowerCase().includes(c)));
+    const conflicts = findFleetConflicts(schedule, pickupMinute, settings);
+    const busy = conflicts.map(c => c.value);
+    return { known, free: known.filter(vehicle => !busy.includes(vehicle.value)), conflicts };
+}
+
+/**
+ * Adds the vehicles seen in the Phase 8 dropdown to the roster.
+ * @param {object} schedule The fleet schedule.
+ * @param {{text: string, value: string}[]} vehicles The enabled options of the Phase 8 classes.
+ * @returns {object} The updated schedule.
+ */
+function addToFleetRoster(schedule, vehicles) {
+    const updated = normalizeFleetSchedule(schedule);
+    (vehicles || []).forEach(vehicle => {
+        const existing = updated.roster.findIndex(v => v.value === vehicle.value);
+        if (existing >= 0) {
+            updated.roster[existing] = { text: vehicle.text, value: vehicle.value };
+        } else {
+            updated.roster.push({ text: vehicle.text, value: vehicle.value });
+        }
+    });
+    return updated;
+}
+
+/**
+ * Adds the commitment of an accepted ride, and drops the commitments that
+ * ended more than a day before the given minute.
+ * @param {object} schedule The fleet schedule.
+ * @param {{bookingId: string, vehicle: {text: string, value: string}, pickup: string}} ride
+ *     The ride, with its pickup formatted as 'YYYY-MM-DD HH:mm'.
+ * @param {{rideDurationMinutes: number}} settings
+ * @param {number} nowMinute The current time, see toScheduleMinute().
+ * @returns {object} The updated schedule.
+ */
+function addFleetCommitment(schedule, ride, settings, nowMinute) {
+    const updated = normalizeFleetSchedule(schedule);
+    const start = parseScheduleMinute(ride.pickup);
+    updated.commitments = updated.commitments.filter(c => c.end > nowMinute - 24 * 60 && c.bookingId !== ride.bookingId);
+    if (start !== null) {
+        updated.commitments.push({
+            bookingId: ride.bookingId,
+            vehicle: ride.vehicle.text,
+            value: ride.vehicle.value,
+            pickup: ride.pickup,
+            start,
+            end: start + settings.rideDurationMinutes
+        });
+    }
+    return updated;
+}
+
+/**
+ * Describes why a vehicle is busy, e.g. "Lexus es300h - AB-123 (2025-06-15 14:00, 60 min)".
+ * @param {object} commitment The commitment.
+ * @returns {string}
+ */
+function describeFleetCommitment(commitment) {
+    return `${commitment.vehicle} (${commitment.pickup}, ${commitment.end - commitment.start} min)`;
+}
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview IndexedDB store for the structured run history. Every run and
+ * every auto-refresh cycle is one entry holding the config snapshot, each
+ * booking evaluated in Phase 6 with its parsed fields and checks, the outcome
+ * of every phase, the ride details read before Phase 9, and the accepted
+ * ride URL.
+ *
+ * Loaded by the service worker (importScripts), which writes the entries, and
+ * by the history page, which reads and exports them.
+ */
+
+var HISTORY_DB_NAME = 'bookingAutomation';
+var HISTORY_DB_VERSION = 1;
+var RUNS_STORE = 'runs';
+
+// Entries older than this are deleted when a new run is recorded.
+var HISTORY_RETENTION_DAYS = 90;
+
+/**
+ * The possible outcomes of a run, with the label shown on the history page.
+ */
+var RUN_OUTCOMES = {
+    accepted: 'Accepted',
+    rejected_by_site: 'Rejected by the site',
+    unknown: 'Not confirmed by the site',
+    completed: 'Completed without final click',
+    dry_run: 'Dry run',
+    no_match: 'No match',
+    rejected: 'Rejected at approval',
+    failed: 'Failed',
+    aborted: 'Aborted'
+};
+
+/**
+ * What can start a run, with the label shown on the history page.
+ */
+var RUN_TRIGGERS = {
+    user: 'User',
+    refresh: 'Auto-refresh',
+    watch: 'List watcher'
+};
+
+var historyDbPromise = null;
+
+/**
+ * Opens the history database, creating it on first use.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openHistoryDb() {
+    if (!historyDbPromise) {
+        historyDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(RUNS_STORE, { keyPath: 'id' });
+                store.createIndex('startedAt', 'startedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                historyDbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return historyDbPromise;
+}
+
+/**
+ * Runs one request in a transaction on the runs store.
+ * @param {IDBTransactionMode} mode 'readonly' or 'readwrite'.
+ * @param {(store: IDBObjectStore) => IDBRequest | void} operation Issues the request(s).
+ * @returns {Promise<*>} The result of the request returned by `operation`, once the transaction completes.
+ */
+function withRunsStore(mode, operation) {
+    return openHistoryDb().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(RUNS_STORE, mode);
+        const request = operation(transaction.objectStore(RUNS_STORE));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    }));
+}
+
+/**
+ * Generates a unique run ID. IDs are created by the caller, rather than by the
+ * store, so that updates can be queued before the insert has completed.
+ * @returns {string}
+ */
+function createRunId() {
+    return `run-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Inserts a new run entry.
+ * @param {object} run The entry; must carry an `id` and a `startedAt` timestamp.
+ * @returns {Promise<void>}
+ */
+function addRun(run) {
+    return withRunsStore('readwrite', store => store.add(run));
+}
+
+/**
+ * Applies a change to a stored run entry.
+ * @param {string} id The run ID.
+ * @param {(run: object) => void} mutate Modifies the entry in place.
+ * @returns {Promise<void>}
+ */
+function updateRun(id, mutate) {
+    return withRunsStore('readwrite', store => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+            if (!request.result) return;
+            mutate(request.result);
+            store.put(request.result);
+        };
+    });
+}
+
+/**
+ * Reads the runs started within a time range, newest first.
+ * @param {object} [range={}] The range.
+ * @param {number} [range.from] The earliest start time, in ms since the epoch.
+ * @param {number} [range.to] The latest start time, in ms since the epoch.
+ * @returns {Promise<object[]>}
+ */
+function getRuns(range = {}) {
+    const from = range.from !== undefined ? range.from : 0;
+    const to = range.to !== undefined ? range.to : Number.MAX_SAFE_INTEGER;
+    return withRunsStore('readonly', store => store.index('startedAt').getAll(IDBKeyRange.bound(from, to)))
+        .then(runs => runs.reverse());
+}
+
+/**
+ * Deletes runs started before a given time.
+ * @param {number} before The cut-off, in ms since the epoch.
+ * @returns {Promise<void>}
+ */
+function deleteRunsBefore(before) {
+    return withRunsStore('readwrite', store => {
+        store.index('startedAt').openCursor(IDBKeyRange.upperBound(before, true)).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+    });
+}
+
+/**
+ * Deletes every run.
+ * @returns {Promise<void>}
+ */
+function clearRuns() {
+    return withRunsStore('readwrite', store => store.clear());
+}
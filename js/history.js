@@ -0,0 +1,329 @@
+/**
+ * @fileoverview Logic for the run history page (history.html). Lists the runs
+ * recorded in IndexedDB by the background script (see history-store.js), with
+ * date, outcome and trigger filters, and exports them as CSV or JSON, and the
+ * accepted rides as an iCalendar file (see ical.js).
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+    // --- Element References ---
+    const fromDate = document.getElementById('from-date');
+    const toDate = document.getElementById('to-date');
+    const outcomeFilter = document.getElementById('outcome-filter');
+    const triggerFilter = document.getElementById('trigger-filter');
+    const exportCsvButton = document.getElementById('export-csv-button');
+    const exportJsonButton = document.getElementById('export-json-button');
+    const exportIcsButton = document.getElementById('export-ics-button');
+    const clearButton = document.getElementById('clear-button');
+    const summaryDiv = document.getElementById('summary');
+    const runsBody = document.getElementById('runs-body');
+
+    // The runs matching the current filters, as last shown.
+    let shownRuns = [];
+
+    Object.entries(RUN_OUTCOMES).forEach(([value, label]) => {
+        outcomeFilter.add(new Option(label, value));
+    });
+    Object.entries(RUN_TRIGGERS).forEach(([value, label]) => {
+        triggerFilter.add(new Option(label, value));
+    });
+
+    /**
+     * Converts the date inputs to a start time range. Both dates are inclusive
+     * and in the browser's local time.
+     * @returns {{from?: number, to?: number}}
+     */
+    const readDateRange = () => {
+        const range = {};
+        if (fromDate.value) range.from = new Date(`${fromDate.value}T00:00:00`).getTime();
+        if (toDate.value) range.to = new Date(`${toDate.value}T23:59:59.999`).getTime();
+        return range;
+    };
+
+    /**
+     * Creates a table cell.
+     * @param {string} text The cell text.
+     * @param {string} [className] An optional class.
+     * @returns {HTMLTableCellElement}
+     */
+    const cell = (text, className) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (className) td.className = className;
+        return td;
+    };
+
+    /**
+     * Creates a link cell, or an empty cell if there is no URL.
+     * @param {string | null} url The URL.
+     * @returns {HTMLTableCellElement}
+     */
+    const linkCell = (url) => {
+        const td = document.createElement('td');
+        if (url) {
+            const link = document.createElement('a');
+            link.href = url;
+            link.target = '_blank';
+            link.textContent = url;
+            td.appendChild(link);
+        }
+        return td;
+    };
+
+    /**
+     * Creates a small table for the details row.
+     * @param {string[]} headers The column headers.
+     * @param {(Node | string)[][]} rows The cells of each row.
+     * @returns {HTMLTableElement}
+     */
+    const detailsTable = (headers, rows) => {
+        const table = document.createElement('table');
+        const headRow = table.createTHead().insertRow();
+        headers.forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            headRow.appendChild(th);
+        });
+        const body = table.createTBody();
+        rows.forEach(cells => {
+            const tr = body.insertRow();
+            cells.forEach(content => tr.appendChild(typeof content === 'string' ? cell(content) : content));
+        });
+        return table;
+    };
+
+    /**
+     * Builds the expanded view of a run: its phases, and every booking
+     * evaluated in Phase 6 with the result of each check.
+     * @param {object} run The run entry.
+     * @returns {HTMLElement}
+     */
+    const renderRunDetails = (run) => {
+        const container = document.createElement('div');
+        container.className = 'details';
+
+        const phasesTitle = document.createElement('h4');
+        phasesTitle.textContent = 'Phases';
+        container.appendChild(phasesTitle);
+        container.appendChild(detailsTable(['Time', 'Phase', 'Status', 'Message'], run.phases.map(phase => [
+            new Date(phase.at).toLocaleTimeString(),
+            phase.phase,
+            cell(phase.status, { success: 'pass', failed: 'fail' }[phase.status] || ''),
+            phase.message
+        ])));
+
+        if (run.rideDetails) {
+            const details = run.rideDetails;
+            const rideTitle = document.createElement('h4');
+            rideTitle.textContent = 'Ride';
+            container.appendChild(rideTitle);
+            container.appendChild(detailsTable(['Date', 'Pickup', 'Drop-off', 'Passenger', 'Flight', 'Payout', 'Vehicle'], [[
+                details.date || details.dateText || '',
+                details.pickup || '',
+                details.dropoff || '',
+                details.passenger || '',
+                details.flight || '',
+                details.payoutText || '',
+                details.vehicle || ''
+            ]]));
+        }
+
+        const bookingsTitle = document.createElement('h4');
+        bookingsTitle.textContent = `Bookings (${run.bookings.length})`;
+        container.appendChild(bookingsTitle);
+        container.appendChild(detailsTable(['#', 'Date', 'Vehicle', 'Payout', 'Result', 'Checks'], run.bookings.map(booking => {
+            const checks = document.createElement('td');
+            booking.checks.forEach(check => {
+                const line = document.createElement('div');
+                line.className = check.pass ? 'pass' : 'fail';
+                line.textContent = `${check.name}: ${check.detail}`;
+                checks.appendChild(line);
+            });
+            return [
+                String(booking.index),
+                booking.dateText || '',
+                booking.vehicle || '',
+                booking.payoutText || '',
+                cell(describeBookingResult(run, booking), booking.matched ? 'pass' : ''),
+                checks
+            ];
+        })));
+
+        const configTitle = document.createElement('h4');
+        configTitle.textContent = 'Config';
+        container.appendChild(configTitle);
+        const config = document.createElement('pre');
+        config.textContent = JSON.stringify(run.config, null, 2);
+        container.appendChild(config);
+
+        return container;
+    };
+
+    /**
+     * Renders the runs, one row each. Clicking a row toggles its details.
+     * @param {object[]} runs The runs to show, newest first.
+     */
+    const renderRuns = (runs) => {
+        runsBody.textContent = '';
+        runs.forEach(run => {
+            const row = document.createElement('tr');
+            row.className = 'run';
+            row.appendChild(cell(new Date(run.startedAt).toLocaleString()));
+            row.appendChild(cell(RUN_TRIGGERS[run.trigger] || run.trigger));
+            row.appendChild(cell(String(run.bookings.length)));
+            row.appendChild(cell(String(run.bookings.filter(b => b.matched).length)));
+            row.appendChild(cell(run.outcome ? RUN_OUTCOMES[run.outcome] || run.outcome : 'In progress', `outcome-${run.outcome}`));
+            row.appendChild(cell(run.reason || ''));
+            row.appendChild(linkCell(run.acceptedUrl));
+
+            let detailsRow = null;
+            row.addEventListener('click', (event) => {
+                if (event.target.tagName === 'A') return;
+                if (detailsRow) {
+                    detailsRow.remove();
+                    detailsRow = null;
+                    return;
+                }
+                detailsRow = document.createElement('tr');
+                detailsRow.className = 'details';
+                const td = document.createElement('td');
+                td.colSpan = 7;
+                td.appendChild(renderRunDetails(run));
+                detailsRow.appendChild(td);
+                row.after(detailsRow);
+            });
+            runsBody.appendChild(row);
+        });
+    };
+
+    /**
+     * Reads the runs matching the filters and shows them.
+     */
+    const loadRuns = () => {
+        getRuns(readDateRange()).then(runs => {
+            shownRuns = runs.filter(run =>
+                (!outcomeFilter.value || run.outcome === outcomeFilter.value) &&
+                (!triggerFilter.value || run.trigger === triggerFilter.value));
+            const accepted = shownRuns.filter(run => run.outcome === 'accepted').length;
+            summaryDiv.textContent = `${shownRuns.length} run(s), ${accepted} accepted. Click a run for details.`;
+            renderRuns(shownRuns);
+        }).catch(err => {
+            summaryDiv.textContent = `Failed to read the run history: ${err.message}`;
+        });
+    };
+
+    /**
+     * Downloads text as a file.
+     * @param {string} text The file content.
+     * @param {string} type The MIME type.
+     * @param {string} fileName The suggested file name.
+     */
+    const download = (text, type, fileName) => {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    /**
+     * Downloads the shown runs as CSV, one row per evaluated booking. Runs that
+     * did not evaluate any booking get a single row with the booking columns empty.
+     */
+    const exportCsv = () => {
+        const header = ['run_id', 'started_at', 'trigger', 'outcome', 'reason', 'accepted_url',
+            'booking_index', 'booking_date', 'vehicle', 'payout', 'min_payout', 'result', 'failed_checks', 'booking_url'];
+        const rows = [header];
+        shownRuns.forEach(run => {
+            const runColumns = [run.id, new Date(run.startedAt).toISOString(), run.trigger, run.outcome || '', run.reason || '', run.acceptedUrl || ''];
+            if (run.bookings.length === 0) {
+                rows.push([...runColumns, '', '', '', '', '', '', '', '']);
+                return;
+            }
+            run.bookings.forEach(booking => {
+                rows.push([...runColumns,
+                    booking.index,
+                    booking.dateText || '',
+                    booking.vehicle || '',
+                    booking.payout === null || booking.payout === undefined ? '' : booking.payout,
+                    booking.minPayout === null || booking.minPayout === undefined ? '' : booking.minPayout,
+                    describeBookingResult(run, booking),
+                    booking.checks.filter(check => !check.pass).map(check => `${check.name}: ${check.detail}`).join('; '),
+                    booking.url || ''
+                ]);
+            });
+        });
+        download(rows.map(row => row.map(toCsvField).join(',')).join('\r\n'), 'text/csv', `run-history-${fileDate()}.csv`);
+    };
+
+    /**
+     * Downloads the shown runs as JSON, exactly as stored.
+     */
+    const exportJson = () => {
+        download(JSON.stringify(shownRuns, null, 2), 'application/json', `run-history-${fileDate()}.json`);
+    };
+
+    /**
+     * Downloads the accepted rides among the shown runs as calendar events,
+     * with the ride duration and time zone of the options.
+     */
+    const exportIcs = () => {
+        chrome.storage.sync.get('options', (data) => {
+            const calendar = buildAcceptedRidesCalendar(shownRuns, {
+                durationMinutes: readFleetSettings(data.options).rideDurationMinutes,
+                timeZone: readBookingFormats(data.options).timeZone
+            });
+            if (calendar.count === 0) {
+                summaryDiv.textContent = 'No accepted ride with a known date among the shown runs.';
+                return;
+            }
+            download(calendar.text, 'text/calendar', `accepted-rides-${fileDate()}.ics`);
+            if (calendar.skipped) {
+                summaryDiv.textContent = `Exported ${calendar.count} ride(s); ${calendar.skipped} without a known date left out.`;
+            }
+        });
+    };
+
+    // --- Event Listeners ---
+    [fromDate, toDate, outcomeFilter, triggerFilter].forEach(input => input.addEventListener('change', loadRuns));
+    exportCsvButton.addEventListener('click', exportCsv);
+    exportJsonButton.addEventListener('click', exportJson);
+    exportIcsButton.addEventListener('click', exportIcs);
+    clearButton.addEventListener('click', () => {
+        if (!confirm('Delete the whole run history?')) return;
+        clearRuns().then(loadRuns);
+    });
+
+    loadRuns();
+});
+
+/**
+ * Summarises what happened to a booking in a run.
+ * @param {object} run The run entry.
+ * @param {object} booking One of its evaluated bookings.
+ * @returns {string}
+ */
+function describeBookingResult(run, booking) {
+    if (booking.skipped) return `Skipped (${booking.skipped})`;
+    if (!booking.matched) return 'Rejected';
+    return run.selectedIndex === booking.index ? 'Matched, selected' : 'Matched';
+}
+
+/**
+ * Quotes a value for CSV when it contains a comma, quote or line break.
+ * @param {*} value The value.
+ * @returns {string}
+ */
+function toCsvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Today's date for export file names, e.g. "2024-05-01".
+ * @returns {string}
+ */
+function fileDate() {
+    return new Date().toISOString().slice(0, 10);
+}
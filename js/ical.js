@@ -0,0 +1,168 @@
+/**
+ * @fileoverview iCalendar (RFC 5545) export of the accepted rides, one event
+ * per ride, built from the run history. The ride details read from the new
+ * ride page before Phase 9 give the event its time, addresses and payout;
+ * runs recorded before they were captured fall back to the booking's date.
+ *
+ * Loaded by the history page, after parsers.js and fleet.js.
+ */
+
+var ICAL_PRODUCT_ID = '-//Booking Automation//Accepted Rides//EN';
+
+/**
+ * Escapes a text value: backslashes, semicolons, commas and line breaks.
+ * @param {*} value The value.
+ * @returns {string}
+ */
+function escapeIcalText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line so that no line is longer than 75 octets, as the
+ * standard requires. Continuation lines start with a space. Characters are
+ * never split, so multi-byte text stays valid UTF-8.
+ * @param {string} line The unfolded line.
+ * @returns {string}
+ */
+function foldIcalLine(line) {
+    const octets = (char) => {
+        const code = char.codePointAt(0);
+        if (code < 0x80) return 1;
+        if (code < 0x800) return 2;
+        return code < 0x10000 ? 3 : 4;
+    };
+    const lines = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        // The leading space of a continuation line counts too.
+        const limit = lines.length === 0 ? 75 : 74;
+        if (size + octets(char) > limit) {
+            lines.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += octets(char);
+    }
+    lines.push(current);
+    return lines.join('\r\n ');
+}
+
+/**
+ * Formats date parts as an iCalendar date-time, e.g. "20250615T140000".
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} parts
+ * @returns {string}
+ */
+function formatIcalDateTime(parts) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${parts.year}${pad(parts.month)}${pad(parts.day)}T${pad(parts.hour)}${pad(parts.minute)}00`;
+}
+
+/**
+ * Converts schedule minutes (fleet.js) to an iCalendar date-time. With a time
+ * zone, the wall-clock time of that zone is converted to UTC; without one it
+ * is written as floating time, i.e. in the time zone of whoever opens it.
+ * @param {number} minute Wall-clock minutes, see toScheduleMinute().
+ * @param {string} timeZone The site's IANA time zone; empty for the browser's own.
+ * @returns {string}
+ */
+function icalDateTimeFromMinute(minute, timeZone) {
+    const wallClock = minute * 60000;
+    if (!timeZone) {
+        return formatIcalDateTime(toZonedParts(new Date(wallClock), 'UTC'));
+    }
+    // The zone's offset at the guessed instant, applied twice to settle on the
+    // right side of a daylight saving change.
+    let instant = wallClock;
+    for (let i = 0; i < 2; i++) {
+        const shown = toScheduleMinute(toZonedParts(new Date(instant), timeZone)) * 60000;
+        instant += wallClock - shown;
+    }
+    return `${formatIcalDateTime(toZonedParts(new Date(instant), 'UTC'))}Z`;
+}
+
+/**
+ * Finds when an accepted ride starts: the date read from the ride page, or
+ * else the date of the booking selected in Phase 6.
+ * @param {object} run A run entry of the history.
+ * @returns {number | null} Schedule minutes, or null when no date is known.
+ */
+function findRideStartMinute(run) {
+    const details = run.rideDetails || {};
+    const booking = (run.bookings || []).find(b => b.index === run.selectedIndex);
+    const fromPage = parseScheduleMinute(details.date);
+    return fromPage !== null ? fromPage : parseScheduleMinute(booking ? booking.date : null);
+}
+
+/**
+ * Builds the VEVENT lines of one accepted ride.
+ * @param {object} run The run entry.
+ * @param {number} startMinute See findRideStartMinute().
+ * @param {{durationMinutes: number, timeZone: string, stamp: string}} settings
+ * @returns {string[]}
+ */
+function buildRideEvent(run, startMinute, settings) {
+    const details = run.rideDetails || {};
+    const route = [details.pickup, details.dropoff].filter(Boolean).join(' → ');
+    const description = [
+        details.pickup && `Pickup: ${details.pickup}`,
+        details.dropoff && `Drop-off: ${details.dropoff}`,
+        details.passenger && `Passenger: ${details.passenger}`,
+        details.flight && `Flight: ${details.flight}`,
+        details.payoutText && `Payout: ${details.payoutText}`,
+        details.vehicle && `Vehicle: ${details.vehicle}`,
+        run.acceptedUrl && `Booking: ${run.acceptedUrl}`
+    ].filter(Boolean);
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${run.id}@booking-automation`,
+        `DTSTAMP:${settings.stamp}`,
+        `DTSTART:${icalDateTimeFromMinute(startMinute, settings.timeZone)}`,
+        `DTEND:${icalDateTimeFromMinute(startMinute + settings.durationMinutes, settings.timeZone)}`,
+        `SUMMARY:${escapeIcalText(route ? `Ride: ${route}` : 'Accepted ride')}`
+    ];
+    if (details.pickup) lines.push(`LOCATION:${escapeIcalText(details.pickup)}`);
+    if (description.length) lines.push(`DESCRIPTION:${escapeIcalText(description.join('\n'))}`);
+    if (run.acceptedUrl) lines.push(`URL:${run.acceptedUrl}`);
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Builds a calendar of the accepted rides among the given runs. Runs that
+ * were not accepted, or whose ride date is unknown, are left out.
+ * @param {object[]} runs Run entries of the history.
+ * @param {object} [settings]
+ * @param {number} [settings.durationMinutes] Length of each event; the fleet ride duration by default.
+ * @param {string} [settings.timeZone=''] The site's time zone, see readBookingFormats().
+ * @param {number} [settings.now=Date.now()] The export time, for DTSTAMP.
+ * @returns {{text: string, count: number, skipped: number}} The calendar, the number
+ *     of events in it, and the number of accepted rides left out for lack of a date.
+ */
+function buildAcceptedRidesCalendar(runs, settings = {}) {
+    const durationMinutes = settings.durationMinutes !== undefined ? settings.durationMinutes : DEFAULT_FLEET_SETTINGS.rideDurationMinutes;
+    const timeZone = settings.timeZone || '';
+    const stamp = `${formatIcalDateTime(toZonedParts(new Date(settings.now || Date.now()), 'UTC'))}Z`;
+
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICAL_PRODUCT_ID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+    let count = 0;
+    let skipped = 0;
+    runs.filter(run => run.outcome === 'accepted').forEach(run => {
+        const startMinute = findRideStartMinute(run);
+        if (startMinute === null) {
+            skipped++;
+            return;
+        }
+        lines.push(...buildRideEvent(run, startMinute, { durationMinutes, timeZone, stamp }));
+        count++;
+    });
+    lines.push('END:VCALENDAR');
+    return { text: lines.map(foldIcalLine).join('\r\n') + '\r\n', count, skipped };
+}
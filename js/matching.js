@@ -0,0 +1,74 @@
+/**
+ * @fileoverview The core Phase 6 rules: whether a booking's date, vehicle class
+ * and payout match what the user asked for. Kept apart from content.js so they
+ * can be tested without a page.
+ *
+ * Injected ahead of content.js. Like the other shared scripts it only uses
+ * `var` and function declarations.
+ */
+
+/**
+ * Checks whether a parsed booking date falls within the requested range.
+ * Only calendar days are compared; the time of day is ignored.
+ * @param {{year: number, month: number, day: number}} actualDate The parsed booking date.
+ * @param {string} startDateStr The start date, as 'YYYY-MM-DD'.
+ * @param {string} [endDateStr] The end date, as 'YYYY-MM-DD'. Without it, only the start date matches.
+ * @param {number} [toleranceDays=0] Days the range is widened by on each side.
+ * @returns {boolean}
+ */
+function isDateInRange(actualDate, startDateStr, endDateStr, toleranceDays = 0) {
+    const startDate = parseInputDate(startDateStr);
+    if (!startDate) return false;
+
+    // If no end date, the range is the start date alone.
+    const endDate = endDateStr ? parseInputDate(endDateStr) : startDate;
+    if (!endDate) return false;
+
+    const actualDay = toDayNumber(actualDate);
+    return actualDay >= toDayNumber(startDate) - toleranceDays && actualDay <= toDayNumber(endDate) + toleranceDays;
+}
+
+/**
+ * Measures how far a parsed booking date falls outside the requested range,
+ * widened by the tolerance as in isDateInRange().
+ * @param {{year: number, month: number, day: number}} actualDate The parsed booking date.
+ * @param {string} startDateStr The start date, as 'YYYY-MM-DD'.
+ * @param {string} [endDateStr] The end date, as 'YYYY-MM-DD'. Without it, the range is the start date alone.
+ * @param {number} [toleranceDays=0] Days the range is widened by on each side.
+ * @returns {number | null} The days before or after the range, 0 within it,
+ *     or null when the range cannot be read.
+ */
+function daysOutsideRange(actualDate, startDateStr, endDateStr, toleranceDays = 0) {
+    const startDate = parseInputDate(startDateStr);
+    const endDate = endDateStr ? parseInputDate(endDateStr) : startDate;
+    if (!startDate || !endDate) return null;
+
+    const actualDay = toDayNumber(actualDate);
+    const first = toDayNumber(startDate) - toleranceDays;
+    const last = toDayNumber(endDate) + toleranceDays;
+    if (actualDay < first) return first - actualDay;
+    return actualDay > last ? actualDay - last : 0;
+}
+
+/**
+ * Finds the vehicle class the user asked for that a booking's class matches.
+ * The comparison ignores case and surrounding whitespace.
+ * @param {string} actualVehicle The vehicle class shown on the page.
+ * @param {string[]} vehicleClasses The classes the user asked for.
+ * @returns {string | undefined} The class as the user wrote it, which keys the
+ *     minimum payouts, or undefined if there is no match.
+ */
+function findVehicleClass(actualVehicle, vehicleClasses) {
+    const wanted = actualVehicle.trim().toLowerCase();
+    return vehicleClasses.find(vc => vc.toLowerCase() === wanted);
+}
+
+/**
+ * Checks a booking's payout against the user's minimum for its class.
+ * @param {number} payout The parsed payout, NaN if it could not be read.
+ * @param {number} [minPayout] The minimum payout. A missing minimum never matches.
+ * @returns {boolean}
+ */
+function isPayoutAcceptable(payout, minPayout) {
+    return !isNaN(payout) && payout >= minPayout;
+}
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview The near-miss report of the popup: the bookings of the latest
+ * Phase 6 cycle, and which of them only just failed. A booking is a near miss
+ * when the checks it failed are the Date and Payout checks alone, each within
+ * the margin the user set: days outside the date range, and the amount under
+ * the minimum payout. The distances are recorded by the content script in the
+ * `miss` field of those checks, and the latest cycle of each session is kept
+ * by the background as the `cycleReport` of its summary (automationSessions
+ * in chrome.storage.local).
+ *
+ * Loaded by the popup. It only uses `var` and function declarations, like
+ * the shared scripts.
+ */
+
+/**
+ * The margins used until the user sets their own in the popup.
+ */
+var NEAR_MISS_DEFAULTS = { payout: 5, days: 1 };
+
+/**
+ * Reads the near-miss margins from the popup settings.
+ * @param {object} [settings] The popup settings, with `nearMissPayout` and
+ *     `nearMissDays` as typed. Blank or negative values use the defaults.
+ * @returns {{payout: number, days: number}}
+ */
+function readNearMissMargins(settings) {
+    const read = (value, fallback) => {
+        const number = parseFloat(value);
+        return number >= 0 ? number : fallback;
+    };
+    return {
+        payout: read(settings && settings.nearMissPayout, NEAR_MISS_DEFAULTS.payout),
+        days: read(settings && settings.nearMissDays, NEAR_MISS_DEFAULTS.days)
+    };
+}
+
+/**
+ * Tells whether a booking only just failed, and by how much.
+ * @param {object} booking A booking evaluated in Phase 6.
+ * @param {{payout: number, days: number}} margins The margins, see readNearMissMargins().
+ * @returns {string[] | null} What the booking missed by, one entry per failed
+ *     check, e.g. "3.00 under the minimum"; null when it is not a near miss.
+ */
+function findNearMiss(booking, margins) {
+    if (booking.matched || booking.skipped) return null;
+    const failed = (booking.checks || []).filter(check => !check.pass);
+    if (failed.length === 0) return null;
+
+    const reasons = [];
+    for (const check of failed) {
+        if (typeof check.miss !== 'number') return null;
+        if (check.name === 'Date' && check.miss <= margins.days) {
+            reasons.push(`${check.miss} day(s) outside the dates`);
+        } else if (check.name === 'Payout' && check.miss <= margins.payout) {
+            reasons.push(`${check.miss.toFixed(2)} under the minimum`);
+        } else {
+            return null;
+        }
+    }
+    return reasons;
+}
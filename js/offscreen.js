@@ -0,0 +1,10 @@
+/**
+ * @fileoverview The offscreen document (offscreen.html) created by the service
+ * worker to play the alert chimes, as a service worker cannot play audio.
+ */
+
+chrome.runtime.onMessage.addListener((message) => {
+    if (message.target !== 'offscreen' || message.action !== 'playChime') return;
+    const audio = new Audio(chrome.runtime.getURL(message.file));
+    audio.play().catch(err => console.error(`Could not play ${message.file}: ${err.message}`));
+});
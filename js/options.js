@@ -1,6 +1,8 @@
 /**
  * @fileoverview Logic for the extension's options page (options.html).
- * Handles saving and loading of persistent settings.
+ * Handles saving and loading of persistent settings, including the site profile
+ * defined in site-profile.js, the alert settings of alert-settings.js and the
+ * webhooks of webhooks.js.
  */
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -8,39 +10,588 @@ document.addEventListener('DOMContentLoaded', () => {
     const allowListedDomain = document.getElementById('allow-listed-domain');
     const defaultTolerance = document.getElementById('default-tolerance');
     const defaultVehicleClass = document.getElementById('default-vehicle-class');
+    const dateFormat = document.getElementById('date-format');
+    const decimalSeparator = document.getElementById('decimal-separator');
+    const timeZone = document.getElementById('time-zone');
+    const ledgerExpiryHours = document.getElementById('ledger-expiry-hours');
+    const clearLedgerButton = document.getElementById('clear-ledger-button');
+    const ledgerCount = document.getElementById('ledger-count');
+    const rideDurationMinutes = document.getElementById('ride-duration-minutes');
+    const bufferMinutes = document.getElementById('buffer-minutes');
+    // The inputs of the phase timeouts, by option key.
+    const phaseTimeoutInputs = {
+        bookingListSeconds: document.getElementById('booking-list-seconds'),
+        vehicleSelectSeconds: document.getElementById('vehicle-select-seconds'),
+        acceptButtonSeconds: document.getElementById('accept-button-seconds'),
+        acceptVerifySeconds: document.getElementById('accept-verify-seconds')
+    };
+    // The inputs of the auto-refresh schedule, by option key.
+    const refreshScheduleInputs = {
+        refreshMinSeconds: document.getElementById('refresh-min-seconds'),
+        refreshMaxSeconds: document.getElementById('refresh-max-seconds'),
+        refreshActiveHours: document.getElementById('refresh-active-hours'),
+        refreshMaxCycles: document.getElementById('refresh-max-cycles'),
+        refreshMaxMinutes: document.getElementById('refresh-max-minutes')
+    };
+    const fleetCommitments = document.getElementById('fleet-commitments');
+    const clearFleetButton = document.getElementById('clear-fleet-button');
     const saveButton = document.getElementById('save-button');
     const resetButton = document.getElementById('reset-button');
     const statusDiv = document.getElementById('status');
+    const siteProfileFields = document.getElementById('site-profile-fields');
+    const exportProfileButton = document.getElementById('export-profile-button');
+    const importProfileButton = document.getElementById('import-profile-button');
+    const importProfileFile = document.getElementById('import-profile-file');
+    const defaultProfileButton = document.getElementById('default-profile-button');
+    const bookingClassesInput = document.getElementById('booking-classes');
+    const fleetVehiclesInput = document.getElementById('fleet-vehicles');
+    const classFleetGrid = document.getElementById('class-fleet-grid');
+    const defaultCatalogueButton = document.getElementById('default-catalogue-button');
+    const alertEventFields = document.getElementById('alert-event-fields');
+    const defaultAlertsButton = document.getElementById('default-alerts-button');
+    const shortcutList = document.getElementById('shortcut-list');
+    const changeShortcutsButton = document.getElementById('change-shortcuts-button');
+    const webhookList = document.getElementById('webhook-list');
+    const addWebhookButton = document.getElementById('add-webhook-button');
+    // Numbers the webhook entries, for the IDs their labels point to.
+    let webhookEntryCount = 0;
+
+    /**
+     * Shows a status message below the buttons.
+     * @param {string} text The message to show.
+     * @param {boolean} [isError=false] Errors stay visible until the next message.
+     */
+    const showStatus = (text, isError = false) => {
+        statusDiv.textContent = text;
+        statusDiv.className = isError ? 'error' : '';
+        if (!isError) {
+            setTimeout(() => {
+                if (statusDiv.textContent === text) statusDiv.textContent = '';
+            }, 1500);
+        }
+    };
+
+    /**
+     * Creates one text input per site profile field.
+     */
+    const renderSiteProfileFields = () => {
+        SITE_PROFILE_FIELDS.forEach(field => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            const label = document.createElement('label');
+            label.htmlFor = `profile-${field.key}`;
+            label.textContent = `${field.label}:`;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = `profile-${field.key}`;
+            input.placeholder = DEFAULT_SITE_PROFILE[field.key];
+
+            group.appendChild(label);
+            group.appendChild(input);
+            siteProfileFields.appendChild(group);
+        });
+    };
+
+    const fillSiteProfileForm = (profile) => {
+        SITE_PROFILE_FIELDS.forEach(field => {
+            document.getElementById(`profile-${field.key}`).value = profile[field.key] || '';
+        });
+    };
+
+    const readSiteProfileForm = () => {
+        const profile = {};
+        SITE_PROFILE_FIELDS.forEach(field => {
+            profile[field.key] = document.getElementById(`profile-${field.key}`).value.trim();
+        });
+        return profile;
+    };
+
+    /**
+     * Creates the settings of each alert event: notification and speech
+     * toggles, phrase, voice, rate, chime and a Test button.
+     */
+    const renderAlertEventFields = () => {
+        Object.entries(ALERT_EVENTS).forEach(([event, definition]) => {
+            const group = document.createElement('fieldset');
+            group.className = 'alert-event';
+            const legend = document.createElement('legend');
+            legend.textContent = definition.label;
+            group.appendChild(legend);
+
+            const toggles = document.createElement('div');
+            toggles.className = 'form-group toggles';
+            [['notify', 'Notification'], ['speak', 'Speak']].forEach(([key, text]) => {
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.id = `alert-${event}-${key}`;
+                const label = document.createElement('label');
+                label.htmlFor = checkbox.id;
+                label.textContent = text;
+                toggles.appendChild(checkbox);
+                toggles.appendChild(label);
+            });
+            group.appendChild(toggles);
+
+            const phrase = document.createElement('input');
+            phrase.type = 'text';
+            phrase.placeholder = definition.placeholders.map(name => `{${name}}`).join(' ');
+            const voice = document.createElement('select');
+            voice.add(new Option('Default voice', ''));
+            const rate = document.createElement('input');
+            rate.type = 'number';
+            rate.min = '0.1';
+            rate.max = '10';
+            rate.step = '0.1';
+            const chime = document.createElement('select');
+            chime.add(new Option('None', ''));
+            Object.entries(ALERT_CHIMES).forEach(([name, sound]) => chime.add(new Option(sound.label, name)));
+            [['phrase', 'Phrase', phrase], ['voice', 'Voice', voice], ['rate', 'Speech Rate', rate], ['chime', 'Chime', chime]].forEach(([key, text, input]) => {
+                const field = document.createElement('div');
+                field.className = 'form-group';
+                input.id = `alert-${event}-${key}`;
+                const label = document.createElement('label');
+                label.htmlFor = input.id;
+                label.textContent = `${text}:`;
+                field.appendChild(label);
+                field.appendChild(input);
+                group.appendChild(field);
+            });
+
+            const testButton = document.createElement('button');
+            testButton.type = 'button';
+            testButton.textContent = 'Test';
+            testButton.addEventListener('click', () => {
+                chrome.runtime.sendMessage({ action: 'testAlert', event, settings: readAlertEventForm(event) });
+            });
+            group.appendChild(testButton);
+            alertEventFields.appendChild(group);
+        });
+    };
 
     /**
-     * Saves the options to chrome.storage.sync.
+     * Selects a voice, adding it to the list when the browser did not report it
+     * (yet), so that a saved voice is kept.
+     * @param {HTMLSelectElement} select The voice list of an event.
+     * @param {string} voice The voice name, or '' for the default voice.
+     */
+    const selectVoice = (select, voice) => {
+        if (![...select.options].some(option => option.value === voice)) {
+            select.add(new Option(voice, voice));
+        }
+        select.value = voice;
+    };
+
+    /**
+     * Lists the voices of the browser in the voice list of every event.
+     */
+    const loadVoices = () => {
+        chrome.tts.getVoices((voices) => {
+            const names = [...new Set((voices || []).map(voice => voice.voiceName).filter(Boolean))];
+            alertEventFields.querySelectorAll('select[id$="-voice"]').forEach(select => {
+                const selected = select.value;
+                names.forEach(name => {
+                    if (![...select.options].some(option => option.value === name)) select.add(new Option(name, name));
+                });
+                select.value = selected;
+            });
+        });
+    };
+
+    const readAlertEventForm = (event) => ({
+        notify: document.getElementById(`alert-${event}-notify`).checked,
+        speak: document.getElementById(`alert-${event}-speak`).checked,
+        phrase: document.getElementById(`alert-${event}-phrase`).value.trim(),
+        voice: document.getElementById(`alert-${event}-voice`).value,
+        rate: parseFloat(document.getElementById(`alert-${event}-rate`).value),
+        chime: document.getElementById(`alert-${event}-chime`).value
+    });
+
+    const readAlertForm = () => {
+        const settings = {};
+        Object.keys(ALERT_EVENTS).forEach(event => { settings[event] = readAlertEventForm(event); });
+        return settings;
+    };
+
+    const fillAlertForm = (settings) => {
+        Object.entries(settings).forEach(([event, eventSettings]) => {
+            document.getElementById(`alert-${event}-notify`).checked = eventSettings.notify;
+            document.getElementById(`alert-${event}-speak`).checked = eventSettings.speak;
+            document.getElementById(`alert-${event}-phrase`).value = eventSettings.phrase;
+            selectVoice(document.getElementById(`alert-${event}-voice`), eventSettings.voice);
+            document.getElementById(`alert-${event}-rate`).value = eventSettings.rate;
+            document.getElementById(`alert-${event}-chime`).value = eventSettings.chime;
+        });
+    };
+
+    /**
+     * Adds the fields of one webhook: URL, headers, the events it receives and
+     * a Remove button.
+     * @param {{url: string, headers: object, events: string[]}} webhook The webhook shown.
+     */
+    const addWebhookEntry = (webhook) => {
+        const prefix = `webhook-${++webhookEntryCount}`;
+        const entry = document.createElement('fieldset');
+        entry.className = 'webhook-entry';
+
+        const url = document.createElement('input');
+        url.type = 'text';
+        url.className = 'webhook-url';
+        url.placeholder = 'http://localhost:9000/rides';
+        url.value = webhook.url;
+        const headers = document.createElement('textarea');
+        headers.className = 'webhook-headers';
+        headers.rows = 2;
+        headers.placeholder = 'Authorization: Bearer abc123';
+        headers.value = formatWebhookHeaders(webhook.headers);
+        [['url', 'URL', url], ['headers', 'Headers, one "Name: value" per line', headers]].forEach(([key, text, input]) => {
+            const field = document.createElement('div');
+            field.className = 'form-group';
+            input.id = `${prefix}-${key}`;
+            const label = document.createElement('label');
+            label.htmlFor = input.id;
+            label.textContent = `${text}:`;
+            field.appendChild(label);
+            field.appendChild(input);
+            entry.appendChild(field);
+        });
+
+        const events = document.createElement('div');
+        events.className = 'form-group toggles';
+        Object.entries(WEBHOOK_EVENTS).forEach(([event, text]) => {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `${prefix}-${event}`;
+            checkbox.dataset.event = event;
+            checkbox.checked = webhook.events.includes(event);
+            const label = document.createElement('label');
+            label.htmlFor = checkbox.id;
+            label.textContent = text;
+            events.appendChild(checkbox);
+            events.appendChild(label);
+        });
+        entry.appendChild(events);
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => entry.remove());
+        entry.appendChild(removeButton);
+        webhookList.appendChild(entry);
+    };
+
+    const fillWebhookForm = (webhooks) => {
+        webhookList.innerHTML = '';
+        webhooks.forEach(addWebhookEntry);
+    };
+
+    /**
+     * Reads the webhooks of the form. Entries left without a URL are dropped.
+     * @returns {{webhooks: object[], errors: string[]}}
+     */
+    const readWebhookForm = () => {
+        const webhooks = [];
+        const errors = [];
+        webhookList.querySelectorAll('.webhook-entry').forEach(entry => {
+            const url = entry.querySelector('.webhook-url').value.trim();
+            if (!url) return;
+            const parsed = parseWebhookHeaders(entry.querySelector('.webhook-headers').value);
+            const webhook = {
+                url,
+                headers: parsed.headers,
+                events: [...entry.querySelectorAll('input[data-event]')].filter(box => box.checked).map(box => box.dataset.event)
+            };
+            errors.push(...parsed.errors, ...validateWebhook(webhook));
+            webhooks.push(webhook);
+        });
+        return { webhooks, errors };
+    };
+
+    /**
+     * Asks Chrome for access to the addresses of the webhooks, which the
+     * service worker needs to POST to them. Must run within the Save click.
+     * @param {object[]} webhooks The webhooks saved.
+     */
+    const requestWebhookOrigins = (webhooks) => {
+        const origins = [...new Set(webhooks.map(webhook => `${new URL(webhook.url).origin}/*`))];
+        if (origins.length === 0) return;
+        chrome.permissions.request({ origins }, (granted) => {
+            if (!granted) {
+                showStatus('Options saved, but Chrome may not reach the webhook URLs: their deliveries will fail until access is allowed.', true);
+            }
+        });
+    };
+
+    /**
+     * Reads the class-to-fleet mapping from the ticked boxes of the grid.
+     * @returns {object} The fleet vehicles of each class.
+     */
+    const readClassFleetGrid = () => {
+        const classFleet = {};
+        classFleetGrid.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            const bookingClass = checkbox.dataset.bookingClass;
+            classFleet[bookingClass] = classFleet[bookingClass] || [];
+            if (checkbox.checked) classFleet[bookingClass].push(checkbox.dataset.vehicle);
+        });
+        return classFleet;
+    };
+
+    const readCatalogueForm = () => mergeVehicleCatalogue({
+        bookingClasses: bookingClassesInput.value.split('\n'),
+        fleetVehicles: fleetVehiclesInput.value.split('\n'),
+        classFleet: readClassFleetGrid()
+    });
+
+    /**
+     * Draws the mapping grid: one row per booking class, one column per fleet vehicle.
+     * @param {object} catalogue The catalogue whose mapping is ticked.
+     */
+    const renderClassFleetGrid = (catalogue) => {
+        classFleetGrid.innerHTML = '';
+        const header = classFleetGrid.insertRow();
+        header.appendChild(document.createElement('th'));
+        catalogue.fleetVehicles.forEach(vehicle => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = vehicle;
+            header.appendChild(th);
+        });
+        catalogue.bookingClasses.forEach(bookingClass => {
+            const row = classFleetGrid.insertRow();
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = bookingClass;
+            row.appendChild(th);
+            catalogue.fleetVehicles.forEach(vehicle => {
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.dataset.bookingClass = bookingClass;
+                checkbox.dataset.vehicle = vehicle;
+                checkbox.checked = catalogue.classFleet[bookingClass].includes(vehicle);
+                checkbox.title = `${vehicle} may serve ${bookingClass}`;
+                row.insertCell().appendChild(checkbox);
+            });
+        });
+    };
+
+    const fillCatalogueForm = (catalogue) => {
+        bookingClassesInput.value = catalogue.bookingClasses.join('\n');
+        fleetVehiclesInput.value = catalogue.fleetVehicles.join('\n');
+        renderClassFleetGrid(catalogue);
+    };
+
+    /**
+     * Saves the options, the vehicle catalogue, the alert settings, the webhooks and the site profile to chrome.storage.sync.
      */
     const saveOptions = () => {
         const options = {
             allowListedDomain: allowListedDomain.value.trim(),
             defaultTolerance: parseInt(defaultTolerance.value, 10),
-            defaultVehicleClass: defaultVehicleClass.value.trim()
+            defaultVehicleClass: defaultVehicleClass.value.trim(),
+            dateFormat: dateFormat.value.trim() || DEFAULT_BOOKING_FORMATS.dateFormat,
+            decimalSeparator: decimalSeparator.value,
+            timeZone: timeZone.value.trim(),
+            ledgerExpiryHours: parseInt(ledgerExpiryHours.value, 10),
+            rideDurationMinutes: parseInt(rideDurationMinutes.value, 10),
+            bufferMinutes: parseInt(bufferMinutes.value, 10)
         };
+        Object.entries(phaseTimeoutInputs).forEach(([key, input]) => {
+            options[key] = parseInt(input.value, 10);
+        });
+        Object.entries(refreshScheduleInputs).forEach(([key, input]) => {
+            options[key] = key === 'refreshActiveHours' ? input.value.trim() : parseInt(input.value, 10);
+        });
+
+        if (!isValidDateFormat(options.dateFormat)) {
+            return showStatus('Options not saved: the date format must be "auto" or contain year (Y), month (M) and day (D) tokens.', true);
+        }
+        if (!isValidTimeZone(options.timeZone)) {
+            return showStatus(`Options not saved: "${options.timeZone}" is not a known time zone.`, true);
+        }
+        if (isNaN(options.ledgerExpiryHours) || options.ledgerExpiryHours < 0) {
+            return showStatus('Options not saved: the handled bookings expiry must be 0 or more hours.', true);
+        }
+        if (isNaN(options.rideDurationMinutes) || options.rideDurationMinutes < 1 || isNaN(options.bufferMinutes) || options.bufferMinutes < 0) {
+            return showStatus('Options not saved: the ride duration must be at least 1 minute and the buffer 0 or more minutes.', true);
+        }
+        if (Object.keys(phaseTimeoutInputs).some(key => isNaN(options[key]) || options[key] < 1)) {
+            return showStatus('Options not saved: every phase timeout must be at least 1 second.', true);
+        }
+        if (!(options.refreshMinSeconds >= 1) || !(options.refreshMaxSeconds >= options.refreshMinSeconds)) {
+            return showStatus('Options not saved: the refresh delays must be at least 1 second, with the maximum not below the minimum.', true);
+        }
+        if (!(options.refreshMaxCycles >= 0) || !(options.refreshMaxMinutes >= 0)) {
+            return showStatus('Options not saved: the maximum cycles and duration must be 0 or more.', true);
+        }
+        const activeHoursErrors = parseActiveHours(options.refreshActiveHours).errors;
+        if (activeHoursErrors.length > 0) {
+            return showStatus(`Options not saved:\n${activeHoursErrors.join('\n')}`, true);
+        }
+
+        const vehicleCatalogue = readCatalogueForm();
+        const catalogueErrors = validateVehicleCatalogue(vehicleCatalogue);
+        if (catalogueErrors.length > 0) {
+            return showStatus(`Vehicle catalogue not saved:\n${catalogueErrors.join('\n')}`, true);
+        }
+
+        const alertSettings = readAlertForm();
+        const badRate = Object.keys(alertSettings).find(event => !(alertSettings[event].rate >= 0.1 && alertSettings[event].rate <= 10));
+        if (badRate) {
+            return showStatus(`Alerts not saved: the speech rate of "${ALERT_EVENTS[badRate].label}" must be between 0.1 and 10.`, true);
+        }
+
+        const { webhooks, errors: webhookErrors } = readWebhookForm();
+        if (webhookErrors.length > 0) {
+            return showStatus(`Webhooks not saved:\n${webhookErrors.join('\n')}`, true);
+        }
+
+        const siteProfile = readSiteProfileForm();
+        const profileErrors = validateSiteProfile(siteProfile);
+        if (profileErrors.length > 0) {
+            return showStatus(`Site profile not saved:\n${profileErrors.join('\n')}`, true);
+        }
 
         // Use chrome.storage.sync to allow settings to persist across devices.
-        chrome.storage.sync.set({ options }, () => {
-            statusDiv.textContent = 'Options saved.';
-            setTimeout(() => {
-                statusDiv.textContent = '';
-            }, 1500);
+        // The webhooks stay on this computer, since their headers may hold secrets.
+        chrome.storage.sync.set({ options, vehicleCatalogue, siteProfile, [ALERT_SETTINGS_KEY]: alertSettings }, () => {
+            chrome.storage.local.set({ [WEBHOOKS_KEY]: webhooks }, () => showStatus('Options saved.'));
         });
+        requestWebhookOrigins(webhooks);
     };
 
     /**
-     * Loads the options from chrome.storage.sync and populates the form.
+     * Loads the options from chrome.storage.sync, and the webhooks from
+     * chrome.storage.local, and populates the form.
      */
     const loadOptions = () => {
-        chrome.storage.sync.get('options', (data) => {
+        chrome.storage.local.get(WEBHOOKS_KEY, (local) => fillWebhookForm(normalizeWebhooks(local[WEBHOOKS_KEY])));
+        chrome.storage.sync.get(['options', 'siteProfile', 'vehicleCatalogue', ALERT_SETTINGS_KEY], (data) => {
             const currentOptions = data.options || {};
             // Set default domain if it's not already set
             allowListedDomain.value = currentOptions.allowListedDomain || 'control.transfeero.com';
             defaultTolerance.value = currentOptions.defaultTolerance || 0;
             defaultVehicleClass.value = currentOptions.defaultVehicleClass || '';
+            const formats = readBookingFormats(currentOptions);
+            dateFormat.value = formats.dateFormat;
+            decimalSeparator.value = formats.decimalSeparator;
+            timeZone.value = formats.timeZone;
+            ledgerExpiryHours.value = readLedgerExpiryHours(currentOptions);
+            fillSiteProfileForm(mergeSiteProfile(data.siteProfile));
+            fillCatalogueForm(mergeVehicleCatalogue(data.vehicleCatalogue));
+            fillAlertForm(mergeAlertSettings(data[ALERT_SETTINGS_KEY]));
+            showLedgerCount(readLedgerExpiryHours(currentOptions));
+            const fleetSettings = readFleetSettings(currentOptions);
+            rideDurationMinutes.value = fleetSettings.rideDurationMinutes;
+            bufferMinutes.value = fleetSettings.bufferMinutes;
+            const timeouts = readPhaseTimeouts(currentOptions);
+            Object.entries(phaseTimeoutInputs).forEach(([key, input]) => { input.value = timeouts[key]; });
+            const refreshSchedule = readRefreshSchedule(currentOptions);
+            Object.entries(refreshScheduleInputs).forEach(([key, input]) => { input.value = refreshSchedule[key]; });
+            showFleetSchedule();
+        });
+    };
+
+    /**
+     * Lists the known vehicles and their commitments, earliest first.
+     */
+    const showFleetSchedule = () => {
+        chrome.storage.local.get(FLEET_SCHEDULE_KEY, (data) => {
+            const schedule = normalizeFleetSchedule(data[FLEET_SCHEDULE_KEY]);
+            fleetCommitments.innerHTML = '';
+            const lines = [`${schedule.roster.length} known vehicle(s): ${schedule.roster.map(v => v.text).join(', ') || 'none yet'}.`];
+            schedule.commitments.slice().sort((a, b) => a.start - b.start).forEach(commitment => {
+                lines.push(`${describeFleetCommitment(commitment)}, booking ${commitment.bookingId}`);
+            });
+            lines.forEach(line => {
+                const item = document.createElement('li');
+                item.textContent = line;
+                fleetCommitments.appendChild(item);
+            });
+        });
+    };
+
+    /**
+     * Lists the keyboard shortcuts declared in the manifest, with the keys the
+     * user has set for them on the browser's shortcuts page.
+     */
+    const showShortcuts = () => {
+        chrome.commands.getAll((commands) => {
+            shortcutList.innerHTML = '';
+            commands.filter(command => command.description).forEach(command => {
+                const item = document.createElement('li');
+                item.textContent = `${command.description}: ${command.shortcut || 'not set'}`;
+                shortcutList.appendChild(item);
+            });
+        });
+    };
+
+    /**
+     * Forgets the known vehicles and their commitments.
+     */
+    const clearFleetSchedule = () => {
+        chrome.storage.local.remove(FLEET_SCHEDULE_KEY, () => {
+            showFleetSchedule();
+            showStatus('Fleet schedule cleared.');
+        });
+    };
+
+    /**
+     * Shows how many bookings are currently skipped by the guard.
+     * @param {number} expiryHours See readLedgerExpiryHours().
+     */
+    const showLedgerCount = (expiryHours) => {
+        chrome.storage.local.get(BOOKING_LEDGER_KEY, (data) => {
+            const count = Object.keys(pruneLedger(data[BOOKING_LEDGER_KEY], expiryHours)).length;
+            ledgerCount.textContent = `${count} booking(s) currently skipped.`;
+        });
+    };
+
+    /**
+     * Forgets every handled booking, so the next cycle may pick any of them again.
+     */
+    const clearLedger = () => {
+        chrome.storage.local.remove(BOOKING_LEDGER_KEY, () => {
+            ledgerCount.textContent = '0 booking(s) currently skipped.';
+            showStatus('Handled bookings cleared.');
+        });
+    };
+
+    /**
+     * Downloads the site profile currently in the form as a JSON file.
+     */
+    const exportSiteProfile = () => {
+        const json = JSON.stringify(readSiteProfileForm(), null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'site-profile.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    /**
+     * Loads a site profile JSON file into the form. It is only stored on Save.
+     */
+    const importSiteProfile = () => {
+        const file = importProfileFile.files[0];
+        if (!file) return;
+
+        file.text().then(text => {
+            let imported;
+            try {
+                imported = JSON.parse(text);
+            } catch (e) {
+                return showStatus(`Import failed: ${file.name} is not valid JSON.`, true);
+            }
+            const profileErrors = validateSiteProfile(imported);
+            if (profileErrors.length > 0) {
+                return showStatus(`Import failed:\n${profileErrors.join('\n')}`, true);
+            }
+            fillSiteProfileForm(mergeSiteProfile(imported));
+            showStatus('Site profile imported. Click Save to apply it.');
+        }).finally(() => {
+            importProfileFile.value = '';
         });
     };
 
@@ -54,6 +605,14 @@ document.addEventListener('DOMContentLoaded', () => {
             allowListedDomain.value = '';
             defaultTolerance.value = 0;
             defaultVehicleClass.value = '';
+            dateFormat.value = DEFAULT_BOOKING_FORMATS.dateFormat;
+            decimalSeparator.value = DEFAULT_BOOKING_FORMATS.decimalSeparator;
+            timeZone.value = DEFAULT_BOOKING_FORMATS.timeZone;
+            ledgerExpiryHours.value = DEFAULT_LEDGER_EXPIRY_HOURS;
+            rideDurationMinutes.value = DEFAULT_FLEET_SETTINGS.rideDurationMinutes;
+            bufferMinutes.value = DEFAULT_FLEET_SETTINGS.bufferMinutes;
+            Object.entries(phaseTimeoutInputs).forEach(([key, input]) => { input.value = DEFAULT_PHASE_TIMEOUTS[key]; });
+            Object.entries(refreshScheduleInputs).forEach(([key, input]) => { input.value = DEFAULT_REFRESH_SCHEDULE[key]; });
             statusDiv.textContent = 'Options reset to default.';
             setTimeout(() => {
                 statusDiv.textContent = '';
@@ -65,7 +624,41 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- Event Listeners ---
     saveButton.addEventListener('click', saveOptions);
     resetButton.addEventListener('click', resetOptions);
+    clearLedgerButton.addEventListener('click', clearLedger);
+    clearFleetButton.addEventListener('click', clearFleetSchedule);
+    // Redraw the grid as the lists are edited, keeping the boxes already ticked.
+    [bookingClassesInput, fleetVehiclesInput].forEach(input => {
+        input.addEventListener('input', () => renderClassFleetGrid(readCatalogueForm()));
+    });
+    defaultCatalogueButton.addEventListener('click', () => {
+        fillCatalogueForm(mergeVehicleCatalogue());
+        showStatus('Default vehicle catalogue restored. Click Save to apply it.');
+    });
+    defaultAlertsButton.addEventListener('click', () => {
+        fillAlertForm(mergeAlertSettings());
+        showStatus('Default alerts restored. Click Save to apply them.');
+    });
+    // Extensions cannot set their shortcuts; the browser's own page does.
+    changeShortcutsButton.addEventListener('click', () => {
+        chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+    // Show the keys changed there once the user comes back.
+    window.addEventListener('focus', showShortcuts);
+    addWebhookButton.addEventListener('click', () => {
+        addWebhookEntry({ url: '', headers: {}, events: Object.keys(WEBHOOK_EVENTS) });
+    });
+    exportProfileButton.addEventListener('click', exportSiteProfile);
+    importProfileButton.addEventListener('click', () => importProfileFile.click());
+    importProfileFile.addEventListener('change', importSiteProfile);
+    defaultProfileButton.addEventListener('click', () => {
+        fillSiteProfileForm(DEFAULT_SITE_PROFILE);
+        showStatus('Default site profile restored. Click Save to apply it.');
+    });
 
     // --- Initialization ---
+    renderSiteProfileFields();
+    renderAlertEventFields();
     loadOptions();
+    loadVoices();
+    showShortcuts();
 });
@@ -0,0 +1,290 @@
+/**
+ * @fileoverview Parsers for the values shown on the booking list: booking
+ * dates in a configurable format and time zone, and payouts in any currency
+ * notation. The formats are set on the options page and stored with the
+ * other options in chrome.storage.sync.
+ *
+ * Injected ahead of content.js and loaded by the options page. Like
+ * site-profile.js it only uses `var` and function declarations, so that
+ * injecting it twice into the same page does not throw.
+ */
+
+/**
+ * Format settings used when an option has never been saved.
+ * - dateFormat: 'auto', or a pattern such as 'DD/MM/YYYY HH:mm' (see parseBookingDate).
+ * - decimalSeparator: 'auto', '.' or ','.
+ * - timeZone: IANA name of the site's time zone; empty for the browser's own.
+ * - toleranceDays: how many days a booking may fall outside the requested range.
+ */
+var DEFAULT_BOOKING_FORMATS = Object.freeze({
+    dateFormat: 'auto',
+    decimalSeparator: 'auto',
+    timeZone: '',
+    toleranceDays: 0
+});
+
+var MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Each pattern token, longest first, with the regular expression it matches.
+var DATE_FORMAT_TOKENS = [
+    ['YYYY', '(\\d{4})'],
+    ['MMMM', '([A-Za-z]+)'],
+    ['MMM', '([A-Za-z]{3})'],
+    ['YY', '(\\d{2})'],
+    ['MM', '(\\d{2})'],
+    ['DD', '(\\d{2})'],
+    ['HH', '(\\d{2})'],
+    ['hh', '(\\d{2})'],
+    ['mm', '(\\d{2})'],
+    ['M', '(\\d{1,2})'],
+    ['D', '(\\d{1,2})'],
+    ['H', '(\\d{1,2})'],
+    ['h', '(\\d{1,2})'],
+    ['A', '([AaPp][Mm])']
+];
+
+/**
+ * Extracts the format settings from the stored options, filling in defaults.
+ * @param {object} [options] The `options` object from chrome.storage.sync.
+ * @returns {{dateFormat: string, decimalSeparator: string, timeZone: string, toleranceDays: number}}
+ */
+function readBookingFormats(options) {
+    const opts = options || {};
+    const tolerance = parseInt(opts.defaultTolerance, 10);
+    return {
+        dateFormat: (opts.dateFormat || '').trim() || DEFAULT_BOOKING_FORMATS.dateFormat,
+        decimalSeparator: ['.', ','].includes(opts.decimalSeparator) ? opts.decimalSeparator : DEFAULT_BOOKING_FORMATS.decimalSeparator,
+        timeZone: (opts.timeZone || '').trim(),
+        toleranceDays: isNaN(tolerance) || tolerance < 0 ? DEFAULT_BOOKING_FORMATS.toleranceDays : tolerance
+    };
+}
+
+/**
+ * Checks whether a string names a time zone known to the browser.
+ * @param {string} timeZone An IANA time zone name, e.g. 'Europe/Rome'.
+ * @returns {boolean} True if valid, or if empty (meaning the browser's own zone).
+ */
+function isValidTimeZone(timeZone) {
+    if (!timeZone) return true;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Checks that a date format is 'auto' or names a year, a month and a day.
+ * @param {string} format The date format pattern.
+ * @returns {boolean}
+ */
+function isValidDateFormat(format) {
+    return format === 'auto' || (/Y/.test(format) && /M/.test(format) && /D/.test(format));
+}
+
+/**
+ * Parses a booking date as displayed on the site.
+ *
+ * With an explicit format, the text is read as wall-clock time in the site's
+ * time zone. Supported tokens are YYYY, YY, MMMM, MMM (English month names),
+ * MM, M, DD, D, HH, H, hh, h (12-hour clock, with A for AM/PM) and mm. Other
+ * characters must appear literally; text after the match is ignored.
+ *
+ * With 'auto', ISO-like 'YYYY-MM-DD[ HH:mm]' text is read as wall-clock time
+ * too; anything else is handed to the Date constructor and the resulting
+ * instant is converted to the given time zone.
+ *
+ * @param {string} text The date text from the page.
+ * @param {string} [format='auto'] The date format pattern.
+ * @param {string} [timeZone=''] The site's IANA time zone; empty for the browser's own.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number} | null}
+ *     The calendar date and time, or null if the text does not match the format.
+ */
+function parseBookingDate(text, format = 'auto', timeZone = '') {
+    const value = String(text || '').trim();
+    if (!value) return null;
+
+    if (format && format !== 'auto') {
+        return parseWithFormat(value, format);
+    }
+
+    const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?(?::\d{2}(?:\.\d+)?)?$/);
+    if (iso) {
+        return buildDateParts(+iso[1], +iso[2], +iso[3], +(iso[4] || 0), +(iso[5] || 0));
+    }
+
+    const instant = new Date(value);
+    if (isNaN(instant.getTime())) return null;
+    return toZonedParts(instant, timeZone);
+}
+
+/**
+ * Parses text against an explicit date format pattern.
+ * @param {string} value The trimmed date text.
+ * @param {string} format The date format pattern.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number} | null}
+ */
+function parseWithFormat(value, format) {
+    const fields = [];
+    let source = '';
+    let rest = format;
+    while (rest.length > 0) {
+        const token = DATE_FORMAT_TOKENS.find(([name]) => rest.startsWith(name));
+        if (token) {
+            fields.push(token[0]);
+            source += token[1];
+            rest = rest.slice(token[0].length);
+        } else if (/\s/.test(rest[0])) {
+            source += '\\s+';
+            rest = rest.replace(/^\s+/, '');
+        } else {
+            source += escapeForPattern(rest[0]);
+            rest = rest.slice(1);
+        }
+    }
+
+    const match = value.match(new RegExp(`^${source}`));
+    if (!match) return null;
+
+    const parts = { year: NaN, month: NaN, day: NaN, hour: 0, minute: 0 };
+    let meridiem = null;
+    fields.forEach((field, i) => {
+        const raw = match[i + 1];
+        switch (field) {
+            case 'YYYY': parts.year = +raw; break;
+            case 'YY': parts.year = 2000 + +raw; break;
+            case 'MMMM':
+            case 'MMM': parts.month = MONTH_NAMES.indexOf(raw.slice(0, 3).toLowerCase()) + 1 || NaN; break;
+            case 'MM':
+            case 'M': parts.month = +raw; break;
+            case 'DD':
+            case 'D': parts.day = +raw; break;
+            case 'HH':
+            case 'H':
+            case 'hh':
+            case 'h': parts.hour = +raw; break;
+            case 'mm': parts.minute = +raw; break;
+            case 'A': meridiem = raw.toLowerCase(); break;
+        }
+    });
+    if (meridiem === 'pm' && parts.hour < 12) parts.hour += 12;
+    if (meridiem === 'am' && parts.hour === 12) parts.hour = 0;
+
+    return buildDateParts(parts.year, parts.month, parts.day, parts.hour, parts.minute);
+}
+
+/**
+ * Validates calendar fields and returns them as a date parts object.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number} | null}
+ */
+function buildDateParts(year, month, day, hour, minute) {
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (isNaN(check.getTime()) || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+        return null;
+    }
+    if (hour > 23 || minute > 59) return null;
+    return { year, month, day, hour, minute };
+}
+
+/**
+ * Converts an instant to calendar fields in a time zone.
+ * @param {Date} instant The instant to convert.
+ * @param {string} timeZone An IANA time zone name; empty for the browser's own.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number}}
+ */
+function toZonedParts(instant, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || undefined,
+        year: 'numeric', month: 'numeric', day: 'numeric',
+        hour: 'numeric', minute: 'numeric', hourCycle: 'h23'
+    });
+    const parts = {};
+    formatter.formatToParts(instant).forEach(part => {
+        if (part.type !== 'literal') parts[part.type] = +part.value;
+    });
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+/**
+ * Parses a 'YYYY-MM-DD' value from a date input.
+ * @param {string} text The input value.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number} | null}
+ */
+function parseInputDate(text) {
+    const match = String(text || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return match ? buildDateParts(+match[1], +match[2], +match[3], 0, 0) : null;
+}
+
+/**
+ * Counts days since the Unix epoch, so calendar dates can be compared and offset.
+ * @param {{year: number, month: number, day: number}} parts A parsed date.
+ * @returns {number} The day number.
+ */
+function toDayNumber(parts) {
+    return Math.floor(Date.UTC(parts.year, parts.month - 1, parts.day) / 86400000);
+}
+
+/**
+ * Formats parsed date parts for logs, as 'YYYY-MM-DD HH:mm'.
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} parts
+ * @returns {string}
+ */
+function formatDateParts(parts) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)}`;
+}
+
+/**
+ * Parses a monetary amount, ignoring currency symbols and codes, spaces and
+ * thousands separators. '€1,234.50', '1.234,50 €' and 'EUR 1 234,50' all
+ * give 1234.5 with the 'auto' separator.
+ * @param {string} text The amount text from the page.
+ * @param {'auto' | '.' | ','} [decimalSeparator='auto'] The decimal separator used by the site.
+ * @returns {number} The amount, or NaN if the text holds no valid number.
+ */
+function parseAmount(text, decimalSeparator = 'auto') {
+    let cleaned = String(text || '').replace(/[^\d.,]/g, '');
+    if (!/\d/.test(cleaned)) return NaN;
+
+    const separator = decimalSeparator === 'auto' ? guessDecimalSeparator(cleaned) : decimalSeparator;
+    const thousands = separator === ',' ? '.' : ',';
+    cleaned = cleaned.split(thousands).join('');
+    if (separator === ',') cleaned = cleaned.replace(',', '.');
+
+    return /^\d+(\.\d+)?$/.test(cleaned) ? parseFloat(cleaned) : NaN;
+}
+
+/**
+ * Guesses which of '.' and ',' is the decimal separator in a number.
+ * When both appear, the last one is. When only one appears, it is a thousands
+ * separator if it occurs more than once or is followed by exactly three digits.
+ * @param {string} digits The number with only digits, '.' and ',' left.
+ * @returns {'.' | ','}
+ */
+function guessDecimalSeparator(digits) {
+    const lastDot = digits.lastIndexOf('.');
+    const lastComma = digits.lastIndexOf(',');
+    if (lastDot !== -1 && lastComma !== -1) {
+        return lastDot > lastComma ? '.' : ',';
+    }
+    const separator = lastComma !== -1 ? ',' : '.';
+    const index = Math.max(lastDot, lastComma);
+    if (index === -1) return '.';
+
+    const occurrences = digits.split(separator).length - 1;
+    const decimals = digits.length - index - 1;
+    if (occurrences > 1 || decimals === 3) {
+        return separator === ',' ? '.' : ',';
+    }
+    return separator;
+}
+
+/**
+ * Escapes one character for use in a regular expression.
+ * @param {string} char The character.
+ * @returns {string}
+ */
+function escapeForPattern(char) {
+    return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview How long each phase waits for the page. Instead of sleeping a
+ * fixed time, every phase first waits for the elements it needs (the booking
+ * rows, the select2 vehicle dropdown, the Accept Ride button) and fails with
+ * the missing element once its timeout ends. Phase 9 then waits for the
+ * site's answer to the click. The timeouts are set on the options page.
+ *
+ * This file is shared. The options page loads it with a script tag, and the
+ * background injects it ahead of content.js and loads it itself, with
+ * importScripts(), to bound the Phase 8 retries. It only uses `var` and function
+ * declarations so that injecting it twice into the same page does not throw.
+ */
+
+/**
+ * The timeouts, in seconds, used until the options say otherwise.
+ */
+var DEFAULT_PHASE_TIMEOUTS = Object.freeze({
+    bookingListSeconds: 10,
+    vehicleSelectSeconds: 10,
+    acceptButtonSeconds: 10,
+    acceptVerifySeconds: 10
+});
+
+/**
+ * Reads the phase timeouts from the saved options, falling back to the
+ * defaults for missing values and values under one second.
+ * @param {object} [options] The options saved by the options page.
+ * @returns {{bookingListSeconds: number, vehicleSelectSeconds: number, acceptButtonSeconds: number,
+ *     acceptVerifySeconds: number}}
+ */
+function readPhaseTimeouts(options) {
+    const timeouts = { ...DEFAULT_PHASE_TIMEOUTS };
+    Object.keys(timeouts).forEach(key => {
+        const seconds = Number(options && options[key]);
+        if (seconds >= 1) timeouts[key] = seconds;
+    });
+    return timeouts;
+}
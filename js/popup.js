@@ -9,27 +9,70 @@ document.addEventListener('DOMContentLoaded', () => {
     const endDate = document.getElementById('end-date');
     const vehicleClass = document.getElementById('vehicle-class');
     const priceInputsContainer = document.getElementById('price-inputs-container');
+    const rankingStrategy = document.getElementById('ranking-strategy');
     const phase8VehicleClass = document.getElementById('phase8-vehicle-class');
+    const dryRunToggle = document.getElementById('dry-run-toggle');
     const phase9ClickToggle = document.getElementById('phase9-click-toggle');
+    const approvalToggle = document.getElementById('approval-toggle');
+    const approvalTimeout = document.getElementById('approval-timeout');
     const autoRefreshToggle = document.getElementById('auto-refresh-toggle');
+    const watchListToggle = document.getElementById('watch-list-toggle');
+    const watchIdleSeconds = document.getElementById('watch-idle-seconds');
+    const nearMissPayout = document.getElementById('near-miss-payout');
+    const nearMissDays = document.getElementById('near-miss-days');
+    const cycleReportTime = document.getElementById('cycle-report-time');
+    const cycleReportPanel = document.getElementById('cycle-report-panel');
     const proceedButton = document.getElementById('proceed-button');
     const abortButton = document.getElementById('abort-button');
+    const abortAllButton = document.getElementById('abort-all-button');
     const clearLogButton = document.getElementById('clear-log-button');
+    const historyButton = document.getElementById('history-button');
+    const dashboardButton = document.getElementById('dashboard-button');
     const logPanel = document.getElementById('log-panel');
+    const logFilter = document.getElementById('log-filter');
+    const sessionList = document.getElementById('session-list');
+    const statusPanel = document.getElementById('status-panel');
+    const approvalBanner = document.getElementById('approval-banner');
+    const approvalTitle = document.getElementById('approval-title');
+    const approvalDetails = document.getElementById('approval-details');
+    const approvalCountdown = document.getElementById('approval-countdown');
+    const approveButton = document.getElementById('approve-button');
+    const rejectButton = document.getElementById('reject-button');
+    const catalogueLink = document.getElementById('catalogue-link');
+
+    // Inputs of the "More Criteria" section, keyed by their name in the config.
+    const CRITERIA_INPUTS = {
+        pickupInclude: document.getElementById('pickup-include'),
+        pickupExclude: document.getElementById('pickup-exclude'),
+        dropoffInclude: document.getElementById('dropoff-include'),
+        dropoffExclude: document.getElementById('dropoff-exclude'),
+        timeFrom: document.getElementById('time-from'),
+        timeTo: document.getElementById('time-to'),
+        passengersMin: document.getElementById('passengers-min'),
+        passengersMax: document.getElementById('passengers-max'),
+        luggageMin: document.getElementById('luggage-min'),
+        luggageMax: document.getElementById('luggage-max'),
+        distanceMin: document.getElementById('distance-min'),
+        distanceMax: document.getElementById('distance-max')
+    };
 
-    const ALL_INPUTS = [startDate, endDate, vehicleClass, phase8VehicleClass, phase9ClickToggle, autoRefreshToggle];
+    const ALL_INPUTS = [startDate, endDate, vehicleClass, rankingStrategy, phase8VehicleClass, dryRunToggle, phase9ClickToggle, approvalToggle, approvalTimeout, autoRefreshToggle, watchListToggle, watchIdleSeconds, nearMissPayout, nearMissDays, ...Object.values(CRITERIA_INPUTS)];
 
     // --- State Management ---
 
-    const logMessage = (text, level, timestamp) => {
+    const logMessage = (text, level, timestamp, tabId) => {
         const logEntry = document.createElement('div');
-        logEntry.textContent = `[${timestamp}] ${text}`;
+        logEntry.textContent = `[${timestamp}] ${tabId ? `[Tab ${tabId}] ` : ''}${text}`;
         logEntry.style.color = level === 'error' ? '#f44336' : (level === 'success' ? '#4CAF50' : 'black');
         logPanel.appendChild(logEntry);
         logPanel.scrollTop = logPanel.scrollHeight;
     };
 
-    const saveSettings = () => {
+    /**
+     * Reads the settings from the form, as typed.
+     * @returns {object} The settings, see buildRunConfig().
+     */
+    const readSettings = () => {
         const selectedVehicles = Array.from(vehicleClass.selectedOptions).map(option => option.value);
         const vehiclePrices = {};
         selectedVehicles.forEach(vehicle => {
@@ -39,16 +82,29 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         });
 
-        const settings = {
+        return {
             startDate: startDate.value,
             endDate: endDate.value,
             vehicleClass: selectedVehicles,
             vehiclePrices: vehiclePrices, // Save prices
+            rankingStrategy: rankingStrategy.value,
             phase8VehicleClass: Array.from(phase8VehicleClass.selectedOptions).map(option => option.value),
+            dryRun: dryRunToggle.checked,
             enablePhase9Click: phase9ClickToggle.checked,
+            requireApproval: approvalToggle.checked,
+            approvalTimeout: approvalTimeout.value,
             autoRefresh: autoRefreshToggle.checked,
+            watchBookingList: watchListToggle.checked,
+            watchIdleSeconds: watchIdleSeconds.value,
+            nearMissPayout: nearMissPayout.value,
+            nearMissDays: nearMissDays.value,
+            // Saved as typed; converted by buildExtraCriteria() when a run starts.
+            extraCriteria: Object.fromEntries(Object.entries(CRITERIA_INPUTS).map(([key, input]) => [key, input.value])),
         };
-        chrome.storage.local.set({ settings });
+    };
+
+    const saveSettings = () => {
+        chrome.storage.local.set({ settings: readSettings() });
     };
 
     const loadSettings = () => {
@@ -73,23 +129,303 @@ document.addEventListener('DOMContentLoaded', () => {
                 });
 
 
+                rankingStrategy.value = RANKING_STRATEGIES[data.settings.rankingStrategy] ? data.settings.rankingStrategy : 'first';
+
                 const selectedPhase8Vehicles = data.settings.phase8VehicleClass || [];
                 Array.from(phase8VehicleClass.options).forEach(option => {
                     option.selected = selectedPhase8Vehicles.includes(option.value);
                 });
 
+                dryRunToggle.checked = data.settings.dryRun !== false; // Default to true if not set
                 phase9ClickToggle.checked = data.settings.enablePhase9Click !== false; // Default to true if not set
+                approvalToggle.checked = data.settings.requireApproval === true;
+                approvalTimeout.value = data.settings.approvalTimeout || '';
                 autoRefreshToggle.checked = data.settings.autoRefresh === true;
+                watchListToggle.checked = data.settings.watchBookingList === true;
+                watchIdleSeconds.value = data.settings.watchIdleSeconds || '';
+                nearMissPayout.value = data.settings.nearMissPayout || '';
+                nearMissDays.value = data.settings.nearMissDays || '';
+
+                const extraCriteria = data.settings.extraCriteria || {};
+                Object.entries(CRITERIA_INPUTS).forEach(([key, input]) => {
+                    input.value = extraCriteria[key] || '';
+                });
+                // Keep the section open when any criterion is set, so it is not forgotten.
+                document.getElementById('more-criteria').open = Object.values(extraCriteria).some(Boolean);
+            }
+        });
+
+        chrome.storage.local.get(['automationSessions', 'pendingApprovals'], (data) => {
+            showSessions(data.automationSessions);
+            showApproval((data.pendingApprovals || [])[0]);
+        });
+    };
+
+    // The tab the popup was opened over; Proceed and Abort act on its session.
+    let currentTabId = null;
+    let sessionSummaries = [];
+
+    /**
+     * Finds the session the current tab belongs to, as its booking list tab
+     * or the ride tab it opened.
+     * @returns {object | undefined} The summary of the session.
+     */
+    const findCurrentSession = () => sessionSummaries.find(summary =>
+        currentTabId !== null && (summary.tabId === currentTabId || summary.rideTabId === currentTabId));
+
+    /**
+     * Sends a command for one session to the background and logs a refusal.
+     * @param {object} message The message, see handleMessage() in background.js.
+     */
+    const sendSessionCommand = (message) => {
+        chrome.runtime.sendMessage(message, (response) => {
+            if (!response || response.status !== 'success') {
+                logMessage(response ? response.message : 'The command could not be sent.', 'error', new Date().toLocaleTimeString(), message.tabId);
+            }
+        });
+    };
+
+    let statusCountdownId = null;
+
+    /**
+     * Shows the status of a session at the top of the popup: its phase, the
+     * tab it works in, the countdown to the next auto-refresh reload, the
+     * cycles completed and the last match and result. The countdown runs from
+     * the time of the reload, so it is right however late the popup opens.
+     * @param {object | null} summary The session, see summarizeSession(); null when there is none.
+     */
+    const showStatusPanel = (summary) => {
+        clearInterval(statusCountdownId);
+        statusPanel.innerHTML = '';
+        const addLine = (text, className) => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            if (className) line.className = className;
+            statusPanel.appendChild(line);
+            return line;
+        };
+        const time = (at) => new Date(at).toLocaleTimeString();
+
+        if (!summary) {
+            addLine('Idle', 'status-title');
+            addLine('No run in progress.');
+            return;
+        }
+        let state = 'Idle';
+        if (summary.active) {
+            state = summary.phaseLabel.charAt(0).toUpperCase() + summary.phaseLabel.slice(1);
+            if (summary.phase === 'p8_wait' || summary.phase === 'p8') state += `, attempt ${summary.phase8Attempt}`;
+        }
+        addLine(`${state}${summary.dryRun ? ' [Dry Run]' : ''}`, 'status-title');
+        addLine(`Tab ${summary.workingTabId || summary.tabId}${summary.workingTabId && summary.workingTabId !== summary.tabId ? ` (ride tab of tab ${summary.tabId})` : ''}`);
+
+        if (summary.nextRefreshAt) {
+            const countdown = addLine('');
+            const updateCountdown = () => {
+                const seconds = Math.max(0, Math.ceil((summary.nextRefreshAt - Date.now()) / 1000));
+                countdown.textContent = `Next reload in ${seconds} s.`;
+            };
+            updateCountdown();
+            statusCountdownId = setInterval(updateCountdown, 1000);
+        }
+        if (summary.cyclesCompleted !== null) {
+            addLine(`Cycles completed: ${summary.cyclesCompleted}`);
+        }
+        if (summary.lastMatch) {
+            addLine(`Last match: ${summary.lastMatch.dryRun ? '[Dry Run] ' : ''}${summary.lastMatch.ride} (${time(summary.lastMatch.at)})`);
+        }
+        if (summary.lastResult) {
+            addLine(`Last result: ${summary.lastResult.message} (${time(summary.lastResult.at)})`, summary.lastResult.level);
+        }
+    };
+
+    /**
+     * Lists the sessions of the background, one row per booking list tab with
+     * its phase or last result, and the buttons to start, abort or remove it,
+     * and shows the status and the last cycle of the current one. The
+     * summaries are written to chrome.storage.local by the background, so all
+     * of it is restored when the popup is reopened.
+     * @param {object[]} [summaries] The summaries, see summarizeSession().
+     */
+    const showSessions = (summaries) => {
+        sessionSummaries = summaries || [];
+        const current = findCurrentSession();
+        proceedButton.disabled = !!(current && current.active);
+        abortButton.disabled = !(current && current.active);
+        abortAllButton.disabled = !sessionSummaries.some(summary => summary.active);
+        showStatusPanel(current || sessionSummaries.find(summary => summary.active) || null);
+        // Only the cycle of this tab: another tab's bookings would be misleading here.
+        showCycleReport(current ? current.cycleReport : null);
+
+        sessionList.innerHTML = '';
+        if (sessionSummaries.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'hint';
+            empty.textContent = 'No session yet.';
+            sessionList.appendChild(empty);
+        }
+        sessionSummaries.forEach(summary => {
+            const row = document.createElement('div');
+            row.className = summary === current ? 'session current' : 'session';
+
+            const status = document.createElement('span');
+            status.className = 'status';
+            const state = summary.active ? summary.phaseLabel : (summary.lastResult ? summary.lastResult.message : 'Stopped');
+            const tabs = summary.rideTabId ? `Tab ${summary.tabId} (ride tab ${summary.rideTabId})` : `Tab ${summary.tabId}`;
+            status.textContent = `${tabs}${summary.dryRun ? ' [Dry Run]' : ''}: ${state}`;
+            status.title = [summary.startDate, summary.endDate].filter(Boolean).join(' to ') +
+                (summary.vehicleClasses.length ? `, ${summary.vehicleClasses.join(', ')}` : '');
+            row.appendChild(status);
+
+            const addButton = (label, message) => {
+                const button = document.createElement('button');
+                button.textContent = label;
+                button.addEventListener('click', () => sendSessionCommand(message));
+                row.appendChild(button);
+            };
+            if (summary.active) {
+                addButton('Abort', { action: 'abortAutomation', tabId: summary.tabId });
+            } else {
+                // Without a config, the session starts again with its last settings.
+                addButton('Start', { action: 'startAutomation', tabId: summary.tabId });
+                addButton('Remove', { action: 'forgetSession', tabId: summary.tabId });
+            }
+            sessionList.appendChild(row);
+        });
+
+        // The log can be narrowed to any tab that has a session.
+        const selected = logFilter.value;
+        logFilter.length = 1;
+        sessionSummaries.forEach(summary => logFilter.appendChild(new Option(`Tab ${summary.tabId}`, String(summary.tabId))));
+        logFilter.value = Array.from(logFilter.options).some(option => option.value === selected) ? selected : '';
+        if (logFilter.value !== selected) loadLogHistory();
+    };
+
+    let approvalCountdownId = null;
+    let pendingApproval = null;
+
+    /**
+     * Shows or hides the approval banner. The pending approvals are written to
+     * chrome.storage.local by the background, soonest to expire first, so the
+     * banner is restored when the popup is reopened.
+     * @param {object} [approval] The approval to show, or nothing to hide the banner.
+     */
+    const showApproval = (approval) => {
+        clearInterval(approvalCountdownId);
+        pendingApproval = approval || null;
+        approvalBanner.hidden = !approval;
+        if (!approval) return;
+
+        const booking = approval.booking || {};
+        approvalTitle.textContent = `${approval.dryRun ? '[Dry Run] ' : ''}Accept this ride${approval.tabId ? ` from tab ${approval.tabId}` : ''}?`;
+        approvalDetails.textContent = [booking.date, booking.vehicle, booking.payout].filter(Boolean).join(', ') +
+            (approval.vehicle ? `. Vehicle: ${approval.vehicle}` : '');
+        approveButton.disabled = false;
+        rejectButton.disabled = false;
+
+        const updateCountdown = () => {
+            const seconds = Math.max(0, Math.ceil((approval.expiresAt - Date.now()) / 1000));
+            approvalCountdown.textContent = `Rejected automatically in ${seconds} s.`;
+        };
+        updateCountdown();
+        approvalCountdownId = setInterval(updateCountdown, 1000);
+    };
+
+    let cycleReport = null;
+
+    /**
+     * Shows the bookings of the latest Phase 6 cycle of the current tab as a
+     * table, one row per booking with the checks it passed and failed. Near misses, see
+     * findNearMiss(), are highlighted with what they missed by.
+     * @param {object} [report] The cycle written by the background, if any.
+     */
+    const showCycleReport = (report) => {
+        cycleReport = report || null;
+        cycleReportPanel.innerHTML = '';
+        cycleReportTime.textContent = report
+            ? `(${report.tabId ? `tab ${report.tabId}, ` : ''}${new Date(report.at).toLocaleTimeString()}${report.dryRun ? ', dry run' : ''})`
+            : '';
+        if (!report || report.bookings.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'hint';
+            empty.textContent = report ? 'The last cycle found no bookings.' : 'No cycle has run in this tab yet.';
+            cycleReportPanel.appendChild(empty);
+            return;
+        }
+
+        const margins = readNearMissMargins({ nearMissPayout: nearMissPayout.value, nearMissDays: nearMissDays.value });
+        const table = document.createElement('table');
+        const head = table.createTHead().insertRow();
+        ['#', 'Date', 'Class', 'Payout', 'Checks'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            head.appendChild(th);
+        });
+        const body = table.createTBody();
+        report.bookings.forEach(booking => {
+            const row = body.insertRow();
+            const nearMiss = findNearMiss(booking, margins);
+            if (booking.index === report.selectedIndex) row.className = 'selected';
+            else if (booking.skipped) row.className = 'skipped';
+            else if (nearMiss) row.className = 'near-miss';
+
+            [booking.index, booking.date || booking.dateText || '', booking.vehicle || '', booking.payoutText || ''].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+            const checksCell = row.insertCell();
+            if (booking.skipped) {
+                checksCell.textContent = `Skipped: ${booking.skipped}`;
+                return;
+            }
+            booking.checks.forEach((check, i) => {
+                const span = document.createElement('span');
+                span.className = check.pass ? 'pass' : 'fail';
+                span.textContent = `${check.pass ? '✓' : '✗'} ${check.name}`;
+                span.title = check.detail;
+                if (i > 0) checksCell.appendChild(document.createTextNode(' '));
+                checksCell.appendChild(span);
+            });
+            if (nearMiss) {
+                const reason = document.createElement('div');
+                reason.className = 'near-miss-reason';
+                reason.textContent = `Near miss: ${nearMiss.join(', ')}`;
+                checksCell.appendChild(reason);
             }
         });
+        cycleReportPanel.appendChild(table);
+    };
 
-        chrome.storage.local.get('automation_in_progress', (data) => {
-            if (data.automation_in_progress) {
-                proceedButton.disabled = true;
+    /**
+     * Sends the user's decision on the pending ride to the background.
+     * @param {boolean} approved
+     */
+    const sendApprovalDecision = (approved) => {
+        approveButton.disabled = true;
+        rejectButton.disabled = true;
+        chrome.runtime.sendMessage({ action: 'approvalDecision', approved, tabId: pendingApproval && pendingApproval.tabId }, (response) => {
+            if (!response || response.status !== 'success') {
+                logMessage(response ? response.message : 'The decision could not be sent.', 'error', new Date().toLocaleTimeString());
             }
         });
     };
 
+    /**
+     * Fills the Vehicle Class and Phase 8 Vehicle lists from the vehicle catalogue.
+     * Phase 8 vehicles are labelled with the classes they are mapped to.
+     * @param {object} catalogue The catalogue, see mergeVehicleCatalogue().
+     */
+    const renderVehicleLists = (catalogue) => {
+        vehicleClass.innerHTML = '';
+        catalogue.bookingClasses.forEach(name => vehicleClass.appendChild(new Option(name, name)));
+
+        phase8VehicleClass.innerHTML = '';
+        catalogue.fleetVehicles.forEach(name => {
+            const classes = catalogue.bookingClasses.filter(c => catalogue.classFleet[c].includes(name));
+            const label = `${name} (${classes.length ? classes.join(', ') : 'no class'})`;
+            phase8VehicleClass.appendChild(new Option(label, name));
+        });
+    };
+
     /**
      * Dynamically generates price input fields based on the selected vehicles.
      */
@@ -118,17 +454,24 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
 
+    /**
+     * Tells whether a log entry passes the tab chosen in the log filter.
+     * @param {{tabId: number | null}} entry The log entry.
+     * @returns {boolean}
+     */
+    const isLogShown = (entry) => !logFilter.value || String(entry.tabId) === logFilter.value;
+
     /**
      * Loads the entire log history from storage and displays it.
      */
-    const loadLogHistory = () => {
+    function loadLogHistory() {
         logPanel.innerHTML = ''; // Clear existing logs
         chrome.storage.local.get({ logHistory: [] }, (data) => {
-            for (const entry of data.logHistory) {
-                logMessage(entry.text, entry.level, entry.timestamp);
+            for (const entry of data.logHistory.filter(isLogShown)) {
+                logMessage(entry.text, entry.level, entry.timestamp, entry.tabId);
             }
         });
-    };
+    }
 
     // --- Event Listeners ---
 
@@ -143,57 +486,30 @@ document.addEventListener('DOMContentLoaded', () => {
         saveSettings(); // Save after updating so the price field structure is in sync
     });
 
-    // "Proceed" button initiates the automation
+    // "Proceed" button initiates the automation. The start shortcut builds
+    // the same config from the saved settings.
     proceedButton.addEventListener('click', () => {
-        if (!startDate.value) {
-            return logMessage('Error: Start Date is required.', 'error', new Date().toLocaleTimeString());
-        }
-        const selectedVehicles = Array.from(vehicleClass.selectedOptions).map(option => option.value);
-        if (selectedVehicles.length === 0) {
-            return logMessage('Error: At least one Vehicle Class must be selected.', 'error', new Date().toLocaleTimeString());
-        }
-        if (Array.from(phase8VehicleClass.selectedOptions).length === 0) {
-            return logMessage('Error: At least one Phase 8 Vehicle must be selected.', 'error', new Date().toLocaleTimeString());
+        const { config, error } = buildRunConfig(readSettings());
+        if (error) {
+            return logMessage(`Error: ${error}`, 'error', new Date().toLocaleTimeString());
         }
 
-        // Collect prices
-        const vehiclePrices = {};
-        let allPricesSet = true;
-        selectedVehicles.forEach(vehicle => {
-            const priceInput = document.getElementById(`price-${vehicle.replace(/\s+/g, '-')}`);
-            if (!priceInput || priceInput.value === '') {
-                allPricesSet = false;
-            } else {
-                vehiclePrices[vehicle] = parseFloat(priceInput.value);
-            }
-        });
-
-        if (!allPricesSet) {
-            return logMessage('Error: Please enter a price for all selected vehicles.', 'error', new Date().toLocaleTimeString());
-        }
-
-
-        const config = {
-            startDate: startDate.value,
-            endDate: endDate.value,
-            vehicleClasses: selectedVehicles,
-            vehiclePrices: vehiclePrices,
-            phase8VehicleClasses: Array.from(phase8VehicleClass.selectedOptions).map(o => o.value),
-            enablePhase9Click: phase9ClickToggle.checked,
-            autoRefresh: autoRefreshToggle.checked
-        };
-
-        chrome.runtime.sendMessage({ action: 'startAutomation', config }, (response) => {
+        chrome.runtime.sendMessage({ action: 'startAutomation', config, tabId: currentTabId || undefined }, (response) => {
             if (!response || response.status !== 'success') {
                 logMessage(response ? response.message : 'Failed to start. Is the correct tab open?', 'error', new Date().toLocaleTimeString());
             }
         });
     });
 
-    // "Abort" button stops the automation
+    // "Abort" button stops the session of the current tab only; "Abort All"
+    // stops every session.
     abortButton.addEventListener('click', () => {
-        chrome.runtime.sendMessage({ action: 'abortAutomation' });
+        const current = findCurrentSession();
+        if (current) sendSessionCommand({ action: 'abortAutomation', tabId: current.tabId });
     });
+    abortAllButton.addEventListener('click', () => sendSessionCommand({ action: 'abortAllAutomation' }));
+
+    logFilter.addEventListener('change', loadLogHistory);
 
     // "Clear Log" button
     clearLogButton.addEventListener('click', () => {
@@ -203,17 +519,63 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
+    approveButton.addEventListener('click', () => sendApprovalDecision(true));
+    rejectButton.addEventListener('click', () => sendApprovalDecision(false));
+
+    // The banner follows the background, whichever way the decision was made.
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes.pendingApprovals) {
+            showApproval((changes.pendingApprovals.newValue || [])[0]);
+        }
+        // The final click can be toggled by its shortcut while the popup is open.
+        if (areaName === 'local' && changes.settings && changes.settings.newValue) {
+            phase9ClickToggle.checked = changes.settings.newValue.enablePhase9Click !== false;
+        }
+    });
+
+    // The highlighted near misses follow the margins as they are typed.
+    [nearMissPayout, nearMissDays].forEach(input => {
+        input.addEventListener('input', () => showCycleReport(cycleReport));
+    });
+
+    catalogueLink.addEventListener('click', (event) => {
+        event.preventDefault();
+        chrome.runtime.openOptionsPage();
+    });
+
+    // "History" button opens the run history page in a new tab
+    historyButton.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('html/history.html') });
+    });
+
+    // "Dashboard" button opens the statistics of the run history in a new tab
+    dashboardButton.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('html/dashboard.html') });
+    });
+
     // Listen for messages (like logs) from the background script
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-        if (message.type === 'log') {
-            logMessage(message.text, message.level, message.timestamp);
+        if (message.type === 'log' && isLogShown(message)) {
+            logMessage(message.text, message.level, message.timestamp, message.tabId);
         }
-        if (message.type === 'automation_finished' || message.type === 'automation_aborted') {
-            proceedButton.disabled = false;
+        // The background broadcasts the sessions each time their state changes.
+        if (message.type === 'automation_status') {
+            showSessions(message.sessions);
         }
     });
 
     // --- Initialization ---
-    loadSettings();
+    Object.entries(RANKING_STRATEGIES).forEach(([value, label]) => {
+        rankingStrategy.appendChild(new Option(label, value));
+    });
+    // The saved selections can only be restored once the lists exist, and the
+    // session list needs the current tab.
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        currentTabId = tabs[0] ? tabs[0].id : null;
+        loadVehicleCatalogue((catalogue) => {
+            renderVehicleLists(catalogue);
+            loadSettings();
+        });
+    });
     loadLogHistory();
 });
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Ranking of the bookings that pass every Phase 6 check, so the
+ * best one is clicked rather than the first one on the page.
+ *
+ * Injected ahead of content.js and loaded by the popup. Like the other shared
+ * scripts it only uses `var` and function declarations.
+ */
+
+/**
+ * The available strategies, with the label shown in the popup and the logs.
+ * 'first' keeps the page order and stops at the first match.
+ */
+var RANKING_STRATEGIES = {
+    first: 'First match on the page',
+    highest_payout: 'Highest payout',
+    highest_margin: 'Highest payout over the class minimum',
+    earliest_date: 'Earliest date',
+    vehicle_order: 'Preferred vehicle class order'
+};
+
+/**
+ * Orders matching bookings from best to worst. Ties are broken by the higher
+ * payout, then by page order.
+ * @param {object[]} candidates The matching bookings.
+ * @param {number} candidates[].index The 1-based position of the booking on the page.
+ * @param {number} candidates[].payout The parsed payout.
+ * @param {number} candidates[].minPayout The user's minimum payout for the booking's class.
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} candidates[].date The parsed date.
+ * @param {number} candidates[].vehicleRank The position of the booking's class in the user's list.
+ * @param {string} strategy A key of RANKING_STRATEGIES.
+ * @returns {object[]} A new, sorted array.
+ */
+function rankCandidates(candidates, strategy) {
+    const primary = {
+        first: () => 0,
+        highest_payout: (a, b) => b.payout - a.payout,
+        highest_margin: (a, b) => (b.payout - b.minPayout) - (a.payout - a.minPayout),
+        earliest_date: (a, b) => dateSortKey(a.date) - dateSortKey(b.date),
+        vehicle_order: (a, b) => a.vehicleRank - b.vehicleRank
+    }[strategy] || (() => 0);
+
+    return [...candidates].sort((a, b) =>
+        primary(a, b) || (strategy === 'first' ? 0 : b.payout - a.payout) || a.index - b.index);
+}
+
+/**
+ * Turns a parsed date into a number that sorts chronologically.
+ * @param {{year: number, month: number, day: number, hour: number, minute: number}} date
+ * @returns {number}
+ */
+function dateSortKey(date) {
+    return Date.UTC(date.year, date.month - 1, date.day, date.hour, date.minute);
+}
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview The auto-refresh schedule: the bounds of the random delay
+ * between cycles, the weekly active hours, and the limits after which the
+ * loop stops by itself. The background plans each cycle with
+ * planNextRefresh(); the delays are kept by its persistent timer, which a
+ * chrome.alarms alarm wakes the worker up for, and a second alarm stops the
+ * loop when the active hours end.
+ *
+ * Active hours are written one window per line, e.g. "Mon-Fri 06:00-22:00" or
+ * "Sat,Sun 08:00-14:00", in the browser's local time. A window ending at or
+ * before its start runs past midnight. Without any window the loop runs at
+ * any hour.
+ *
+ * This file is shared. The service worker loads it with importScripts(), and
+ * the options page with a script tag. It only uses `var` and function
+ * declarations, like the other shared scripts.
+ */
+
+/**
+ * The schedule used until the options say otherwise. Zero means no limit.
+ */
+var DEFAULT_REFRESH_SCHEDULE = Object.freeze({
+    refreshMinSeconds: 7,
+    refreshMaxSeconds: 30,
+    refreshActiveHours: '',
+    refreshMaxCycles: 0,
+    refreshMaxMinutes: 0
+});
+
+var WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Reads the day part of a window, e.g. "Mon-Fri", "Sat,Sun", "Fri-Mon" or "Daily".
+ * @param {string} text The day part.
+ * @returns {number[] | null} The days, 0 for Sunday, or null if the text is not valid.
+ */
+function parseWeekdays(text) {
+    if (/^(daily|every ?day)$/i.test(text)) return [0, 1, 2, 3, 4, 5, 6];
+    const dayOf = (name) => WEEKDAY_NAMES.findIndex(day => day.toLowerCase() === name.slice(0, 3).toLowerCase() && name.length >= 3);
+    const days = [];
+    for (const item of text.split(',')) {
+        const [first, last] = item.trim().split(/\s*[-–]\s*/);
+        const from = dayOf(first || '');
+        const to = last === undefined ? from : dayOf(last);
+        if (from < 0 || to < 0) return null;
+        // A range may wrap around the end of the week.
+        for (let day = from; ; day = (day + 1) % 7) {
+            if (!days.includes(day)) days.push(day);
+            if (day === to) break;
+        }
+    }
+    return days.sort();
+}
+
+/**
+ * Parses the active hours written on the options page.
+ * @param {string} text One window per line; blank lines are ignored.
+ * @returns {{windows: {days: number[], start: number, end: number}[], errors: string[]}}
+ *     The windows, with their start and end in minutes after midnight, and one
+ *     message per line that could not be read.
+ */
+function parseActiveHours(text) {
+    const windows = [];
+    const errors = [];
+    String(text || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const match = line.match(/^(.+?)\s+(\d{1,2}):(\d{2})\s*[-–]\s*(\d{1,2}):(\d{2})$/);
+        const days = match ? parseWeekdays(match[1].trim()) : null;
+        const start = match ? Number(match[2]) * 60 + Number(match[3]) : NaN;
+        const end = match ? Number(match[4]) * 60 + Number(match[5]) : NaN;
+        if (!days || !(start < 24 * 60) || !(end <= 24 * 60) || Number(match[3]) > 59 || Number(match[5]) > 59) {
+            errors.push(`"${line}" is not a window like "Mon-Fri 06:00-22:00".`);
+            return;
+        }
+        windows.push({ days, start, end });
+    });
+    return { windows, errors };
+}
+
+/**
+ * Reads the auto-refresh schedule from the saved options, falling back to the
+ * defaults for missing or invalid values.
+ * @param {object} [options] The options saved by the options page.
+ * @returns {{refreshMinSeconds: number, refreshMaxSeconds: number, refreshActiveHours: string,
+ *     refreshMaxCycles: number, refreshMaxMinutes: number, windows: object[]}}
+ *     The schedule, with the parsed windows of the active hours.
+ */
+function readRefreshSchedule(options) {
+    const schedule = { ...DEFAULT_REFRESH_SCHEDULE };
+    ['refreshMinSeconds', 'refreshMaxSeconds'].forEach(key => {
+        const seconds = Number(options && options[key]);
+        if (seconds >= 1) schedule[key] = seconds;
+    });
+    if (schedule.refreshMaxSeconds < schedule.refreshMinSeconds) schedule.refreshMaxSeconds = schedule.refreshMinSeconds;
+    ['refreshMaxCycles', 'refreshMaxMinutes'].forEach(key => {
+        const limit = Number(options && options[key]);
+        if (limit >= 0) schedule[key] = limit;
+    });
+    if (options && typeof options.refreshActiveHours === 'string') schedule.refreshActiveHours = options.refreshActiveHours;
+    schedule.windows = parseActiveHours(schedule.refreshActiveHours).windows;
+    return schedule;
+}
+
+/**
+ * Lists the occurrences of the windows around a time: those starting on the
+ * day before it through the week after it.
+ * @param {object[]} windows The windows, see parseActiveHours().
+ * @param {number} now The time, in milliseconds since the epoch.
+ * @returns {{start: number, end: number}[]} Start and end times, in milliseconds.
+ */
+function listWindowOccurrences(windows, now) {
+    const occurrences = [];
+    for (let offset = -1; offset <= 7; offset++) {
+        const day = new Date(now);
+        day.setHours(0, 0, 0, 0);
+        day.setDate(day.getDate() + offset);
+        windows.filter(hours => hours.days.includes(day.getDay())).forEach(hours => {
+            const start = new Date(day);
+            start.setMinutes(hours.start);
+            const end = new Date(day);
+            end.setMinutes(hours.end > hours.start ? hours.end : hours.end + 24 * 60);
+            occurrences.push({ start: start.getTime(), end: end.getTime() });
+        });
+    }
+    return occurrences;
+}
+
+/**
+ * Finds when the window open at a time closes.
+ * @param {object[]} windows The windows, see parseActiveHours().
+ * @param {number} now The time, in milliseconds since the epoch.
+ * @returns {number | null} The end of the open window, the latest if several are, or null.
+ */
+function findActiveWindowEnd(windows, now) {
+    const open = listWindowOccurrences(windows, now).filter(w => w.start <= now && now < w.end);
+    return open.length ? Math.max(...open.map(w => w.end)) : null;
+}
+
+/**
+ * Finds when the next window opens after a time.
+ * @param {object[]} windows The windows, see parseActiveHours().
+ * @param {number} now The time, in milliseconds since the epoch.
+ * @returns {number | null} The start of the next window, or null when there are none.
+ */
+function findNextWindowStart(windows, now) {
+    const starts = listWindowOccurrences(windows, now).map(w => w.start).filter(start => start > now);
+    return starts.length ? Math.min(...starts) : null;
+}
+
+/**
+ * Decides what the auto-refresh loop does once a cycle has ended: refresh
+ * (after pickRefreshDelay()), wait for the active hours to start, or stop.
+ * The loop stops once it has run its maximum number of cycles or minutes,
+ * and when the active hours it ran in have ended.
+ * @param {object} schedule The schedule, see readRefreshSchedule().
+ * @param {{startedAt: number, cycles: number, windowEnd: number | null}} loop The loop so far:
+ *     when it started, the cycles it ran, and the end of the window it ran in, if any.
+ * @param {number} now The current time, in milliseconds since the epoch.
+ * @returns {{action: 'refresh', stopAt: number | null, windowEnd: number | null}
+ *     | {action: 'wait', delayMs: number, startsAt: number} | {action: 'stop', reason: string}}
+ *     For a refresh, `stopAt` is when the loop must stop even while waiting, if ever.
+ */
+function planNextRefresh(schedule, loop, now) {
+    if (schedule.refreshMaxCycles && loop.cycles >= schedule.refreshMaxCycles) {
+        return { action: 'stop', reason: `Auto-refresh stopped after ${loop.cycles} cycle(s), its maximum.` };
+    }
+    const limitAt = schedule.refreshMaxMinutes ? loop.startedAt + schedule.refreshMaxMinutes * 60000 : null;
+    if (limitAt !== null && now >= limitAt) {
+        return { action: 'stop', reason: `Auto-refresh stopped after running for ${schedule.refreshMaxMinutes} minute(s), its maximum.` };
+    }
+
+    let windowEnd = null;
+    if (schedule.windows.length) {
+        windowEnd = findActiveWindowEnd(schedule.windows, now);
+        if (windowEnd === null && loop.windowEnd) {
+            return { action: 'stop', reason: 'Auto-refresh stopped: its active hours have ended.' };
+        }
+        if (windowEnd === null) {
+            const startsAt = findNextWindowStart(schedule.windows, now);
+            if (limitAt !== null && startsAt >= limitAt) {
+                return { action: 'stop', reason: `Auto-refresh stopped: its active hours do not start within its ${schedule.refreshMaxMinutes} minute(s).` };
+            }
+            return { action: 'wait', delayMs: startsAt - now, startsAt };
+        }
+    }
+
+    const ends = [limitAt, windowEnd].filter(end => end !== null);
+    return { action: 'refresh', stopAt: ends.length ? Math.min(...ends) : null, windowEnd };
+}
+
+/**
+ * Picks the delay before the next refresh, a whole number of seconds within the bounds.
+ * @param {object} schedule The schedule, see readRefreshSchedule().
+ * @param {() => number} [random=Math.random] Source of the random delay.
+ * @returns {number} The delay in milliseconds.
+ */
+function pickRefreshDelay(schedule, random = Math.random) {
+    const { refreshMinSeconds: min, refreshMaxSeconds: max } = schedule;
+    return Math.floor(random() * (max - min + 1) + min) * 1000;
+}
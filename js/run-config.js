@@ -0,0 +1,100 @@
+/**
+ * @fileoverview The config a run starts with, built from the settings the
+ * popup saves in chrome.storage.local as `settings`, with the checks they
+ * must pass first. Proceed builds it from the popup form, and the start
+ * shortcut from the saved settings, so both start the same run.
+ *
+ * This file is shared. The service worker loads it with importScripts(), and
+ * the popup with a script tag, both after criteria.js. It only uses `var`
+ * and function declarations, like the other shared scripts.
+ */
+
+/**
+ * Converts the "More Criteria" values, as typed, to the shape expected by
+ * evaluateExtraCriteria().
+ * @param {object} [values] The typed values, keyed by criterion.
+ * @returns {object} The additional criteria.
+ */
+function buildExtraCriteria(values) {
+    const typed = values || {};
+    return {
+        pickupInclude: parseKeywordList(typed.pickupInclude),
+        pickupExclude: parseKeywordList(typed.pickupExclude),
+        dropoffInclude: parseKeywordList(typed.dropoffInclude),
+        dropoffExclude: parseKeywordList(typed.dropoffExclude),
+        timeFrom: typed.timeFrom || '',
+        timeTo: typed.timeTo || '',
+        passengersMin: parseBound(typed.passengersMin),
+        passengersMax: parseBound(typed.passengersMax),
+        luggageMin: parseBound(typed.luggageMin),
+        luggageMax: parseBound(typed.luggageMax),
+        distanceMin: parseBound(typed.distanceMin),
+        distanceMax: parseBound(typed.distanceMax)
+    };
+}
+
+/**
+ * Builds the config of a run from the popup settings.
+ * @param {object} [settings] The settings, as saved by the popup.
+ * @returns {{config: object} | {error: string}} The config, or why the
+ *     settings cannot start a run.
+ */
+function buildRunConfig(settings) {
+    const saved = settings || {};
+    const vehicleClasses = saved.vehicleClass || [];
+    const phase8VehicleClasses = saved.phase8VehicleClass || [];
+    const typedPrices = saved.vehiclePrices || {};
+
+    if (!saved.startDate) {
+        return { error: 'Start Date is required.' };
+    }
+    if (vehicleClasses.length === 0) {
+        return { error: 'At least one Vehicle Class must be selected.' };
+    }
+    if (phase8VehicleClasses.length === 0) {
+        return { error: 'At least one Phase 8 Vehicle must be selected.' };
+    }
+    if (vehicleClasses.some(vehicle => typedPrices[vehicle] === undefined || typedPrices[vehicle] === '')) {
+        return { error: 'Please enter a price for all selected vehicles.' };
+    }
+
+    const extraCriteria = buildExtraCriteria(saved.extraCriteria);
+    const invalidBounds = ['passengers', 'luggage', 'distance'].filter(name =>
+        extraCriteria[`${name}Min`] !== null && extraCriteria[`${name}Max`] !== null && extraCriteria[`${name}Min`] > extraCriteria[`${name}Max`]);
+    if (invalidBounds.length > 0) {
+        return { error: `The minimum is above the maximum for: ${invalidBounds.join(', ')}.` };
+    }
+    const approvalTimeout = String(saved.approvalTimeout || '');
+    if (approvalTimeout !== '' && !(parseInt(approvalTimeout, 10) >= 10)) {
+        return { error: 'The approval timeout must be at least 10 seconds.' };
+    }
+    const watchIdleSeconds = String(saved.watchIdleSeconds || '');
+    if (watchIdleSeconds !== '' && !(parseInt(watchIdleSeconds, 10) >= 10)) {
+        return { error: 'The watch period before a reload must be at least 10 seconds.' };
+    }
+
+    const vehiclePrices = {};
+    vehicleClasses.forEach(vehicle => {
+        vehiclePrices[vehicle] = parseFloat(typedPrices[vehicle]);
+    });
+
+    return {
+        config: {
+            startDate: saved.startDate,
+            endDate: saved.endDate || '',
+            vehicleClasses: vehicleClasses,
+            vehiclePrices: vehiclePrices,
+            rankingStrategy: saved.rankingStrategy || 'first',
+            phase8VehicleClasses: phase8VehicleClasses,
+            // Like the popup toggles, both default to on.
+            dryRun: saved.dryRun !== false,
+            enablePhase9Click: saved.enablePhase9Click !== false,
+            requireApproval: saved.requireApproval === true,
+            approvalTimeoutSeconds: parseInt(approvalTimeout, 10) || null,
+            autoRefresh: saved.autoRefresh === true,
+            watchBookingList: saved.watchBookingList === true,
+            watchIdleSeconds: parseInt(watchIdleSeconds, 10) || null,
+            extraCriteria: extraCriteria
+        }
+    };
+}
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview The site profile: every selector and URL pattern that ties the
+ * extension to the markup of the booking site. A built-in default is used
+ * until the user saves their own profile from the options page.
+ *
+ * This file is shared. The service worker loads it with importScripts(), the
+ * options page with a script tag, and the background injects it ahead of
+ * content.js. It only uses `var` and function declarations so that injecting
+ * it twice into the same page does not throw.
+ */
+
+/**
+ * The profile matching the booking site at the time of writing.
+ */
+var DEFAULT_SITE_PROFILE = Object.freeze({
+    bookingRow: 'div.row.the_booking',
+    bookingDate: '.booking_date',
+    bookingVehicleClass: '.vehicle_class',
+    bookingPayout: 'span.partner_payout',
+    bookingPickup: '.pickup_location',
+    bookingDropoff: '.dropoff_location',
+    bookingPassengers: '.passengers',
+    bookingLuggage: '.luggage',
+    bookingDistance: '.distance',
+    bookingUrlPattern: 'window\\.open\\("([^"]+)"',
+    newRidePathPattern: '/new-ride/.*',
+    vehicleSelect: '#vehicle',
+    acceptButton: '#accept_ride',
+    errorMessage: '.error-message',
+    acceptSuccess: '.alert-success, #result.success',
+    acceptErrorText: 'already (been )?taken|no longer available|not available|could not|failed',
+    rideDate: '.ride_date',
+    ridePickup: '.ride_pickup',
+    rideDropoff: '.ride_dropoff',
+    ridePassenger: '.ride_passenger',
+    rideFlight: '.ride_flight',
+    ridePayout: '.ride_payout',
+    loginForm: 'input[type="password"]'
+});
+
+/**
+ * Describes each profile field for the options page and for validation.
+ * A 'selector' is a CSS selector; a 'pattern' is a regular expression source.
+ */
+var SITE_PROFILE_FIELDS = [
+    { key: 'bookingRow', type: 'selector', label: 'Booking row (P6)' },
+    { key: 'bookingDate', type: 'selector', label: 'Booking date, inside a row (P6)' },
+    { key: 'bookingVehicleClass', type: 'selector', label: 'Vehicle class, inside a row (P6)' },
+    { key: 'bookingPayout', type: 'selector', label: 'Partner payout, inside a row (P6)' },
+    { key: 'bookingPickup', type: 'selector', label: 'Pickup location, inside a row (P6)' },
+    { key: 'bookingDropoff', type: 'selector', label: 'Dropoff location, inside a row (P6)' },
+    { key: 'bookingPassengers', type: 'selector', label: 'Passenger count, inside a row (P6)' },
+    { key: 'bookingLuggage', type: 'selector', label: 'Luggage count, inside a row (P6)' },
+    { key: 'bookingDistance', type: 'selector', label: 'Trip distance, inside a row (P6)' },
+    { key: 'bookingUrlPattern', type: 'pattern', label: 'New ride URL in the row onclick, group 1 (P6)' },
+    { key: 'newRidePathPattern', type: 'pattern', label: 'New ride tab path, after the domain' },
+    { key: 'vehicleSelect', type: 'selector', label: 'Vehicle select2 dropdown (P8)' },
+    { key: 'acceptButton', type: 'selector', label: 'Accept Ride button (P9)' },
+    { key: 'errorMessage', type: 'selector', label: 'Page error message (P9)' },
+    { key: 'acceptSuccess', type: 'selector', label: 'Success indicator shown after Accept Ride (P9)' },
+    { key: 'acceptErrorText', type: 'pattern', label: 'Error text shown after Accept Ride, any case (P9)' },
+    { key: 'rideDate', type: 'selector', label: 'Ride date and time, new ride page' },
+    { key: 'ridePickup', type: 'selector', label: 'Ride pickup, new ride page' },
+    { key: 'rideDropoff', type: 'selector', label: 'Ride dropoff, new ride page' },
+    { key: 'ridePassenger', type: 'selector', label: 'Passenger name or count, new ride page' },
+    { key: 'rideFlight', type: 'selector', label: 'Flight number, new ride page' },
+    { key: 'ridePayout', type: 'selector', label: 'Ride payout, new ride page' },
+    { key: 'loginForm', type: 'selector', label: 'Login form, shown once the session has expired' }
+];
+
+/**
+ * Fills any field missing from a saved profile with its default value, so that
+ * profiles saved by older versions keep working when fields are added.
+ * @param {object} [savedProfile] The profile read from storage, if any.
+ * @returns {object} A complete site profile.
+ */
+function mergeSiteProfile(savedProfile) {
+    const profile = { ...DEFAULT_SITE_PROFILE };
+    if (savedProfile && typeof savedProfile === 'object') {
+        for (const field of SITE_PROFILE_FIELDS) {
+            if (typeof savedProfile[field.key] === 'string' && savedProfile[field.key].trim()) {
+                profile[field.key] = savedProfile[field.key].trim();
+            }
+        }
+    }
+    return profile;
+}
+
+/**
+ * Checks that every field of a profile is present and well-formed.
+ * @param {object} profile The profile to check.
+ * @returns {string[]} One message per invalid field; empty when the profile is valid.
+ */
+function validateSiteProfile(profile) {
+    const errors = [];
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        return ['The site profile must be a JSON object.'];
+    }
+
+    for (const field of SITE_PROFILE_FIELDS) {
+        const value = profile[field.key];
+        if (typeof value !== 'string' || !value.trim()) {
+            errors.push(`"${field.key}" is missing or empty.`);
+            continue;
+        }
+        try {
+            if (field.type === 'pattern') {
+                new RegExp(value);
+            } else if (typeof document !== 'undefined') {
+                // Throws a SyntaxError for an invalid selector.
+                document.createDocumentFragment().querySelector(value);
+            }
+        } catch (e) {
+            errors.push(`"${field.key}" is not a valid ${field.type === 'pattern' ? 'regular expression' : 'CSS selector'}: ${e.message}`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Reads the active site profile from chrome.storage.sync.
+ * @param {(profile: object) => void} callback Receives the merged profile.
+ */
+function loadSiteProfile(callback) {
+    chrome.storage.sync.get('siteProfile', (data) => {
+        callback(mergeSiteProfile(data.siteProfile));
+    });
+}
+
+/**
+ * Escapes a string for literal use inside a regular expression.
+ * @param {string} text The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Builds the regular expression that recognises a new ride tab.
+ * @param {string} domain The allow-listed domain.
+ * @param {object} profile The active site profile.
+ * @returns {RegExp} The pattern to test tab URLs against.
+ */
+function buildNewRideUrlPattern(domain, profile) {
+    return new RegExp(`^https?://${escapeRegExp(domain)}${profile.newRidePathPattern}`);
+}
@@ -0,0 +1,206 @@
+/**
+ * @fileoverview The figures of the dashboard page, computed from the run
+ * history (history-store.js): cycles per day, the bookings seen, matched and
+ * accepted, why bookings were turned down, the payouts of accepted rides, and
+ * how often Phases 8 and 9 fail. Every function takes runs as getRuns()
+ * returns them, newest first, and leaves them untouched.
+ *
+ * Loaded by the dashboard page, after booking-ledger.js.
+ */
+
+/**
+ * The label of a Phase 6 skip in the rejection reasons, by skip reason.
+ * Bookings skipped as already handled carry a description instead, see
+ * describeHandledBooking().
+ */
+var SKIP_REASON_LABELS = {
+    'not visible': 'Visibility',
+    'missing date or vehicle info': 'Missing date or vehicle'
+};
+
+/**
+ * Gives the local calendar day of a time.
+ * @param {number} time Milliseconds since the epoch.
+ * @returns {string} The day, e.g. "2025-06-15".
+ */
+function localDayKey(time) {
+    const date = new Date(time);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Gives the local week of a time, named after its Monday.
+ * @param {number} time Milliseconds since the epoch.
+ * @returns {string} The Monday of the week, e.g. "2025-06-16".
+ */
+function localWeekKey(time) {
+    const date = new Date(time);
+    date.setHours(12, 0, 0, 0);
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return localDayKey(date.getTime());
+}
+
+/**
+ * Names a booking across cycles: by the ID of the URL its row opens, or else
+ * by what the row shows.
+ * @param {object} booking A booking evaluated in Phase 6.
+ * @returns {string}
+ */
+function bookingStatsKey(booking) {
+    return bookingIdFromUrl(booking.url) || [booking.dateText, booking.vehicle, booking.payoutText].join('|');
+}
+
+/**
+ * Finds the booking a run clicked in Phase 6.
+ * @param {object} run A run entry.
+ * @returns {object | null}
+ */
+function findSelectedBooking(run) {
+    return (run.bookings || []).find(booking => booking.index === run.selectedIndex) || null;
+}
+
+/**
+ * Counts the runs of each day, by what started them.
+ * @param {object[]} runs The run entries.
+ * @returns {{day: string, total: number, user: number, refresh: number, watch: number}[]}
+ *     One row per day with runs, oldest first.
+ */
+function countCyclesPerDay(runs) {
+    const days = {};
+    runs.forEach(run => {
+        const day = localDayKey(run.startedAt);
+        days[day] = days[day] || { day, total: 0, user: 0, refresh: 0, watch: 0 };
+        days[day].total++;
+        if (days[day][run.trigger] !== undefined) days[day][run.trigger]++;
+    });
+    return Object.values(days).sort((a, b) => (a.day < b.day ? -1 : 1));
+}
+
+/**
+ * Counts the distinct bookings seen in Phase 6, those that matched in at
+ * least one cycle, and the rides accepted.
+ * @param {object[]} runs The run entries.
+ * @returns {{seen: number, matched: number, accepted: number}}
+ */
+function countBookingFunnel(runs) {
+    const seen = new Set();
+    const matched = new Set();
+    runs.forEach(run => {
+        (run.bookings || []).forEach(booking => {
+            const key = bookingStatsKey(booking);
+            seen.add(key);
+            if (booking.matched) matched.add(key);
+        });
+    });
+    return { seen: seen.size, matched: matched.size, accepted: runs.filter(run => run.outcome === 'accepted').length };
+}
+
+/**
+ * Counts why bookings were turned down: the checks each one failed, or why
+ * it was skipped, as of the last cycle that saw it. Bookings that matched in
+ * any cycle are left out.
+ * @param {object[]} runs The run entries, newest first.
+ * @returns {{reason: string, count: number}[]} The reasons, most frequent first.
+ */
+function countRejectionReasons(runs) {
+    const latest = {};
+    const everMatched = new Set();
+    runs.forEach(run => {
+        (run.bookings || []).forEach(booking => {
+            const key = bookingStatsKey(booking);
+            if (booking.matched) everMatched.add(key);
+            if (!latest[key]) latest[key] = booking;
+        });
+    });
+
+    const counts = {};
+    Object.entries(latest).filter(([key]) => !everMatched.has(key)).forEach(([, booking]) => {
+        const reasons = booking.skipped
+            ? [SKIP_REASON_LABELS[booking.skipped] || 'Already handled']
+            : (booking.checks || []).filter(check => !check.pass).map(check => check.name);
+        reasons.forEach(reason => { counts[reason] = (counts[reason] || 0) + 1; });
+    });
+    return Object.entries(counts)
+        .map(([reason, count]) => ({ reason, count }))
+        .sort((a, b) => b.count - a.count || (a.reason < b.reason ? -1 : 1));
+}
+
+/**
+ * Adds up the payouts of the accepted rides by day, by week and by vehicle
+ * class. The payout read from the ride page is preferred to the one of the
+ * booking list; rides without either count with no payout.
+ * @param {object[]} runs The run entries.
+ * @returns {{total: number, count: number, byDay: object[], byWeek: object[], byClass: object[]}}
+ *     Each list holds { key, total, count }: days and weeks oldest first,
+ *     classes by total, highest first.
+ */
+function sumAcceptedPayouts(runs) {
+    const groups = { byDay: {}, byWeek: {}, byClass: {} };
+    let total = 0;
+    let count = 0;
+    const add = (group, key, payout) => {
+        group[key] = group[key] || { key, total: 0, count: 0 };
+        group[key].total += payout;
+        group[key].count++;
+    };
+    runs.filter(run => run.outcome === 'accepted').forEach(run => {
+        const booking = findSelectedBooking(run) || {};
+        const details = run.rideDetails || {};
+        const payout = typeof details.payout === 'number' ? details.payout : (typeof booking.payout === 'number' ? booking.payout : 0);
+        const time = run.endedAt || run.startedAt;
+        add(groups.byDay, localDayKey(time), payout);
+        add(groups.byWeek, localWeekKey(time), payout);
+        add(groups.byClass, booking.vehicleClass || booking.vehicle || 'Unknown', payout);
+        total += payout;
+        count++;
+    });
+    const byKey = (a, b) => (a.key < b.key ? -1 : 1);
+    return {
+        total,
+        count,
+        byDay: Object.values(groups.byDay).sort(byKey),
+        byWeek: Object.values(groups.byWeek).sort(byKey),
+        byClass: Object.values(groups.byClass).sort((a, b) => b.total - a.total || byKey(a, b))
+    };
+}
+
+/**
+ * Measures how often a phase fails once it is reached. A final click the site
+ * did not confirm is neither a success nor a failure and is counted apart;
+ * runs recorded before that status existed are told by their outcome.
+ * @param {object[]} runs The run entries.
+ * @param {'P8' | 'P9'} phase The phase, as recorded by the background.
+ * @returns {{attempts: number, failures: number, unconfirmed: number, rate: number | null}}
+ *     The failure rate from 0 to 1, or null when the phase never ran.
+ */
+function measurePhaseFailures(runs, phase) {
+    let attempts = 0;
+    let failures = 0;
+    let unconfirmed = 0;
+    runs.forEach(run => {
+        (run.phases || []).filter(entry => entry.phase === phase).forEach(entry => {
+            attempts++;
+            if (entry.status === 'failed') failures++;
+            else if (entry.status === 'unconfirmed' || (phase === 'P9' && run.outcome === 'unknown')) unconfirmed++;
+        });
+    });
+    return { attempts, failures, unconfirmed, rate: attempts ? failures / attempts : null };
+}
+
+/**
+ * Computes every figure of the dashboard.
+ * @param {object[]} runs The run entries, newest first.
+ * @returns {object}
+ */
+function computeDashboardStats(runs) {
+    return {
+        runs: runs.length,
+        cyclesPerDay: countCyclesPerDay(runs),
+        funnel: countBookingFunnel(runs),
+        rejectionReasons: countRejectionReasons(runs),
+        payouts: sumAcceptedPayouts(runs),
+        phase8: measurePhaseFailures(runs, 'P8'),
+        phase9: measurePhaseFailures(runs, 'P9')
+    };
+}
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview The vehicle catalogue: the booking classes the site offers,
+ * the vehicles of our fleet, and which fleet vehicles may serve each class.
+ * The popup builds its Vehicle Class and Phase 8 Vehicle lists from it, and
+ * Phase 8 only selects vehicles mapped to the class of the chosen booking.
+ * A built-in default is used until the user saves their own catalogue from
+ * the options page.
+ *
+ * This file is shared. The service worker loads it with importScripts(), the
+ * popup and options pages with a script tag, and the background injects it
+ * ahead of content.js. It only uses `var` and function declarations so that
+ * injecting it twice into the same page does not throw.
+ */
+
+/**
+ * The catalogue used until the user saves one.
+ */
+var DEFAULT_VEHICLE_CATALOGUE = Object.freeze({
+    bookingClasses: ['Standard Van', 'Economy', 'Standard Sedan', 'Minibus 12'],
+    fleetVehicles: ['Lexus es300h', 'Toyota corolla touring', 'Mercedes vito', 'Mercedes benz E300e'],
+    classFleet: {
+        'Standard Van': ['Mercedes vito'],
+        'Economy': ['Toyota corolla touring'],
+        'Standard Sedan': ['Lexus es300h', 'Toyota corolla touring', 'Mercedes benz E300e'],
+        'Minibus 12': []
+    }
+});
+
+/**
+ * Removes blanks and duplicates from a list of names, keeping the first spelling.
+ * @param {*} names The list read from storage or a form.
+ * @returns {string[]}
+ */
+function cleanNameList(names) {
+    const cleaned = [];
+    (Array.isArray(names) ? names : []).forEach(name => {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (trimmed && !cleaned.some(existing => existing.toLowerCase() === trimmed.toLowerCase())) {
+            cleaned.push(trimmed);
+        }
+    });
+    return cleaned;
+}
+
+/**
+ * Completes a saved catalogue: the lists are cleaned, and the mapping only
+ * keeps known classes and vehicles. Without a saved catalogue, the default
+ * is returned.
+ * @param {object} [savedCatalogue] The catalogue read from storage, if any.
+ * @returns {{bookingClasses: string[], fleetVehicles: string[], classFleet: object}}
+ */
+function mergeVehicleCatalogue(savedCatalogue) {
+    const source = savedCatalogue && typeof savedCatalogue === 'object' ? savedCatalogue : DEFAULT_VEHICLE_CATALOGUE;
+    const bookingClasses = cleanNameList(source.bookingClasses);
+    const fleetVehicles = cleanNameList(source.fleetVehicles);
+    const classFleet = {};
+    bookingClasses.forEach(bookingClass => {
+        const mapped = (source.classFleet && source.classFleet[bookingClass]) || [];
+        classFleet[bookingClass] = cleanNameList(mapped).filter(vehicle => fleetVehicles.includes(vehicle));
+    });
+    return { bookingClasses, fleetVehicles, classFleet };
+}
+
+/**
+ * Checks a catalogue before it is saved.
+ * @param {object} catalogue The catalogue, as merged by mergeVehicleCatalogue().
+ * @returns {string[]} One message per problem; empty when the catalogue is valid.
+ */
+function validateVehicleCatalogue(catalogue) {
+    const errors = [];
+    if (catalogue.bookingClasses.length === 0) errors.push('Add at least one booking class.');
+    if (catalogue.fleetVehicles.length === 0) errors.push('Add at least one fleet vehicle.');
+    return errors;
+}
+
+/**
+ * Lists the Phase 8 vehicles that may serve a booking class, in the order of
+ * the Phase 8 selection. A class missing from the catalogue, e.g. from
+ * settings saved before it changed, is not restricted.
+ * @param {object} catalogue The vehicle catalogue.
+ * @param {string | null | undefined} bookingClass The class as configured in the popup.
+ * @param {string[]} phase8Vehicles The Phase 8 vehicles selected in the popup.
+ * @returns {string[]}
+ */
+function fleetForBookingClass(catalogue, bookingClass, phase8Vehicles) {
+    const mapped = bookingClass ? catalogue.classFleet[bookingClass] : undefined;
+    if (!mapped) return (phase8Vehicles || []).slice();
+    return (phase8Vehicles || []).filter(vehicle => mapped.includes(vehicle));
+}
+
+/**
+ * Reads the active vehicle catalogue from chrome.storage.sync.
+ * @param {(catalogue: object) => void} callback Receives the merged catalogue.
+ */
+function loadVehicleCatalogue(callback) {
+    chrome.storage.sync.get('vehicleCatalogue', (data) => {
+        callback(mergeVehicleCatalogue(data.vehicleCatalogue));
+    });
+}
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview The Phase 8 vehicle selection. The new ride page uses a select2
+ * dropdown driven by the page's own jQuery, so this function is run in the
+ * page's MAIN world with chrome.scripting.executeScript({ func }).
+ *
+ * Loaded by the service worker with importScripts(). The function is
+ * serialized when injected: it must not use anything outside its own body.
+ */
+
+/**
+ * Selects the first enabled option of the vehicle dropdown whose text contains
+ * one of the wanted classes, trying the classes in order. Vehicles already
+ * committed to an overlapping ride (fleet.js) are passed over. In a dry run the
+ * option is only resolved; the dropdown is left untouched.
+ * @param {string[]} vehicleClasses The wanted vehicle classes, in order of preference.
+ * @param {string} vehicleSelector The selector of the select2 dropdown.
+ * @param {boolean} dryRun Whether to leave the dropdown untouched.
+ * @param {string[]} [busyVehicles=[]] The option values of the busy vehicles.
+ * @returns {{status: 'success' | 'error', message: string, selected?: {text: string, value: string},
+ *     fleet?: {text: string, value: string}[]}} On success, `selected` describes the option
+ *     chosen. `fleet` lists every enabled option of the wanted classes, busy or not.
+ */
+function selectVehicleInPage(vehicleClasses, vehicleSelector, dryRun, busyVehicles = []) {
+    try {
+        const $select = $(vehicleSelector);
+        if (!$select.length) throw new Error(`Vehicle select dropdown (${vehicleSelector}) not found.`);
+        const fleet = [];
+        $select.find('option:not(:disabled)').each(function() {
+            const text = $(this).text().trim();
+            if (vehicleClasses.some(targetText => text.includes(targetText))) fleet.push({ text, value: $(this).val() });
+        });
+        const skipped = fleet.filter(vehicle => busyVehicles.includes(vehicle.value)).map(vehicle => vehicle.text);
+        const skippedText = skipped.length ? ` Skipped busy vehicle(s): ${skipped.join(', ')}.` : '';
+
+        if (!dryRun) $select.select2('open');
+        let selected = null;
+        let selectedText = '';
+        for (const targetText of vehicleClasses) {
+            const option = $select.find('option:not(:disabled)').filter(function() {
+                return $(this).text().includes(targetText) && !busyVehicles.includes($(this).val());
+            }).first();
+            if (option.length) {
+                if (!dryRun) $select.val(option.val()).trigger('change');
+                selected = { text: option.text().trim(), value: option.val() };
+                selectedText = `${selected.text} (value "${selected.value}")`;
+                break;
+            }
+        }
+        if (!dryRun) $select.select2('close');
+        if (selected && dryRun) return { status: 'success', message: `[Dry Run] Would select ${selectedText}.${skippedText}`, selected, fleet };
+        if (selected) return { status: 'success', message: `Vehicle selected successfully: ${selectedText}.${skippedText}`, selected, fleet };
+        return { status: 'error', message: `Error: No available vehicle found for any of the desired classes.${skippedText}`, fleet };
+    } catch (error) {
+        return { status: 'error', message: error.toString() };
+    }
+}
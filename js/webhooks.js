@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Outgoing webhooks: the URLs the background POSTs run events
+ * to, e.g. a local dispatcher, each with optional headers and the events it
+ * wants. Every payload is a JSON object with the event, the run, the booking
+ * chosen in Phase 6 and a snapshot of the popup config. Failed deliveries are
+ * retried with backoff, and every result is written to the log.
+ *
+ * The webhooks are kept in chrome.storage.local rather than with the other
+ * options in chrome.storage.sync: their headers usually carry tokens or API
+ * keys, which should neither follow the account to every browser nor use up
+ * the small sync quota.
+ *
+ * This file is shared. The service worker loads it with importScripts(), and
+ * the options page with a script tag. It only uses `var` and function
+ * declarations, like the other shared scripts.
+ */
+
+/**
+ * The chrome.storage.local key of the webhooks, a list of
+ * { url, headers: { name: value }, events: string[] }.
+ */
+var WEBHOOKS_KEY = 'webhooks';
+
+/**
+ * The events a webhook may receive, with their label on the options page.
+ */
+var WEBHOOK_EVENTS = {
+    match: 'Match found',
+    accepted: 'Ride accepted',
+    failed: 'Run failed',
+    aborted: 'Run aborted',
+    'refresh-stopped': 'Auto-refresh stopped'
+};
+
+/**
+ * The waits before each retry of a failed delivery; the delivery is given up
+ * once they are used up.
+ */
+var WEBHOOK_RETRY_DELAYS_MS = [2000, 10000, 30000];
+
+/**
+ * How long a single delivery may take before it counts as failed.
+ */
+var WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Parses the headers written on the options page, one "Name: value" per line.
+ * @param {string} text The headers; blank lines are ignored.
+ * @returns {{headers: object, errors: string[]}} The headers by name, and one
+ *     message per line that could not be read.
+ */
+function parseWebhookHeaders(text) {
+    const headers = {};
+    const errors = [];
+    String(text || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const match = line.match(/^([!#$%&'*+.^_`|~0-9A-Za-z-]+)\s*:\s*(.*)$/);
+        if (!match) {
+            errors.push(`"${line}" is not a header like "Authorization: Bearer abc123".`);
+            return;
+        }
+        headers[match[1]] = match[2];
+    });
+    return { headers, errors };
+}
+
+/**
+ * Writes headers back as the lines parseWebhookHeaders() reads.
+ * @param {object} headers The headers by name.
+ * @returns {string}
+ */
+function formatWebhookHeaders(headers) {
+    return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+}
+
+/**
+ * Checks a webhook before it is saved.
+ * @param {{url: string, headers: object, events: string[]}} webhook
+ * @returns {string[]} One message per problem; empty when the webhook is valid.
+ */
+function validateWebhook(webhook) {
+    const errors = [];
+    let url = null;
+    try {
+        url = new URL(webhook.url);
+    } catch (e) {
+        // Reported below.
+    }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+        errors.push(`"${webhook.url}" is not an http or https URL.`);
+    }
+    if (!webhook.events || webhook.events.length === 0) {
+        errors.push(`${webhook.url || 'A webhook'} receives no event.`);
+    }
+    return errors;
+}
+
+/**
+ * Reads the saved webhooks, leaving out entries without a URL and events
+ * that are not known.
+ * @param {object[]} [savedWebhooks] The list read from storage, if any.
+ * @returns {{url: string, headers: object, events: string[]}[]}
+ */
+function normalizeWebhooks(savedWebhooks) {
+    return (Array.isArray(savedWebhooks) ? savedWebhooks : [])
+        .filter(webhook => webhook && typeof webhook.url === 'string' && webhook.url)
+        .map(webhook => ({
+            url: webhook.url,
+            headers: webhook.headers && typeof webhook.headers === 'object' ? { ...webhook.headers } : {},
+            events: (Array.isArray(webhook.events) ? webhook.events : []).filter(event => WEBHOOK_EVENTS[event])
+        }));
+}
+
+/**
+ * Builds the JSON payload of an event.
+ * @param {string} event A key of WEBHOOK_EVENTS.
+ * @param {object} details
+ * @param {string | null} [details.runId] The run history entry of the run.
+ * @param {string | null} [details.outcome] The run outcome, a key of RUN_OUTCOMES, once the run has ended.
+ * @param {string} [details.message] What happened, as written to the log.
+ * @param {object | null} [details.booking] The booking chosen in Phase 6, with the
+ *     vehicle selected in Phase 8 and the ride details once known.
+ * @param {object} [details.config] The popup config of the run.
+ * @param {number} [details.now=Date.now()] When the event happened.
+ * @returns {object}
+ */
+function buildWebhookPayload(event, details) {
+    const copy = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+    return {
+        event,
+        at: new Date(details.now || Date.now()).toISOString(),
+        runId: details.runId || null,
+        outcome: details.outcome || null,
+        message: details.message || '',
+        dryRun: !!(details.config && details.config.dryRun),
+        booking: copy(details.booking),
+        config: copy(details.config)
+    };
+}
+
+/**
+ * Gives the wait before a retry.
+ * @param {number} attempt The number of the failed attempt, from 0.
+ * @returns {number | null} The delay in milliseconds, or null when no retry is left.
+ */
+function webhookRetryDelay(attempt) {
+    return attempt < WEBHOOK_RETRY_DELAYS_MS.length ? WEBHOOK_RETRY_DELAYS_MS[attempt] : null;
+}
+
+/**
+ * Names a webhook in the log by its origin and path, leaving out the query,
+ * which may hold a token.
+ * @param {string} url The webhook URL.
+ * @returns {string}
+ */
+function describeWebhookUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.origin}${parsed.pathname}`;
+    } catch (e) {
+        return url;
+    }
+}
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview The bookings listed by the mock site and the failure modes it
+ * can simulate. Dates are relative to the day the server is started, so the
+ * list always has bookings for tomorrow.
+ */
+
+/**
+ * The failure modes, with the description shown by `--help`.
+ */
+const FAILURE_MODES = {
+    none: 'Everything works: a matching booking, an available vehicle and a successful accept.',
+    'no-bookings': 'The booking list is empty (P6 fails).',
+    'no-match': 'Every payout is 1.00, below any sensible minimum (P6 finds no match).',
+    'vehicle-unavailable': 'Every vehicle option is disabled (P8 fails).',
+    'slow-vehicle': 'The vehicle dropdown appears 4 seconds after the page loads (P8 waits for it).',
+    'error-message': 'The new ride page shows an error message (P9 refuses to click).',
+    'missing-accept': 'The new ride page has no Accept Ride button (P9 fails).',
+    'accept-rejected': 'Accept Ride is answered with "This ride has already been taken."',
+    'late-booking': 'The matching booking is added to the list 8 seconds after it loads, without a reload.'
+};
+
+/**
+ * Formats a date the way the booking list shows it, 'YYYY-MM-DD HH:mm'.
+ * @param {Date} date The date, in local time.
+ * @returns {string}
+ */
+function formatBookingDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Creates the bookings listed by the mock site.
+ * @param {Date} [today=new Date()] The reference day.
+ * @returns {object[]} Bookings with an id, date text, vehicle class, payout text, locations,
+ *     passenger and flight number (empty when not a flight pickup).
+ */
+function createBookings(today = new Date()) {
+    const at = (dayOffset, hour, minute) =>
+        formatBookingDate(new Date(today.getFullYear(), today.getMonth(), today.getDate() + dayOffset, hour, minute));
+    return [
+        { id: 501, date: at(0, 18, 0), vehicle: 'Standard Sedan', payout: '€45.00', pickup: 'Central Station', dropoff: 'Airport Terminal 1', passenger: 'A. Rossi', flight: 'FR 1234' },
+        { id: 502, date: at(1, 9, 30), vehicle: 'Minivan', payout: '€95.00', pickup: 'Airport Terminal 2', dropoff: 'Old Town', passenger: 'M. Bianchi', flight: 'LH 411' },
+        { id: 503, date: at(1, 11, 0), vehicle: 'Standard Sedan', payout: '€30.00', pickup: 'Hotel Plaza', dropoff: 'Harbour', passenger: 'J. Smith', flight: '' },
+        { id: 504, date: at(1, 14, 15), vehicle: 'Standard Sedan', payout: '€72.50', pickup: 'Harbour', dropoff: 'Airport Terminal 1', passenger: 'L. Müller', flight: 'U2 8822' },
+        { id: 505, date: at(1, 16, 45), vehicle: 'Business Van', payout: '€140.00', pickup: 'Old Town', dropoff: 'Central Station', passenger: 'S. Costa', flight: '' },
+        { id: 506, date: at(2, 7, 0), vehicle: 'Standard Sedan', payout: '€58.00', pickup: 'Airport Terminal 1', dropoff: 'Hotel Plaza', passenger: 'P. Novak', flight: 'AZ 609' }
+    ];
+}
+
+/**
+ * The fleet offered in the new ride page's vehicle dropdown.
+ */
+const VEHICLES = [
+    { value: '11', label: 'Standard Sedan - AB-123', available: false },
+    { value: '12', label: 'Standard Sedan - CD-456', available: true },
+    { value: '21', label: 'Minivan - EF-789', available: true },
+    { value: '31', label: 'Business Van - GH-012', available: true }
+];
+
+module.exports = { FAILURE_MODES, VEHICLES, createBookings, formatBookingDate };
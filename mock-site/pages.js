@@ -0,0 +1,167 @@
+/**
+ * @fileoverview HTML of the mock booking site. The markup follows the default
+ * site profile (js/site-profile.js): `div.row.the_booking` rows whose onclick
+ * opens the new ride page, and a new ride page with a select2 `#vehicle`
+ * dropdown, `.error-message` and `#accept_ride`.
+ */
+
+const { VEHICLES } = require('./bookings');
+
+/**
+ * Escapes text for use in HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Wraps a page body in the shared layout.
+ * @param {string} title The page title.
+ * @param {string} head Extra head markup.
+ * @param {string} body The body markup.
+ * @returns {string}
+ */
+function layout(title, head, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: sans-serif; margin: 20px; }
+        .the_booking { border: 1px solid #ccc; padding: 8px; margin-bottom: 6px; cursor: pointer; }
+        .the_booking span { margin-right: 12px; }
+        .error-message { color: #c00; font-weight: bold; margin: 10px 0; }
+        #result { margin-top: 10px; font-weight: bold; }
+    </style>
+    ${head}
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+/**
+ * The booking added to the list after it loads in the 'late-booking' mode.
+ */
+const LATE_BOOKING_ID = 504;
+const LATE_BOOKING_DELAY_MS = 8000;
+
+/**
+ * Renders one row of the booking list.
+ * @param {object} booking The booking.
+ * @param {string} failure The active failure mode.
+ * @returns {string}
+ */
+function renderBookingRow(booking, failure) {
+    return `
+    <div class="row the_booking" onclick='window.open("/new-ride/${booking.id}")'>
+        <span class="booking_date">${escapeHtml(booking.date)}</span>
+        <span class="vehicle_class">${escapeHtml(booking.vehicle)}</span>
+        <span class="partner_payout">${escapeHtml(failure === 'no-match' ? '€1.00' : booking.payout)}</span>
+        <span class="pickup_location">${escapeHtml(booking.pickup)}</span>
+        <span class="dropoff_location">${escapeHtml(booking.dropoff)}</span>
+    </div>`;
+}
+
+/**
+ * Renders the booking list.
+ * @param {object[]} bookings The bookings to list.
+ * @param {string} failure The active failure mode.
+ * @returns {string}
+ */
+function renderBookingList(bookings, failure) {
+    const late = failure === 'late-booking' ? bookings.find(booking => booking.id === LATE_BOOKING_ID) : null;
+    const listed = failure === 'no-bookings' ? [] : bookings.filter(booking => booking !== late);
+    const rows = listed.map(booking => renderBookingRow(booking, failure)).join('');
+    // The site adds the late booking itself, as a live list would.
+    const lateScript = late ? `
+    <script>
+        setTimeout(() => {
+            document.getElementById('bookings').insertAdjacentHTML('beforeend', ${JSON.stringify(renderBookingRow(late, failure))});
+        }, ${LATE_BOOKING_DELAY_MS});
+    </script>` : '';
+
+    return layout('Bookings', '', `
+    <h1>Available Bookings</h1>
+    <p>Mock booking site. Failure mode: <code>${escapeHtml(failure)}</code></p>
+    <div id="bookings">${rows || '<p>No bookings available.</p>'}
+    </div>${lateScript}`);
+}
+
+/**
+ * Renders the new ride page of a booking.
+ * @param {object} booking The booking.
+ * @param {string} failure The active failure mode.
+ * @returns {string}
+ */
+function renderNewRide(booking, failure) {
+    const options = VEHICLES.map(vehicle => {
+        const disabled = !vehicle.available || failure === 'vehicle-unavailable' ? ' disabled' : '';
+        return `<option value="${vehicle.value}"${disabled}>${escapeHtml(vehicle.label)}</option>`;
+    }).join('\n            ');
+    const select = `<select id="vehicle" name="vehicle" style="width: 300px">
+            <option value="">Select a vehicle</option>
+            ${options}
+        </select>`;
+    const errorStyle = failure === 'error-message' ? '' : ' style="display: none"';
+    const acceptButton = failure === 'missing-accept' ? '' : '<button type="button" id="accept_ride">Accept Ride</button>';
+
+    return layout(`New Ride ${booking.id}`, `
+    <link rel="stylesheet" href="/vendor/select2.css">
+    <script src="/vendor/jquery.js"></script>
+    <script src="/vendor/select2.js"></script>`, `
+    <h1>New Ride #${booking.id}</h1>
+    <dl class="ride_details">
+        <dt>Date</dt><dd class="ride_date">${escapeHtml(booking.date)}</dd>
+        <dt>Vehicle</dt><dd>${escapeHtml(booking.vehicle)}</dd>
+        <dt>Pickup</dt><dd class="ride_pickup">${escapeHtml(booking.pickup)}</dd>
+        <dt>Drop-off</dt><dd class="ride_dropoff">${escapeHtml(booking.dropoff)}</dd>
+        <dt>Passenger</dt><dd class="ride_passenger">${escapeHtml(booking.passenger)}</dd>
+        ${booking.flight ? `<dt>Flight</dt><dd class="ride_flight">${escapeHtml(booking.flight)}</dd>` : ''}
+        <dt>Payout</dt><dd class="ride_payout">${escapeHtml(booking.payout)}</dd>
+    </dl>
+    <form id="new_ride">
+        <div id="vehicle-container">${failure === 'slow-vehicle' ? '' : select}</div>
+        <div class="error-message"${errorStyle}>This ride is no longer available.</div>
+        ${acceptButton}
+        <div id="result"></div>
+    </form>
+    <script>
+        const vehicleSelect = ${JSON.stringify(select)};
+        const initVehicle = () => $('#vehicle').select2({ placeholder: 'Select a vehicle' });
+        if (${failure === 'slow-vehicle'}) {
+            setTimeout(() => { $('#vehicle-container').html(vehicleSelect); initVehicle(); }, 4000);
+        } else {
+            initVehicle();
+        }
+
+        $('#accept_ride').on('click', () => {
+            fetch(location.pathname + '/accept', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ vehicle: $('#vehicle').val() || null })
+            }).then(response => response.json()).then(result => {
+                if (result.accepted) {
+                    $('#result').text('Ride accepted.').addClass('success');
+                } else {
+                    $('.error-message').text(result.error).show();
+                }
+            });
+        });
+    </script>`);
+}
+
+/**
+ * Renders the page shown for an unknown booking.
+ * @param {string} id The requested ID.
+ * @returns {string}
+ */
+function renderNotFound(id) {
+    return layout('Not found', '', `<h1>Booking ${escapeHtml(id)} not found</h1>`);
+}
+
+module.exports = { renderBookingList, renderNewRide, renderNotFound };
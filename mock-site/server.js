@@ -0,0 +1,180 @@
+/**
+ * @fileoverview A local stand-in for the booking site, so the whole
+ * P6 -> P8 -> P9 flow can be exercised offline. It serves a booking list, the
+ * new ride pages opened from it, and records what happens to them.
+ *
+ * Usage: node mock-site/server.js [--port 8080] [--failure none]
+ *
+ * Routes:
+ *   GET  /bookings                The booking list.
+ *   GET  /new-ride/:id            The new ride page of a booking.
+ *   POST /new-ride/:id/accept     Accepts the ride, as the Accept Ride button does.
+ *   GET  /__mock/state            What the site has seen, as JSON.
+ *   POST /__mock/config           Changes the failure mode, e.g. {"failure": "no-match"}.
+ *   POST /__mock/reset            Clears the recorded state.
+ *   POST /__mock/webhook          Stands in for a webhook receiver: records the payload.
+ *                                 `?status=503` answers with that status instead of 204.
+ *
+ * The failure mode can also be set for a single page with `?failure=<mode>`.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const { FAILURE_MODES, createBookings } = require('./bookings');
+const { renderBookingList, renderNewRide, renderNotFound } = require('./pages');
+
+// select2 and the jQuery it needs come from the dev dependencies.
+const VENDOR_FILES = {
+    '/vendor/jquery.js': { file: require.resolve('jquery/dist/jquery.min.js'), type: 'text/javascript' },
+    '/vendor/select2.js': { file: require.resolve('select2/dist/js/select2.min.js'), type: 'text/javascript' },
+    '/vendor/select2.css': { file: require.resolve('select2/dist/css/select2.min.css'), type: 'text/css' }
+};
+
+/**
+ * Creates the mock site. Call `listen()` on the result to start it.
+ * @param {object} [options={}]
+ * @param {string} [options.failure='none'] The initial failure mode, a key of FAILURE_MODES.
+ * @param {boolean} [options.quiet=false] Whether to stop logging requests.
+ * @returns {http.Server} The server, with the recorded state in `state`.
+ */
+function createMockSite(options = {}) {
+    const bookings = createBookings();
+    const state = {
+        failure: options.failure || 'none',
+        listLoads: 0,
+        rideLoads: [],
+        accepted: [],
+        rejected: [],
+        webhooks: []
+    };
+    const reset = () => {
+        state.listLoads = 0;
+        state.rideLoads = [];
+        state.accepted = [];
+        state.rejected = [];
+        state.webhooks = [];
+    };
+
+    const send = (res, status, type, body) => {
+        res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+        res.end(body);
+    };
+    const sendJson = (res, status, value) => send(res, status, 'application/json', JSON.stringify(value));
+    const readJson = (req) => new Promise((resolve) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (e) {
+                resolve({});
+            }
+        });
+    });
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const failure = FAILURE_MODES[url.searchParams.get('failure')] ? url.searchParams.get('failure') : state.failure;
+        if (!options.quiet) console.log(`${req.method} ${req.url}`);
+
+        if (VENDOR_FILES[url.pathname]) {
+            const vendor = VENDOR_FILES[url.pathname];
+            return send(res, 200, vendor.type, fs.readFileSync(vendor.file));
+        }
+
+        if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/bookings')) {
+            state.listLoads++;
+            return send(res, 200, 'text/html', renderBookingList(bookings, failure));
+        }
+
+        const ride = url.pathname.match(/^\/new-ride\/([^/]+)(\/accept)?$/);
+        if (ride) {
+            const booking = bookings.find(b => String(b.id) === ride[1]);
+            if (!booking) return send(res, 404, 'text/html', renderNotFound(ride[1]));
+
+            if (req.method === 'GET' && !ride[2]) {
+                state.rideLoads.push(booking.id);
+                return send(res, 200, 'text/html', renderNewRide(booking, failure));
+            }
+            if (req.method === 'POST' && ride[2]) {
+                const { vehicle } = await readJson(req);
+                let error = null;
+                if (failure === 'accept-rejected' || state.accepted.some(a => a.id === booking.id)) {
+                    error = 'This ride has already been taken.';
+                } else if (!vehicle) {
+                    error = 'Please select a vehicle.';
+                }
+                if (error) {
+                    state.rejected.push({ id: booking.id, vehicle, error, at: new Date().toISOString() });
+                    return sendJson(res, 409, { accepted: false, error });
+                }
+                state.accepted.push({ id: booking.id, vehicle, at: new Date().toISOString() });
+                return sendJson(res, 200, { accepted: true });
+            }
+        }
+
+        if (url.pathname === '/__mock/state') {
+            return sendJson(res, 200, state);
+        }
+        if (req.method === 'POST' && url.pathname === '/__mock/config') {
+            const config = await readJson(req);
+            if (!FAILURE_MODES[config.failure]) {
+                return sendJson(res, 400, { error: `Unknown failure mode "${config.failure}".` });
+            }
+            state.failure = config.failure;
+            return sendJson(res, 200, state);
+        }
+        if (req.method === 'POST' && url.pathname === '/__mock/webhook') {
+            const payload = await readJson(req);
+            const status = parseInt(url.searchParams.get('status'), 10) || 204;
+            state.webhooks.push({ status, authorization: req.headers.authorization || null, payload, at: new Date().toISOString() });
+            res.writeHead(status, { 'Cache-Control': 'no-store' });
+            return res.end();
+        }
+        if (req.method === 'POST' && url.pathname === '/__mock/reset') {
+            reset();
+            return sendJson(res, 200, state);
+        }
+
+        send(res, 404, 'text/plain', 'Not found');
+    });
+
+    server.state = state;
+    server.setFailure = (mode) => {
+        if (!FAILURE_MODES[mode]) throw new Error(`Unknown failure mode "${mode}".`);
+        state.failure = mode;
+    };
+    server.reset = reset;
+    return server;
+}
+
+/**
+ * Reads `--name value` pairs from the command line.
+ * @param {string[]} argv The arguments after the script name.
+ * @returns {object}
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--help') args.help = true;
+        else if (argv[i].startsWith('--')) args[argv[i].slice(2)] = argv[++i];
+    }
+    return args;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help || (args.failure && !FAILURE_MODES[args.failure])) {
+        console.log('Usage: node mock-site/server.js [--port 8080] [--failure <mode>]\n\nFailure modes:');
+        Object.entries(FAILURE_MODES).forEach(([mode, description]) => console.log(`  ${mode.padEnd(20)} ${description}`));
+        process.exit(args.help ? 0 : 1);
+    }
+
+    const port = parseInt(args.port, 10) || 8080;
+    createMockSite({ failure: args.failure }).listen(port, () => {
+        console.log(`Mock booking site on http://localhost:${port}/bookings (failure mode: ${args.failure || 'none'}).`);
+        console.log(`Set the Allow-Listed Domain to "localhost:${port}" to run the extension against it.`);
+    });
+}
+
+module.exports = { createMockSite, FAILURE_MODES };
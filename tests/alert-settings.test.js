@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/environment');
+
+const { ALERT_EVENTS, mergeAlertSettings, formatAlertPhrase } = loadScripts(['js/alert-settings.js']);
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+test('mergeAlertSettings gives every event its defaults', () => {
+    const settings = copy(mergeAlertSettings(undefined));
+
+    assert.deepStrictEqual(Object.keys(settings), Object.keys(ALERT_EVENTS));
+    assert.deepStrictEqual(settings.failure, { notify: true, speak: true, phrase: 'Automation failed: {reason}', voice: '', rate: 1, chime: '' });
+    assert.strictEqual(settings.match_found.notify, false);
+});
+
+test('mergeAlertSettings keeps valid saved fields and drops the others', () => {
+    const settings = copy(mergeAlertSettings({
+        match_found: { notify: true, phrase: 'Found {ride}', rate: 2, chime: 'alert' },
+        failure: { notify: 'yes', rate: 50, chime: 'siren', voice: 'Anna' },
+        unknown_event: { notify: true }
+    }));
+
+    assert.deepStrictEqual(settings.match_found, { notify: true, speak: false, phrase: 'Found {ride}', voice: '', rate: 2, chime: 'alert' });
+    assert.deepStrictEqual(settings.failure, { notify: true, speak: true, phrase: 'Automation failed: {reason}', voice: 'Anna', rate: 1, chime: '' });
+    assert.strictEqual(settings.unknown_event, undefined);
+});
+
+test('formatAlertPhrase fills the placeholders and empties unknown ones', () => {
+    assert.strictEqual(formatAlertPhrase('Vehicle {vehicle} for {ride}{extra}.', { vehicle: 'Lexus', ride: 'the 14:00 ride', extra: null }),
+        'Vehicle Lexus for the 14:00 ride.');
+    assert.strictEqual(formatAlertPhrase('Failed: {reason}', {}), 'Failed: ');
+});
@@ -0,0 +1,1175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChromeMock } = require('./helpers/chrome-mock');
+const { loadServiceWorker, settle } = require('./helpers/environment');
+
+const BOOKINGS_TAB = { id: 7, url: 'https://control.transfeero.com/bookings' };
+const RIDE_URL = 'https://control.transfeero.com/new-ride/105';
+
+const CONFIG = {
+    startDate: '2025-06-15',
+    endDate: '',
+    vehicleClasses: ['Standard Sedan'],
+    vehiclePrices: { 'Standard Sedan': 50 },
+    phase8VehicleClasses: ['Standard Sedan'],
+    rankingStrategy: 'first',
+    dryRun: false,
+    enablePhase9Click: true,
+    autoRefresh: false
+};
+
+/**
+ * Starts a service worker with the bookings tab active on the allow-listed domain.
+ * @param {object} [options={}] Overrides of the chrome mock options, `fetch`
+ *     to answer the worker's requests, and `indexedDB` to keep the run history
+ *     of a previous worker.
+ * @returns {object} The chrome mock, the worker clock and helpers.
+ */
+function startWorker(options = {}) {
+    const { fetch, indexedDB, ...mockOptions } = options;
+    const chrome = createChromeMock({
+        sync: { options: { allowListedDomain: 'control.transfeero.com' } },
+        tabs: [BOOKINGS_TAB],
+        onTabMessage: () => ({ status: 'success', message: 'Booking element clicked.', selectedIndex: 5, bookings: [] }),
+        ...mockOptions
+    });
+    const worker = loadServiceWorker(chrome, { fetch, indexedDB });
+
+    return {
+        chrome,
+        ...worker,
+        /** Sends a message as the popup does and waits for the answer. */
+        sendFromPopup: (message) => new Promise(resolve => chrome.runtime.onMessage.dispatch(message, {}, resolve)),
+        /** The persisted session of the bookings tab. */
+        savedState: () => chrome.storage.session.data.automationState.sessions[BOOKINGS_TAB.id],
+        /** The in-memory session of the bookings tab, if there is one. */
+        session: () => worker.evaluate(`sessions[${BOOKINGS_TAB.id}]`),
+        /** The actions sent to content scripts, leaving out the readiness waits. */
+        tabActions: () => chrome.calls.tabMessages.map(call => call.message.action).filter(action => action !== 'waitForPhaseReady'),
+        /** The phases the content scripts were asked to wait for, with the tab of each. */
+        readinessWaits: () => chrome.calls.tabMessages.filter(call => call.message.action === 'waitForPhaseReady')
+            .map(call => `${call.message.phase} ${call.tabId}`),
+        /** The run history, newest first. */
+        runs: () => worker.evaluate('getRuns()').then(runs => JSON.parse(JSON.stringify(runs)))
+    };
+}
+
+/**
+ * Starts a run and lets Phase 6 complete, leaving the worker waiting for the new ride tab.
+ * @param {object} worker The worker from startWorker().
+ */
+async function runUntilNewTab(worker) {
+    const response = await worker.sendFromPopup({ action: 'startAutomation', config: CONFIG });
+    assert.strictEqual(response.status, 'success');
+    await settle();
+    assert.strictEqual(worker.session().currentPhase, 'waiting_for_tab');
+}
+
+/**
+ * Reports the new ride tab as loaded and lets the phases that follow run.
+ * @param {object} worker The worker from startWorker().
+ */
+async function openRideTab(worker) {
+    worker.chrome.tabs.onUpdated.dispatch(8, { status: 'complete' }, { id: 8, url: RIDE_URL });
+    await settle();
+}
+
+test('start injects the content scripts and runs Phase 6 once the booking list is ready', async () => {
+    const worker = startWorker();
+    const response = await worker.sendFromPopup({ action: 'startAutomation', config: CONFIG });
+
+    assert.strictEqual(response.status, 'success');
+    assert.deepStrictEqual([...worker.chrome.calls.injections[0].files], [...worker.evaluate('CONTENT_SCRIPT_FILES')]);
+    assert.strictEqual(worker.session().automationInProgress, true);
+    assert.strictEqual(worker.savedState().currentPhase, 'p6_wait');
+    assert.deepStrictEqual(worker.chrome.storage.local.data.automationSessions.map(s => `${s.tabId} ${s.active}`), [`${BOOKINGS_TAB.id} true`]);
+    assert.deepStrictEqual(worker.readinessWaits(), [`p6 ${BOOKINGS_TAB.id}`]);
+    assert.deepStrictEqual(worker.tabActions(), []);
+
+    await settle();
+
+    assert.deepStrictEqual(worker.tabActions(), ['phase6_clickBooking']);
+    assert.strictEqual(worker.chrome.calls.tabMessages[1].tabId, BOOKINGS_TAB.id);
+    assert.strictEqual(worker.savedState().currentPhase, 'waiting_for_tab');
+    assert.strictEqual(worker.savedState().pendingTimer, null);
+});
+
+test('start is refused on a tab outside the allow-listed domain', async () => {
+    const worker = startWorker({ tabs: [{ id: 7, url: 'https://example.com/bookings' }] });
+    const response = await worker.sendFromPopup({ action: 'startAutomation', config: CONFIG });
+
+    assert.strictEqual(response.status, 'error');
+    assert.strictEqual(worker.chrome.calls.injections.length, 0);
+    assert.strictEqual(worker.session(), undefined);
+});
+
+test('abort while Phase 6 waits for the booking list sends no click', async () => {
+    const worker = startWorker();
+    await worker.sendFromPopup({ action: 'startAutomation', config: CONFIG });
+
+    // An abort that names no session stops nothing.
+    const unnamed = await worker.sendFromPopup({ action: 'abortAutomation' });
+    assert.strictEqual(unnamed.status, 'error');
+    assert.strictEqual(worker.session().automationInProgress, true);
+
+    const response = await worker.sendFromPopup({ action: 'abortAutomation', tabId: BOOKINGS_TAB.id });
+    await settle();
+
+    assert.strictEqual(response.status, 'success');
+    assert.strictEqual(worker.session().automationInProgress, false);
+    assert.strictEqual(worker.savedState().currentPhase, 'idle');
+    assert.strictEqual(worker.chrome.storage.local.data.automationSessions[0].active, false);
+    assert.strictEqual(worker.chrome.storage.local.data.automationSessions[0].lastResult.outcome, 'aborted');
+
+    // The page answers the readiness wait after the abort: nothing follows.
+    assert.deepStrictEqual(worker.readinessWaits(), [`p6 ${BOOKINGS_TAB.id}`]);
+    assert.deepStrictEqual(worker.tabActions(), []);
+    assert.strictEqual((await worker.runs())[0].outcome, 'aborted');
+});
+
+test('closing the tracked tab ends the run', async () => {
+    const worker = startWorker();
+    await runUntilNewTab(worker);
+
+    worker.chrome.tabs.onRemoved.dispatch(BOOKINGS_TAB.id, { windowId: 1, isWindowClosing: false });
+    await settle();
+
+    // The session of a closed booking list tab is forgotten.
+    assert.strictEqual(worker.session(), undefined);
+    assert.strictEqual(worker.savedState(), undefined);
+    assert.ok(worker.chrome.calls.runtimeMessages.some(m => m.type === 'automation_finished'));
+    assert.strictEqual((await worker.runs())[0].outcome, 'aborted');
+});
+
+test('closing an unrelated tab is ignored', async () => {
+    const worker = startWorker();
+    await runUntilNewTab(worker);
+
+    worker.chrome.tabs.onRemoved.dispatch(99, { windowId: 1, isWindowClosing: false });
+    await settle();
+
+    assert.strictEqual(worker.session().automationInProgress, true);
+    assert.strictEqual(worker.session().currentPhase, 'waiting_for_tab');
+});
+
+test('a failed Phase 8 is retried within the vehicle dropdown timeout, then ends the run and raises the failure alarm', async () => {
+    const worker = startWorker({
+        onExecuteScript: () => ({ status: 'error', message: 'Error: No available vehicle found for any of the desired classes.' })
+    });
+    await runUntilNewTab(worker);
+    await openRideTab(worker);
+
+    // The default 10 s timeout allows five attempts, two seconds apart, each
+    // after the dropdown is found ready again.
+    for (let retry = 0; retry < 4; retry++) {
+        assert.strictEqual(worker.session().automationInProgress, true);
+        worker.clock.advance(2000);
+        await settle();
+    }
+    assert.strictEqual(worker.chrome.calls.injections.filter(injection => injection.func).length, 5);
+    assert.deepStrictEqual(worker.readinessWaits().filter(wait => wait.startsWith('p8')), Array(5).fill('p8 8'));
+    assert.strictEqual(worker.session().automationInProgress, false);
+    assert.strictEqual(worker.savedState().currentPhase, 'idle');
+    assert.strictEqual(worker.savedState().pendingTimer, null);
+    assert.ok(worker.chrome.calls.runtimeMessages.some(m => m.type === 'automation_aborted'));
+    assert.strictEqual(worker.chrome.calls.notifications.length, 1);
+    assert.deepStrictEqual(worker.tabActions(), ['phase6_clickBooking']);
+
+    const [run] = await worker.runs();
+    assert.strictEqual(run.outcome, 'failed');
+    assert.strictEqual(run.reason, 'Phase 8 failed: Error: No available vehicle found for any of the desired classes.');
+    assert.deepStrictEqual(run.phases.map(p => `${p.phase} ${p.status}`), ['P6 success', 'P8 failed']);
+});
+
+test('each phase waits for its elements, and a timeout ends the run with the missing element', async () => {
+    const worker = startWorker({
+        onTabMessage: (tabId, message) => (message.action === 'waitForPhaseReady' && message.phase === 'p8'
+            ? { status: 'error', message: 'The select2 vehicle dropdown (#vehicle) did not appear within 10 s.' }
+            : { status: 'success', message: 'Booking element clicked.', selectedIndex: 5, bookings: [] })
+    });
+    await runUntilNewTab(worker);
+    await openRideTab(worker);
+
+    assert.deepStrictEqual(worker.readinessWaits(), [`p6 ${BOOKINGS_TAB.id}`, 'p8 8']);
+    assert.strictEqual(worker.chrome.calls.injections.some(injection => injection.func), false);
+    const [run] = await worker.runs();
+    assert.strictEqual(run.outcome, 'failed');
+    assert.strictEqual(run.reason, 'Phase 8 vehicle selection cannot start: The select2 vehicle dropdown (#vehicle) did not appear within 10 s.');
+    assert.deepStrictEqual(run.phases.map(p => `${p.phase} ${p.status}`), ['P6 success', 'P8 failed']);
+});
+
+test('a successful Phase 8 runs Phase 9 and records the accepted ride', async () => {
+    const worker = startWorker({
+        onExecuteScript: (injection) => {
+            assert.strictEqual(injection.world, 'MAIN');
+            assert.strictEqual(injection.func.name, 'selectVehicleInPage');
+            return { status: 'success', message: 'Vehicle selected successfully: Standard Sedan - CD-456 (value "12").' };
+        }
+    });
+    await runUntilNewTab(worker);
+    await openRideTab(worker);
+
+    assert.deepStrictEqual(worker.tabActions(), ['phase6_clickBooking', 'readRideDetails', 'phase9_acceptRide']);
+    assert.deepStrictEqual(worker.chrome.calls.tabMessages.slice(2).map(call => `${call.message.action} ${call.tabId}`),
+        ['waitForPhaseReady 8', 'readRideDetails 8', 'waitForPhaseReady 8', 'phase9_acceptRide 8']);
+    assert.deepStrictEqual(worker.chrome.calls.speech, ['Ride accepted.']);
+    assert.strictEqual(worker.session().automationInProgress, false);
+
+    const [run] = await worker.runs();
+    assert.strictEqual(run.outcome, 'accepted');
+    assert.strictEqual(run.acceptedUrl, RIDE_URL);
+});
+
+test('a Phase 8 attempt that fails while the vehicles load is retried and the run goes on', async () => {
+    let attempts = 0;
+    const worker = startWorker({
+        onExecuteScript: () => (++attempts === 1
+            ? { status: 'error', message: 'Error: No available vehicle found for any of the desired classes.' }
+            : { status: 'success', message: 'Vehicle selected.', selected: { text: 'Standard Sedan - CD-456', value: '12' } })
+    });
+    await runUntilNewTab(worker);
+    await openRideTab(worker);
+    assert.strictEqual(worker.session().currentPhase, 'p8');
+
+    worker.clock.advance(2000);
+    await settle();
+    assert.strictEqual(attempts, 2);
+    const p8Attempts = worker.chrome.calls.runtimeMessages.filter(m => m.type === 'automation_status' && m.sessions.length > 0 && m.sessions[0].phase === 'p8');
+    assert.deepStrictEqual([...new Set(p8Attempts.map(m => m.sessions[0].phase8Attempt))], [1, 2]);
+    assert.deepStrictEqual(worker.tabActions(), ['phase6_clickBooking', 'readRideDetails', 'phase9_acceptRide']);
+    const [run] = await worker.runs();
+    assert.deepStrictEqual(run.phases.map(p => `${p.phase} ${p.status}`).slice(0, 2), ['P6 success', 'P8 success']);
+});
+
+const SECOND_TAB = { id: 9, url: 'https://control.transfeero.com/bookings?account=2' };
+
+test('two booking list tabs run independent sessions, each taking the ride tab it opened', async () => {
+    const worker = startWorker({
+        tabs: [BOOKINGS_TAB, SECOND_TAB],
+        onExecuteScript: () => ({ status: 'success', message: 'Vehicle selected.', selected: { text: 'Standard Sedan - CD-456', value: '12' } })
+    });
+    const first = await worker.sendFromPopup({ action: 'startAutomation', config: CONFIG, tabId: BOOKINGS_TAB.id });
+    const second = await worker.sendFromPopup({ action: 'startAutomation', config: { ...CONFIG, enablePhase9Click: false }, tabId: SECOND_TAB.id });
+    await settle();
+
+    assert.strictEqual(first.status, 'success');
+    assert.strictEqual(second.status, 'success');
+    assert.deepStrictEqual(worker.chrome.storage.local.data.automationSessions.map(s => `${s.tabId} ${s.phase} ${s.dryRun}`),
+        ['7 waiting_for_tab false', '9 waiting_for_tab false']);
+
+    // The ride tab opened by the second tab goes to its session only.
+    worker.chrome.tabs.onUpdated.dispatch(8, { status: 'complete' }, { id: 8, url: RIDE_URL, openerTabId: SECOND_TAB.id });
+    await settle();
+    assert.strictEqual(worker.session().currentPhase, 'waiting_for_tab');
+    assert.strictEqual(worker.evaluate('sessions[9].automationInProgress'), false);
+    assert.strictEqual(worker.evaluate('sessions[9].lastResult.outcome'), 'completed');
+
+    // Aborting one session leaves the other running.
+    const abort = await worker.sendFromPopup({ action: 'abortAutomation', tabId: SECOND_TAB.id });
+    assert.strictEqual(abort.status, 'error');
+    assert.strictEqual(worker.session().automationInProgress, true);
+
+    const logs = worker.chrome.calls.runtimeMessages.filter(m => m.type === 'log');
+    assert.ok(logs.some(m => m.tabId === SECOND_TAB.id && m.text === 'New ride tab detected (ID: 8). URL: ' + RIDE_URL));
+    assert.ok(!logs.some(m => m.tabId === BOOKINGS_TAB.id && m.text.startsWith('New ride tab detected')));
+    const runs = await worker.runs();
+    assert.deepStrictEqual(runs.map(run => `${run.tabId} ${run.outcome}`).sort(), ['7 null', '9 completed']);
+});
+
+test('a tab with a run in flight, or used by another session, cannot start a second run', async () => {
+    const worker = startWorker({
+        tabs: [BOOKINGS_TAB, { id: 8, url: RIDE_URL }],
+        onExecuteScript: () => ({ status: 'success', message: 'Vehicle selected.', selected: { text: 'Standard Sedan - CD-456', value: '12' } })
+    });
+    const response = await worker.sendFromPopup({ action: 'startAutomation', config: { ...CONFIG, requireApproval: true } });
+    assert.strictEqual(response.status, 'success');
+    await settle();
+
+    const again = await worker.sendFromPopup({ action: 'startAutomation', config: CONFIG, tabId: BOOKINGS_TAB.id });
+    assert.strictEqual(again.message, 'Automation already in progress in this tab.');
+
+    // The ride waits for approval in tab 8.
+    await openRideTab(worker);
+    assert.strictEqual(worker.session().activeTabId, 8);
+    const rideTab = await worker.sendFromPopup({ action: 'startAutomation', config: CONFIG, tabId: 8 });
+    assert.strictEqual(rideTab.message, 'This tab belongs to another automation session.');
+    assert.strictEqual(worker.evaluate('sessions[8]'), undefined);
+});
+
+test('a stopped session starts again with its last settings, and can then be removed', async () => {
+    const worker = startNoMatchWorker();
+    await worker.sendFromPopup({ action: 'startAutomation', config: { ...CONFIG, startDate: '2025-07-01' } });
+    await settle();
+    assert.strictEqual(worker.session().lastResult.outcome, 'no_match');
+
+    const restart = await worker.sendFromPopup({ action: 'startAutomation', tabId: BOOKINGS_TAB.id });
+    await settle();
+    assert.strictEqual(restart.status, 'success');
+    const runs = await worker.runs();
+    assert.deepStrictEqual(runs.map(run => run.config.startDate), ['2025-07-01', '2025-07-01']);
+
+    const removed = await worker.sendFromPopup({ action: 'forgetSession', tabId: BOOKINGS_TAB.id });
+    assert.strictEqual(removed.status, 'success');
+    assert.deepStrictEqual(worker.chrome.storage.local.data.automationSessions, []);
+});
+
+// The popup settings as saved, i.e. as typed in the form.
+const SAVED_SETTINGS = {
+    startDate: '2025-06-15',
+    endDate: '',
+    vehicleClass: ['Standard Sedan'],
+    vehiclePrices: { 'Standard Sedan': '50' },
+    rankingStrategy: 'first',
+    phase8VehicleClass: ['Standard Sedan'],
+    dryRun: false,
+    enablePhase9Click: true
+};
+
+test('the start shortcut runs the saved settings in the current tab and confirms it', async () => {
+    const worker = startWorker({ local: { settings: SAVED_SETTINGS } });
+    worker.chrome.commands.onCommand.dispatch('start-run', BOOKINGS_TAB);
+    await settle();
+
+    assert.strictEqual(worker.session().currentPhase, 'waiting_for_tab');
+    const config = JSON.parse(JSON.stringify(worker.session().currentConfig));
+    assert.deepStrictEqual(config.vehiclePrices, { 'Standard Sedan': 50 });
+    assert.strictEqual(config.dryRun, false);
+    assert.deepStrictEqual(worker.chrome.calls.notifications.map(n => `${n.title}: ${n.message}`), ['Keyboard Shortcut: Run started.']);
+    assert.deepStrictEqual(worker.chrome.calls.speech, ['Run started.']);
+
+    // A second start is refused like one from the popup.
+    worker.chrome.commands.onCommand.dispatch('start-run', BOOKINGS_TAB);
+    await settle();
+    assert.strictEqual(worker.chrome.calls.notifications[1].message, 'Could not start: Automation already in progress in this tab.');
+});
+
+test('the start shortcut does not start a run from incomplete settings', async () => {
+    const worker = startWorker({ local: { settings: { ...SAVED_SETTINGS, startDate: '' } } });
+    worker.chrome.commands.onCommand.dispatch('start-run', BOOKINGS_TAB);
+    await settle();
+
+    assert.strictEqual(worker.session(), undefined);
+    assert.deepStrictEqual(worker.chrome.calls.speech, ['Could not start: Start Date is required.']);
+});
+
+test('the abort shortcut stops the run of the current tab only, and Abort All stops every run', async () => {
+    const worker = startWorker({ tabs: [BOOKINGS_TAB, SECOND_TAB, { id: 10, url: 'https://control.transfeero.com/bookings?account=3' }] });
+    await worker.sendFromPopup({ action: 'startAutomation', config: CONFIG, tabId: BOOKINGS_TAB.id });
+    await worker.sendFromPopup({ action: 'startAutomation', config: CONFIG, tabId: SECOND_TAB.id });
+    await worker.sendFromPopup({ action: 'startAutomation', config: CONFIG, tabId: 10 });
+    await settle();
+
+    worker.chrome.commands.onCommand.dispatch('abort-run', SECOND_TAB);
+    await settle();
+    assert.strictEqual(worker.evaluate('sessions[9].lastResult.outcome'), 'aborted');
+    assert.strictEqual(worker.session().automationInProgress, true);
+
+    // From a tab without a session, nothing is aborted.
+    worker.chrome.commands.onCommand.dispatch('abort-run', { id: 20, url: 'https://example.com/' });
+    await settle();
+    assert.strictEqual(worker.session().automationInProgress, true);
+    assert.deepStrictEqual(worker.chrome.calls.speech, ['Automation aborted.', 'Nothing to abort in this tab.']);
+
+    const response = await worker.sendFromPopup({ action: 'abortAllAutomation' });
+    await settle();
+    assert.strictEqual(response.status, 'success');
+    assert.strictEqual(worker.session().lastResult.outcome, 'aborted');
+    assert.strictEqual(worker.evaluate('sessions[10].lastResult.outcome'), 'aborted');
+    assert.strictEqual((await worker.sendFromPopup({ action: 'abortAllAutomation' })).status, 'error');
+});
+
+test('the final click shortcut toggles the saved setting and the runs in flight', async () => {
+    const worker = startWorker({ local: { settings: SAVED_SETTINGS } });
+    await runUntilNewTab(worker);
+
+    worker.chrome.commands.onCommand.dispatch('toggle-final-click', BOOKINGS_TAB);
+    await settle();
+    assert.strictEqual(worker.chrome.storage.local.data.settings.enablePhase9Click, false);
+    assert.strictEqual(worker.session().currentConfig.enablePhase9Click, false);
+    assert.strictEqual(worker.savedState().currentConfig.enablePhase9Click, false);
+
+    worker.chrome.commands.onCommand.dispatch('toggle-final-click', BOOKINGS_TAB);
+    await settle();
+    assert.strictEqual(worker.chrome.storage.local.data.settings.enablePhase9Click, true);
+    assert.deepStrictEqual(worker.chrome.calls.speech, ['Final click turned off.', 'Final click turned on.']);
+});
+
+const RIDE_BOOKING = { index: 5, dateText: '2025-06-15 14:00', date: '2025-06-15 14:00', vehicle: 'Standard Sedan', payoutText: '€72.50', url: '/new-ride/105', matched: true, checks: [] };
+
+/**
+ * Runs a ride to Phase 9 with the content script giving the verification result.
+ * @param {'accepted' | 'rejected' | 'unknown'} verification The site's answer.
+ * @param {string} message The Phase 9 message.
+ * @returns {Promise<object>} The worker.
+ */
+async function runWithVerification(verification, message) {
+    const worker = startWorker({
+        onTabMessage: (tabId, tabMessage) => (tabMessage.action === 'phase9_acceptRide'
+            ? { status: 'success', message, verification }
+            : { status: 'success', message: 'Done.', selectedIndex: 5, bookings: [RIDE_BOOKING] }),
+        onExecuteScript: () => ({ status: 'success', message: 'Vehicle selected.', selected: { text: 'Lexus es300h - AB-123', value: '1' } })
+    });
+    await runUntilNewTab(worker);
+    await openRideTab(worker);
+    return worker;
+}
+
+test('a ride confirmed by the site is recorded as accepted with its own notification', async () => {
+    const worker = await runWithVerification('accepted', 'Final confirmation clicked. The site confirmed the ride: "Ride accepted.".');
+
+    const [run] = await worker.runs();
+    assert.strictEqual(run.outcome, 'accepted');
+    assert.deepStrictEqual(worker.chrome.calls.notifications.map(n => n.title), ['Ride Accepted']);
+    assert.strictEqual(worker.chrome.calls.notifications[0].message, '2025-06-15 14:00, Standard Sedan, €72.50. Vehicle: Lexus es300h - AB-123');
+});
+
+test('each event raises the notification, phrase, voice and chime set for it', async () => {
+    const worker = startWorker({
+        sync: {
+            options: { allowListedDomain: 'control.transfeero.com' },
+            alertSettings: {
+                match_found: { notify: true, speak: true, phrase: 'Match: {ride}.', voice: 'Anna', rate: 1.5, chime: 'chime' },
+                ride_accepted: { notify: false, speak: true, phrase: 'Accepted with {vehicle}.' }
+            }
+        },
+        onTabMessage: (tabId, tabMessage) => (tabMessage.action === 'phase9_acceptRide'
+            ? { status: 'success', message: 'Final confirmation clicked.', verification: 'accepted' }
+            : { status: 'success', message: 'Done.', selectedIndex: 5, bookings: [RIDE_BOOKING] }),
+        onExecuteScript: () => ({ status: 'success', message: 'Vehicle selected.', selected: { text: 'Lexus es300h - AB-123', value: '1' } })
+    });
+    await runUntilNewTab(worker);
+    await openRideTab(worker);
+
+    assert.deepStrictEqual(worker.chrome.calls.notifications.map(n => n.title), ['Match Found']);
+    assert.deepStrictEqual(worker.chrome.calls.speech, ['Match: 2025-06-15 14:00, Standard Sedan, €72.50.', 'Accepted with Lexus es300h - AB-123.']);
+    assert.strictEqual(worker.chrome.calls.speechOptions[0].voiceName, 'Anna');
+    assert.strictEqual(worker.chrome.calls.speechOptions[0].rate, 1.5);
+    assert.strictEqual(worker.chrome.calls.offscreenDocuments.length, 1);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(worker.chrome.calls.runtimeMessages.filter(m => m.target === 'offscreen'))),
+        [{ target: 'offscreen', action: 'playChime', file: 'sounds/chime.wav' }]);
+});
+
+test('clicking an alert notification focuses the tab it was raised for', async () => {
+    const worker = await runWithVerification('accepted', 'Final confirmation clicked.');
+    const [notification] = worker.chrome.calls.notifications;
+
+    worker.chrome.notifications.onClicked.dispatch(notification.id);
+    await settle();
+
+    assert.deepStrictEqual(worker.chrome.calls.focusedTabs, [8]);
+    assert.deepStrictEqual(worker.chrome.calls.focusedWindows, [1]);
+    assert.deepStrictEqual(worker.chrome.calls.clearedNotifications, [notification.id]);
+});
+
+test('a login form on the booking site raises the session expired alert', async () => {
+    const worker = startWorker({
+        onTabMessage: () => ({ status: 'error', message: 'The site shows its login form instead: the session has expired.', sessionExpired: true })
+    });
+    await worker.sendFromPopup({ action: 'startAutomation', config: CONFIG });
+    await settle();
+
+    assert.deepStrictEqual(worker.chrome.calls.notifications.map(n => n.title), ['Session Expired']);
+    assert.deepStrictEqual(worker.chrome.calls.speech, ['The booking site session has expired. Please log in again.']);
+    assert.match(worker.chrome.calls.notifications[0].id, /^alert:7:session_expired:/);
+    assert.strictEqual((await worker.runs())[0].outcome, 'failed');
+});
+
+test('a ride rejected by the site after the click is not recorded as accepted', async () => {
+    const worker = await runWithVerification('rejected', 'Final confirmation clicked. The site rejected the ride: "This ride has already been taken.".');
+
+    const [run] = await worker.runs();
+    assert.strictEqual(run.outcome, 'rejected_by_site');
+    assert.strictEqual(run.acceptedUrl, null);
+    assert.strictEqual(run.phases.at(-1).status, 'failed');
+    assert.deepStrictEqual(worker.chrome.calls.notifications.map(n => n.title), ['Ride Rejected by the Site']);
+    assert.strictEqual(worker.chrome.storage.local.data.fleetSchedule, undefined);
+});
+
+test('a ride the site did not answer is recorded as unknown and keeps its vehicle committed', async () => {
+    const worker = await runWithVerification('unknown', 'Final confirmation clicked. The site showed neither a confirmation nor an error within 10 s.');
+
+    const [run] = await worker.runs();
+    assert.strictEqual(run.outcome, 'unknown');
+    assert.match(run.reason, /Check the ride tab\.$/);
+    assert.strictEqual(run.phases.find(p => p.phase === 'P9').status, 'unconfirmed');
+    assert.deepStrictEqual(worker.chrome.calls.notifications.map(n => n.title), ['Ride Acceptance Not Confirmed']);
+    assert.deepStrictEqual(worker.chrome.storage.local.data.fleetSchedule.commitments.map(c => c.vehicle), ['Lexus es300h - AB-123']);
+});
+
+test('the ride details are read before Phase 9 and kept in the history', async () => {
+    const details = { dateText: '15/06/2025 14:00', date: '2025-06-15 14:00', pickup: 'Harbour', dropoff: 'Airport Terminal 1', passenger: 'L. Müller', flight: null, payoutText: '€72.50', payout: 72.5 };
+    const worker = startWorker({
+        onTabMessage: (tabId, message) => (message.action === 'readRideDetails'
+            ? { status: 'success', message: 'Ride details: 2025-06-15 14:00, Harbour to Airport Terminal 1, €72.50.', details }
+            : { status: 'success', message: 'Done.', selectedIndex: 5, bookings: [] }),
+        onExecuteScript: () => ({ status: 'success', message: 'Vehicle selected.', selected: { text: 'Lexus es300h - AB-123', value: '1' } })
+    });
+    await runUntilNewTab(worker);
+    await openRideTab(worker);
+
+    const [run] = await worker.runs();
+    assert.strictEqual(run.outcome, 'accepted');
+    assert.deepStrictEqual(run.rideDetails, { ...details, vehicle: 'Lexus es300h - AB-123' });
+});
+
+test('a ride page without details does not stop Phase 9', async () => {
+    const worker = startWorker({
+        onTabMessage: (tabId, message) => (message.action === 'readRideDetails'
+            ? undefined
+            : { status: 'success', message: 'Done.', selectedIndex: 5, bookings: [] }),
+        onExecuteScript: () => ({ status: 'success', message: 'Vehicle selected.', selected: { text: 'Lexus es300h - AB-123', value: '1' } })
+    });
+    await runUntilNewTab(worker);
+    await openRideTab(worker);
+
+    assert.deepStrictEqual(worker.tabActions(), ['phase6_clickBooking', 'readRideDetails', 'phase9_acceptRide']);
+    const [run] = await worker.runs();
+    assert.strictEqual(run.outcome, 'accepted');
+    assert.strictEqual(run.rideDetails, undefined);
+});
+
+test('a Phase 6 failure with auto-refresh enabled schedules a refresh of the bookings tab', async () => {
+    const worker = startWorker({
+        onTabMessage: (tabId, message) => (message.action === 'waitForPhaseReady'
+            ? { status: 'success', message: 'Booking rows found.' }
+            : { status: 'error', message: 'No matching booking found.', noMatch: true, bookings: [] })
+    });
+    await worker.sendFromPopup({ action: 'startAutomation', config: { ...CONFIG, autoRefresh: true } });
+    await settle();
+
+    assert.strictEqual(worker.session().automationInProgress, false);
+    assert.strictEqual(worker.savedState().currentPhase, 'refresh_wait');
+    assert.strictEqual(worker.savedState().pendingTimer.kind, 'refresh');
+    assert.strictEqual(worker.savedState().pendingTimer.args.tabId, BOOKINGS_TAB.id);
+    assert.strictEqual((await worker.runs())[0].outcome, 'no_match');
+});
+
+test('each Phase 6 cycle replaces the near-miss report of its own session', async () => {
+    const bookings = [
+        { index: 1, skipped: null, matched: false, dateText: '2025-06-14 09:00', checks: [{ name: 'Date', pass: false, detail: '', miss: 1 }] },
+        { index: 2, skipped: 'not visible', matched: false, checks: [] }
+    ];
+    const worker = startWorker({
+        tabs: [BOOKINGS_TAB, SECOND_TAB],
+        onTabMessage: (tabId, message) => (message.action === 'phase6_clickBooking'
+            ? { status: 'error', message: 'No matching booking found.', noMatch: true, bookings: tabId === BOOKINGS_TAB.id ? bookings : [] }
+            : { status: 'success', message: 'Done.' })
+    });
+    await worker.sendFromPopup({ action: 'startAutomation', config: CONFIG, tabId: BOOKINGS_TAB.id });
+    await settle();
+    await worker.sendFromPopup({ action: 'startAutomation', config: { ...CONFIG, startDate: '2025-06-20' }, tabId: SECOND_TAB.id });
+    await settle();
+
+    const [first, second] = JSON.parse(JSON.stringify(worker.chrome.storage.local.data.automationSessions));
+    assert.strictEqual(first.cycleReport.tabId, BOOKINGS_TAB.id);
+    assert.strictEqual(first.cycleReport.runId, (await worker.runs()).find(run => run.tabId === BOOKINGS_TAB.id).id);
+    assert.strictEqual(first.cycleReport.startDate, '2025-06-15');
+    assert.strictEqual(first.cycleReport.selectedIndex, null);
+    assert.deepStrictEqual(first.cycleReport.bookings, bookings);
+    assert.ok(first.cycleReport.at > 0);
+    // The second tab's cycle does not replace the first one's.
+    assert.strictEqual(second.cycleReport.tabId, SECOND_TAB.id);
+    assert.strictEqual(second.cycleReport.startDate, '2025-06-20');
+    assert.deepStrictEqual(second.cycleReport.bookings, []);
+});
+
+/**
+ * Starts a worker whose Phase 6 never finds a match, with the given options saved.
+ * @param {object} [options={}] Options added to the allow-listed domain.
+ * @returns {object} The worker.
+ */
+function startNoMatchWorker(options = {}) {
+    return startWorker({
+        sync: { options: { allowListedDomain: 'control.transfeero.com', ...options } },
+        onTabMessage: (tabId, message) => (message.action === 'phase6_clickBooking'
+            ? { status: 'error', message: 'No matching booking found.', noMatch: true, bookings: [] }
+            : { status: 'success', message: 'Done.' })
+    });
+}
+
+test('the status of each session is broadcast to the popup and kept for when it reopens', async () => {
+    const worker = startWorker({
+        // A single Phase 8 attempt.
+        sync: { options: { allowListedDomain: 'control.transfeero.com', vehicleSelectSeconds: 1 } },
+        onTabMessage: (tabId, message) => (message.action === 'waitForPhaseReady'
+            ? { status: 'success', message: 'Ready.' }
+            : { status: 'success', message: 'Booking element clicked.', selectedIndex: 5, bookings: [RIDE_BOOKING] }),
+        onExecuteScript: () => ({ status: 'error', message: 'No available vehicle.' })
+    });
+    await worker.sendFromPopup({ action: 'startAutomation', config: { ...CONFIG, autoRefresh: true } });
+    await settle();
+    await openRideTab(worker);
+
+    const broadcasts = worker.chrome.calls.runtimeMessages.filter(m => m.type === 'automation_status' && m.sessions.length > 0).map(m => m.sessions[0]);
+    assert.deepStrictEqual([...new Set(broadcasts.map(status => `${status.phase} ${status.workingTabId} ${status.phase8Attempt}`))],
+        ['idle 7 0', 'p6_wait 7 0', 'p6 7 0', 'waiting_for_tab 7 0', 'p8_wait 8 1', 'p8 8 1', 'refresh_wait null 1']);
+
+    // The popup reopened now rebuilds the same status from storage.
+    const [status] = worker.chrome.storage.local.data.automationSessions;
+    assert.deepStrictEqual(status, JSON.parse(JSON.stringify(broadcasts[broadcasts.length - 1])));
+    assert.strictEqual(status.active, true);
+    assert.strictEqual(status.nextRefreshAt, worker.savedState().pendingTimer.fireAt);
+    assert.strictEqual(status.cyclesCompleted, 1);
+    assert.strictEqual(status.lastMatch.ride, '2025-06-15 14:00, Standard Sedan, €72.50');
+    assert.strictEqual(status.lastResult.outcome, 'failed');
+    assert.strictEqual(status.lastResult.message, 'Phase 8 failed: No available vehicle.');
+
+    // The next cycle counts its Phase 8 attempts from scratch.
+    worker.clock.advance(status.nextRefreshAt - Date.now() + 1000);
+    await settle();
+    worker.chrome.tabs.onUpdated.dispatch(BOOKINGS_TAB.id, { status: 'complete' }, BOOKINGS_TAB);
+    await settle();
+    assert.strictEqual(worker.chrome.storage.local.data.automationSessions[0].phase8Attempt, 0);
+    await openRideTab(worker);
+    assert.strictEqual(worker.chrome.storage.local.data.automationSessions[0].phase8Attempt, 1);
+});
+
+test('auto-refresh waits within the delay bounds of the options and stops after the maximum cycles', async () => {
+    const worker = startNoMatchWorker({ refreshMinSeconds: 40, refreshMaxSeconds: 40, refreshMaxCycles: 1 });
+    await worker.sendFromPopup({ action: 'startAutomation', config: { ...CONFIG, autoRefresh: true } });
+    await settle();
+
+    assert.strictEqual(worker.savedState().currentPhase, 'refresh_wait');
+    worker.clock.advance(39000);
+    await settle();
+    assert.strictEqual(worker.chrome.calls.reloadedTabs.length, 0);
+    worker.clock.advance(1000);
+    await settle();
+    worker.chrome.tabs.onUpdated.dispatch(BOOKINGS_TAB.id, { status: 'complete' }, BOOKINGS_TAB);
+    await settle();
+
+    const runs = await worker.runs();
+    assert.deepStrictEqual(runs.map(run => run.trigger), ['refresh', 'user']);
+    assert.strictEqual(worker.savedState().currentPhase, 'idle');
+    assert.strictEqual(worker.savedState().pendingTimer, null);
+    assert.strictEqual(worker.savedState().refreshLoop, null);
+    const [notification] = worker.chrome.calls.notifications.slice(-1);
+    assert.strictEqual(notification.title, 'Auto-Refresh Stopped');
+    assert.strictEqual(notification.message, 'Auto-refresh stopped after 1 cycle(s), its maximum.');
+});
+
+test('the schedule-end alarm stops an auto-refresh loop waiting for its next cycle', async () => {
+    const worker = startNoMatchWorker({ refreshMinSeconds: 600, refreshMaxSeconds: 600, refreshMaxMinutes: 5 });
+    await worker.sendFromPopup({ action: 'startAutomation', config: { ...CONFIG, autoRefresh: true } });
+    await settle();
+
+    const endAlarm = worker.chrome.calls.alarms.find(alarm => alarm.name === 'refresh-schedule-end:7');
+    assert.ok(endAlarm.when > Date.now() + 4 * 60 * 1000);
+    assert.strictEqual(worker.savedState().currentPhase, 'refresh_wait');
+
+    // The alarm fires early here: the loop only stops once its time is up.
+    worker.chrome.alarms.onAlarm.dispatch({ name: 'refresh-schedule-end:7' });
+    await settle();
+    assert.strictEqual(worker.savedState().currentPhase, 'refresh_wait');
+
+    worker.session().refreshLoop.startedAt -= 5 * 60 * 1000;
+    worker.chrome.alarms.onAlarm.dispatch({ name: 'refresh-schedule-end:7' });
+    await settle();
+    assert.strictEqual(worker.savedState().currentPhase, 'idle');
+    assert.strictEqual(worker.savedState().pendingTimer, null);
+    assert.strictEqual(worker.chrome.calls.notifications.slice(-1)[0].message,
+        'Auto-refresh stopped after running for 5 minute(s), its maximum.');
+});
+
+test('with the list watcher, auto-refresh watches the booking list and starts a cycle when a matching row is added', async () => {
+    const worker = startNoMatchWorker();
+    const rowsAdded = (matched) => {
+        worker.chrome.runtime.onMessage.dispatch({ type: 'booking_rows_added', added: 1, matched }, { tab: BOOKINGS_TAB }, () => {});
+        return settle();
+    };
+    await worker.sendFromPopup({ action: 'startAutomation', config: { ...CONFIG, autoRefresh: true, watchBookingList: true, watchIdleSeconds: 30 } });
+    await settle();
+
+    assert.strictEqual(worker.savedState().currentPhase, 'list_watch');
+    assert.deepStrictEqual(worker.tabActions(), ['phase6_clickBooking', 'watchBookingList']);
+    assert.strictEqual(worker.savedState().pendingTimer.fireAt - Date.now() > 25000, true);
+
+    // Rows that do not match restart the wait before the fallback reload.
+    worker.clock.advance(20000);
+    await rowsAdded([]);
+    worker.clock.advance(20000);
+    await settle();
+    assert.strictEqual(worker.session().currentPhase, 'list_watch');
+    assert.strictEqual(worker.chrome.calls.reloadedTabs.length, 0);
+
+    await rowsAdded([8]);
+    assert.deepStrictEqual(worker.tabActions(), ['phase6_clickBooking', 'watchBookingList', 'phase6_clickBooking', 'watchBookingList']);
+    assert.strictEqual(worker.chrome.calls.injections.length, 1, 'the page is not reloaded nor injected again');
+    const [run] = await worker.runs();
+    assert.strictEqual(run.trigger, 'watch');
+
+    // Without new rows, the tab is reloaded once the watch period ends.
+    worker.clock.advance(30000);
+    await settle();
+    assert.strictEqual(worker.session().currentPhase, 'refresh_reload');
+    assert.deepStrictEqual([...worker.chrome.calls.reloadedTabs], [BOOKINGS_TAB.id]);
+});
+
+test('aborting while the list is watched stops the watcher', async () => {
+    const worker = startNoMatchWorker();
+    await worker.sendFromPopup({ action: 'startAutomation', config: { ...CONFIG, autoRefresh: true, watchBookingList: true } });
+    await settle();
+
+    const response = await worker.sendFromPopup({ action: 'abortAutomation', tabId: BOOKINGS_TAB.id });
+    await settle();
+    assert.strictEqual(response.status, 'success');
+    assert.strictEqual(worker.tabActions().pop(), 'stopWatchingBookingList');
+    assert.strictEqual(worker.savedState().pendingTimer, null);
+
+    // A late report from the page changes nothing.
+    worker.chrome.runtime.onMessage.dispatch({ type: 'booking_rows_added', added: 1, matched: [8] }, { tab: BOOKINGS_TAB }, () => {});
+    await settle();
+    assert.strictEqual(worker.session().currentPhase, 'idle');
+});
+
+/**
+ * Runs a start-to-Phase-8 cycle with approval required, leaving the ride waiting for a decision.
+ * @param {object} [configOverrides={}]
+ * @returns {Promise<object>} The worker.
+ */
+async function runUntilApproval(configOverrides = {}) {
+    const worker = startWorker({
+        onTabMessage: (tabId, message) => (message.action === 'phase6_clickBooking'
+            ? {
+                status: 'success',
+                message: 'Booking element clicked.',
+                selectedIndex: 5,
+                bookings: [{ index: 5, dateText: '2025-06-15 14:00', vehicle: 'Standard Sedan', payoutText: '€72.50', matched: true, checks: [] }]
+            }
+            : { status: 'success', message: 'Final confirmation clicked.' }),
+        onExecuteScript: () => ({
+            status: 'success',
+            message: 'Vehicle selected successfully: Standard Sedan - CD-456 (value "12").',
+            selected: { text: 'Standard Sedan - CD-456', value: '12' }
+        })
+    });
+    await worker.sendFromPopup({ action: 'startAutomation', config: { ...CONFIG, requireApproval: true, ...configOverrides } });
+    await settle();
+    await openRideTab(worker);
+    return worker;
+}
+
+test('approval mode pauses before Phase 9 and shows the ride in a notification and the popup', async () => {
+    const worker = await runUntilApproval({ approvalTimeoutSeconds: 45 });
+
+    assert.strictEqual(worker.session().currentPhase, 'awaiting_approval');
+    assert.deepStrictEqual(worker.tabActions(), ['phase6_clickBooking', 'readRideDetails']);
+
+    const [notification] = worker.chrome.calls.notifications;
+    assert.strictEqual(notification.id, 'ride-approval:7');
+    assert.strictEqual(notification.message, '2025-06-15 14:00, Standard Sedan, €72.50. Vehicle: Standard Sedan - CD-456');
+    assert.deepStrictEqual([...notification.buttons.map(b => b.title)], ['Approve', 'Reject']);
+
+    const [banner] = worker.chrome.storage.local.data.pendingApprovals;
+    assert.strictEqual(banner.tabId, BOOKINGS_TAB.id);
+    assert.strictEqual(banner.vehicle, 'Standard Sedan - CD-456');
+    assert.strictEqual(banner.booking.payout, '€72.50');
+    assert.strictEqual(worker.savedState().pendingTimer.kind, 'approval_timeout');
+    assert.strictEqual(worker.savedState().pendingTimer.fireAt - Date.now() <= 45000, true);
+});
+
+test('approving from the notification runs Phase 9', async () => {
+    const worker = await runUntilApproval();
+
+    worker.chrome.notifications.onButtonClicked.dispatch('ride-approval:7', 0);
+    await settle();
+
+    assert.deepStrictEqual(worker.tabActions(), ['phase6_clickBooking', 'readRideDetails', 'phase9_acceptRide']);
+    assert.strictEqual(worker.chrome.storage.local.data.pendingApprovals, undefined);
+    assert.ok(worker.chrome.calls.clearedNotifications.includes('ride-approval:7'));
+    const [run] = await worker.runs();
+    assert.strictEqual(run.outcome, 'accepted');
+    assert.deepStrictEqual(run.phases.map(p => `${p.phase} ${p.status}`), ['P6 success', 'P8 success', 'Approval success', 'P9 success']);
+});
+
+test('rejecting from the popup ends the run without Phase 9', async () => {
+    const worker = await runUntilApproval();
+
+    const response = await worker.sendFromPopup({ action: 'approvalDecision', approved: false });
+    await settle();
+
+    assert.strictEqual(response.status, 'success');
+    assert.deepStrictEqual(worker.tabActions(), ['phase6_clickBooking', 'readRideDetails']);
+    assert.strictEqual(worker.session().automationInProgress, false);
+    const [run] = await worker.runs();
+    assert.strictEqual(run.outcome, 'rejected');
+    assert.strictEqual(run.reason, 'Ride rejected from the popup.');
+});
+
+test('an unanswered approval is rejected when the timeout ends', async () => {
+    const worker = await runUntilApproval({ approvalTimeoutSeconds: 30 });
+
+    worker.clock.advance(29000);
+    await settle();
+    assert.strictEqual(worker.session().currentPhase, 'awaiting_approval');
+
+    worker.clock.advance(1000);
+    await settle();
+    assert.deepStrictEqual(worker.tabActions(), ['phase6_clickBooking', 'readRideDetails']);
+    assert.strictEqual((await worker.runs())[0].outcome, 'rejected');
+
+    // A late click on the notification changes nothing.
+    worker.chrome.notifications.onButtonClicked.dispatch('ride-approval:7', 0);
+    await settle();
+    assert.deepStrictEqual(worker.tabActions(), ['phase6_clickBooking', 'readRideDetails']);
+});
+
+/**
+ * Starts a new worker from the state a terminated one left in storage, as the
+ * browser does when an event or an alarm wakes the extension up again.
+ * @param {object} previous The worker from startWorker() that was terminated.
+ * @param {object} [options={}] The chrome mock options of the new worker.
+ * @returns {Promise<object>} The new worker, once its state is restored.
+ */
+async function restartWorker(previous, options = {}) {
+    const copy = (value) => JSON.parse(JSON.stringify(value));
+    const worker = startWorker({
+        ...options,
+        session: copy(previous.chrome.storage.session.data),
+        local: copy(previous.chrome.storage.local.data),
+        indexedDB: previous.context.indexedDB
+    });
+    await settle();
+    return worker;
+}
+
+/**
+ * Lists the log lines a worker sent to the popup.
+ * @param {object} worker The worker from startWorker().
+ * @returns {string[]}
+ */
+function loggedLines(worker) {
+    return worker.chrome.calls.runtimeMessages.filter(m => m.type === 'log').map(m => m.text);
+}
+
+test('a restarted worker resumes a pending auto-refresh and reloads the tab when it is due', async () => {
+    const previous = startNoMatchWorker({ refreshMinSeconds: 40, refreshMaxSeconds: 40 });
+    await previous.sendFromPopup({ action: 'startAutomation', config: { ...CONFIG, autoRefresh: true } });
+    await settle();
+    assert.strictEqual(previous.savedState().pendingTimer.kind, 'refresh');
+
+    const worker = await restartWorker(previous);
+    assert.ok(loggedLines(worker).includes('Service worker restarted. Restoring run state (phase: auto-refresh wait).'));
+    assert.ok(loggedLines(worker).some(line => /^Resuming pending refresh timer \(\d+s remaining\)\.$/.test(line)));
+    assert.strictEqual(worker.chrome.storage.local.data.automationSessions[0].active, true);
+
+    worker.clock.advance(40000);
+    await settle();
+    assert.deepStrictEqual(worker.chrome.calls.reloadedTabs, [BOOKINGS_TAB.id]);
+    assert.strictEqual(worker.savedState().currentPhase, 'refresh_reload');
+});
+
+test('a restarted worker keeps the approval timeout and rejects the ride when it ends', async () => {
+    const previous = await runUntilApproval({ approvalTimeoutSeconds: 30 });
+
+    const worker = await restartWorker(previous);
+    assert.ok(loggedLines(worker).includes('Service worker restarted. Restoring run state (phase: waiting for approval).'));
+    assert.strictEqual(worker.session().currentPhase, 'awaiting_approval');
+    assert.strictEqual(worker.chrome.storage.local.data.pendingApprovals.length, 1);
+
+    worker.clock.advance(30000);
+    await settle();
+    assert.strictEqual(worker.session().automationInProgress, false);
+    assert.strictEqual(worker.chrome.storage.local.data.automationSessions[0].inProgress, false);
+    assert.strictEqual(worker.chrome.storage.local.data.pendingApprovals, undefined);
+    assert.strictEqual((await worker.runs())[0].outcome, 'rejected');
+});
+
+test('a restarted worker still takes the ride tab it was waiting for', async () => {
+    const selectVehicle = () => ({ status: 'success', message: 'Vehicle selected.', selected: { text: 'Standard Sedan - CD-456', value: '12' } });
+    const previous = startWorker({ onExecuteScript: selectVehicle });
+    await runUntilNewTab(previous);
+
+    const worker = await restartWorker(previous, { onExecuteScript: selectVehicle });
+    assert.ok(loggedLines(worker).includes('Service worker restarted. Restoring run state (phase: waiting for the new ride tab).'));
+    assert.strictEqual(worker.session().automationInProgress, true);
+
+    await openRideTab(worker);
+    assert.deepStrictEqual(worker.tabActions(), ['readRideDetails', 'phase9_acceptRide']);
+    assert.strictEqual((await worker.runs())[0].outcome, 'accepted');
+});
+
+test('a restarted worker resumes the Phase 8 retry it was waiting for', async () => {
+    const previous = startWorker({ onExecuteScript: () => ({ status: 'error', message: 'Error: No available vehicle found for any of the desired classes.' }) });
+    await runUntilNewTab(previous);
+    await openRideTab(previous);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(previous.savedState().pendingTimer.args)), { attempt: 2 });
+
+    const worker = await restartWorker(previous, {
+        onExecuteScript: () => ({ status: 'success', message: 'Vehicle selected.', selected: { text: 'Standard Sedan - CD-456', value: '12' } })
+    });
+    assert.ok(loggedLines(worker).some(line => /^Resuming pending phase8_retry timer/.test(line)));
+
+    worker.clock.advance(2000);
+    await settle();
+    assert.strictEqual(worker.evaluate(`sessions[${BOOKINGS_TAB.id}].phase8Attempts`), 2);
+    assert.deepStrictEqual(worker.tabActions(), ['readRideDetails', 'phase9_acceptRide']);
+    const [run] = await worker.runs();
+    assert.strictEqual(run.outcome, 'accepted');
+    assert.deepStrictEqual(run.phases.map(p => `${p.phase} ${p.status}`), ['P6 success', 'P8 success', 'P9 success']);
+});
+
+test('a restarted worker aborts a run that was waiting on the page, as its outcome is unknown', async () => {
+    const previous = startWorker();
+    await previous.sendFromPopup({ action: 'startAutomation', config: CONFIG });
+    assert.strictEqual(previous.savedState().currentPhase, 'p6_wait');
+
+    const worker = await restartWorker(previous);
+    const reason = 'Service worker was terminated during Phase 6 waiting for the booking list; its outcome is unknown.';
+    assert.ok(loggedLines(worker).includes('Service worker restarted. Restoring run state (phase: Phase 6 waiting for the booking list).'));
+    assert.ok(loggedLines(worker).includes(reason));
+    assert.strictEqual(worker.session().automationInProgress, false);
+    assert.strictEqual(worker.savedState().automationInProgress, false);
+    const [summary] = worker.chrome.storage.local.data.automationSessions;
+    assert.strictEqual(summary.inProgress, false);
+    assert.strictEqual(summary.lastResult.message, reason);
+    assert.ok(worker.chrome.calls.runtimeMessages.some(m => m.type === 'automation_aborted' && m.tabId === BOOKINGS_TAB.id));
+    assert.strictEqual((await worker.runs())[0].outcome, 'failed');
+    assert.deepStrictEqual(worker.tabActions(), []);
+});
+
+test('a decision is refused when no ride is waiting for approval', async () => {
+    const worker = startWorker();
+    const response = await worker.sendFromPopup({ action: 'approvalDecision', approved: true });
+
+    assert.strictEqual(response.status, 'error');
+});
+
+test('the clicked booking is recorded in the ledger, then updated with the run outcome', async () => {
+    const booking = { index: 5, url: '/new-ride/105', dateText: '2025-06-15 14:00', vehicle: 'Standard Sedan', payoutText: '€72.50', matched: true, checks: [] };
+    const worker = startWorker({
+        onTabMessage: (tabId, message) => (message.action === 'phase6_clickBooking'
+            ? { status: 'success', message: 'Booking element clicked.', selectedIndex: 5, bookings: [booking] }
+            : { status: 'success', message: 'Final confirmation clicked.' }),
+        onExecuteScript: () => ({ status: 'success', message: 'Vehicle selected successfully.' })
+    });
+    await runUntilNewTab(worker);
+
+    const ledger = () => worker.chrome.storage.local.data.handledBookings;
+    assert.strictEqual(ledger()['/new-ride/105'].status, 'opened');
+
+    await openRideTab(worker);
+    await settle();
+    assert.strictEqual(ledger()['/new-ride/105'].status, 'accepted');
+});
+
+test('dry runs and a disabled guard leave the ledger alone', async () => {
+    const booking = { index: 5, url: '/new-ride/105', matched: true, checks: [] };
+    const onTabMessage = () => ({ status: 'success', message: 'Dry run.', dryRun: true, newTabUrl: RIDE_URL, selectedIndex: 5, bookings: [booking] });
+
+    const dryRun = startWorker({ onTabMessage });
+    await dryRun.sendFromPopup({ action: 'startAutomation', config: { ...CONFIG, dryRun: true } });
+    await settle();
+    assert.strictEqual(dryRun.chrome.storage.local.data.handledBookings, undefined);
+
+    const disabled = startWorker({
+        sync: { options: { allowListedDomain: 'control.transfeero.com', ledgerExpiryHours: 0 } },
+        onTabMessage: () => ({ status: 'success', message: 'Booking element clicked.', selectedIndex: 5, bookings: [booking] })
+    });
+    await runUntilNewTab(disabled);
+    assert.strictEqual(disabled.chrome.storage.local.data.handledBookings, undefined);
+});
+
+test('ledger and fleet updates made at the same time by two sessions are both kept', async () => {
+    const worker = startWorker();
+    worker.evaluate(`
+        markBookingHandled({ selectedBooking: { url: '/new-ride/1' }, currentConfig: { dryRun: false } }, 'accepted');
+        markBookingHandled({ selectedBooking: { url: '/new-ride/2' }, currentConfig: { dryRun: false } }, 'failed');
+        updateFleetRoster([{ text: 'Van - GH-012', value: '30' }]);
+        updateFleetRoster([{ text: 'Standard Sedan - CD-456', value: '12' }]);
+    `);
+    await settle();
+
+    const ledger = worker.chrome.storage.local.data.handledBookings;
+    assert.deepStrictEqual(Object.keys(ledger).map(id => `${id} ${ledger[id].status}`), ['/new-ride/1 accepted', '/new-ride/2 failed']);
+    assert.deepStrictEqual(worker.chrome.storage.local.data.fleetSchedule.roster.map(v => v.value), ['30', '12']);
+});
+
+test('an accepted ride commits its vehicle, and Phase 8 of an overlapping ride passes it over', async () => {
+    const booking = { index: 5, url: '/new-ride/105', dateText: '2025-06-15 14:00', date: '2025-06-15 14:00', vehicle: 'Standard Sedan', matched: true, checks: [] };
+    const sedan = { text: 'Standard Sedan - CD-456', value: '12' };
+    const worker = startWorker({
+        local: {
+            fleetSchedule: {
+                roster: [],
+                commitments: [{ bookingId: '/new-ride/99', vehicle: 'Minivan - EF-789', value: '21', pickup: '2025-06-15 13:30', start: 29166570, end: 29166630 }]
+            }
+        },
+        onTabMessage: (tabId, message) => (message.action === 'phase6_clickBooking'
+            ? { status: 'success', message: 'Booking element clicked.', selectedIndex: 5, bookings: [booking] }
+            : { status: 'success', message: 'Final confirmation clicked.' }),
+        onExecuteScript: () => ({ status: 'success', message: 'Vehicle selected successfully.', selected: sedan, fleet: [sedan] })
+    });
+    await runUntilNewTab(worker);
+    await openRideTab(worker);
+    await settle();
+
+    // The minivan's 13:30 ride overlaps the 14:00 pickup.
+    assert.deepStrictEqual([...worker.chrome.calls.injections.find(i => i.func).args[3]], ['21']);
+
+    const schedule = worker.chrome.storage.local.data.fleetSchedule;
+    assert.deepStrictEqual(schedule.roster, [sedan]);
+    // The minivan's ride ended more than a day ago, so it is dropped.
+    assert.deepStrictEqual(schedule.commitments.map(c => `${c.bookingId} ${c.value} ${c.pickup} ${c.end - c.start}`),
+        ['/new-ride/105 12 2025-06-15 14:00 60']);
+});
+
+/**
+ * Starts a worker whose Phase 6 chooses a Standard Sedan booking.
+ * @param {object} [options={}] Overrides of the chrome mock options.
+ * @returns {object} The worker.
+ */
+function startSedanWorker(options = {}) {
+    const booking = { index: 5, url: '/new-ride/105', date: '2025-06-15 14:00', vehicle: 'STANDARD SEDAN', vehicleClass: 'Standard Sedan', matched: true, checks: [] };
+    return startWorker({
+        onTabMessage: (tabId, message) => (message.action === 'phase6_clickBooking'
+            ? { status: 'success', message: 'Booking element clicked.', selectedIndex: 5, bookings: [booking] }
+            : { status: 'success', message: 'Final confirmation clicked.' }),
+        onExecuteScript: () => ({ status: 'success', message: 'Vehicle selected successfully.' }),
+        ...options
+    });
+}
+
+test('Phase 8 only tries the vehicles mapped to the class of the chosen booking', async () => {
+    const worker = startSedanWorker();
+    await worker.sendFromPopup({
+        action: 'startAutomation',
+        config: { ...CONFIG, phase8VehicleClasses: ['Mercedes vito', 'Lexus es300h', 'Toyota corolla touring'] }
+    });
+    await settle();
+    await openRideTab(worker);
+
+    assert.deepStrictEqual([...worker.chrome.calls.injections.find(i => i.func).args[0]], ['Lexus es300h', 'Toyota corolla touring']);
+});
+
+test('Phase 8 ends the run when no selected vehicle is mapped to the booking class', async () => {
+    const worker = startSedanWorker();
+    await worker.sendFromPopup({ action: 'startAutomation', config: { ...CONFIG, phase8VehicleClasses: ['Mercedes vito'] } });
+    await settle();
+    await openRideTab(worker);
+
+    assert.strictEqual(worker.chrome.calls.injections.some(i => i.func), false);
+    assert.strictEqual(worker.session().automationInProgress, false);
+    const [run] = await worker.runs();
+    assert.strictEqual(run.outcome, 'failed');
+    assert.match(run.reason, /^None of the selected Phase 8 vehicles is mapped to the booking class "Standard Sedan"/);
+    // No retry is scheduled.
+    assert.strictEqual(worker.savedState().pendingTimer, null);
+});
+
+/**
+ * Records the worker's requests and answers them in turn; the last answer repeats.
+ * @param {(number | Error)[]} answers HTTP statuses, or errors to fail with.
+ * @returns {Function} The fetch stand-in, with the requests in `requests`.
+ */
+function recordRequests(answers) {
+    const requests = [];
+    const fetch = (url, init) => {
+        requests.push({ url, headers: init.headers, payload: JSON.parse(init.body) });
+        const answer = answers[Math.min(requests.length - 1, answers.length - 1)];
+        return answer instanceof Error ? Promise.reject(answer) : Promise.resolve({ ok: answer < 300, status: answer });
+    };
+    fetch.requests = requests;
+    return fetch;
+}
+
+test('run events are POSTed to the webhooks that want them, with the booking and the config', async () => {
+    const fetch = recordRequests([200]);
+    const worker = startWorker({
+        fetch,
+        local: {
+            webhooks: [
+                { url: 'http://localhost:9000/rides?token=abc', headers: { 'X-Team': 'dispatch' }, events: ['accepted'] },
+                { url: 'http://localhost:9001/all', headers: {}, events: ['match', 'failed'] }
+            ]
+        },
+        onTabMessage: (tabId, tabMessage) => (tabMessage.action === 'phase9_acceptRide'
+            ? { status: 'success', message: 'Final confirmation clicked.', verification: 'accepted' }
+            : { status: 'success', message: 'Done.', selectedIndex: 5, bookings: [RIDE_BOOKING] }),
+        onExecuteScript: () => ({ status: 'success', message: 'Vehicle selected.', selected: { text: 'Lexus es300h - AB-123', value: '1' } })
+    });
+    await runUntilNewTab(worker);
+    await openRideTab(worker);
+
+    assert.deepStrictEqual(fetch.requests.map(r => `${r.payload.event} ${r.url}`),
+        ['match http://localhost:9001/all', 'accepted http://localhost:9000/rides?token=abc']);
+    const accepted = fetch.requests[1];
+    assert.deepStrictEqual({ ...accepted.headers }, { 'Content-Type': 'application/json', 'X-Team': 'dispatch' });
+    assert.strictEqual(accepted.payload.outcome, 'accepted');
+    assert.strictEqual(accepted.payload.runId, (await worker.runs())[0].id);
+    assert.strictEqual(accepted.payload.booking.url, '/new-ride/105');
+    assert.strictEqual(accepted.payload.booking.fleetVehicle.text, 'Lexus es300h - AB-123');
+    assert.deepStrictEqual(accepted.payload.config.vehicleClasses, ['Standard Sedan']);
+    const logs = worker.chrome.calls.runtimeMessages.filter(m => m.type === 'log').map(m => m.text);
+    assert.ok(logs.includes('Webhook "accepted" delivered to http://localhost:9000/rides after 1 attempt(s).'));
+});
+
+test('a failed webhook delivery is retried with backoff and each result is logged', async () => {
+    const fetch = recordRequests([503, new Error('Failed to fetch'), 204]);
+    const worker = startWorker({
+        fetch,
+        local: { webhooks: [{ url: 'http://localhost:9000/hook', headers: {}, events: ['aborted'] }] }
+    });
+    await worker.sendFromPopup({ action: 'startAutomation', config: CONFIG });
+    await worker.sendFromPopup({ action: 'abortAutomation', tabId: BOOKINGS_TAB.id });
+    await settle();
+    assert.strictEqual(fetch.requests.length, 1);
+
+    worker.clock.advance(2000);
+    await settle();
+    assert.strictEqual(fetch.requests.length, 2);
+    worker.clock.advance(9999);
+    await settle();
+    assert.strictEqual(fetch.requests.length, 2);
+    worker.clock.advance(1);
+    await settle();
+
+    assert.strictEqual(fetch.requests.length, 3);
+    assert.deepStrictEqual(fetch.requests.map(r => r.payload.at), Array(3).fill(fetch.requests[0].payload.at));
+    const logs = worker.chrome.calls.runtimeMessages.filter(m => m.type === 'log' && m.text.startsWith('Webhook')).map(m => m.text);
+    assert.deepStrictEqual(logs, [
+        'Webhook "aborted" to http://localhost:9000/hook failed: HTTP 503. Retrying in 2 seconds.',
+        'Webhook "aborted" to http://localhost:9000/hook failed: Failed to fetch. Retrying in 10 seconds.',
+        'Webhook "aborted" delivered to http://localhost:9000/hook after 3 attempt(s).'
+    ]);
+});
+
+test('cycles without a match send no event, and a refused delivery is not retried', async () => {
+    const fetch = recordRequests([401]);
+    const worker = startWorker({
+        fetch,
+        sync: { options: { allowListedDomain: 'control.transfeero.com', refreshMinSeconds: 40, refreshMaxSeconds: 40, refreshMaxCycles: 1 } },
+        local: { webhooks: [{ url: 'http://localhost:9000/hook', headers: {}, events: ['failed', 'refresh-stopped'] }] },
+        onTabMessage: (tabId, message) => (message.action === 'phase6_clickBooking'
+            ? { status: 'error', message: 'No matching booking found.', noMatch: true, bookings: [] }
+            : { status: 'success', message: 'Done.' })
+    });
+    await worker.sendFromPopup({ action: 'startAutomation', config: { ...CONFIG, autoRefresh: true } });
+    await settle();
+    worker.clock.advance(40000);
+    await settle();
+    worker.chrome.tabs.onUpdated.dispatch(BOOKINGS_TAB.id, { status: 'complete' }, BOOKINGS_TAB);
+    await settle();
+    worker.clock.advance(60000);
+    await settle();
+
+    assert.deepStrictEqual(fetch.requests.map(r => r.payload.event), ['refresh-stopped']);
+    assert.strictEqual(fetch.requests[0].payload.message, 'Auto-refresh stopped after 1 cycle(s), its maximum.');
+    assert.ok(worker.chrome.calls.runtimeMessages.some(m => m.type === 'log'
+        && m.text === 'Webhook "refresh-stopped" to http://localhost:9000/hook failed: HTTP 401. Given up after 1 attempt(s).'));
+});
+
+test('on update, synced webhooks move to local storage and the shared cycle report is dropped', async () => {
+    const webhooks = [{ url: 'http://localhost:9000/hook', headers: { Authorization: 'Bearer secret' }, events: ['accepted'] }];
+    const worker = startWorker({
+        sync: { options: { allowListedDomain: 'control.transfeero.com' }, webhooks },
+        local: { lastCycleReport: { at: 0, bookings: [] } }
+    });
+    worker.chrome.runtime.onInstalled.dispatch({ reason: 'update' });
+    await settle();
+
+    assert.deepStrictEqual(worker.chrome.storage.local.data.webhooks, webhooks);
+    assert.strictEqual(worker.chrome.storage.sync.data.webhooks, undefined);
+    // The cycle report shared by every session is gone too.
+    assert.strictEqual(worker.chrome.storage.local.data.lastCycleReport, undefined);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/environment');
+
+const { bookingIdFromUrl, readLedgerExpiryHours, pruneLedger, describeHandledBooking } =
+    loadScripts(['js/booking-ledger.js']);
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 5, 15, 12, 0);
+
+test('bookingIdFromUrl', async (t) => {
+    await t.test('gives relative and absolute URLs of the same ride the same ID', () => {
+        assert.strictEqual(bookingIdFromUrl('/new-ride/504'), '/new-ride/504');
+        assert.strictEqual(bookingIdFromUrl('https://booking.example.com/new-ride/504'), '/new-ride/504');
+    });
+
+    await t.test('keeps the query, which may carry the ID', () => {
+        assert.strictEqual(bookingIdFromUrl('/new-ride?id=504'), '/new-ride?id=504');
+    });
+
+    await t.test('returns null without a URL', () => {
+        assert.strictEqual(bookingIdFromUrl(null), null);
+        assert.strictEqual(bookingIdFromUrl(''), null);
+    });
+});
+
+test('readLedgerExpiryHours', async (t) => {
+    await t.test('defaults to 24 hours', () => {
+        assert.strictEqual(readLedgerExpiryHours(undefined), 24);
+        assert.strictEqual(readLedgerExpiryHours({}), 24);
+        assert.strictEqual(readLedgerExpiryHours({ ledgerExpiryHours: -1 }), 24);
+    });
+
+    await t.test('accepts 0, which turns the guard off', () => {
+        assert.strictEqual(readLedgerExpiryHours({ ledgerExpiryHours: 0 }), 0);
+        assert.strictEqual(readLedgerExpiryHours({ ledgerExpiryHours: 6 }), 6);
+    });
+});
+
+test('pruneLedger drops the entries older than the expiry', () => {
+    const ledger = {
+        '/new-ride/1': { status: 'accepted', handledAt: NOW - 2 * HOUR },
+        '/new-ride/2': { status: 'failed', handledAt: NOW - 5 * HOUR },
+        '/new-ride/3': null
+    };
+
+    assert.deepStrictEqual(Object.keys(pruneLedger(ledger, 3, NOW)), ['/new-ride/1']);
+    assert.deepStrictEqual(Object.keys(pruneLedger(ledger, 0, NOW)), []);
+    assert.deepStrictEqual(Object.keys(pruneLedger(undefined, 3, NOW)), []);
+});
+
+test('describeHandledBooking gives the age and status of the entry', () => {
+    assert.strictEqual(describeHandledBooking({ status: 'opened', handledAt: NOW - 5 * 60000 }, NOW), 'already handled 5 min ago (opened)');
+    assert.strictEqual(describeHandledBooking({ status: 'accepted', handledAt: NOW - 150 * 60000 }, NOW), 'already handled 2 h 30 min ago (accepted)');
+});
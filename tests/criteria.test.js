@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/environment');
+
+const { evaluateExtraCriteria, matchLocation, isTimeInWindow, parseTimeOfDay, parseDistanceKm } =
+    loadScripts(['js/parsers.js', 'js/criteria.js']);
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+const at = (time) => parseTimeOfDay(time);
+
+// The fields of a booking as read by the content script.
+const FIELDS = {
+    pickup: 'Rome Fiumicino Airport (FCO)',
+    dropoff: 'Hotel Artemide, Via Nazionale',
+    pickupMinutes: 23 * 60 + 15,
+    passengers: 3,
+    luggage: NaN,
+    distanceKm: NaN
+};
+
+test('isTimeInWindow', async (t) => {
+    await t.test('includes both ends of a window within the day', () => {
+        assert.strictEqual(isTimeInWindow(at('08:00'), '08:00', '18:00'), true);
+        assert.strictEqual(isTimeInWindow(at('18:00'), '08:00', '18:00'), true);
+        assert.strictEqual(isTimeInWindow(at('18:01'), '08:00', '18:00'), false);
+    });
+
+    await t.test('wraps around midnight when the end is before the start', () => {
+        assert.strictEqual(isTimeInWindow(at('23:15'), '22:00', '06:00'), true);
+        assert.strictEqual(isTimeInWindow(at('00:00'), '22:00', '06:00'), true);
+        assert.strictEqual(isTimeInWindow(at('06:00'), '22:00', '06:00'), true);
+        assert.strictEqual(isTimeInWindow(at('12:00'), '22:00', '06:00'), false);
+        assert.strictEqual(isTimeInWindow(at('21:59'), '22:00', '06:00'), false);
+    });
+
+    await t.test('leaves an empty end open', () => {
+        assert.strictEqual(isTimeInWindow(at('23:59'), '22:00', ''), true);
+        assert.strictEqual(isTimeInWindow(at('00:00'), '', '06:00'), true);
+    });
+});
+
+test('matchLocation', async (t) => {
+    await t.test('passes a location with one of the included keywords', () => {
+        assert.deepStrictEqual(copy(matchLocation('Rome Fiumicino Airport', ['station', 'airport'], [])),
+            { pass: true, detail: 'contains "airport"' });
+        assert.deepStrictEqual(copy(matchLocation('Termini', ['station', 'airport'], [])),
+            { pass: false, detail: 'none of "station, airport"' });
+    });
+
+    await t.test('fails an excluded keyword before looking at the included ones', () => {
+        assert.deepStrictEqual(copy(matchLocation('Ciampino Airport', ['airport'], ['ciampino'])),
+            { pass: false, detail: 'contains excluded "ciampino"' });
+        assert.deepStrictEqual(copy(matchLocation('Termini', [], ['ciampino'])), { pass: true, detail: 'no excluded keyword' });
+    });
+});
+
+test('evaluateExtraCriteria', async (t) => {
+    await t.test('leaves out the criteria that are not configured', () => {
+        assert.deepStrictEqual(copy(evaluateExtraCriteria(FIELDS, undefined)), []);
+        assert.deepStrictEqual(copy(evaluateExtraCriteria(FIELDS, { pickupInclude: ['airport'] })),
+            [{ name: 'Pickup', pass: true, detail: '"Rome Fiumicino Airport (FCO)" contains "airport"' }]);
+    });
+
+    await t.test('checks the pickup time against a window spanning midnight', () => {
+        assert.deepStrictEqual(copy(evaluateExtraCriteria(FIELDS, { timeFrom: '22:00', timeTo: '06:00' })),
+            [{ name: 'Pickup time', pass: true, detail: '23:15 inside window 22:00-06:00' }]);
+        assert.deepStrictEqual(copy(evaluateExtraCriteria({ ...FIELDS, pickupMinutes: 12 * 60 }, { timeFrom: '22:00', timeTo: '06:00' })),
+            [{ name: 'Pickup time', pass: false, detail: '12:00 outside window 22:00-06:00' }]);
+    });
+
+    await t.test('fails a configured criterion whose field is not shown, except the distance', () => {
+        const results = evaluateExtraCriteria({ ...FIELDS, dropoff: null, pickupMinutes: null }, {
+            dropoffExclude: ['hotel'], timeTo: '06:00', luggageMin: 1, distanceMax: 50
+        });
+        assert.deepStrictEqual(copy(results), [
+            { name: 'Dropoff', pass: false, detail: 'location not shown' },
+            { name: 'Pickup time', pass: false, detail: 'unknown, window 00:00-06:00' },
+            { name: 'Luggage', pass: false, detail: 'not shown' },
+            { name: 'Distance', pass: true, detail: 'not shown, check skipped' }
+        ]);
+    });
+
+    await t.test('checks the counts and the distance against their bounds', () => {
+        const results = evaluateExtraCriteria({ ...FIELDS, distanceKm: parseDistanceKm('12 mi') }, {
+            passengersMin: 2, passengersMax: 4, distanceMin: 25
+        });
+        assert.deepStrictEqual(copy(results), [
+            { name: 'Passengers', pass: true, detail: '3, wanted 2 to 4' },
+            { name: 'Distance', pass: false, detail: '19.3 km, wanted at least 25 km' }
+        ]);
+    });
+});
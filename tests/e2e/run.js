@@ -0,0 +1,330 @@
+/**
+ * @fileoverview End-to-end run of the unpacked extension in headless Chromium
+ * against the local mock booking site (mock-site/server.js). Covers the whole
+ * P6 -> P8 -> P9 flow: the booking click, new tab detection, the select2
+ * vehicle selection, the final click, auto-refresh and the booking list watcher.
+ *
+ * Usage: CHROME_PATH=/path/to/chromium npm run test:e2e
+ *
+ * Branded Google Chrome ignores --load-extension; use Chromium or Chrome for
+ * Testing. The extension is copied to a temporary directory with the mock
+ * site's origin added to its host permissions; the checked-in manifest is not
+ * changed.
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer-core');
+const { createMockSite } = require('../../mock-site/server');
+
+const ROOT = path.join(__dirname, '..', '..');
+const EXTENSION_FILES = ['manifest.json', 'js', 'html', 'icons', 'sounds'];
+
+if (!process.env.CHROME_PATH) {
+    console.error('Set CHROME_PATH to a Chromium or Chrome for Testing executable to run the end-to-end tests.');
+    process.exit(1);
+}
+
+/**
+ * The mock site's classes, each served by the vehicles named after it
+ * (mock-site/bookings.js).
+ */
+const MOCK_CATALOGUE = {
+    bookingClasses: ['Standard Sedan', 'Minivan', 'Business Van'],
+    fleetVehicles: ['Standard Sedan', 'Minivan', 'Business Van'],
+    classFleet: { 'Standard Sedan': ['Standard Sedan'], 'Minivan': ['Minivan'], 'Business Van': ['Business Van'] }
+};
+
+let site;
+let siteUrl;
+let extensionDir;
+let browser;
+let worker;
+
+/**
+ * Formats a date as 'YYYY-MM-DD', like the popup's date inputs.
+ * @param {number} dayOffset Days from today.
+ * @returns {string}
+ */
+function inputDate(dayOffset) {
+    const date = new Date();
+    date.setDate(date.getDate() + dayOffset);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * The popup settings used by the tests. Tomorrow's first Standard Sedan at or
+ * above 50 is booking 504, and the first free Standard Sedan is vehicle 12.
+ * @param {object} [overrides={}]
+ * @returns {object}
+ */
+function runConfig(overrides = {}) {
+    return {
+        startDate: inputDate(1),
+        endDate: '',
+        vehicleClasses: ['Standard Sedan'],
+        vehiclePrices: { 'Standard Sedan': 50 },
+        rankingStrategy: 'first',
+        phase8VehicleClasses: ['Standard Sedan'],
+        dryRun: false,
+        enablePhase9Click: true,
+        autoRefresh: false,
+        extraCriteria: {},
+        ...overrides
+    };
+}
+
+/**
+ * Polls until a check returns a truthy value.
+ * @param {() => Promise<*> | *} check The check.
+ * @param {string} description What is awaited, for the timeout error.
+ * @param {number} [timeout=30000] The time limit in milliseconds.
+ * @returns {Promise<*>} The value returned by the check.
+ */
+async function waitFor(check, description, timeout = 30000) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const value = await check();
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error(`Timed out after ${timeout}ms waiting for ${description}.`);
+        await new Promise(resolve => setTimeout(resolve, 250));
+    }
+}
+
+/**
+ * Starts a run as the popup's Proceed button does, on the active tab.
+ * @param {object} config The run settings.
+ * @returns {Promise<object>} The answer sent back to the popup.
+ */
+function startRun(config) {
+    return worker.evaluate((config) => new Promise((resolve) => {
+        stateRestored.then(() => handleMessage({ action: 'startAutomation', config }, {}, resolve));
+    }), config);
+}
+
+/**
+ * Reads the run history recorded by the extension, newest first.
+ * @returns {Promise<object[]>}
+ */
+function readRuns() {
+    return worker.evaluate(() => getRuns());
+}
+
+/**
+ * Deletes the run history, keeping the ledger of handled bookings.
+ * @returns {Promise<void>}
+ */
+function clearHistory() {
+    return worker.evaluate(() => clearRuns());
+}
+
+/**
+ * Waits for the latest run to end.
+ * @param {number} [timeout]
+ * @returns {Promise<object>} The history entry of the run.
+ */
+function waitForRunEnd(timeout) {
+    return waitFor(async () => {
+        const [run] = await readRuns();
+        return run && run.outcome ? run : null;
+    }, 'the run to end', timeout);
+}
+
+/**
+ * Opens the booking list in a fresh tab and brings it to the front.
+ * @returns {Promise<import('puppeteer-core').Page>}
+ */
+async function openBookingList() {
+    const page = await browser.newPage();
+    await page.goto(`${siteUrl}/bookings`);
+    await page.bringToFront();
+    return page;
+}
+
+before(async () => {
+    site = createMockSite({ quiet: true });
+    await new Promise(resolve => site.listen(0, resolve));
+    const port = site.address().port;
+    siteUrl = `http://localhost:${port}`;
+
+    extensionDir = fs.mkdtempSync(path.join(os.tmpdir(), 'booking-automation-e2e-'));
+    EXTENSION_FILES.forEach(file => fs.cpSync(path.join(ROOT, file), path.join(extensionDir, file), { recursive: true }));
+    const manifestPath = path.join(extensionDir, 'manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    manifest.host_permissions.push(`http://localhost:${port}/*`);
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+
+    browser = await puppeteer.launch({
+        executablePath: process.env.CHROME_PATH,
+        headless: true,
+        args: [
+            `--disable-extensions-except=${extensionDir}`,
+            `--load-extension=${extensionDir}`,
+            // The booking rows open the ride with window.open() from a scripted click.
+            '--disable-popup-blocking',
+            '--no-first-run',
+            '--no-default-browser-check'
+        ]
+    });
+    const workerTarget = await browser.waitForTarget(
+        target => target.type() === 'service_worker' && target.url().endsWith('/js/background.js'));
+    worker = await workerTarget.worker();
+    await worker.evaluate((domain, vehicleCatalogue) => chrome.storage.sync.set({ options: { allowListedDomain: domain }, vehicleCatalogue }),
+        `localhost:${port}`, MOCK_CATALOGUE);
+});
+
+after(async () => {
+    if (browser) await browser.close();
+    if (site) site.close();
+    if (extensionDir) fs.rmSync(extensionDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+    // Stop whatever the previous test left running, including a refresh loop.
+    await worker.evaluate(() => new Promise((resolve) => {
+        stateRestored.then(() => {
+            for (const session of Object.values(sessions)) {
+                if (isSessionActive(session)) {
+                    resetState(session, 'End-to-end test cleanup.', 'info', { allowRefresh: false, outcome: 'aborted' });
+                }
+                delete sessions[session.baseTabId];
+            }
+            persistState();
+            // Each test starts with every booking and every vehicle available again.
+            chrome.storage.local.remove([BOOKING_LEDGER_KEY, FLEET_SCHEDULE_KEY]).then(() => clearRuns()).then(resolve);
+        });
+    }));
+    // Keep one blank tab open so the browser window survives.
+    const pages = await browser.pages();
+    await browser.newPage();
+    for (const page of pages) {
+        await page.close();
+    }
+    site.reset();
+    site.setFailure('none');
+});
+
+test('accepts the first matching booking with the first free vehicle of its class', async () => {
+    await openBookingList();
+    const response = await startRun(runConfig());
+    assert.strictEqual(response.status, 'success');
+
+    const run = await waitForRunEnd();
+    assert.strictEqual(run.outcome, 'accepted', run.reason);
+    // The page posts the acceptance after the click has been reported.
+    await waitFor(() => site.state.accepted.length > 0, 'the mock site to record the acceptance', 5000);
+    assert.strictEqual(run.selectedIndex, 4);
+    assert.match(run.acceptedUrl, /\/new-ride\/504$/);
+    assert.deepStrictEqual([run.rideDetails.pickup, run.rideDetails.dropoff, run.rideDetails.flight], ['Harbour', 'Airport Terminal 1', 'U2 8822']);
+    assert.deepStrictEqual(site.state.accepted.map(a => [a.id, a.vehicle]), [[504, '12']]);
+    assert.deepStrictEqual(run.phases.map(p => `${p.phase} ${p.status}`), ['P6 success', 'P8 success', 'P9 success']);
+});
+
+test('a booking accepted by one run is skipped by the next', async () => {
+    await openBookingList();
+    await startRun(runConfig());
+    assert.strictEqual((await waitForRunEnd()).outcome, 'accepted');
+
+    await clearHistory();
+    await openBookingList();
+    await startRun(runConfig());
+    const run = await waitForRunEnd();
+    assert.strictEqual(run.outcome, 'no_match');
+    assert.match(run.bookings.find(b => b.url === '/new-ride/504').skipped, /^already handled .* \(accepted\)$/);
+    assert.deepStrictEqual(site.state.rideLoads, [504]);
+});
+
+test('a dry run opens the ride page but never accepts', async () => {
+    await openBookingList();
+    await startRun(runConfig({ dryRun: true }));
+
+    const run = await waitForRunEnd();
+    assert.strictEqual(run.outcome, 'dry_run', run.reason);
+    assert.deepStrictEqual(site.state.rideLoads, [504]);
+    assert.deepStrictEqual(site.state.accepted, []);
+    assert.strictEqual(run.phases.length, 3);
+});
+
+test('reports no match when every payout is below the minimum', async () => {
+    site.setFailure('no-match');
+    await openBookingList();
+    await startRun(runConfig());
+
+    const run = await waitForRunEnd();
+    assert.strictEqual(run.outcome, 'no_match');
+    assert.deepStrictEqual(site.state.rideLoads, []);
+});
+
+test('Phase 8 waits for the vehicle dropdown to appear', async () => {
+    site.setFailure('slow-vehicle');
+    await openBookingList();
+    await startRun(runConfig());
+
+    const run = await waitForRunEnd();
+    assert.strictEqual(run.outcome, 'accepted', run.reason);
+    assert.deepStrictEqual(run.phases.map(p => `${p.phase} ${p.status}`), ['P6 success', 'P8 success', 'P9 success']);
+});
+
+test('ends the run in Phase 8 when no vehicle is free', async () => {
+    site.setFailure('vehicle-unavailable');
+    await openBookingList();
+    await startRun(runConfig());
+
+    const run = await waitForRunEnd();
+    assert.strictEqual(run.outcome, 'failed');
+    assert.strictEqual(run.reason, 'Phase 8 failed: Error: No available vehicle found for any of the desired classes.');
+    assert.deepStrictEqual(site.state.accepted, []);
+});
+
+test('does not click Accept Ride while the page shows an error', async () => {
+    site.setFailure('error-message');
+    await openBookingList();
+    await startRun(runConfig());
+
+    const run = await waitForRunEnd();
+    assert.strictEqual(run.outcome, 'failed');
+    assert.strictEqual(run.reason, 'An error message is visible on the page. Aborting final click.');
+    assert.deepStrictEqual(site.state.accepted, []);
+    assert.deepStrictEqual(site.state.rejected, []);
+});
+
+test('records a ride refused by the site after Accept Ride as rejected by the site', async () => {
+    site.setFailure('accept-rejected');
+    await openBookingList();
+    await startRun(runConfig());
+
+    const run = await waitForRunEnd();
+    assert.strictEqual(run.outcome, 'rejected_by_site', run.reason);
+    assert.match(run.reason, /This ride has already been taken\./);
+    assert.strictEqual(run.acceptedUrl, null);
+});
+
+test('auto-refresh reloads the booking list until a matching booking appears', async () => {
+    site.setFailure('no-match');
+    await openBookingList();
+    await startRun(runConfig({ autoRefresh: true }));
+
+    // The first refresh comes 7 to 30 seconds after the first cycle.
+    await waitFor(() => site.state.listLoads >= 2, 'the booking list to be refreshed', 45000);
+    site.setFailure('none');
+
+    await waitFor(() => site.state.accepted.length > 0, 'a ride to be accepted after a refresh', 90000);
+    const runs = await readRuns();
+    assert.ok(runs.some(run => run.trigger === 'refresh' && run.outcome === 'accepted'));
+    assert.deepStrictEqual(site.state.accepted.map(a => a.id), [504]);
+});
+
+test('the list watcher picks up a booking added to the list without a reload', async () => {
+    site.setFailure('late-booking');
+    await openBookingList();
+    await startRun(runConfig({ autoRefresh: true, watchBookingList: true, watchIdleSeconds: 60 }));
+
+    await waitFor(() => site.state.accepted.length > 0, 'a ride to be accepted from the watched list', 45000);
+    const runs = await readRuns();
+    assert.ok(runs.some(run => run.trigger === 'watch' && run.outcome === 'accepted'));
+    assert.deepStrictEqual(site.state.accepted.map(a => a.id), [504]);
+    assert.strictEqual(site.state.listLoads, 1);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/environment');
+
+const {
+    readFleetSettings, parseScheduleMinute, findFleetConflicts, checkFleetAvailability,
+    addToFleetRoster, addFleetCommitment
+} = loadScripts(['js/fleet.js']);
+
+const SETTINGS = { rideDurationMinutes: 60, bufferMinutes: 30 };
+const LEXUS = { text: 'Lexus es300h - AB-123', value: '1' };
+const TOYOTA = { text: 'Toyota corolla touring - CD-456', value: '2' };
+const at = (time) => parseScheduleMinute(`2025-06-15 ${time}`);
+
+/**
+ * A schedule with the Lexus committed from 12:00 to 13:00.
+ * @returns {object}
+ */
+function schedule() {
+    return addFleetCommitment({ roster: [LEXUS, TOYOTA] },
+        { bookingId: '/new-ride/90', vehicle: LEXUS, pickup: '2025-06-15 12:00' }, SETTINGS, at('08:00'));
+}
+
+test('readFleetSettings falls back to the defaults', () => {
+    assert.deepStrictEqual({ ...readFleetSettings(undefined) }, { rideDurationMinutes: 60, bufferMinutes: 30 });
+    assert.deepStrictEqual({ ...readFleetSettings({ rideDurationMinutes: 90, bufferMinutes: 0 }) }, { rideDurationMinutes: 90, bufferMinutes: 0 });
+    assert.deepStrictEqual({ ...readFleetSettings({ rideDurationMinutes: -5 }) }, { rideDurationMinutes: 60, bufferMinutes: 30 });
+});
+
+test('parseScheduleMinute reads formatted dates only', () => {
+    assert.strictEqual(at('12:30') - at('12:00'), 30);
+    assert.strictEqual(parseScheduleMinute('2025-06-16 00:00') - at('00:00'), 24 * 60);
+    assert.strictEqual(parseScheduleMinute('15/06/2025 12:00'), null);
+    assert.strictEqual(parseScheduleMinute(null), null);
+});
+
+test('findFleetConflicts', async (t) => {
+    await t.test('finds rides overlapping the new ride widened by the buffer', () => {
+        // The Lexus is busy 12:00 to 13:00: a new ride needs 30 minutes either side.
+        assert.strictEqual(findFleetConflicts(schedule(), at('10:31'), SETTINGS).length, 1);
+        assert.strictEqual(findFleetConflicts(schedule(), at('13:29'), SETTINGS).length, 1);
+    });
+
+    await t.test('ignores rides clear of the buffer', () => {
+        assert.strictEqual(findFleetConflicts(schedule(), at('10:30'), SETTINGS).length, 0);
+        assert.strictEqual(findFleetConflicts(schedule(), at('13:30'), SETTINGS).length, 0);
+    });
+});
+
+test('checkFleetAvailability only counts known vehicles of the Phase 8 classes', () => {
+    const lexusOnly = checkFleetAvailability(schedule(), ['lexus ES300H'], at('12:30'), SETTINGS);
+    assert.deepStrictEqual([lexusOnly.known.length, lexusOnly.free.length], [1, 0]);
+
+    const both = checkFleetAvailability(schedule(), ['Lexus es300h', 'Toyota corolla touring'], at('12:30'), SETTINGS);
+    assert.deepStrictEqual(both.free.map(v => v.value), ['2']);
+
+    const unknown = checkFleetAvailability(schedule(), ['Mercedes vito'], at('12:30'), SETTINGS);
+    assert.strictEqual(unknown.known.length, 0);
+});
+
+test('addToFleetRoster adds new vehicles and renames known ones', () => {
+    const roster = addToFleetRoster({ roster: [LEXUS] }, [{ text: 'Lexus es300h - AB-124', value: '1' }, TOYOTA]).roster;
+
+    assert.deepStrictEqual(roster.map(v => `${v.value} ${v.text}`), ['1 Lexus es300h - AB-124', '2 Toyota corolla touring - CD-456']);
+});
+
+test('addFleetCommitment', async (t) => {
+    await t.test('commits the vehicle for the ride duration', () => {
+        const [commitment] = schedule().commitments;
+        assert.deepStrictEqual({ ...commitment }, {
+            bookingId: '/new-ride/90', vehicle: LEXUS.text, value: '1', pickup: '2025-06-15 12:00', start: at('12:00'), end: at('13:00')
+        });
+    });
+
+    await t.test('replaces an earlier commitment of the same booking', () => {
+        const updated = addFleetCommitment(schedule(), { bookingId: '/new-ride/90', vehicle: TOYOTA, pickup: '2025-06-15 12:00' }, SETTINGS, at('08:00'));
+        assert.deepStrictEqual([...updated.commitments.map(c => c.value)], ['2']);
+    });
+
+    await t.test('drops commitments that ended more than a day ago', () => {
+        const nextDay = parseScheduleMinute('2025-06-16 13:01');
+        const updated = addFleetCommitment(schedule(), { bookingId: '/new-ride/91', vehicle: TOYOTA, pickup: '2025-06-16 15:00' }, SETTINGS, nextDay);
+        assert.deepStrictEqual([...updated.commitments.map(c => c.bookingId)], ['/new-ride/91']);
+    });
+});
@@ -0,0 +1,260 @@
+/**
+ * @fileoverview A minimal in-memory stand-in for the chrome.* extension APIs
+ * used by the service worker and the content script. Every call that leaves
+ * the extension (messages, injections, tabs, alarms, notifications, speech, sounds)
+ * is recorded in `chrome.calls` so tests can assert on it.
+ *
+ * Callbacks and promises are settled on a later macrotask, like the real API.
+ */
+
+/**
+ * Defers a function to a later macrotask.
+ * @param {Function} fn The function to run.
+ */
+function later(fn) {
+    setImmediate(fn);
+}
+
+/**
+ * Creates a chrome.events.Event lookalike. `dispatch` calls every listener and
+ * returns their return values.
+ * @returns {object}
+ */
+function createEvent() {
+    const listeners = [];
+    return {
+        addListener: (listener) => { listeners.push(listener); },
+        removeListener: (listener) => {
+            const index = listeners.indexOf(listener);
+            if (index >= 0) listeners.splice(index, 1);
+        },
+        hasListener: (listener) => listeners.includes(listener),
+        dispatch: (...args) => listeners.map(listener => listener(...args))
+    };
+}
+
+/**
+ * Answers through the callback when one is given, or with a promise otherwise.
+ * @param {Function | undefined} callback The callback passed by the caller.
+ * @param {() => *} produce Computes the result.
+ * @returns {Promise<*> | undefined}
+ */
+function respond(callback, produce) {
+    if (callback) {
+        later(() => callback(produce()));
+        return undefined;
+    }
+    return new Promise((resolve, reject) => later(() => {
+        try {
+            resolve(produce());
+        } catch (err) {
+            reject(err);
+        }
+    }));
+}
+
+/**
+ * Creates a chrome.storage area backed by a plain object. Values are copied in
+ * and out, as the real API serializes them.
+ * @param {object} [initial={}] The initial contents.
+ * @returns {object} The area; its contents are exposed as `data`.
+ */
+function createStorageArea(initial = {}) {
+    const copy = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    const area = {
+        data: copy(initial),
+        get(keys, callback) {
+            // Read when called, so that a write made before the answer arrives
+            // is missed, as it can be with the real API.
+            let result = {};
+            if (keys === null || keys === undefined) {
+                result = copy(area.data);
+            } else if (typeof keys === 'string' || Array.isArray(keys)) {
+                [].concat(keys).forEach(key => { if (key in area.data) result[key] = copy(area.data[key]); });
+            } else {
+                Object.entries(keys).forEach(([key, fallback]) => {
+                    result[key] = key in area.data ? copy(area.data[key]) : fallback;
+                });
+            }
+            return respond(callback, () => result);
+        },
+        set(items, callback) {
+            Object.assign(area.data, copy(items));
+            return respond(callback, () => undefined);
+        },
+        remove(keys, callback) {
+            [].concat(keys).forEach(key => delete area.data[key]);
+            return respond(callback, () => undefined);
+        }
+    };
+    return area;
+}
+
+/**
+ * Creates the mock chrome object.
+ * @param {object} [options={}] Behaviour of the mock.
+ * @param {object} [options.local] Initial chrome.storage.local contents.
+ * @param {object} [options.sync] Initial chrome.storage.sync contents.
+ * @param {object} [options.session] Initial chrome.storage.session contents.
+ * @param {object[]} [options.tabs] The tabs returned by chrome.tabs.query.
+ * @param {object[]} [options.voices] The voices returned by chrome.tts.getVoices.
+ * @param {object[]} [options.commands] The shortcuts returned by chrome.commands.getAll.
+ * @param {(tabId: number, message: object) => object} [options.onTabMessage]
+ *     Answers chrome.tabs.sendMessage, i.e. plays the content script.
+ * @param {(injection: object) => *} [options.onExecuteScript] Returns the result of
+ *     a `func` injection. May throw to make the injection fail.
+ * @returns {object} The chrome object, with the recorded calls in `calls`.
+ */
+function createChromeMock(options = {}) {
+    const calls = {
+        runtimeMessages: [],
+        tabMessages: [],
+        injections: [],
+        createdTabs: [],
+        reloadedTabs: [],
+        focusedTabs: [],
+        focusedWindows: [],
+        alarms: [],
+        clearedAlarms: [],
+        notifications: [],
+        clearedNotifications: [],
+        speech: [],
+        speechOptions: [],
+        offscreenDocuments: []
+    };
+
+    const chrome = {
+        calls,
+        runtime: {
+            lastError: null,
+            onMessage: createEvent(),
+            onStartup: createEvent(),
+            onInstalled: createEvent(),
+            getContexts(filter) {
+                return respond(undefined, () => calls.offscreenDocuments.map(() => ({ contextType: 'OFFSCREEN_DOCUMENT' })));
+            },
+            getURL: (path) => `chrome-extension://test-extension/${path.replace(/^\//, '')}`,
+            sendMessage(message, callback) {
+                calls.runtimeMessages.push(message);
+                return respond(callback, () => undefined);
+            }
+        },
+        storage: {
+            local: createStorageArea(options.local),
+            sync: createStorageArea(options.sync),
+            session: createStorageArea(options.session),
+            onChanged: createEvent()
+        },
+        tabs: {
+            onUpdated: createEvent(),
+            onRemoved: createEvent(),
+            query(queryInfo, callback) {
+                return respond(callback, () => options.tabs || []);
+            },
+            get(tabId, callback) {
+                return respond(callback, () => (options.tabs || []).find(tab => tab.id === tabId) || { id: tabId });
+            },
+            create(createProperties, callback) {
+                calls.createdTabs.push(createProperties);
+                return respond(callback, () => ({ id: 1000 + calls.createdTabs.length, ...createProperties }));
+            },
+            update(tabId, updateProperties, callback) {
+                if (updateProperties.active) calls.focusedTabs.push(tabId);
+                return respond(callback, () => ({ id: tabId, windowId: 1, ...updateProperties }));
+            },
+            reload(tabId, callback) {
+                calls.reloadedTabs.push(tabId);
+                return respond(callback, () => undefined);
+            },
+            sendMessage(tabId, message, callback) {
+                calls.tabMessages.push({ tabId, message });
+                const answer = options.onTabMessage || (() => ({ status: 'success' }));
+                return respond(callback, () => answer(tabId, message));
+            }
+        },
+        scripting: {
+            executeScript(injection, callback) {
+                calls.injections.push(injection);
+                let results = null;
+                let error = null;
+                try {
+                    const run = options.onExecuteScript || (() => undefined);
+                    results = injection.files
+                        ? injection.files.map(() => ({ result: undefined }))
+                        : [{ result: run(injection) }];
+                } catch (err) {
+                    error = err;
+                }
+                if (callback) {
+                    // Failures are reported through lastError, as by the real API.
+                    later(() => {
+                        chrome.runtime.lastError = error ? { message: error.message } : null;
+                        callback(error ? undefined : results);
+                        chrome.runtime.lastError = null;
+                    });
+                    return undefined;
+                }
+                return new Promise((resolve, reject) => later(() => (error ? reject(error) : resolve(results))));
+            }
+        },
+        commands: {
+            onCommand: createEvent(),
+            getAll(callback) {
+                return respond(callback, () => options.commands || []);
+            }
+        },
+        windows: {
+            update(windowId, updateInfo, callback) {
+                if (updateInfo.focused) calls.focusedWindows.push(windowId);
+                return respond(callback, () => ({ id: windowId, ...updateInfo }));
+            }
+        },
+        offscreen: {
+            createDocument(parameters) {
+                calls.offscreenDocuments.push(parameters);
+                return respond(undefined, () => undefined);
+            }
+        },
+        alarms: {
+            onAlarm: createEvent(),
+            create(name, alarmInfo) {
+                calls.alarms.push({ name, ...alarmInfo });
+            },
+            clear(name, callback) {
+                calls.clearedAlarms.push(name);
+                return respond(callback, () => true);
+            }
+        },
+        notifications: {
+            onClicked: createEvent(),
+            onButtonClicked: createEvent(),
+            onClosed: createEvent(),
+            create(id, notification, callback) {
+                if (typeof id === 'object') {
+                    callback = notification;
+                    notification = id;
+                    id = `notification-${calls.notifications.length + 1}`;
+                }
+                calls.notifications.push({ id, ...notification });
+                return respond(callback, () => id);
+            },
+            clear(id, callback) {
+                calls.clearedNotifications.push(id);
+                return respond(callback, () => true);
+            }
+        },
+        tts: {
+            speak(utterance, speakOptions) {
+                calls.speech.push(utterance);
+                calls.speechOptions.push(speakOptions || {});
+            },
+            stop() {},
+            getVoices(callback) {
+                return respond(callback, () => options.voices || []);
+            }
+        }
+    };
+    return chrome;
+}
+
+module.exports = { createChromeMock, createEvent, createStorageArea };
@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Loads the extension's scripts the way Chrome does, so that
+ * tests can drive them: pages and content scripts in jsdom, the service worker
+ * in its own VM context with a controllable clock.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+const { createChromeMock } = require('./chrome-mock');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Reads a file of the extension.
+ * @param {string} file The path from the extension root, e.g. 'js/content.js'.
+ * @returns {string}
+ */
+function readSource(file) {
+    return fs.readFileSync(path.join(ROOT, file.replace(/^\//, '')), 'utf8');
+}
+
+/**
+ * Reads an HTML fixture.
+ * @param {string} name The file name in tests/fixtures.
+ * @returns {string}
+ */
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+/**
+ * Runs shared scripts in an empty VM context, for code that needs no page.
+ * @param {string[]} files Extension files to run, in order.
+ * @param {object} [globals={}] Globals the scripts need, e.g. { URL }.
+ * @returns {object} The context; the scripts' functions are its properties.
+ */
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({ ...globals });
+    files.forEach(file => vm.runInContext(readSource(file), context, { filename: file }));
+    return context;
+}
+
+/**
+ * jsdom does not lay pages out, so every element would count as invisible for
+ * isElementVisible(). Elements are treated as visible unless they, or one of
+ * their ancestors, are hidden with `display: none` or the `hidden` attribute.
+ * @param {Window} window The jsdom window.
+ */
+function emulateLayout(window) {
+    const isRendered = (element) => {
+        for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+            if (node.hidden || window.getComputedStyle(node).display === 'none') return false;
+        }
+        return true;
+    };
+    Object.defineProperty(window.HTMLElement.prototype, 'offsetWidth', {
+        configurable: true,
+        get() { return isRendered(this) ? 100 : 0; }
+    });
+    Object.defineProperty(window.HTMLElement.prototype, 'offsetHeight', {
+        configurable: true,
+        get() { return isRendered(this) ? 20 : 0; }
+    });
+}
+
+/**
+ * Loads a page in jsdom and runs scripts in it, like the background injecting
+ * content scripts.
+ * @param {string} html The page markup.
+ * @param {object} [options={}]
+ * @param {string[]} [options.scripts=[]] Extension files to run in the page, in order.
+ * @param {object} [options.chrome] The chrome mock; one is created if omitted.
+ * @param {string} [options.url] The page URL.
+ * @returns {{window: Window, document: Document, chrome: object}}
+ */
+function loadPage(html, options = {}) {
+    const dom = new JSDOM(html, {
+        runScripts: 'outside-only',
+        url: options.url || 'https://control.transfeero.com/bookings'
+    });
+    const { window } = dom;
+    const chrome = options.chrome || createChromeMock();
+    window.chrome = chrome;
+    emulateLayout(window);
+    (options.scripts || []).forEach(file => window.eval(readSource(file)));
+    return { window, document: window.document, chrome };
+}
+
+/**
+ * Loads jQuery into a jsdom page, with a select2 stub that records the calls
+ * made to it.
+ * @param {Window} window The jsdom window.
+ * @returns {string[]} The select2 commands received, e.g. ['open', 'close'].
+ */
+function installJQuery(window) {
+    window.eval(fs.readFileSync(require.resolve('jquery'), 'utf8'));
+    const select2Calls = [];
+    window.$.fn.select2 = function(command) {
+        select2Calls.push(command);
+        return this;
+    };
+    return select2Calls;
+}
+
+/**
+ * A fake clock for the service worker's setTimeout. Time only moves when
+ * `advance` is called.
+ * @returns {object}
+ */
+function createClock() {
+    let now = 0;
+    let nextId = 1;
+    const timers = new Map();
+    return {
+        setTimeout(fn, delay = 0) {
+            const id = nextId++;
+            timers.set(id, { fn, at: now + Math.max(0, delay) });
+            return id;
+        },
+        clearTimeout(id) {
+            timers.delete(id);
+        },
+        /**
+         * Fires, in order, every timer due within the next `ms` milliseconds.
+         * @param {number} ms
+         */
+        advance(ms) {
+            const end = now + ms;
+            for (;;) {
+                const due = [...timers.entries()]
+                    .filter(([, timer]) => timer.at <= end)
+                    .sort((a, b) => a[1].at - b[1].at)[0];
+                if (!due) break;
+                timers.delete(due[0]);
+                now = due[1].at;
+                due[1].fn();
+            }
+            now = end;
+        },
+        get pending() {
+            return timers.size;
+        }
+    };
+}
+
+/**
+ * Starts the service worker (js/background.js) in a fresh VM context.
+ * @param {object} chrome The chrome mock.
+ * @param {object} [options={}]
+ * @param {typeof fetch} [options.fetch] Answers the worker's fetch() calls; they fail by default.
+ * @param {IDBFactory} [options.indexedDB] The IndexedDB of a previous worker, to keep its run history.
+ * @returns {{context: object, clock: object, evaluate: (expression: string) => *}}
+ *     `evaluate` reads the worker's top-level state, e.g. evaluate('sessions[7].currentPhase').
+ */
+function loadServiceWorker(chrome, options = {}) {
+    const clock = createClock();
+    const context = {
+        chrome,
+        fetch: options.fetch || (() => Promise.reject(new Error('No network in tests.'))),
+        AbortSignal,
+        console: { log() {}, info() {}, warn() {}, error() {} },
+        setTimeout: clock.setTimeout,
+        clearTimeout: clock.clearTimeout,
+        indexedDB: options.indexedDB || new IDBFactory(),
+        IDBKeyRange,
+        URL
+    };
+    context.self = context;
+    context.importScripts = (...files) => {
+        files.forEach(file => vm.runInContext(readSource(file), context, { filename: file }));
+    };
+    vm.createContext(context);
+    vm.runInContext(readSource('js/background.js'), context, { filename: 'js/background.js' });
+    return {
+        context,
+        clock,
+        evaluate: (expression) => vm.runInContext(expression, context)
+    };
+}
+
+/**
+ * Waits until the pending callbacks and promises of the mocks have run.
+ * @param {number} [rounds=50] Macrotasks to wait for; each mock call takes one.
+ */
+async function settle(rounds = 50) {
+    for (let i = 0; i < rounds; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+module.exports = {
+    ROOT,
+    readSource,
+    readFixture,
+    loadScripts,
+    loadPage,
+    installJQuery,
+    loadServiceWorker,
+    settle
+};
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/environment');
+
+const { buildAcceptedRidesCalendar, foldIcalLine, escapeIcalText } = loadScripts(['js/parsers.js', 'js/fleet.js', 'js/ical.js']);
+
+const NOW = Date.UTC(2025, 5, 10, 8, 30);
+
+/**
+ * A history entry of an accepted ride.
+ * @param {object} [overrides={}] Fields to replace.
+ * @returns {object}
+ */
+function acceptedRun(overrides = {}) {
+    return {
+        id: 'run-1',
+        outcome: 'accepted',
+        acceptedUrl: 'https://control.transfeero.com/new-ride/504',
+        selectedIndex: 2,
+        bookings: [{ index: 2, date: '2025-06-15 13:00' }],
+        rideDetails: {
+            date: '2025-06-15 14:00',
+            pickup: 'Harbour, Pier 3',
+            dropoff: 'Airport Terminal 1',
+            passenger: 'L. Müller',
+            flight: 'U2 8822',
+            payoutText: '€72.50',
+            vehicle: 'Lexus es300h - AB-123'
+        },
+        ...overrides
+    };
+}
+
+/**
+ * Unfolds a calendar into its content lines.
+ * @param {string} text The calendar.
+ * @returns {string[]}
+ */
+function contentLines(text) {
+    return text.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+}
+
+test('buildAcceptedRidesCalendar writes one event per accepted ride', () => {
+    const runs = [acceptedRun(), acceptedRun({ id: 'run-2', outcome: 'failed' })];
+
+    const calendar = buildAcceptedRidesCalendar(runs, { durationMinutes: 90, now: NOW });
+
+    assert.strictEqual(calendar.count, 1);
+    assert.ok(calendar.text.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(calendar.text.endsWith('END:VCALENDAR\r\n'));
+    const lines = contentLines(calendar.text);
+    assert.deepStrictEqual(lines.filter(line => /^(UID|DTSTAMP|DTSTART|DTEND|SUMMARY|LOCATION|URL):/.test(line)), [
+        'UID:run-1@booking-automation',
+        'DTSTAMP:20250610T083000Z',
+        'DTSTART:20250615T140000',
+        'DTEND:20250615T153000',
+        'SUMMARY:Ride: Harbour\\, Pier 3 → Airport Terminal 1',
+        'LOCATION:Harbour\\, Pier 3',
+        'URL:https://control.transfeero.com/new-ride/504'
+    ]);
+    const description = lines.find(line => line.startsWith('DESCRIPTION:'));
+    assert.ok(description.includes('Passenger: L. Müller\\nFlight: U2 8822\\nPayout: €72.50\\nVehicle: Lexus es300h - AB-123'));
+});
+
+test('buildAcceptedRidesCalendar converts the site time zone to UTC', () => {
+    const calendar = buildAcceptedRidesCalendar([acceptedRun()], { durationMinutes: 60, timeZone: 'Europe/Rome', now: NOW });
+
+    const lines = contentLines(calendar.text);
+    // Rome is two hours ahead of UTC in June.
+    assert.ok(lines.includes('DTSTART:20250615T120000Z'));
+    assert.ok(lines.includes('DTEND:20250615T130000Z'));
+});
+
+test('buildAcceptedRidesCalendar falls back to the booking date, and skips rides without one', () => {
+    const withoutDetails = acceptedRun({ rideDetails: undefined });
+    const withoutDate = acceptedRun({ id: 'run-3', rideDetails: undefined, bookings: [] });
+
+    const calendar = buildAcceptedRidesCalendar([withoutDetails, withoutDate], { durationMinutes: 60, now: NOW });
+
+    assert.deepStrictEqual([calendar.count, calendar.skipped], [1, 1]);
+    const lines = contentLines(calendar.text);
+    assert.ok(lines.includes('DTSTART:20250615T130000'));
+    assert.ok(lines.includes('SUMMARY:Accepted ride'));
+});
+
+test('escapeIcalText escapes the characters special to iCalendar', () => {
+    assert.strictEqual(escapeIcalText('a\\b;c,d\ne'), 'a\\\\b\\;c\\,d\\ne');
+});
+
+test('foldIcalLine keeps lines within 75 octets without splitting characters', () => {
+    const folded = foldIcalLine(`DESCRIPTION:${'é'.repeat(60)}`);
+
+    const lines = folded.split('\r\n');
+    assert.ok(lines.length > 1);
+    lines.forEach(line => assert.ok(Buffer.byteLength(line) <= 75));
+    assert.ok(lines.slice(1).every(line => line.startsWith(' ')));
+    assert.strictEqual(lines.map((line, i) => (i ? line.slice(1) : line)).join(''), `DESCRIPTION:${'é'.repeat(60)}`);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/environment');
+
+const { isDateInRange, daysOutsideRange, findVehicleClass, isPayoutAcceptable, parseBookingDate } =
+    loadScripts(['js/parsers.js', 'js/matching.js']);
+
+const date = (text) => parseBookingDate(text);
+
+test('isDateInRange', async (t) => {
+    await t.test('matches the start date alone when there is no end date', () => {
+        assert.strictEqual(isDateInRange(date('2025-06-15 23:59'), '2025-06-15', ''), true);
+        assert.strictEqual(isDateInRange(date('2025-06-16 00:00'), '2025-06-15', ''), false);
+        assert.strictEqual(isDateInRange(date('2025-06-14 12:00'), '2025-06-15'), false);
+    });
+
+    await t.test('includes both ends of a range', () => {
+        assert.strictEqual(isDateInRange(date('2025-06-15 00:00'), '2025-06-15', '2025-06-17'), true);
+        assert.strictEqual(isDateInRange(date('2025-06-17 23:00'), '2025-06-15', '2025-06-17'), true);
+        assert.strictEqual(isDateInRange(date('2025-06-18 00:00'), '2025-06-15', '2025-06-17'), false);
+    });
+
+    await t.test('widens the range by the tolerance on each side, across months', () => {
+        assert.strictEqual(isDateInRange(date('2025-06-30 10:00'), '2025-07-01', '', 1), true);
+        assert.strictEqual(isDateInRange(date('2025-07-02 10:00'), '2025-07-01', '', 1), true);
+        assert.strictEqual(isDateInRange(date('2025-06-29 10:00'), '2025-07-01', '', 1), false);
+    });
+
+    await t.test('never matches an invalid or inverted range', () => {
+        assert.strictEqual(isDateInRange(date('2025-06-15 10:00'), '', ''), false);
+        assert.strictEqual(isDateInRange(date('2025-06-15 10:00'), '2025-06-15', 'not a date'), false);
+        assert.strictEqual(isDateInRange(date('2025-06-15 10:00'), '2025-06-16', '2025-06-14'), false);
+    });
+});
+
+test('daysOutsideRange counts the days before or after the widened range', () => {
+    assert.strictEqual(daysOutsideRange(date('2025-06-15 08:00'), '2025-06-15', '2025-06-17'), 0);
+    assert.strictEqual(daysOutsideRange(date('2025-06-13 23:59'), '2025-06-15', '2025-06-17'), 2);
+    assert.strictEqual(daysOutsideRange(date('2025-06-18 00:00'), '2025-06-15', '2025-06-17'), 1);
+    assert.strictEqual(daysOutsideRange(date('2025-06-18 00:00'), '2025-06-15', '2025-06-17', 1), 0);
+    assert.strictEqual(daysOutsideRange(date('2025-06-20 00:00'), '2025-06-15', '', 1), 4);
+    assert.strictEqual(daysOutsideRange(date('2025-06-20 00:00'), 'not a date'), null);
+});
+
+test('findVehicleClass', async (t) => {
+    const classes = ['Standard Sedan', 'Minivan'];
+
+    await t.test('ignores case and surrounding whitespace, and returns the class as configured', () => {
+        assert.strictEqual(findVehicleClass('  STANDARD sedan ', classes), 'Standard Sedan');
+        assert.strictEqual(findVehicleClass('minivan', classes), 'Minivan');
+    });
+
+    await t.test('does not match part of a class name', () => {
+        assert.strictEqual(findVehicleClass('Sedan', classes), undefined);
+        assert.strictEqual(findVehicleClass('Standard Sedan XL', classes), undefined);
+    });
+});
+
+test('isPayoutAcceptable', () => {
+    assert.strictEqual(isPayoutAcceptable(50, 50), true);
+    assert.strictEqual(isPayoutAcceptable(49.99, 50), false);
+    assert.strictEqual(isPayoutAcceptable(NaN, 0), false);
+    assert.strictEqual(isPayoutAcceptable(80, undefined), false);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/environment');
+
+const { readNearMissMargins, findNearMiss } = loadScripts(['js/near-miss.js']);
+
+/**
+ * Builds a booking evaluated in Phase 6 with the given checks.
+ * @param {object[]} checks The checks, see evaluateBookingElement().
+ * @returns {object}
+ */
+const booking = (checks) => ({ index: 1, skipped: null, matched: checks.every(check => check.pass), checks });
+
+const DATE_OK = { name: 'Date', pass: true, detail: '', miss: null };
+const VEHICLE_OK = { name: 'Vehicle', pass: true, detail: '' };
+const PAYOUT_OK = { name: 'Payout', pass: true, detail: '', miss: null };
+
+test('readNearMissMargins falls back to the defaults for blank or negative margins', () => {
+    assert.deepStrictEqual({ ...readNearMissMargins(undefined) }, { payout: 5, days: 1 });
+    assert.deepStrictEqual({ ...readNearMissMargins({ nearMissPayout: '2.5', nearMissDays: '0' }) }, { payout: 2.5, days: 0 });
+    assert.deepStrictEqual({ ...readNearMissMargins({ nearMissPayout: '', nearMissDays: '-1' }) }, { payout: 5, days: 1 });
+});
+
+test('a booking that missed the payout or dates within the margins is a near miss', () => {
+    const margins = { payout: 5, days: 1 };
+
+    const payout = booking([DATE_OK, VEHICLE_OK, { name: 'Payout', pass: false, detail: '47, min 50', miss: 3 }]);
+    assert.deepStrictEqual([...findNearMiss(payout, margins)], ['3.00 under the minimum']);
+
+    const both = booking([{ name: 'Date', pass: false, detail: '', miss: 1 }, VEHICLE_OK, { name: 'Payout', pass: false, detail: '', miss: 5 }]);
+    assert.deepStrictEqual([...findNearMiss(both, margins)], ['1 day(s) outside the dates', '5.00 under the minimum']);
+});
+
+test('bookings beyond the margins, failing other checks, skipped or matched are not near misses', () => {
+    const margins = { payout: 5, days: 1 };
+
+    assert.strictEqual(findNearMiss(booking([DATE_OK, VEHICLE_OK, { name: 'Payout', pass: false, detail: '', miss: 5.01 }]), margins), null);
+    assert.strictEqual(findNearMiss(booking([{ name: 'Date', pass: false, detail: '', miss: 2 }, VEHICLE_OK, PAYOUT_OK]), margins), null);
+    assert.strictEqual(findNearMiss(booking([DATE_OK, { name: 'Vehicle', pass: false, detail: '' }, { name: 'Payout', pass: false, detail: '', miss: 1 }]), margins), null);
+    // A payout that could not be read has no distance.
+    assert.strictEqual(findNearMiss(booking([DATE_OK, VEHICLE_OK, { name: 'Payout', pass: false, detail: '', miss: null }]), margins), null);
+    assert.strictEqual(findNearMiss({ index: 4, skipped: 'not visible', matched: false, checks: [] }, margins), null);
+    assert.strictEqual(findNearMiss(booking([DATE_OK, VEHICLE_OK, PAYOUT_OK]), margins), null);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/environment');
+
+const { parseAmount, guessDecimalSeparator, parseBookingDate, readBookingFormats } = loadScripts(['js/parsers.js']);
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+test('parseAmount', async (t) => {
+    await t.test('reads both currency notations with the auto separator', () => {
+        assert.strictEqual(parseAmount('€1,234.50'), 1234.5);
+        assert.strictEqual(parseAmount('1.234,50 €'), 1234.5);
+        assert.strictEqual(parseAmount('EUR 1 234,50'), 1234.5);
+        assert.strictEqual(parseAmount('$72'), 72);
+    });
+
+    await t.test('follows an explicit separator', () => {
+        assert.strictEqual(parseAmount('1,234', '.'), 1234);
+        assert.strictEqual(parseAmount('1,234', ','), 1.234);
+        assert.strictEqual(parseAmount('72,50 €', ','), 72.5);
+    });
+
+    await t.test('gives NaN without a valid number', () => {
+        assert.ok(Number.isNaN(parseAmount('')));
+        assert.ok(Number.isNaN(parseAmount('On request')));
+        assert.ok(Number.isNaN(parseAmount('1.2.3', '.')));
+    });
+});
+
+test('guessDecimalSeparator', async (t) => {
+    await t.test('takes the last of two different separators', () => {
+        assert.strictEqual(guessDecimalSeparator('1,234.50'), '.');
+        assert.strictEqual(guessDecimalSeparator('1.234,50'), ',');
+    });
+
+    await t.test('treats a single separator before three digits, or a repeated one, as thousands', () => {
+        assert.strictEqual(guessDecimalSeparator('1,234'), '.');
+        assert.strictEqual(guessDecimalSeparator('1.234'), ',');
+        assert.strictEqual(guessDecimalSeparator('1.234.567'), ',');
+        assert.strictEqual(guessDecimalSeparator('72,5'), ',');
+        assert.strictEqual(guessDecimalSeparator('72.50'), '.');
+        assert.strictEqual(guessDecimalSeparator('72'), '.');
+    });
+});
+
+test('parseBookingDate', async (t) => {
+    await t.test('reads ISO dates as written, whatever the time zone', () => {
+        assert.deepStrictEqual(copy(parseBookingDate('2025-06-15 14:30', 'auto', 'America/New_York')),
+            { year: 2025, month: 6, day: 15, hour: 14, minute: 30 });
+        assert.deepStrictEqual(copy(parseBookingDate('2025-06-15')), { year: 2025, month: 6, day: 15, hour: 0, minute: 0 });
+    });
+
+    await t.test('reads explicit formats, with month names and 12-hour times', () => {
+        assert.deepStrictEqual(copy(parseBookingDate('15/06/2025 14:30', 'DD/MM/YYYY HH:mm')),
+            { year: 2025, month: 6, day: 15, hour: 14, minute: 30 });
+        assert.deepStrictEqual(copy(parseBookingDate('Jun 5, 25 2:05 PM', 'MMM D, YY h:mm A')),
+            { year: 2025, month: 6, day: 5, hour: 14, minute: 5 });
+        assert.deepStrictEqual(copy(parseBookingDate('15 June 2025 12:10 am', 'D MMMM YYYY hh:mm A')),
+            { year: 2025, month: 6, day: 15, hour: 0, minute: 10 });
+    });
+
+    await t.test('refuses text that does not fit the format or the calendar', () => {
+        assert.strictEqual(parseBookingDate('2025-06-15 14:30', 'DD/MM/YYYY HH:mm'), null);
+        assert.strictEqual(parseBookingDate('31/06/2025 10:00', 'DD/MM/YYYY HH:mm'), null);
+        assert.strictEqual(parseBookingDate('15/06/2025 24:00', 'DD/MM/YYYY HH:mm'), null);
+        assert.strictEqual(parseBookingDate('soon'), null);
+        assert.strictEqual(parseBookingDate(''), null);
+    });
+
+    await t.test('converts an instant with an offset to the time zone of the site', () => {
+        const instant = '2025-06-15T12:00:00Z';
+        assert.deepStrictEqual(copy(parseBookingDate(instant, 'auto', 'Europe/Rome')), { year: 2025, month: 6, day: 15, hour: 14, minute: 0 });
+        assert.deepStrictEqual(copy(parseBookingDate(instant, 'auto', 'America/New_York')), { year: 2025, month: 6, day: 15, hour: 8, minute: 0 });
+        assert.deepStrictEqual(copy(parseBookingDate('2025-06-15T23:30:00Z', 'auto', 'Asia/Tokyo')), { year: 2025, month: 6, day: 16, hour: 8, minute: 30 });
+    });
+});
+
+test('readBookingFormats fills in the defaults for missing or invalid options', () => {
+    assert.deepStrictEqual(copy(readBookingFormats(undefined)), { dateFormat: 'auto', decimalSeparator: 'auto', timeZone: '', toleranceDays: 0 });
+    assert.deepStrictEqual(copy(readBookingFormats({ dateFormat: ' DD/MM/YYYY ', decimalSeparator: ',', timeZone: 'Europe/Rome', defaultTolerance: '2' })),
+        { dateFormat: 'DD/MM/YYYY', decimalSeparator: ',', timeZone: 'Europe/Rome', toleranceDays: 2 });
+    assert.strictEqual(readBookingFormats({ decimalSeparator: ';', defaultTolerance: '-1' }).decimalSeparator, 'auto');
+    assert.strictEqual(readBookingFormats({ defaultTolerance: '-1' }).toleranceDays, 0);
+});
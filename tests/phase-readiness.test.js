@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, readFixture } = require('./helpers/environment');
+
+const CONTENT_SCRIPTS = ['js/site-profile.js', 'js/parsers.js', 'js/criteria.js', 'js/matching.js', 'js/ranking.js', 'js/phase-timeouts.js', 'js/content.js'];
+
+/**
+ * Loads a fixture, lets `change` alter the page a little later, and waits for a phase.
+ * @param {string} fixture The fixture file name.
+ * @param {'p6' | 'p8' | 'p9'} phase The phase to wait for.
+ * @param {object} [options={}]
+ * @param {(document: Document) => void} [options.prepare] Changes the page first.
+ * @param {(document: Document) => void} [options.change] Changes the page 20 ms into the wait.
+ * @param {object} [options.timeouts] Overrides of the phase timeouts, in seconds.
+ * @returns {Promise<object>} The readiness answer.
+ */
+function waitFor(fixture, phase, { prepare, change, timeouts = {} } = {}) {
+    const { window, document } = loadPage(readFixture(fixture), { scripts: CONTENT_SCRIPTS });
+    if (prepare) prepare(document);
+    if (change) setTimeout(() => change(document), 20);
+    const phaseTimeouts = { ...window.readPhaseTimeouts({}), ...timeouts };
+    return window.waitForPhaseReady(phase, window.mergeSiteProfile(), phaseTimeouts).then(answer => ({ ...answer }));
+}
+
+test('readPhaseTimeouts keeps values of one second or more', () => {
+    const { window } = loadPage('<html><body></body></html>', { scripts: CONTENT_SCRIPTS });
+    assert.deepStrictEqual({ ...window.readPhaseTimeouts({ bookingListSeconds: 3, vehicleSelectSeconds: 0, acceptVerifySeconds: 'x' }) },
+        { bookingListSeconds: 3, vehicleSelectSeconds: 10, acceptButtonSeconds: 10, acceptVerifySeconds: 10 });
+});
+
+test('Phase 6 is ready at once when the booking rows are there', async () => {
+    const answer = await waitFor('booking-list.html', 'p6');
+
+    assert.strictEqual(answer.status, 'success');
+    assert.match(answer.message, /^Booking rows \(div\.row\.the_booking\) found after \d+ ms\.$/);
+});
+
+test('Phase 8 waits for select2 to take over the vehicle dropdown', async () => {
+    const answer = await waitFor('new-ride.html', 'p8', {
+        change: (document) => document.querySelector('#vehicle').classList.add('select2-hidden-accessible'),
+        timeouts: { vehicleSelectSeconds: 1 }
+    });
+
+    assert.strictEqual(answer.status, 'success');
+});
+
+test('Phase 9 waits for the Accept Ride button to become visible', async () => {
+    const answer = await waitFor('new-ride.html', 'p9', {
+        prepare: (document) => { document.querySelector('#accept_ride').style.display = 'none'; },
+        change: (document) => { document.querySelector('#accept_ride').style.display = ''; },
+        timeouts: { acceptButtonSeconds: 1 }
+    });
+
+    assert.strictEqual(answer.status, 'success');
+});
+
+test('a phase fails with the missing element once its timeout ends', async () => {
+    const answer = await waitFor('new-ride.html', 'p8', { timeouts: { vehicleSelectSeconds: 0.1 } });
+
+    assert.deepStrictEqual(answer, {
+        status: 'error',
+        message: 'The select2 vehicle dropdown (#vehicle) did not appear within 0.1 s.'
+    });
+});
+
+test('a login form in place of the booking rows ends the wait as an expired session', async () => {
+    const answer = await waitFor('booking-list.html', 'p6', {
+        prepare: (document) => { document.body.innerHTML = ''; },
+        change: (document) => { document.body.innerHTML = '<form action="/login"><input type="password" name="password"></form>'; },
+        timeouts: { bookingListSeconds: 5 }
+    });
+
+    assert.deepStrictEqual(answer, {
+        status: 'error',
+        message: 'The site shows its login form (input[type="password"]) instead: the session has expired. Log in again, then restart.',
+        sessionExpired: true
+    });
+});
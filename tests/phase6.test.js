@@ -0,0 +1,250 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, readFixture } = require('./helpers/environment');
+
+const CONTENT_SCRIPTS = ['js/site-profile.js', 'js/parsers.js', 'js/criteria.js', 'js/matching.js', 'js/ranking.js', 'js/booking-ledger.js', 'js/fleet.js', 'js/vehicle-catalogue.js', 'js/content.js'];
+
+/**
+ * Runs Phase 6 against the booking list fixture.
+ * @param {object} config Overrides of the run configuration.
+ * @param {object} [options] Overrides of the stored options (see readBookingFormats).
+ * @param {object} [records] Overrides of the stored state: `vehicleCatalogue`, `handledBookings`,
+ *     `fleetSchedule` and `fleetSettings`.
+ * @returns {Promise<{response: object, clicked: number[], logs: string[]}>}
+ */
+function runPhase6(config, options = {}, records = {}) {
+    const { window, document, chrome } = loadPage(readFixture('booking-list.html'), { scripts: CONTENT_SCRIPTS });
+    const clicked = [];
+    document.querySelectorAll('div.the_booking').forEach((row, i) => {
+        row.addEventListener('click', () => clicked.push(i + 1));
+    });
+    // The rows open the ride with window.open; the click is what matters here.
+    window.open = () => null;
+
+    return new Promise((resolve) => {
+        window.phase6_clickBooking({
+            startDate: '2025-06-15',
+            endDate: '',
+            vehicleClasses: ['Standard Sedan'],
+            vehiclePrices: { 'Standard Sedan': 50 },
+            rankingStrategy: 'first',
+            ...config
+        }, window.mergeSiteProfile(), window.readBookingFormats(options), {
+            vehicleCatalogue: window.mergeVehicleCatalogue(),
+            handledBookings: {},
+            fleetSchedule: window.normalizeFleetSchedule(),
+            fleetSettings: window.readFleetSettings(),
+            ...records
+        }, (response) => {
+            const logs = chrome.calls.runtimeMessages.filter(m => m.type === 'content_script_log').map(m => m.text);
+            resolve({ response: JSON.parse(JSON.stringify(response)), clicked, logs });
+        });
+    });
+}
+
+test('Phase 6 clicks the first booking matching date, vehicle and payout', async () => {
+    const { response, clicked } = await runPhase6({});
+
+    assert.strictEqual(response.status, 'success');
+    assert.strictEqual(response.selectedIndex, 5);
+    assert.deepStrictEqual(clicked, [5]);
+    // The 'first' strategy stops at the first match.
+    assert.strictEqual(response.bookings.length, 5);
+});
+
+test('Phase 6 records why each booking was rejected', async () => {
+    const { response } = await runPhase6({});
+    const failedChecks = (index) => response.bookings[index - 1].checks.filter(c => !c.pass).map(c => c.name);
+
+    assert.deepStrictEqual(failedChecks(1), ['Date']);
+    assert.deepStrictEqual(failedChecks(2), ['Vehicle', 'Payout']);
+    assert.deepStrictEqual(failedChecks(3), ['Payout']);
+    // How far the Date and Payout checks missed, for the near-miss report.
+    assert.strictEqual(response.bookings[0].checks.find(c => c.name === 'Date').miss, 1);
+    assert.strictEqual(response.bookings[2].checks.find(c => c.name === 'Payout').miss, 15);
+    assert.strictEqual(response.bookings[2].checks.find(c => c.name === 'Date').miss, null);
+    assert.strictEqual(response.bookings[3].skipped, 'not visible');
+    assert.strictEqual(response.bookings[4].matched, true);
+    assert.strictEqual(response.bookings[4].payout, 1050);
+    assert.strictEqual(response.bookings[4].url, '/new-ride/105');
+});
+
+test('Phase 6 matches the vehicle class regardless of case', async () => {
+    const { response } = await runPhase6({ vehicleClasses: ['standard sedan'], vehiclePrices: { 'standard sedan': 50 } });
+
+    assert.strictEqual(response.selectedIndex, 5);
+    assert.strictEqual(response.bookings[2].checks.find(c => c.name === 'Vehicle').pass, true);
+});
+
+test('Phase 6 accepts a payout equal to the minimum and rejects one below it', async () => {
+    const equal = await runPhase6({ vehiclePrices: { 'Standard Sedan': 35 } });
+    assert.strictEqual(equal.response.selectedIndex, 3);
+
+    const below = await runPhase6({ vehiclePrices: { 'Standard Sedan': 35.01 } });
+    assert.strictEqual(below.response.selectedIndex, 5);
+});
+
+test('Phase 6 widens the date range by the configured tolerance', async () => {
+    const { response } = await runPhase6({ startDate: '2025-06-13' }, { defaultTolerance: 1 });
+
+    assert.strictEqual(response.selectedIndex, 1);
+});
+
+test('Phase 6 reports no match without clicking anything', async () => {
+    const { response, clicked, logs } = await runPhase6({ vehiclePrices: { 'Standard Sedan': 5000 } });
+
+    assert.strictEqual(response.status, 'error');
+    assert.strictEqual(response.noMatch, true);
+    assert.deepStrictEqual(clicked, []);
+    assert.ok(logs.includes('No booking element met all criteria.'));
+});
+
+test('Phase 6 ranks every match when a strategy other than "first" is chosen', async () => {
+    const { response, clicked } = await runPhase6({ endDate: '2025-06-16', rankingStrategy: 'earliest_date', vehiclePrices: { 'Standard Sedan': 20 } });
+
+    assert.strictEqual(response.bookings.length, 7);
+    assert.strictEqual(response.bookings[6].skipped, 'missing date or vehicle info');
+    assert.deepStrictEqual(response.bookings.filter(b => b.matched).map(b => b.index), [3, 5, 6]);
+    assert.deepStrictEqual(clicked, [3]);
+});
+
+test('Phase 6 dry run resolves the ride URL without clicking', async () => {
+    const { response, clicked } = await runPhase6({ dryRun: true });
+
+    assert.strictEqual(response.status, 'success');
+    assert.strictEqual(response.dryRun, true);
+    assert.strictEqual(response.newTabUrl, 'https://control.transfeero.com/new-ride/105');
+    assert.deepStrictEqual(clicked, []);
+});
+
+test('Phase 6 skips bookings handled by an earlier cycle and explains why', async () => {
+    const handledAt = Date.now() - 25 * 60 * 1000;
+    const { response, clicked, logs } = await runPhase6({ endDate: '2025-06-16' }, {}, {
+        handledBookings: { '/new-ride/105': { status: 'failed', handledAt } }
+    });
+
+    assert.strictEqual(response.bookings[4].skipped, 'already handled 25 min ago (failed)');
+    assert.strictEqual(response.bookings[4].matched, false);
+    assert.ok(logs.includes('[Element 5]: Skipping booking /new-ride/105, already handled 25 min ago (failed).'));
+    // The next match is clicked instead.
+    assert.strictEqual(response.selectedIndex, 6);
+    assert.deepStrictEqual(clicked, [6]);
+});
+
+test('Phase 6 rejects a booking when every known Phase 8 vehicle is busy at its pickup time', async () => {
+    const fleetSchedule = {
+        roster: [{ text: 'Lexus es300h - AB-123', value: '1' }, { text: 'Toyota corolla touring - CD-456', value: '2' }],
+        commitments: [
+            // 2025-06-15 13:00 to 14:00 and 15:00 to 16:00; with the 30 minute buffer both block a 14:00 pickup.
+            { bookingId: '/new-ride/90', vehicle: 'Lexus es300h - AB-123', value: '1', pickup: '2025-06-15 13:00', start: 29166540, end: 29166600 },
+            { bookingId: '/new-ride/91', vehicle: 'Toyota corolla touring - CD-456', value: '2', pickup: '2025-06-15 15:00', start: 29166660, end: 29166720 }
+        ]
+    };
+    const config = { endDate: '2025-06-16', vehiclePrices: { 'Standard Sedan': 50 }, phase8VehicleClasses: ['Lexus es300h', 'Toyota corolla touring'] };
+    const { response, logs } = await runPhase6(config, {}, { fleetSchedule });
+
+    const fleetCheck = response.bookings[4].checks.find(c => c.name === 'Fleet');
+    assert.strictEqual(fleetCheck.pass, false);
+    assert.strictEqual(fleetCheck.detail,
+        'no free vehicle, busy: Lexus es300h - AB-123 (2025-06-15 13:00, 60 min); Toyota corolla touring - CD-456 (2025-06-15 15:00, 60 min)');
+    assert.ok(logs.some(line => line.startsWith('[Element 5]: Fleet mismatch.')));
+    // The next day's booking has both vehicles free.
+    assert.strictEqual(response.selectedIndex, 6);
+    assert.strictEqual(response.bookings[5].checks.find(c => c.name === 'Fleet').detail, '2 of 2 vehicle(s) free');
+});
+
+test('Phase 6 skips the Fleet check until a vehicle of the Phase 8 classes is known', async () => {
+    const { response } = await runPhase6({ phase8VehicleClasses: ['Lexus es300h'] });
+
+    assert.strictEqual(response.selectedIndex, 5);
+    assert.strictEqual(response.bookings[4].checks.some(c => c.name === 'Fleet'), false);
+});
+
+test('Phase 6 rejects a booking whose class no selected Phase 8 vehicle may serve', async () => {
+    const { response, logs } = await runPhase6({ phase8VehicleClasses: ['Mercedes vito'] });
+
+    assert.strictEqual(response.status, 'error');
+    const fleetCheck = response.bookings[4].checks.find(c => c.name === 'Fleet');
+    assert.deepStrictEqual(fleetCheck, { name: 'Fleet', pass: false, detail: 'none of the Phase 8 vehicles is mapped to Standard Sedan' });
+    assert.ok(logs.includes('[Element 5]: Fleet mismatch. (none of the Phase 8 vehicles is mapped to Standard Sedan).'));
+    assert.strictEqual(response.bookings[4].vehicleClass, 'Standard Sedan');
+});
+
+/**
+ * Adds a booking row to the end of the fixture's list.
+ * @param {Document} document The page.
+ * @param {string} id The ride ID.
+ * @param {string} date The booking date.
+ * @param {string} payout The payout text.
+ */
+function addBookingRow(document, id, date, payout) {
+    const row = document.createElement('div');
+    row.className = 'row the_booking';
+    row.setAttribute('onclick', `window.open("/new-ride/${id}")`);
+    row.innerHTML = `<span class="booking_date">${date}</span><span class="vehicle_class">Standard Sedan</span><span class="partner_payout">${payout}</span>`;
+    document.getElementById('bookings').appendChild(row);
+}
+
+test('the booking list watcher evaluates only the added rows and stops at a match', async () => {
+    const { window, document, chrome } = loadPage(readFixture('booking-list.html'), { scripts: CONTENT_SCRIPTS });
+    const reports = () => chrome.calls.runtimeMessages.filter(m => m.type === 'booking_rows_added').map(m => ({ ...m, matched: [...m.matched] }));
+    const response = window.watchBookingList({
+        startDate: '2025-06-15',
+        endDate: '',
+        vehicleClasses: ['Standard Sedan'],
+        vehiclePrices: { 'Standard Sedan': 50 },
+        rankingStrategy: 'first'
+    }, window.mergeSiteProfile(), window.readBookingFormats({}), {
+        vehicleCatalogue: window.mergeVehicleCatalogue(),
+        handledBookings: {},
+        fleetSchedule: window.normalizeFleetSchedule(),
+        fleetSettings: window.readFleetSettings()
+    });
+    assert.strictEqual(response.status, 'success');
+
+    addBookingRow(document, 108, '2025-06-15 16:00', '€20.00');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(reports(), [{ type: 'booking_rows_added', added: 1, matched: [] }]);
+
+    addBookingRow(document, 109, '2025-06-15 17:00', '€60.00');
+    addBookingRow(document, 110, '2025-06-15 18:00', '€70.00');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(reports()[1], { type: 'booking_rows_added', added: 2, matched: [9, 10] });
+    const logs = chrome.calls.runtimeMessages.filter(m => m.type === 'content_script_log').map(m => m.text);
+    assert.ok(logs.includes('[Element 9]: Match found!'));
+    assert.ok(!logs.some(line => line.startsWith('[Element 5]')), 'the rows already listed are not evaluated again');
+
+    // The background takes over from here: later rows are left to Phase 6.
+    addBookingRow(document, 111, '2025-06-15 19:00', '€80.00');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(reports().length, 2);
+});
+
+test('the booking list watcher skips a row handled by another tab after the watch started', async () => {
+    const { window, document, chrome } = loadPage(readFixture('booking-list.html'), { scripts: CONTENT_SCRIPTS });
+    const reports = () => chrome.calls.runtimeMessages.filter(m => m.type === 'booking_rows_added').map(m => ({ ...m, matched: [...m.matched] }));
+    window.watchBookingList({
+        startDate: '2025-06-15',
+        endDate: '',
+        vehicleClasses: ['Standard Sedan'],
+        vehiclePrices: { 'Standard Sedan': 50 },
+        rankingStrategy: 'first'
+    }, window.mergeSiteProfile(), window.readBookingFormats({}), {
+        vehicleCatalogue: window.mergeVehicleCatalogue(),
+        handledBookings: {},
+        fleetSchedule: window.normalizeFleetSchedule(),
+        fleetSettings: window.readFleetSettings()
+    });
+
+    // Another tab records the booking while the list is watched.
+    chrome.storage.onChanged.dispatch({ handledBookings: { newValue: { '/new-ride/109': { status: 'opened', handledAt: Date.now() } } } }, 'local');
+    await new Promise(resolve => setImmediate(resolve));
+    addBookingRow(document, 109, '2025-06-15 17:00', '€60.00');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(reports(), [{ type: 'booking_rows_added', added: 1, matched: [] }]);
+    const logs = chrome.calls.runtimeMessages.filter(m => m.type === 'content_script_log').map(m => m.text);
+    assert.ok(logs.some(line => line.includes('Skipping booking /new-ride/109, already handled')));
+
+    window.stopWatchingBookingList();
+    assert.strictEqual(window.bookingListRecordsListener, undefined);
+});
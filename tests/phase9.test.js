@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, readFixture } = require('./helpers/environment');
+
+const CONTENT_SCRIPTS = ['js/site-profile.js', 'js/parsers.js', 'js/criteria.js', 'js/matching.js', 'js/ranking.js', 'js/content.js'];
+
+/**
+ * Loads the new ride fixture, lets `prepare` alter it, and runs Phase 9.
+ * @param {object} [options={}]
+ * @param {boolean} [options.dryRun=false]
+ * @param {(document: Document) => void} [options.prepare] Changes the page first.
+ * @param {(document: Document) => void} [options.answer] Plays the site's answer to the click.
+ * @param {number} [options.verifyMs=100] How long to wait for the answer.
+ * @returns {Promise<{response: object, clicks: number}>}
+ */
+function runPhase9({ dryRun = false, prepare, answer, verifyMs = 100 } = {}) {
+    const { window, document } = loadPage(readFixture('new-ride.html'), {
+        scripts: CONTENT_SCRIPTS,
+        url: 'https://control.transfeero.com/new-ride/105'
+    });
+    if (prepare) prepare(document);
+    let clicks = 0;
+    const button = document.querySelector('#accept_ride');
+    if (button) {
+        button.addEventListener('click', () => {
+            clicks++;
+            if (answer) setTimeout(() => answer(document), 10);
+        });
+    }
+
+    return new Promise((resolve) => {
+        window.phase9_acceptRide(dryRun, window.mergeSiteProfile(), verifyMs, (response) => {
+            resolve({ response: { ...response }, clicks });
+        });
+    });
+}
+
+/**
+ * Shows the site's confirmation, as the booking site does after a successful accept.
+ * @param {Document} document The page.
+ */
+function confirmRide(document) {
+    const result = document.querySelector('#result');
+    result.textContent = 'Ride accepted.';
+    result.classList.add('success');
+}
+
+test('Phase 9 clicks Accept Ride when no error message is visible', async () => {
+    const { response, clicks } = await runPhase9({ answer: confirmRide });
+
+    assert.strictEqual(response.status, 'success');
+    assert.strictEqual(response.verification, 'accepted');
+    assert.strictEqual(response.message, 'Final confirmation clicked. The site confirmed the ride: "Ride accepted.".');
+    assert.strictEqual(clicks, 1);
+});
+
+test('Phase 9 reports a ride rejected by the site after the click', async () => {
+    const { response, clicks } = await runPhase9({
+        answer: (document) => {
+            const error = document.querySelector('.error-message');
+            error.textContent = 'This ride has already been taken.';
+            error.style.display = 'block';
+        }
+    });
+
+    assert.strictEqual(clicks, 1);
+    assert.strictEqual(response.verification, 'rejected');
+    assert.match(response.message, /The site rejected the ride: "This ride has already been taken\."/);
+});
+
+test('Phase 9 recognises the error text of the profile anywhere in the page', async () => {
+    const { response } = await runPhase9({
+        answer: (document) => {
+            const toast = document.createElement('div');
+            toast.textContent = 'Sorry, this ride is no longer available';
+            document.body.appendChild(toast);
+        }
+    });
+
+    assert.strictEqual(response.verification, 'rejected');
+    assert.match(response.message, /"no longer available" appeared on the page/);
+});
+
+test('Phase 9 reports an unknown result when the site does not answer in time', async () => {
+    const { response, clicks } = await runPhase9({
+        // A confirmation already on the page before the click does not count.
+        prepare: confirmRide
+    });
+
+    assert.strictEqual(clicks, 1);
+    assert.strictEqual(response.status, 'success');
+    assert.strictEqual(response.verification, 'unknown');
+});
+
+test('Phase 9 does not click when the page shows an error message', async () => {
+    const { response, clicks } = await runPhase9({
+        prepare: (document) => { document.querySelector('.error-message').style.display = 'block'; }
+    });
+
+    assert.strictEqual(response.status, 'error');
+    assert.strictEqual(response.message, 'An error message is visible on the page. Aborting final click.');
+    assert.strictEqual(clicks, 0);
+});
+
+test('Phase 9 ignores an error message hidden inside a hidden container', async () => {
+    const { response, clicks } = await runPhase9({
+        prepare: (document) => {
+            const error = document.querySelector('.error-message');
+            error.style.display = 'block';
+            const wrapper = document.createElement('div');
+            wrapper.hidden = true;
+            error.replaceWith(wrapper);
+            wrapper.appendChild(error);
+        }
+    });
+
+    assert.strictEqual(response.status, 'success');
+    assert.strictEqual(clicks, 1);
+});
+
+test('Phase 9 fails when the Accept Ride button is missing', async () => {
+    const { response } = await runPhase9({
+        prepare: (document) => document.querySelector('#accept_ride').remove()
+    });
+
+    assert.strictEqual(response.status, 'error');
+    assert.strictEqual(response.message, 'Final confirmation button not found or not visible.');
+});
+
+test('Phase 9 dry run makes the same checks without clicking', async () => {
+    const passing = await runPhase9({ dryRun: true });
+    assert.strictEqual(passing.response.status, 'success');
+    assert.strictEqual(passing.clicks, 0);
+
+    const failing = await runPhase9({
+        dryRun: true,
+        prepare: (document) => { document.querySelector('.error-message').style.display = 'block'; }
+    });
+    assert.strictEqual(failing.response.status, 'error');
+    assert.strictEqual(failing.clicks, 0);
+});
+
+test('readRideDetails reads the ride fields of the new ride page', () => {
+    const { window } = loadPage(readFixture('new-ride.html'), { scripts: CONTENT_SCRIPTS });
+    const formats = window.readBookingFormats({ decimalSeparator: '.' });
+
+    const response = window.readRideDetails(window.mergeSiteProfile(), formats);
+
+    assert.strictEqual(response.status, 'success');
+    assert.deepStrictEqual({ ...response.details }, {
+        dateText: '2025-06-15 14:00',
+        pickup: 'Harbour, Pier 3',
+        dropoff: 'Airport Terminal 1',
+        passenger: 'L. Müller',
+        flight: 'U2 8822',
+        payoutText: '€72.50',
+        date: '2025-06-15 14:00',
+        payout: 72.5
+    });
+    assert.strictEqual(response.message, 'Ride details: 2025-06-15 14:00, Harbour, Pier 3 to Airport Terminal 1, €72.50.');
+});
+
+test('readRideDetails lists the fields missing from the page', () => {
+    const { window, document } = loadPage(readFixture('new-ride.html'), { scripts: CONTENT_SCRIPTS });
+    document.querySelector('.ride_flight').remove();
+    document.querySelector('.ride_passenger').textContent = ' ';
+
+    const response = window.readRideDetails(window.mergeSiteProfile(), window.readBookingFormats({}));
+
+    assert.strictEqual(response.status, 'success');
+    assert.strictEqual(response.details.flight, null);
+    assert.strictEqual(response.details.passenger, null);
+    assert.match(response.message, /Not found on the page: passenger, flight\.$/);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/environment');
+
+const { rankCandidates, parseBookingDate } = loadScripts(['js/parsers.js', 'js/ranking.js']);
+
+// Three matching bookings, in page order.
+const CANDIDATES = [
+    { index: 1, payout: 60, minPayout: 50, date: parseBookingDate('2025-06-16 09:00'), vehicleRank: 1 },
+    { index: 2, payout: 90, minPayout: 85, date: parseBookingDate('2025-06-15 14:00'), vehicleRank: 2 },
+    { index: 3, payout: 75, minPayout: 50, date: parseBookingDate('2025-06-15 08:00'), vehicleRank: 0 }
+];
+
+const order = (strategy, candidates = CANDIDATES) => Array.from(rankCandidates(candidates, strategy), c => c.index);
+
+test('rankCandidates', async (t) => {
+    await t.test('puts the highest payout first', () => {
+        assert.deepStrictEqual(order('highest_payout'), [2, 3, 1]);
+    });
+
+    await t.test('puts the highest payout over the class minimum first', () => {
+        assert.deepStrictEqual(order('highest_margin'), [3, 1, 2]);
+    });
+
+    await t.test('follows the order of the vehicle classes in the settings', () => {
+        assert.deepStrictEqual(order('vehicle_order'), [3, 1, 2]);
+    });
+
+    await t.test('breaks ties by the higher payout, then by page order', () => {
+        const tied = CANDIDATES.map(c => ({ ...c, vehicleRank: 0 }));
+        assert.deepStrictEqual(order('vehicle_order', tied), [2, 3, 1]);
+        const same = CANDIDATES.map(c => ({ ...c, payout: 70, minPayout: 50 }));
+        assert.deepStrictEqual(order('highest_margin', same), [1, 2, 3]);
+    });
+
+    await t.test('keeps the page order for the first match, and ranks by payout alone for an unknown strategy', () => {
+        assert.deepStrictEqual(order('first'), [1, 2, 3]);
+        assert.deepStrictEqual(order('cheapest'), [2, 3, 1]);
+    });
+
+    await t.test('leaves the given array alone', () => {
+        const candidates = [...CANDIDATES];
+        rankCandidates(candidates, 'highest_payout');
+        assert.deepStrictEqual(candidates.map(c => c.index), [1, 2, 3]);
+    });
+});
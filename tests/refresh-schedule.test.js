@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/environment');
+
+const {
+    parseActiveHours, readRefreshSchedule, findActiveWindowEnd, findNextWindowStart, planNextRefresh, pickRefreshDelay
+} = loadScripts(['js/refresh-schedule.js']);
+
+// 16 June 2025 is a Monday. Times are local, as the schedule reads them.
+const at = (day, hour, minute = 0) => new Date(2025, 5, day, hour, minute).getTime();
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+test('parseActiveHours reads day ranges, lists and overnight windows', () => {
+    const { windows, errors } = parseActiveHours('Mon-Fri 06:00-22:00\n\n  Sat,Sun 08:00 - 14:00\nFri-Mon 22:00-02:00\nDaily 00:00-24:00');
+
+    assert.deepStrictEqual([...errors], []);
+    assert.deepStrictEqual(copy(windows), [
+        { days: [1, 2, 3, 4, 5], start: 360, end: 1320 },
+        { days: [0, 6], start: 480, end: 840 },
+        { days: [0, 1, 5, 6], start: 1320, end: 120 },
+        { days: [0, 1, 2, 3, 4, 5, 6], start: 0, end: 1440 }
+    ]);
+});
+
+test('parseActiveHours reports the lines it cannot read', () => {
+    const { windows, errors } = parseActiveHours('Mon-Fri 6-22\nWeekdays 06:00-22:00\nMon 06:00-25:00\nTue 07:00-09:00');
+
+    assert.strictEqual(windows.length, 1);
+    assert.deepStrictEqual([...errors], [
+        '"Mon-Fri 6-22" is not a window like "Mon-Fri 06:00-22:00".',
+        '"Weekdays 06:00-22:00" is not a window like "Mon-Fri 06:00-22:00".',
+        '"Mon 06:00-25:00" is not a window like "Mon-Fri 06:00-22:00".'
+    ]);
+});
+
+test('readRefreshSchedule falls back to the defaults and keeps the maximum delay above the minimum', () => {
+    const defaults = readRefreshSchedule(undefined);
+    assert.strictEqual(defaults.refreshMinSeconds, 7);
+    assert.strictEqual(defaults.refreshMaxSeconds, 30);
+    assert.strictEqual(defaults.windows.length, 0);
+
+    const custom = readRefreshSchedule({ refreshMinSeconds: 40, refreshMaxSeconds: 20, refreshMaxCycles: 5, refreshActiveHours: 'Mon 06:00-08:00' });
+    assert.strictEqual(custom.refreshMaxSeconds, 40);
+    assert.strictEqual(custom.refreshMaxCycles, 5);
+    assert.strictEqual(custom.windows.length, 1);
+});
+
+test('the active window and the next one are found, overnight windows included', () => {
+    const { windows } = parseActiveHours('Mon-Fri 06:00-22:00\nSat 22:00-02:00');
+
+    assert.strictEqual(findActiveWindowEnd(windows, at(16, 12)), at(16, 22));
+    assert.strictEqual(findActiveWindowEnd(windows, at(16, 23)), null);
+    assert.strictEqual(findNextWindowStart(windows, at(16, 23)), at(17, 6));
+    // Saturday night runs into Sunday.
+    assert.strictEqual(findActiveWindowEnd(windows, at(22, 1)), at(22, 2));
+    // Saturday after 02:00: the next window is that evening.
+    assert.strictEqual(findNextWindowStart(windows, at(21, 3)), at(21, 22));
+});
+
+test('planNextRefresh refreshes within the active hours until they end', () => {
+    const schedule = readRefreshSchedule({ refreshActiveHours: 'Mon-Fri 06:00-22:00' });
+    const loop = { startedAt: at(16, 7), cycles: 3, windowEnd: null };
+
+    const plan = planNextRefresh(schedule, loop, at(16, 21, 59));
+    assert.deepStrictEqual(copy(plan), { action: 'refresh', stopAt: at(16, 22), windowEnd: at(16, 22) });
+
+    const ended = planNextRefresh(schedule, { ...loop, windowEnd: plan.windowEnd }, at(16, 22));
+    assert.deepStrictEqual(copy(ended), { action: 'stop', reason: 'Auto-refresh stopped: its active hours have ended.' });
+});
+
+test('planNextRefresh waits for the active hours when the run starts before them', () => {
+    const schedule = readRefreshSchedule({ refreshActiveHours: 'Mon-Fri 06:00-22:00' });
+
+    const plan = planNextRefresh(schedule, { startedAt: at(16, 5), cycles: 0, windowEnd: null }, at(16, 5));
+    assert.deepStrictEqual(copy(plan), { action: 'wait', delayMs: 60 * 60 * 1000, startsAt: at(16, 6) });
+
+    const limited = readRefreshSchedule({ refreshActiveHours: 'Mon-Fri 06:00-22:00', refreshMaxMinutes: 30 });
+    assert.strictEqual(planNextRefresh(limited, { startedAt: at(16, 5), cycles: 0, windowEnd: null }, at(16, 5)).action, 'stop');
+});
+
+test('planNextRefresh stops after the maximum cycles or duration', () => {
+    const schedule = readRefreshSchedule({ refreshMaxCycles: 3, refreshMaxMinutes: 60 });
+
+    const running = planNextRefresh(schedule, { startedAt: at(16, 8), cycles: 2, windowEnd: null }, at(16, 8, 30));
+    assert.deepStrictEqual(copy(running), { action: 'refresh', stopAt: at(16, 9), windowEnd: null });
+
+    assert.strictEqual(planNextRefresh(schedule, { startedAt: at(16, 8), cycles: 3, windowEnd: null }, at(16, 8, 30)).reason,
+        'Auto-refresh stopped after 3 cycle(s), its maximum.');
+    assert.strictEqual(planNextRefresh(schedule, { startedAt: at(16, 8), cycles: 2, windowEnd: null }, at(16, 9)).reason,
+        'Auto-refresh stopped after running for 60 minute(s), its maximum.');
+});
+
+test('pickRefreshDelay stays within the bounds', () => {
+    const schedule = readRefreshSchedule({ refreshMinSeconds: 10, refreshMaxSeconds: 20 });
+
+    assert.strictEqual(pickRefreshDelay(schedule, () => 0), 10000);
+    assert.strictEqual(pickRefreshDelay(schedule, () => 0.9999), 20000);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/environment');
+
+const { buildRunConfig } = loadScripts(['js/criteria.js', 'js/run-config.js']);
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+// The popup settings as saved, i.e. as typed in the form.
+const SETTINGS = {
+    startDate: '2025-06-15',
+    endDate: '2025-06-20',
+    vehicleClass: ['Standard Sedan', 'Van'],
+    vehiclePrices: { 'Standard Sedan': '50', Van: '72.5', Minibus: '90' },
+    rankingStrategy: 'highest_payout',
+    phase8VehicleClass: ['Lexus es300h'],
+    approvalTimeout: '',
+    watchIdleSeconds: '60',
+    extraCriteria: { pickupInclude: 'Airport, Station', passengersMin: '2', passengersMax: '' }
+};
+
+test('buildRunConfig converts the saved settings to the config of a run', () => {
+    const { config, error } = buildRunConfig(SETTINGS);
+
+    assert.strictEqual(error, undefined);
+    assert.deepStrictEqual(copy(config.vehiclePrices), { 'Standard Sedan': 50, Van: 72.5 });
+    assert.deepStrictEqual(copy(config.vehicleClasses), ['Standard Sedan', 'Van']);
+    assert.deepStrictEqual(copy(config.phase8VehicleClasses), ['Lexus es300h']);
+    assert.strictEqual(config.rankingStrategy, 'highest_payout');
+    assert.strictEqual(config.approvalTimeoutSeconds, null);
+    assert.strictEqual(config.watchIdleSeconds, 60);
+    assert.deepStrictEqual(copy(config.extraCriteria.pickupInclude), ['airport', 'station']);
+    assert.strictEqual(config.extraCriteria.passengersMin, 2);
+    assert.strictEqual(config.extraCriteria.passengersMax, null);
+    // The toggles default like those of the popup.
+    assert.strictEqual(config.dryRun, true);
+    assert.strictEqual(config.enablePhase9Click, true);
+    assert.strictEqual(config.autoRefresh, false);
+});
+
+test('buildRunConfig refuses settings that cannot start a run', () => {
+    assert.strictEqual(buildRunConfig(undefined).error, 'Start Date is required.');
+    assert.strictEqual(buildRunConfig({ ...SETTINGS, vehicleClass: [] }).error, 'At least one Vehicle Class must be selected.');
+    assert.strictEqual(buildRunConfig({ ...SETTINGS, phase8VehicleClass: [] }).error, 'At least one Phase 8 Vehicle must be selected.');
+    assert.strictEqual(buildRunConfig({ ...SETTINGS, vehiclePrices: { Van: '72.5' } }).error, 'Please enter a price for all selected vehicles.');
+    assert.strictEqual(buildRunConfig({ ...SETTINGS, extraCriteria: { luggageMin: '3', luggageMax: '1' } }).error,
+        'The minimum is above the maximum for: luggage.');
+    assert.strictEqual(buildRunConfig({ ...SETTINGS, approvalTimeout: '5' }).error, 'The approval timeout must be at least 10 seconds.');
+    assert.strictEqual(buildRunConfig({ ...SETTINGS, watchIdleSeconds: 'x' }).error, 'The watch period before a reload must be at least 10 seconds.');
+});
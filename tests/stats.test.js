@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/environment');
+
+const {
+    localWeekKey, countCyclesPerDay, countBookingFunnel, countRejectionReasons, sumAcceptedPayouts, measurePhaseFailures
+} = loadScripts(['js/booking-ledger.js', 'js/stats.js']);
+
+// 16 June 2025 is a Monday. Times are local, as the dashboard shows them.
+const at = (day, hour) => new Date(2025, 5, day, hour).getTime();
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+const check = (name, pass) => ({ name, pass, detail: '' });
+const booking = (index, url, fields = {}) => ({
+    index, url, skipped: null, matched: false, vehicle: 'Standard Sedan', vehicleClass: null, payout: null,
+    checks: [check('Date', true), check('Vehicle', true), check('Payout', true)], ...fields
+});
+
+// Newest first, as getRuns() returns them.
+const RUNS = [
+    {
+        startedAt: at(17, 9), endedAt: at(17, 9), trigger: 'refresh', outcome: 'accepted', selectedIndex: 1,
+        bookings: [
+            booking(0, '/new-ride/101', { checks: [check('Date', true), check('Vehicle', true), check('Payout', false)] }),
+            booking(1, '/new-ride/102', { matched: true, vehicleClass: 'Standard Sedan', payout: 70 })
+        ],
+        phases: [{ phase: 'P6', status: 'success' }, { phase: 'P8', status: 'success' }, { phase: 'P9', status: 'success' }],
+        rideDetails: { payout: 72.5 }
+    },
+    {
+        startedAt: at(16, 18), endedAt: at(16, 18), trigger: 'watch', outcome: 'failed', selectedIndex: 0,
+        bookings: [booking(0, '/new-ride/103', { matched: true, vehicleClass: 'Van', payout: 90 })],
+        phases: [{ phase: 'P6', status: 'success' }, { phase: 'P8', status: 'failed' }]
+    },
+    {
+        startedAt: at(16, 8), endedAt: at(16, 8), trigger: 'user', outcome: 'no_match', selectedIndex: null,
+        bookings: [
+            booking(0, '/new-ride/101', { checks: [check('Date', false), check('Vehicle', true), check('Payout', false)] }),
+            booking(1, '/new-ride/102', { checks: [check('Date', true), check('Vehicle', false), check('Payout', true)] }),
+            booking(2, '/new-ride/104', { skipped: 'not visible', checks: [] })
+        ],
+        phases: [{ phase: 'P6', status: 'failed' }]
+    },
+    {
+        startedAt: at(15, 20), endedAt: at(15, 20), trigger: 'user', outcome: 'accepted', selectedIndex: 0,
+        bookings: [booking(0, '/new-ride/100', { matched: true, vehicleClass: 'Van', payout: 110 })],
+        phases: [{ phase: 'P6', status: 'success' }, { phase: 'P8', status: 'success' }, { phase: 'P9', status: 'failed' }]
+    }
+];
+
+test('cycles are counted per local day and trigger', () => {
+    assert.deepStrictEqual(copy(countCyclesPerDay(RUNS)), [
+        { day: '2025-06-15', total: 1, user: 1, refresh: 0, watch: 0 },
+        { day: '2025-06-16', total: 2, user: 1, refresh: 0, watch: 1 },
+        { day: '2025-06-17', total: 1, user: 0, refresh: 1, watch: 0 }
+    ]);
+});
+
+test('bookings seen in several cycles count once, and matched once they matched in any cycle', () => {
+    assert.deepStrictEqual(copy(countBookingFunnel(RUNS)), { seen: 5, matched: 3, accepted: 2 });
+});
+
+test('rejection reasons come from the last cycle of bookings that never matched', () => {
+    // 101 failed on the date and payout, then on the payout only; 102 matched later.
+    assert.deepStrictEqual(copy(countRejectionReasons(RUNS)), [
+        { reason: 'Payout', count: 1 },
+        { reason: 'Visibility', count: 1 }
+    ]);
+});
+
+test('accepted payouts are added up by day, week and class, preferring the ride page payout', () => {
+    const payouts = copy(sumAcceptedPayouts(RUNS));
+
+    assert.strictEqual(payouts.total, 182.5);
+    assert.strictEqual(payouts.count, 2);
+    assert.deepStrictEqual(payouts.byDay, [{ key: '2025-06-15', total: 110, count: 1 }, { key: '2025-06-17', total: 72.5, count: 1 }]);
+    assert.deepStrictEqual(payouts.byWeek, [{ key: '2025-06-09', total: 110, count: 1 }, { key: '2025-06-16', total: 72.5, count: 1 }]);
+    assert.deepStrictEqual(payouts.byClass, [{ key: 'Van', total: 110, count: 1 }, { key: 'Standard Sedan', total: 72.5, count: 1 }]);
+    assert.strictEqual(localWeekKey(at(22, 23)), '2025-06-16');
+});
+
+test('the Phase 8 and 9 failure rates count the runs that reached them', () => {
+    assert.deepStrictEqual(copy(measurePhaseFailures(RUNS, 'P8')), { attempts: 3, failures: 1, unconfirmed: 0, rate: 1 / 3 });
+    assert.deepStrictEqual(copy(measurePhaseFailures(RUNS, 'P9')), { attempts: 2, failures: 1, unconfirmed: 0, rate: 0.5 });
+    assert.deepStrictEqual(copy(measurePhaseFailures([], 'P9')), { attempts: 0, failures: 0, unconfirmed: 0, rate: null });
+});
+
+test('a final click the site did not confirm is counted apart from the Phase 9 successes and failures', () => {
+    const runs = [
+        { outcome: 'unknown', phases: [{ phase: 'P9', status: 'unconfirmed' }] },
+        // Recorded before the status existed.
+        { outcome: 'unknown', phases: [{ phase: 'P9', status: 'success' }] },
+        { outcome: 'accepted', phases: [{ phase: 'P9', status: 'success' }] },
+        { outcome: 'rejected_by_site', phases: [{ phase: 'P9', status: 'failed' }] }
+    ];
+    assert.deepStrictEqual(copy(measurePhaseFailures(runs, 'P9')), { attempts: 4, failures: 1, unconfirmed: 2, rate: 0.25 });
+});
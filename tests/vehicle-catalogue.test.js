@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/environment');
+
+const { mergeVehicleCatalogue, validateVehicleCatalogue, fleetForBookingClass } = loadScripts(['js/vehicle-catalogue.js']);
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+test('mergeVehicleCatalogue', async (t) => {
+    await t.test('returns the default catalogue when none is saved', () => {
+        const catalogue = mergeVehicleCatalogue(undefined);
+        assert.deepStrictEqual(copy(catalogue.bookingClasses), ['Standard Van', 'Economy', 'Standard Sedan', 'Minibus 12']);
+        assert.deepStrictEqual(copy(catalogue.classFleet['Minibus 12']), []);
+    });
+
+    await t.test('trims names, drops blanks and duplicates, and maps classes missing from the mapping to nothing', () => {
+        const catalogue = mergeVehicleCatalogue({
+            bookingClasses: [' Sedan ', '', 'sedan', 'Van'],
+            fleetVehicles: ['Lexus es300h', 'Mercedes vito', '  '],
+            classFleet: { Sedan: ['Lexus es300h', 'Unknown car'] }
+        });
+        assert.deepStrictEqual(copy(catalogue), {
+            bookingClasses: ['Sedan', 'Van'],
+            fleetVehicles: ['Lexus es300h', 'Mercedes vito'],
+            classFleet: { Sedan: ['Lexus es300h'], Van: [] }
+        });
+    });
+});
+
+test('validateVehicleCatalogue asks for at least one class and one vehicle', () => {
+    assert.deepStrictEqual(copy(validateVehicleCatalogue(mergeVehicleCatalogue({ bookingClasses: [], fleetVehicles: [] }))),
+        ['Add at least one booking class.', 'Add at least one fleet vehicle.']);
+    assert.deepStrictEqual(copy(validateVehicleCatalogue(mergeVehicleCatalogue())), []);
+});
+
+test('fleetForBookingClass', async (t) => {
+    const catalogue = mergeVehicleCatalogue();
+    const phase8 = ['Mercedes vito', 'Toyota corolla touring', 'Lexus es300h'];
+
+    await t.test('keeps the Phase 8 vehicles mapped to the class, in the Phase 8 order', () => {
+        assert.deepStrictEqual(copy(fleetForBookingClass(catalogue, 'Standard Sedan', phase8)), ['Toyota corolla touring', 'Lexus es300h']);
+    });
+
+    await t.test('gives nothing for a class no selected vehicle serves', () => {
+        assert.deepStrictEqual(copy(fleetForBookingClass(catalogue, 'Minibus 12', phase8)), []);
+    });
+
+    await t.test('does not restrict a class missing from the catalogue', () => {
+        assert.deepStrictEqual(copy(fleetForBookingClass(catalogue, 'Limousine', phase8)), phase8);
+        assert.deepStrictEqual(copy(fleetForBookingClass(catalogue, null, phase8)), phase8);
+    });
+});
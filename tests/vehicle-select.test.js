@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, loadScripts, installJQuery, readFixture } = require('./helpers/environment');
+
+// executeScript({ func }) serializes the function, so it is loaded outside the
+// page and only its source is evaluated in the page, as Chrome does.
+const { selectVehicleInPage } = loadScripts(['js/vehicle-select.js']);
+
+/**
+ * Runs selectVehicleInPage in the new ride fixture.
+ * @param {string[]} vehicleClasses The wanted classes.
+ * @param {object} [options={}]
+ * @param {string} [options.selector='#vehicle']
+ * @param {boolean} [options.dryRun=false]
+ * @param {string[]} [options.busyVehicles=[]]
+ * @returns {{result: object, value: string, changes: number, select2Calls: string[]}}
+ */
+function selectVehicle(vehicleClasses, { selector = '#vehicle', dryRun = false, busyVehicles = [] } = {}) {
+    const { window, document } = loadPage(readFixture('new-ride.html'), { url: 'https://control.transfeero.com/new-ride/105' });
+    const select2Calls = installJQuery(window);
+    let changes = 0;
+    window.$('#vehicle').on('change', () => changes++);
+
+    const injected = window.eval(`(${selectVehicleInPage.toString()})`);
+    const result = injected(vehicleClasses, selector, dryRun, window.eval(JSON.stringify(busyVehicles)));
+    return { result: { ...result }, value: document.querySelector('#vehicle').value, changes, select2Calls };
+}
+
+test('selectVehicleInPage selects the first enabled option of the wanted class', () => {
+    const { result, value, changes, select2Calls } = selectVehicle(['Standard Sedan']);
+
+    assert.strictEqual(result.status, 'success');
+    assert.strictEqual(result.message, 'Vehicle selected successfully: Standard Sedan - CD-456 (value "12").');
+    assert.deepStrictEqual({ ...result.selected }, { text: 'Standard Sedan - CD-456', value: '12' });
+    assert.strictEqual(value, '12');
+    assert.strictEqual(changes, 1);
+    assert.deepStrictEqual(select2Calls, ['open', 'close']);
+});
+
+test('selectVehicleInPage tries the wanted classes in order', () => {
+    const { value } = selectVehicle(['Luxury Sedan', 'Minivan', 'Standard Sedan']);
+
+    assert.strictEqual(value, '21');
+});
+
+test('selectVehicleInPage fails when no enabled option matches', () => {
+    const { result, value, changes } = selectVehicle(['Luxury Sedan', 'AB-123']);
+
+    assert.strictEqual(result.status, 'error');
+    assert.strictEqual(result.message, 'Error: No available vehicle found for any of the desired classes.');
+    assert.strictEqual(value, '');
+    assert.strictEqual(changes, 0);
+});
+
+test('selectVehicleInPage fails when the dropdown is missing', () => {
+    const { result } = selectVehicle(['Minivan'], { selector: '#vehicle_id' });
+
+    assert.strictEqual(result.status, 'error');
+    assert.strictEqual(result.message, 'Error: Vehicle select dropdown (#vehicle_id) not found.');
+});
+
+test('selectVehicleInPage dry run resolves the option without touching the dropdown', () => {
+    const { result, value, changes, select2Calls } = selectVehicle(['Minivan'], { dryRun: true });
+
+    assert.strictEqual(result.status, 'success');
+    assert.strictEqual(result.message, '[Dry Run] Would select Minivan - EF-789 (value "21").');
+    assert.strictEqual(value, '');
+    assert.strictEqual(changes, 0);
+    assert.deepStrictEqual(select2Calls, []);
+});
+
+test('selectVehicleInPage passes over busy vehicles and reports the fleet it saw', () => {
+    const { result, value } = selectVehicle(['Standard Sedan', 'Minivan'], { busyVehicles: ['12'] });
+
+    assert.strictEqual(result.status, 'success');
+    assert.strictEqual(value, '21');
+    assert.strictEqual(result.message, 'Vehicle selected successfully: Minivan - EF-789 (value "21"). Skipped busy vehicle(s): Standard Sedan - CD-456.');
+    // The disabled option is not part of the fleet.
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(result.fleet)), [
+        { text: 'Standard Sedan - CD-456', value: '12' },
+        { text: 'Minivan - EF-789', value: '21' }
+    ]);
+});
+
+test('selectVehicleInPage fails when every vehicle of the wanted classes is busy', () => {
+    const { result, changes } = selectVehicle(['Standard Sedan'], { busyVehicles: ['12'] });
+
+    assert.strictEqual(result.status, 'error');
+    assert.strictEqual(result.message, 'Error: No available vehicle found for any of the desired classes. Skipped busy vehicle(s): Standard Sedan - CD-456.');
+    assert.strictEqual(changes, 0);
+});
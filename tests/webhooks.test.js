@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/environment');
+
+const {
+    parseWebhookHeaders, formatWebhookHeaders, validateWebhook, normalizeWebhooks, buildWebhookPayload, webhookRetryDelay, describeWebhookUrl
+} = loadScripts(['js/webhooks.js'], { URL });
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+test('parseWebhookHeaders reads one header per line and reports the others', () => {
+    const { headers, errors } = parseWebhookHeaders('Authorization: Bearer abc:123\n\n  X-Team:dispatch  \nnot a header');
+
+    assert.deepStrictEqual(copy(headers), { Authorization: 'Bearer abc:123', 'X-Team': 'dispatch' });
+    assert.deepStrictEqual([...errors], ['"not a header" is not a header like "Authorization: Bearer abc123".']);
+    assert.strictEqual(formatWebhookHeaders(headers), 'Authorization: Bearer abc:123\nX-Team: dispatch');
+});
+
+test('validateWebhook wants an http or https URL and at least one event', () => {
+    assert.deepStrictEqual([...validateWebhook({ url: 'http://localhost:9000/hook', headers: {}, events: ['accepted'] })], []);
+    assert.deepStrictEqual([...validateWebhook({ url: 'ftp://example.com/hook', headers: {}, events: [] })], [
+        '"ftp://example.com/hook" is not an http or https URL.',
+        'ftp://example.com/hook receives no event.'
+    ]);
+});
+
+test('normalizeWebhooks drops entries without a URL and unknown events', () => {
+    const webhooks = normalizeWebhooks([
+        { url: 'https://dispatch.example/hook', events: ['accepted', 'exploded'] },
+        { url: '' },
+        null
+    ]);
+
+    assert.deepStrictEqual(copy(webhooks), [{ url: 'https://dispatch.example/hook', headers: {}, events: ['accepted'] }]);
+    assert.deepStrictEqual(copy(normalizeWebhooks(undefined)), []);
+});
+
+test('buildWebhookPayload carries the run, the booking and a copy of the config', () => {
+    const config = { dryRun: true, vehicleClasses: ['Standard Sedan'] };
+    const payload = buildWebhookPayload('failed', {
+        runId: 'run-1', outcome: 'failed', message: 'Phase 8 failed.', booking: { index: 5 }, config, now: Date.UTC(2025, 5, 15, 12)
+    });
+    config.vehicleClasses.push('Van');
+
+    assert.deepStrictEqual(copy(payload), {
+        event: 'failed',
+        at: '2025-06-15T12:00:00.000Z',
+        runId: 'run-1',
+        outcome: 'failed',
+        message: 'Phase 8 failed.',
+        dryRun: true,
+        booking: { index: 5 },
+        config: { dryRun: true, vehicleClasses: ['Standard Sedan'] }
+    });
+    assert.strictEqual(buildWebhookPayload('refresh-stopped', { message: 'Stopped.' }).booking, null);
+});
+
+test('retries back off until they are used up, and URLs are logged without their query', () => {
+    assert.deepStrictEqual([0, 1, 2, 3].map(webhookRetryDelay), [2000, 10000, 30000, null]);
+    assert.strictEqual(describeWebhookUrl('http://localhost:9000/hook?token=secret'), 'http://localhost:9000/hook');
+});